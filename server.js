@@ -1,6 +1,7 @@
 import 'dotenv/config';
 import app from './app.js';
 import connectDB from './src/config/db.js';
+import { startJobs, stopJobs } from './src/jobs/index.js';
 
 const PORT = process.env.PORT || 5000;
 
@@ -18,6 +19,9 @@ connectDB()
       console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
     });
 
+    // No-show marking, waitlist hold expiry
+    startJobs();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       console.error('UNHANDLED REJECTION! Shutting down...');
@@ -30,6 +34,7 @@ connectDB()
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received. Shutting down gracefully...');
+      stopJobs();
       server.close(() => {
         console.log('Process terminated');
       });
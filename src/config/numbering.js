@@ -0,0 +1,106 @@
+/**
+ * Document Numbering
+ * Formats for auto-generated numbers (see modules/counters/counter.service.js)
+ *
+ * Format tokens:
+ *   {PREFIX}   Prefix passed by the model (e.g. report category "XRY")
+ *   {CLINIC}   Clinic code (makes the sequence per clinic; not for documents
+ *              without a clinic, marked `clinic: false` below)
+ *   {YYYY} {YY} {MM} {DD}   Date parts
+ *   {SEQ:n}    Sequence, zero-padded to n digits ({SEQ} = no padding)
+ *
+ * period: when the sequence restarts - "none" | "year" | "month" | "day"
+ * The format must contain the date parts of its period (and {CLINIC} for
+ * per-clinic sequences) so numbers can never repeat.
+ *
+ * Override per document type with env vars, e.g.
+ *   NUMBER_FORMAT_INVOICE="INV/{YYYY}/{SEQ:5}"
+ *   NUMBER_PERIOD_INVOICE=year
+ * Run `npm run migrate:counters` after changing a format.
+ */
+
+const defaults = {
+  appointment: { format: "{CLINIC}-{YY}{MM}-{SEQ:4}", period: "month" },
+  treatment: { format: "TRT-{YY}{MM}-{SEQ:4}", period: "month" },
+  treatmentPlan: { format: "TPL-{YY}{MM}-{SEQ:4}", period: "month" },
+  test: { format: "TST-{YY}{MM}-{SEQ:4}", period: "month" },
+  // Not "RX-": prescription reports already use it (report.model.js)
+  prescription: { format: "PRX-{YY}{MM}-{SEQ:4}", period: "month" },
+  consentForm: { format: "CON-{YY}{MM}-{SEQ:4}", period: "month" },
+  invoice: { format: "INV-{YY}{MM}-{SEQ:4}", period: "month" },
+  payment: { format: "PAY-{YY}{MM}-{SEQ:4}", period: "month" },
+  report: { format: "{PREFIX}-{YY}{MM}-{SEQ:4}", period: "month" },
+  // Enquiries and data requests don't belong to a clinic
+  enquiry: { format: "ENQ-{YY}{MM}{DD}-{SEQ:4}", period: "day", clinic: false },
+  dataRequest: { format: "DPR-{YY}{MM}-{SEQ:4}", period: "month", clinic: false },
+
+  // Daily queue token per clinic (not a unique document number)
+  token: { format: "{SEQ}", period: "day", perClinic: true, unique: false },
+
+  // Perio exam version per patient (prefix = patient ID)
+  perioExam: { format: "{SEQ}", period: "none", clinic: false, unique: false },
+
+  // Clinical note version per appointment (prefix = appointment ID)
+  clinicalNote: { format: "{SEQ}", period: "none", clinic: false, unique: false },
+};
+
+// Date tokens a period needs in the format
+const PERIOD_TOKENS = {
+  none: [],
+  year: [["{YY}", "{YYYY}"]],
+  month: [["{YY}", "{YYYY}"], ["{MM}"]],
+  day: [["{YY}", "{YYYY}"], ["{MM}"], ["{DD}"]],
+};
+
+/**
+ * Resolve the numbering config for every document type (defaults + env)
+ * Throws at startup if a format could produce duplicate numbers
+ */
+const buildSequences = () => {
+  const sequences = {};
+
+  for (const [name, config] of Object.entries(defaults)) {
+    const envName = name.toUpperCase();
+    const format = process.env[`NUMBER_FORMAT_${envName}`] || config.format;
+    const period = process.env[`NUMBER_PERIOD_${envName}`] || config.period;
+
+    if (!PERIOD_TOKENS[period]) {
+      throw new Error(`Invalid numbering period for ${name}: ${period}`);
+    }
+
+    if (!/\{SEQ(:\d+)?\}/.test(format)) {
+      throw new Error(`Numbering format for ${name} must contain {SEQ}`);
+    }
+
+    if (config.clinic === false && format.includes("{CLINIC}")) {
+      throw new Error(`Numbering format for ${name} can't use {CLINIC}: it has no clinic`);
+    }
+
+    const sequence = {
+      format,
+      period,
+      perClinic: config.perClinic ?? format.includes("{CLINIC}"),
+      unique: config.unique ?? true,
+    };
+
+    if (sequence.unique) {
+      const missing = PERIOD_TOKENS[period].filter(
+        (options) => !options.some((token) => format.includes(token)),
+      );
+
+      if (missing.length) {
+        throw new Error(
+          `Numbering format for ${name} restarts every ${period} and must contain ${missing
+            .map((options) => options.join(" or "))
+            .join(", ")}`,
+        );
+      }
+    }
+
+    sequences[name] = sequence;
+  }
+
+  return sequences;
+};
+
+export const NUMBER_SEQUENCES = buildSequences();
@@ -3,14 +3,55 @@
  */
 export const APPOINTMENT_STATUS = {
   SCHEDULED: 'scheduled',
+  CONFIRMED: 'confirmed',
   CHECKED_IN: 'checked_in',
   IN_PROGRESS: 'in_progress',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
   NO_SHOW: 'no_show',
-  RESCHEDULED: 'rescheduled',
 };
 
+/**
+ * Allowed status transitions (single source of truth)
+ * Used by the Appointment model and every appointment controller/job.
+ *
+ * Rescheduling is not a status: a scheduled/confirmed visit moves to a new
+ * slot and goes (back) to scheduled, recorded in statusHistory.
+ */
+export const APPOINTMENT_STATUS_TRANSITIONS = {
+  [APPOINTMENT_STATUS.SCHEDULED]: [
+    APPOINTMENT_STATUS.SCHEDULED, // rescheduled
+    APPOINTMENT_STATUS.CONFIRMED,
+    APPOINTMENT_STATUS.CHECKED_IN,
+    APPOINTMENT_STATUS.CANCELLED,
+    APPOINTMENT_STATUS.NO_SHOW,
+  ],
+  [APPOINTMENT_STATUS.CONFIRMED]: [
+    APPOINTMENT_STATUS.SCHEDULED, // rescheduled
+    APPOINTMENT_STATUS.CHECKED_IN,
+    APPOINTMENT_STATUS.CANCELLED,
+    APPOINTMENT_STATUS.NO_SHOW,
+  ],
+  [APPOINTMENT_STATUS.CHECKED_IN]: [
+    APPOINTMENT_STATUS.IN_PROGRESS,
+    APPOINTMENT_STATUS.COMPLETED,
+    APPOINTMENT_STATUS.CANCELLED,
+  ],
+  [APPOINTMENT_STATUS.IN_PROGRESS]: [APPOINTMENT_STATUS.COMPLETED],
+  [APPOINTMENT_STATUS.COMPLETED]: [],
+  [APPOINTMENT_STATUS.CANCELLED]: [],
+  [APPOINTMENT_STATUS.NO_SHOW]: [],
+};
+
+/**
+ * Check whether an appointment may move from one status to another
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @returns {Boolean}
+ */
+export const canTransition = (from, to) =>
+  APPOINTMENT_STATUS_TRANSITIONS[from]?.includes(to) ?? false;
+
 export const APPOINTMENT_TYPES = {
   REGULAR: 'regular',
   EMERGENCY: 'emergency',
@@ -26,6 +67,7 @@ export const OPD_FEE_STATUS = {
 // Statuses that indicate slot is taken
 export const ACTIVE_APPOINTMENT_STATUSES = [
   APPOINTMENT_STATUS.SCHEDULED,
+  APPOINTMENT_STATUS.CONFIRMED,
   APPOINTMENT_STATUS.CHECKED_IN,
   APPOINTMENT_STATUS.IN_PROGRESS,
   APPOINTMENT_STATUS.COMPLETED,
@@ -34,5 +76,11 @@ export const ACTIVE_APPOINTMENT_STATUSES = [
 // Statuses that free up the slot
 export const INACTIVE_APPOINTMENT_STATUSES = [
   APPOINTMENT_STATUS.CANCELLED,
-  APPOINTMENT_STATUS.RESCHEDULED,
+  APPOINTMENT_STATUS.NO_SHOW,
+];
+
+// Statuses in which the visit can still be moved or cancelled by the desk
+export const OPEN_APPOINTMENT_STATUSES = [
+  APPOINTMENT_STATUS.SCHEDULED,
+  APPOINTMENT_STATUS.CONFIRMED,
 ];
@@ -0,0 +1,11 @@
+/**
+ * Clinical Note Constants
+ * SOAP notes written for an appointment (see modules/clinicalNotes)
+ */
+export const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+export const CLINICAL_NOTE_STATUS = {
+  DRAFT: 'draft', // Being written - editable
+  SIGNED: 'signed', // Signed by the doctor - locked
+  AMENDED: 'amended', // Replaced by a signed amendment (kept as the original)
+};
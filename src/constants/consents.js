@@ -0,0 +1,27 @@
+/**
+ * Consent Form Constants
+ * Digital consent forms signed before a treatment (see modules/consents)
+ */
+export const CONSENT_FORM_STATUS = {
+  PENDING: 'pending', // Prepared, waiting for the patient's signature
+  SIGNED: 'signed', // Signed - the treatment can start
+  REVOKED: 'revoked', // Withdrawn by the patient / voided by staff
+};
+
+/**
+ * Merge fields available in consent templates, written as {{field}}
+ * e.g. "I, {{patientName}}, consent to {{procedure}} on tooth {{teeth}}"
+ */
+export const CONSENT_MERGE_FIELDS = {
+  patientName: 'Patient name',
+  patientAge: 'Patient age',
+  patientGender: 'Patient gender',
+  patientPhone: 'Patient phone',
+  procedure: 'Treatment name',
+  teeth: 'Teeth treated',
+  risks: 'Risks (one per line)',
+  alternatives: 'Alternatives (one per line)',
+  doctorName: 'Treating doctor',
+  clinicName: 'Clinic name',
+  date: 'Date the form is prepared',
+};
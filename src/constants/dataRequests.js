@@ -0,0 +1,31 @@
+/**
+ * Data Request Constants
+ * Data principal requests under the DPDP Act (see modules/dataRequests)
+ */
+export const DATA_REQUEST_TYPES = {
+  EXPORT: 'export', // Copy of everything held about the patient
+  ERASURE: 'erasure', // Scrub personal data, keep financial records
+};
+
+export const DATA_REQUEST_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed', // Export downloaded / erasure carried out
+  REJECTED: 'rejected', // Declined by staff (reason recorded)
+  CANCELLED: 'cancelled', // Withdrawn by the patient
+};
+
+// Entries of a request's audit log
+export const DATA_REQUEST_ACTIONS = {
+  REQUESTED: 'requested',
+  DOWNLOADED: 'downloaded',
+  ERASED: 'erased',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+};
+
+// Invoices and payments are kept after erasure for tax (GST: 72 months after
+// the annual return, rounded up)
+export const FINANCIAL_RECORD_RETENTION_YEARS = 8;
+
+// Name left on an erased patient record
+export const ERASED_PATIENT_NAME = 'Erased patient';
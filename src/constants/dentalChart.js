@@ -0,0 +1,89 @@
+/**
+ * Dental Chart Constants
+ * Teeth are stored in FDI notation ("16", "55"); Universal ("3", "A") is
+ * accepted and returned on request (see utils/teeth.js).
+ */
+export const TOOTH_NOTATIONS = {
+  FDI: 'fdi',
+  UNIVERSAL: 'universal',
+};
+
+export const DEFAULT_TOOTH_NOTATION = TOOTH_NOTATIONS.FDI;
+
+/**
+ * Tooth surfaces
+ * Occlusal (back teeth) and incisal (front teeth) are the biting surface
+ */
+export const TOOTH_SURFACES = {
+  MESIAL: 'M',
+  DISTAL: 'D',
+  OCCLUSAL: 'O',
+  INCISAL: 'I',
+  BUCCAL: 'B',
+  LINGUAL: 'L',
+};
+
+export const TOOTH_CONDITIONS = {
+  CARIES: 'caries',
+  FILLED: 'filled',
+  CROWN: 'crown',
+  IMPLANT: 'implant',
+  MISSING: 'missing',
+  MOBILITY: 'mobility',
+};
+
+// Conditions recorded per surface (everything else is per tooth)
+export const SURFACE_CONDITIONS = [TOOTH_CONDITIONS.CARIES, TOOTH_CONDITIONS.FILLED];
+
+/**
+ * Active conditions a new finding replaces on the same tooth
+ * (for surface conditions, only on the surfaces the new finding covers)
+ * e.g. a filling on 16-O closes caries on 16-O; an extraction closes everything
+ */
+export const CONDITION_SUPERSEDES = {
+  [TOOTH_CONDITIONS.CARIES]: [],
+  [TOOTH_CONDITIONS.FILLED]: [TOOTH_CONDITIONS.CARIES, TOOTH_CONDITIONS.FILLED],
+  [TOOTH_CONDITIONS.CROWN]: [
+    TOOTH_CONDITIONS.CARIES,
+    TOOTH_CONDITIONS.FILLED,
+    TOOTH_CONDITIONS.CROWN,
+  ],
+  [TOOTH_CONDITIONS.IMPLANT]: [TOOTH_CONDITIONS.MISSING, TOOTH_CONDITIONS.IMPLANT],
+  [TOOTH_CONDITIONS.MISSING]: Object.values(TOOTH_CONDITIONS),
+  [TOOTH_CONDITIONS.MOBILITY]: [TOOTH_CONDITIONS.MOBILITY],
+};
+
+// Findings allowed on a tooth that is charted as missing
+export const MISSING_TOOTH_CONDITIONS = [TOOTH_CONDITIONS.IMPLANT];
+
+// Mobility grades (Miller classification)
+export const MOBILITY_GRADES = [1, 2, 3];
+
+export const CHART_ENTRY_STATUS = {
+  ACTIVE: 'active',
+  RESOLVED: 'resolved', // Replaced by a later finding / treatment, or healed
+  VOIDED: 'voided', // Entered in error - never shown on the chart
+};
+
+// ============ PERIODONTAL CHARTING ============
+
+/**
+ * Six probing sites per tooth
+ * Buccal side: distobuccal, buccal, mesiobuccal; lingual side: distolingual, lingual, mesiolingual
+ */
+export const PERIO_SITES = ['DB', 'B', 'MB', 'DL', 'L', 'ML'];
+
+export const FURCATION_GRADES = [0, 1, 2, 3];
+
+export const PERIO_EXAM_STATUS = {
+  DRAFT: 'draft', // Being recorded - editable
+  FINAL: 'final', // Locked
+  AMENDED: 'amended', // Replaced by a corrected version
+};
+
+// Probing depth (mm) counted as a periodontal pocket
+export const PERIO_POCKET_DEPTH = 4;
+export const PERIO_DEEP_POCKET_DEPTH = 6;
+
+// Change (mm) in probing depth / attachment level counted as real improvement or deterioration
+export const PERIO_SIGNIFICANT_CHANGE = 2;
@@ -0,0 +1,25 @@
+/**
+ * Duplicate Patient Constants
+ * Duplicate detection and merging (see modules/duplicates)
+ */
+export const PATIENT_MERGE_STATUS = {
+  MERGED: 'merged', // Duplicate folded into the surviving record
+  REVERTED: 'reverted', // Undone - records moved back to the duplicate
+};
+
+/**
+ * Points each matching signal adds to a candidate's score (capped at 100)
+ * Name similarity scales its points by how close the names are.
+ */
+export const DUPLICATE_MATCH_WEIGHTS = {
+  phone: 40, // Phone / alternate phone in common
+  email: 30,
+  dateOfBirth: 25,
+  name: 35,
+};
+
+// Candidates scoring below this are not reported
+export const DUPLICATE_MIN_SCORE = 50;
+
+// Names less similar than this (0-1) don't count as a name match
+export const NAME_SIMILARITY_THRESHOLD = 0.8;
@@ -0,0 +1,17 @@
+/**
+ * Household Constants
+ * Families registered together (see modules/households)
+ */
+export const HOUSEHOLD_RELATIONSHIPS = {
+  SELF: 'self', // Primary account holder
+  SPOUSE: 'spouse',
+  CHILD: 'child',
+  PARENT: 'parent',
+  SIBLING: 'sibling',
+  GRANDPARENT: 'grandparent',
+  GRANDCHILD: 'grandchild',
+  OTHER: 'other',
+};
+
+// Below this age a patient needs a guardian's consent
+export const MINOR_AGE = 18;
@@ -2,3 +2,13 @@
 export * from './httpStatus.js';
 export * from './roles.js';
 export * from './appointmentStatus.js';
+export * from './dentalChart.js';
+export * from './medicalAlerts.js';
+export * from './clinicalNotes.js';
+export * from './consents.js';
+export * from './households.js';
+export * from './duplicates.js';
+export * from './timeline.js';
+export * from './patientImport.js';
+export * from './dataRequests.js';
+export * from './segments.js';
@@ -0,0 +1,75 @@
+/**
+ * Medical Alert Constants
+ * Structured alerts on a patient, checked whenever a treatment, test or
+ * prescription is created for them (see modules/medicalAlerts).
+ */
+export const MEDICAL_ALERT_TYPES = {
+  ALLERGY: 'allergy',
+  ANTICOAGULANT: 'anticoagulant',
+  DIABETES: 'diabetes',
+  PREGNANCY: 'pregnancy',
+  CARDIAC: 'cardiac',
+  OTHER: 'other',
+};
+
+export const MEDICAL_ALERT_SEVERITY = {
+  LOW: 'low',
+  MODERATE: 'moderate',
+  HIGH: 'high',
+};
+
+// Severities that stop the action until someone overrides them with a reason
+// (lower severities are returned as warnings)
+export const BLOCKING_ALERT_SEVERITIES = [MEDICAL_ALERT_SEVERITY.HIGH];
+
+// What an alert is checked for
+export const ALERT_CONTEXTS = {
+  TREATMENT: 'treatment',
+  TEST: 'test',
+  PRESCRIPTION: 'prescription',
+};
+
+/**
+ * Default contexts per alert type (an alert can set its own `appliesTo`)
+ * e.g. pregnancy matters for X-rays (tests); diabetes doesn't
+ */
+export const ALERT_TYPE_CONTEXTS = {
+  [MEDICAL_ALERT_TYPES.ALLERGY]: [ALERT_CONTEXTS.TREATMENT, ALERT_CONTEXTS.PRESCRIPTION],
+  [MEDICAL_ALERT_TYPES.ANTICOAGULANT]: [ALERT_CONTEXTS.TREATMENT, ALERT_CONTEXTS.PRESCRIPTION],
+  [MEDICAL_ALERT_TYPES.DIABETES]: [ALERT_CONTEXTS.TREATMENT, ALERT_CONTEXTS.PRESCRIPTION],
+  [MEDICAL_ALERT_TYPES.PREGNANCY]: Object.values(ALERT_CONTEXTS),
+  [MEDICAL_ALERT_TYPES.CARDIAC]: [ALERT_CONTEXTS.TREATMENT, ALERT_CONTEXTS.PRESCRIPTION],
+  [MEDICAL_ALERT_TYPES.OTHER]: Object.values(ALERT_CONTEXTS),
+};
+
+/**
+ * Keywords used to turn free-text medical history into alerts
+ * (npm run migrate:medical-alerts)
+ */
+export const MEDICAL_HISTORY_KEYWORDS = {
+  [MEDICAL_ALERT_TYPES.ANTICOAGULANT]: [
+    'anticoagul',
+    'warfarin',
+    'acitrom',
+    'heparin',
+    'apixaban',
+    'rivaroxaban',
+    'dabigatran',
+    'clopidogrel',
+    'aspirin',
+    'blood thinner',
+  ],
+  [MEDICAL_ALERT_TYPES.DIABETES]: ['diabet', 'insulin', 'metformin', 'sugar'],
+  [MEDICAL_ALERT_TYPES.PREGNANCY]: ['pregnan'],
+  [MEDICAL_ALERT_TYPES.CARDIAC]: [
+    'cardiac',
+    'heart',
+    'angina',
+    'pacemaker',
+    'hypertension',
+    'blood pressure',
+    'bypass',
+    'stent',
+    'valve',
+  ],
+};
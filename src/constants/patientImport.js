@@ -0,0 +1,41 @@
+/**
+ * Patient Import Constants
+ * Bulk patient import from CSV / XLSX (see modules/patientImports)
+ */
+export const PATIENT_IMPORT_STATUS = {
+  VALIDATED: 'validated', // Dry run done - nothing saved yet
+  IMPORTING: 'importing', // Commit in progress
+  COMPLETED: 'completed',
+};
+
+export const IMPORT_ROW_STATUS = {
+  VALID: 'valid', // Will be imported
+  INVALID: 'invalid', // Validation errors - never imported
+  DUPLICATE: 'duplicate', // Phone already registered - skipped
+  IMPORTED: 'imported',
+  FAILED: 'failed', // Rejected by the database on commit
+};
+
+/**
+ * Patient fields a column can map to, with the headers recognised automatically
+ * (compared lower-case, ignoring spaces, dots, dashes and underscores)
+ */
+export const PATIENT_IMPORT_FIELDS = {
+  name: ['name', 'patientname', 'fullname'],
+  phone: ['phone', 'mobile', 'mobileno', 'mobilenumber', 'phoneno', 'phonenumber', 'contact'],
+  email: ['email', 'emailid', 'emailaddress'],
+  dateOfBirth: ['dob', 'dateofbirth', 'birthdate', 'birthday'],
+  gender: ['gender', 'sex'],
+  address: ['address', 'street', 'addressline', 'addressline1'],
+  city: ['city', 'town'],
+  state: ['state'],
+  pincode: ['pincode', 'pin', 'zip', 'zipcode', 'postalcode'],
+  allergies: ['allergies', 'allergy', 'knownallergies'],
+  bloodGroup: ['bloodgroup', 'blood', 'bloodtype'],
+};
+
+// Rows per insert batch on commit
+export const IMPORT_BATCH_SIZE = 500;
+
+// Largest file accepted (rows, excluding the header)
+export const MAX_IMPORT_ROWS = 10000;
@@ -0,0 +1,13 @@
+/**
+ * Segment Constants
+ * Patient tags and saved segments (see modules/segments)
+ */
+
+// Tags are stored lower-case with spaces as dashes ("Diabetic " → "diabetic")
+export const MAX_TAG_LENGTH = 30;
+
+export const SEGMENT_TAG_MATCH = {
+  ALL: 'all', // Patient has every tag
+  ANY: 'any', // Patient has at least one
+};
+
@@ -0,0 +1,17 @@
+/**
+ * Patient Timeline Constants
+ * Event types on GET /api/patients/:id/timeline (see modules/timeline)
+ */
+export const TIMELINE_EVENT_TYPES = {
+  APPOINTMENT: 'appointment', // Visit (at its slot)
+  APPOINTMENT_STATUS: 'appointment_status', // Check-in, completion, cancellation, ...
+  TREATMENT: 'treatment',
+  TREATMENT_SESSION: 'treatment_session',
+  TEST: 'test', // Ordered
+  TEST_RESULT: 'test_result',
+  INVOICE: 'invoice',
+  PAYMENT: 'payment',
+  REPORT: 'report',
+  NOTIFICATION: 'notification',
+  CLINICAL_NOTE: 'clinical_note',
+};
@@ -41,6 +41,7 @@ export const users = [
 export const clinics = [
   {
     name: "Ujjwal Dental - Main Branch",
+    code: "DR",
     address: {
       street: "123 Delhi Road",
       area: "Model Town",
@@ -53,6 +54,7 @@ export const clinics = [
   },
   {
     name: "Ujjwal Dental - City Center",
+    code: "PV",
     address: {
       street: "45 Red Square Market",
       area: "Sector 14",
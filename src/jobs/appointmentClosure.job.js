@@ -0,0 +1,114 @@
+import Appointment from "../modules/appointments/appointment.model.js";
+import Clinic from "../modules/clinics/clinic.model.js";
+import Patient from "../modules/patients/patient.model.js";
+import * as waitlistService from "../modules/waitlist/waitlist.service.js";
+import * as queueService from "../modules/queue/queue.service.js";
+import {
+  APPOINTMENT_STATUS,
+  OPEN_APPOINTMENT_STATUSES,
+} from "../constants/appointmentStatus.js";
+import { addDays, getDayRange, getSlotStart, getTimezone } from "../utils/date.js";
+
+// Only visits from the last few days become no-shows; anything older is a
+// backlog from before the job ran and shouldn't count against patients
+const NO_SHOW_LOOKBACK_DAYS = 2;
+
+/**
+ * APPOINTMENT CLOSURE JOB
+ *
+ * 1. No-shows: scheduled/confirmed visits not checked in within the clinic's
+ *    grace period (appointmentSettings.noShowGraceMinutes) after their slot time
+ *    become `no_show` and count against the patient (visits from the last
+ *    NO_SHOW_LOOKBACK_DAYS days only)
+ * 2. End of day: visits from earlier days left checked_in / in_progress
+ *    (patient was seen, desk forgot to complete) are closed as completed
+ *
+ * "Today" is each clinic's own day (clinic.timezone)
+ *
+ * An appointment that can't be updated (e.g. legacy data failing validation) is
+ * logged and counted in `failed`; the run carries on with the rest.
+ *
+ * @param {Date} now - Current time (for testing)
+ * @returns {Object} - { noShows, closed, failed }
+ */
+export const runAppointmentClosure = async (now = new Date()) => {
+  const result = { noShows: 0, closed: 0, failed: 0 };
+
+  const clinics = await Clinic.find({ isActive: true });
+
+  for (const clinic of clinics) {
+    const tz = getTimezone(clinic);
+    const { start: startOfToday, end: endOfToday } = getDayRange(now, tz);
+    const graceMinutes = clinic.appointmentSettings?.noShowGraceMinutes ?? 30;
+    let changed = false;
+
+    // -------- No-shows --------
+    const unattended = await Appointment.find({
+      clinic: clinic._id,
+      status: { $in: OPEN_APPOINTMENT_STATUSES },
+      date: { $gte: addDays(startOfToday, -NO_SHOW_LOOKBACK_DAYS, tz), $lte: endOfToday },
+    });
+
+    for (const appointment of unattended) {
+      const deadline = getSlotStart(appointment.date, appointment.timeSlot, tz);
+      deadline.setMinutes(deadline.getMinutes() + graceMinutes);
+
+      if (deadline > now) continue;
+
+      try {
+        await appointment.markNoShow(
+          `Not checked in within ${graceMinutes} minutes of ${appointment.timeSlot} (automatic)`,
+        );
+        changed = true;
+        await Patient.recordNoShow(appointment.patient);
+
+        // Rest of a long visit may still be usable today
+        await waitlistService.offerFreedSlot(appointment);
+
+        result.noShows++;
+      } catch (error) {
+        logFailure("mark no-show", appointment, error);
+        result.failed++;
+      }
+    }
+
+    // -------- End of day --------
+    const stale = await Appointment.find({
+      clinic: clinic._id,
+      status: {
+        $in: [APPOINTMENT_STATUS.CHECKED_IN, APPOINTMENT_STATUS.IN_PROGRESS],
+      },
+      date: { $lt: startOfToday },
+    });
+
+    for (const appointment of stale) {
+      try {
+        appointment.transitionTo(APPOINTMENT_STATUS.COMPLETED, {
+          reason: "Closed automatically at end of day",
+          automatic: true,
+        });
+        await appointment.save();
+
+        result.closed++;
+      } catch (error) {
+        logFailure("close", appointment, error);
+        result.failed++;
+      }
+    }
+
+    if (changed) {
+      await queueService.publishQueue(clinic._id);
+    }
+  }
+
+  return result;
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function logFailure(action, appointment, error) {
+  console.error(
+    `Appointment closure: could not ${action} ${appointment.appointmentNumber || appointment._id}:`,
+    error.message,
+  );
+}
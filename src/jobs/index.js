@@ -0,0 +1,71 @@
+import { runAppointmentClosure } from "./appointmentClosure.job.js";
+import { processExpiredOffers } from "../modules/waitlist/waitlist.service.js";
+
+/**
+ * BACKGROUND JOBS
+ * Small in-process scheduler started by server.js after the DB connects
+ *
+ * Env:
+ * - JOBS_ENABLED=false                  Switch off (when running several API
+ *                                       instances, enable jobs on one only)
+ * - NO_SHOW_JOB_INTERVAL_MINUTES=10     How often no-shows are checked
+ */
+
+const jobs = [
+  {
+    name: "appointment-closure",
+    run: runAppointmentClosure,
+    intervalMinutes: Number(process.env.NO_SHOW_JOB_INTERVAL_MINUTES) || 10,
+  },
+  {
+    name: "waitlist-expiry",
+    run: processExpiredOffers,
+    intervalMinutes: 1,
+  },
+];
+
+const timers = [];
+
+/**
+ * Run every job once now, then on its interval
+ */
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === "false") {
+    console.log("Background jobs disabled");
+    return;
+  }
+
+  for (const job of jobs) {
+    let running = false;
+
+    const tick = async () => {
+      // Skip if the previous run hasn't finished
+      if (running) return;
+      running = true;
+
+      try {
+        const result = await job.run();
+        if (result && Object.values(result).some(Boolean)) {
+          console.log(`Job ${job.name}:`, result);
+        }
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    timers.push(setInterval(tick, job.intervalMinutes * 60 * 1000));
+    tick();
+  }
+
+  console.log(`Background jobs started: ${jobs.map((j) => j.name).join(", ")}`);
+};
+
+/**
+ * Stop all scheduled jobs (graceful shutdown)
+ */
+export const stopJobs = () => {
+  timers.forEach(clearInterval);
+  timers.length = 0;
+};
@@ -10,6 +10,7 @@ import { Readable } from "stream";
  * Usage:
  * - router.post('/reports', uploadSingle('file'), reportController.uploadReport)
  * - After this middleware, req.uploadedFile contains Cloudinary upload result
+ * - uploadSpreadsheet('file') only reads a CSV / XLSX into req.file (imports)
  */
 
 // Configure multer to store files in memory
@@ -172,6 +173,58 @@ export const uploadMultiple = (fieldName = "files", maxCount = 5) => {
   };
 };
 
+// Spreadsheets (CSV / XLSX) for imports - parsed in memory, never stored
+const SPREADSHEET_TYPES = [
+  "text/csv",
+  "application/vnd.ms-excel", // CSV as sent by Windows browsers
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+const spreadsheetUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_TYPES.includes(file.mimetype) || /\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Only CSV and XLSX files are allowed."), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+  },
+});
+
+/**
+ * Read a spreadsheet into memory (req.file.buffer) without uploading it
+ * @param {string} fieldName - Form field name for the file
+ * @returns {Function} Express middleware
+ */
+export const uploadSpreadsheet = (fieldName = "file") => {
+  return (req, res, next) => {
+    spreadsheetUpload.single(fieldName)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(400).json({
+            success: false,
+            message: "File too large. Maximum size is 10MB.",
+          });
+        }
+        return res.status(400).json({
+          success: false,
+          message: `Upload error: ${err.message}`,
+        });
+      } else if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+
+      next();
+    });
+  };
+};
+
 /**
  * Upload buffer to Cloudinary
  * @param {Object} file - Multer file object
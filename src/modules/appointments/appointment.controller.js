@@ -2,19 +2,32 @@ import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import Appointment from "./appointment.model.js";
 import Patient from "../patients/patient.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import Payment from "../payments/payment.model.js";
+import * as appointmentService from "./appointment.service.js";
+import * as waitlistService from "../waitlist/waitlist.service.js";
+import * as queueService from "../queue/queue.service.js";
+import {
+  APPOINTMENT_STATUS,
+  INACTIVE_APPOINTMENT_STATUSES,
+} from "../../constants/appointmentStatus.js";
+import { addDays, getDayRange } from "../../utils/date.js";
 import mongoose from "mongoose";
 /**
  * APPOINTMENT CONTROLLER
  * Handles appointment booking and management
+ *
+ * "Today" and date filters use the clinic's timezone (?clinic=), or
+ * DEFAULT_TIMEZONE when listing across clinics
  */
 
 /**
  * @desc    Get all appointments
- * @route   GET /api/appointments?date=&clinic=&status=
+ * @route   GET /api/appointments?date=&clinic=&doctor=&status=
  * @access  Admin
  */
 export const getAllAppointments = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, date, clinic, status } = req.query;
+  const { page = 1, limit = 10, date, clinic, doctor, status } = req.query;
 
   // 1. Build filter query from params
   const filter = {};
@@ -23,17 +36,20 @@ export const getAllAppointments = asyncHandler(async (req, res) => {
     filter.clinic = clinic;
   }
 
+  if (doctor && mongoose.Types.ObjectId.isValid(doctor)) {
+    filter.doctor = doctor;
+  }
+
   if (status) {
     filter.status = status;
   }
 
   if (date) {
-    const start = new Date(date);
-    start.setHours(0, 0, 0, 0);
-
-    const end = new Date(date);
-    end.setHours(23, 59, 59, 999);
+    if (isNaN(new Date(date).getTime())) {
+      return ApiResponse.error(res, "Invalid date format", 400);
+    }
 
+    const { start, end } = getDayRange(date, await Clinic.getTimezoneById(filter.clinic));
     filter.date = { $gte: start, $lte: end };
   }
 
@@ -44,6 +60,7 @@ export const getAllAppointments = asyncHandler(async (req, res) => {
     Appointment.find(filter)
       .populate("patient", "name phone")
       .populate("clinic", "name code")
+      .populate("doctor", "name")
       .sort({ date: -1, timeSlot: 1 })
       .skip(skip)
       .limit(Number(limit)),
@@ -68,24 +85,28 @@ export const getAllAppointments = asyncHandler(async (req, res) => {
  * @access  Admin
  */
 export const getTodayAppointments = asyncHandler(async (req, res) => {
-  // 1️⃣ Get current date
-  const today = new Date();
+  const { clinic } = req.query;
 
-  const startOfDay = new Date(today);
-  startOfDay.setHours(0, 0, 0, 0);
+  const filter = { status: { $ne: "cancelled" } };
 
-  const endOfDay = new Date(today);
-  endOfDay.setHours(23, 59, 59, 999);
+  if (clinic && mongoose.Types.ObjectId.isValid(clinic)) {
+    filter.clinic = clinic;
+  }
+
+  // 1️⃣ Today in the clinic's timezone
+  const { start: startOfDay, end: endOfDay } = getDayRange(
+    new Date(),
+    await Clinic.getTimezoneById(filter.clinic),
+  );
+  filter.date = { $gte: startOfDay, $lte: endOfDay };
 
-  // 2️⃣ Query appointments for today (FIXED FIELD)
-  const appointments = await Appointment.find({
-    date: { $gte: startOfDay, $lte: endOfDay }, // ✅ FIX HERE
-    status: { $ne: "cancelled" },
-  })
+  // 2️⃣ Query appointments for today
+  const appointments = await Appointment.find(filter)
     // 3️⃣ Sort by time slot / token
     .sort({ tokenNumber: 1 })
     .populate("patient", "name phone")
-    .populate("clinic", "name");
+    .populate("clinic", "name")
+    .populate("doctor", "name");
 
   // 4️⃣ Return list
   ApiResponse.success(res, appointments, "Today's appointments fetched");
@@ -93,27 +114,29 @@ export const getTodayAppointments = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Get upcoming appointments
- * @route   GET /api/appointments/upcoming
+ * @route   GET /api/appointments/upcoming?days=&clinic=
  * @access  Admin
  */
 export const getUpcomingAppointments = asyncHandler(async (req, res) => {
-  const { days = 7 } = req.query;
+  const { days = 7, clinic } = req.query;
 
-  // 1. Get date range (today + days)
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const filter = { status: "scheduled" };
+
+  if (clinic && mongoose.Types.ObjectId.isValid(clinic)) {
+    filter.clinic = clinic;
+  }
 
-  const futureDate = new Date();
-  futureDate.setDate(today.getDate() + Number(days));
-  futureDate.setHours(23, 59, 59, 999);
+  // 1. Get date range (today + days, in the clinic's timezone)
+  const tz = await Clinic.getTimezoneById(filter.clinic);
+  const { start: today } = getDayRange(new Date(), tz);
+  const { end: futureDate } = getDayRange(addDays(today, Number(days), tz), tz);
+  filter.date = { $gte: today, $lte: futureDate };
 
   // 2. Query appointments in range
-  const appointments = await Appointment.find({
-    date: { $gte: today, $lte: futureDate },
-    status: "scheduled",
-  })
+  const appointments = await Appointment.find(filter)
     .populate("patient", "name phone")
     .populate("clinic", "name")
+    .populate("doctor", "name")
     .sort({ date: 1, timeSlot: 1 });
 
   // 3. Return list
@@ -122,29 +145,40 @@ export const getUpcomingAppointments = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Get available slots
- * @route   GET /api/appointments/available-slots?clinic=&date=
+ * @route   GET /api/appointments/available-slots?clinic=&date=&doctor=&chair=&treatments=&duration=
  * @access  Public
  */
-// export const getAvailableSlots = asyncHandler(async (req, res) => {
-//   const { clinic, date } = req.query;
-
-//   // TODO: Implement get available slots
-//   // 1. Get clinic operating hours
-//   // 2. Generate all slots (30 min intervals)
-//   // 3. Get booked appointments
-//   // 4. Filter out booked slots
-//   // 5. If today, filter past slots
-//   // 6. Return available slots
-
-//   const slots = {
-//     date,
-//     clinic,
-//     available: [],
-//     message: "Available slots fetched",
-//   };
-
-//   ApiResponse.success(res, slots, "Slots fetched successfully");
-// });
+export const getAvailableSlots = asyncHandler(async (req, res) => {
+  const { clinic, date, doctor, chair, treatments, duration } = req.query;
+
+  if (!clinic || !date) {
+    return ApiResponse.error(res, "Clinic and date are required", 400);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(clinic)) {
+    return ApiResponse.error(res, "Invalid clinic ID", 400);
+  }
+
+  const requestedDate = new Date(date);
+  if (isNaN(requestedDate.getTime())) {
+    return ApiResponse.error(res, "Invalid date format", 400);
+  }
+
+  // Clinic hours, holidays, booked and past slots are handled by the model
+  // Visit length: planned treatments (comma separated IDs) or explicit minutes
+  const plan = await appointmentService.getPlannedDuration(
+    treatments ? String(treatments).split(",") : [],
+    duration,
+  );
+
+  const slotInfo = await Appointment.getAvailableSlots(clinic, requestedDate, {
+    doctor,
+    chair,
+    duration: plan.duration,
+  });
+
+  ApiResponse.success(res, { date, clinic, ...slotInfo }, "Slots fetched successfully");
+});
 
 /**
  * @desc    Get appointment by ID
@@ -170,7 +204,8 @@ export const getAppointmentById = asyncHandler(async (req, res) => {
 
   const appointment = await Appointment.findById(id)
     .populate("patient", "name phone email hasMembership currentDiscount")
-    .populate("clinic", "name code address")
+    .populate("clinic", "name code address chairs")
+    .populate("doctor", "name phone")
     .populate("createdBy", "name");
 
   if (!appointment) {
@@ -188,15 +223,15 @@ export const getAppointmentById = asyncHandler(async (req, res) => {
 export const getAppointmentsByPhone = asyncHandler(async (req, res) => {
   const { phone } = req.params;
 
-  // 1. Find patient by phone
-  const patient = await Patient.findOne({ phone });
+  // 1. Find patients by phone (household dependants share the guardian's phone)
+  const patients = await Patient.find({ phone }).select("_id");
 
-  if (!patient) {
+  if (!patients.length) {
     return ApiResponse.error(res, "Patient not found", 404);
   }
 
-  // 2. Find appointments for this patient
-  const appointments = await Appointment.find({ patient: patient._id })
+  // 2. Find appointments for these patients
+  const appointments = await Appointment.find({ patient: { $in: patients.map((p) => p._id) } })
     .populate("patient", "name phone")
     .populate("clinic", "name code")
     .populate("createdBy", "name")
@@ -213,11 +248,26 @@ export const getAppointmentsByPhone = asyncHandler(async (req, res) => {
  * @desc    Create new appointment (book)
  * @route   POST /api/appointments
  * @access  Admin / Patient
+ *
+ * Patients with repeated no-shows need depositPayment: ID of a paid advance
+ * Payment covering the clinic's deposit
  */
 
 export const createAppointment = asyncHandler(async (req, res) => {
-  const { patientId, name, phone, clinic, date, timeSlot, reason, type } =
-    req.body;
+  const {
+    patientId,
+    name,
+    phone,
+    clinic,
+    doctor,
+    chair,
+    date,
+    timeSlot,
+    treatments,
+    reason,
+    type,
+    depositPayment,
+  } = req.body;
 
   /* =======================
      BASIC VALIDATIONS
@@ -239,6 +289,27 @@ export const createAppointment = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Invalid clinic ID", 400);
   }
 
+  /* =======================
+     CLINIC HOURS CHECK
+  ======================== */
+
+  const clinicDoc = await Clinic.findById(clinic);
+  if (!clinicDoc) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  // Planned treatments decide how many consecutive slots the visit blocks
+  const plan = await appointmentService.getPlannedDuration(treatments);
+
+  const slotCheck = clinicDoc.isValidSlot(date, timeSlot, plan.duration);
+  if (!slotCheck.isValid) {
+    return ApiResponse.error(res, slotCheck.reason, 400);
+  }
+
+  if (doctor) {
+    await appointmentService.validateDoctor(doctor);
+  }
+
   /* =======================
      PATIENT HANDLING
   ======================== */
@@ -267,7 +338,7 @@ export const createAppointment = asyncHandler(async (req, res) => {
       );
     }
 
-    patient = await Patient.findOne({ phone });
+    patient = await Patient.findByPhone(phone);
 
     if (!patient) {
       patient = await Patient.create({
@@ -279,31 +350,44 @@ export const createAppointment = asyncHandler(async (req, res) => {
   }
 
   /* =======================
-     SLOT AVAILABILITY CHECK
+     DEPOSIT FOR REPEAT NO-SHOWS
   ======================== */
 
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
+  const deposit = appointmentService.getDepositRequirement(patient, clinicDoc);
+
+  if (deposit.required && !depositPayment) {
+    return ApiResponse.error(
+      res,
+      `A deposit of ₹${deposit.amount} is required to book (${deposit.noShowCount} missed appointments)`,
+      402,
+    );
+  }
+
+  // Record the deposit as an advance payment first, then pass its ID
+  const depositPaymentDoc = deposit.required
+    ? await appointmentService.verifyDepositPayment(depositPayment, patient, deposit.amount)
+    : null;
 
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+  /* =======================
+     SLOT AVAILABILITY CHECK
+     (per doctor and per chair)
+  ======================== */
 
-  const slotBooked = await Appointment.findOne({
-    clinic,
-    date: { $gte: startOfDay, $lte: endOfDay },
+  const reservation = await appointmentService.reserveSlot(clinicDoc, {
+    date,
     timeSlot,
-    status: { $ne: "cancelled" },
+    duration: plan.duration,
+    doctor,
+    chair,
   });
 
-  if (slotBooked) {
-    return ApiResponse.error(res, "Time slot already booked", 409);
-  }
-
   /* =======================
      OPD FEE CALCULATION
   ======================== */
 
-  let opdFee = type === "emergency" ? 500 : 300;
+  const { opdFee: regularFee = 300, emergencyOpdFee = 500 } =
+    clinicDoc.appointmentSettings || {};
+  let opdFee = type === "emergency" ? emergencyOpdFee : regularFee;
 
   /* =======================
      CREATE APPOINTMENT
@@ -314,16 +398,36 @@ export const createAppointment = asyncHandler(async (req, res) => {
   const appointment = await Appointment.create({
     patient: patient._id,
     clinic,
+    doctor,
+    chair: reservation.chair,
     date,
     timeSlot,
+    slotEnd: reservation.slotEnd,
+    duration: plan.duration || clinicDoc.appointmentSettings?.slotDuration,
+    plannedTreatments: plan.treatmentIds,
     reason,
     type,
     opdFee,
+    deposit: depositPaymentDoc
+      ? {
+          amount: deposit.amount,
+          paidAt: depositPaymentDoc.paidAt,
+          payment: depositPaymentDoc._id,
+        }
+      : undefined,
     createdBy: req.user?._id,
     // ❌ DO NOT set status
     // ❌ DO NOT set tokenNumber
   });
 
+  // Link the deposit payment to the visit it secures
+  if (depositPaymentDoc && !depositPaymentDoc.appointment) {
+    await Payment.updateOne(
+      { _id: depositPaymentDoc._id },
+      { $set: { appointment: appointment._id } },
+    );
+  }
+
   /* =======================
      RESPONSE
   ======================== */
@@ -334,8 +438,14 @@ export const createAppointment = asyncHandler(async (req, res) => {
       appointmentId: appointment._id,
       appointmentNumber: appointment.appointmentNumber,
       tokenNumber: appointment.tokenNumber,
+      timeSlot: appointment.timeSlot,
+      slotEnd: appointment.slotEnd,
+      duration: appointment.duration,
+      doctor: appointment.doctor,
+      chair: appointment.chair,
       status: appointment.status,
       opdFee: appointment.opdFee,
+      deposit: appointment.deposit?.amount ? appointment.deposit : null,
       patient: {
         id: patient._id,
         name: patient.name,
@@ -367,8 +477,11 @@ export const updateAppointment = asyncHandler(async (req, res) => {
   const {
     patient,
     clinic,
+    doctor,
+    chair,
     date,
     timeSlot,
+    treatments,
     type,
     status,
     reason,
@@ -381,34 +494,68 @@ export const updateAppointment = asyncHandler(async (req, res) => {
     endTime,
   } = req.body;
 
+  // Kept for the waitlist / queue follow-ups after saving
+  const previousSlot = {
+    clinic: appointment.clinic,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    slotEnd: appointment.slotEnd,
+    doctor: appointment.doctor,
+    patient: appointment.patient,
+  };
+  const previousStatus = appointment.status;
+  const heldSlot = !INACTIVE_APPOINTMENT_STATUSES.includes(previousStatus);
+
   /* =======================
      SLOT CONFLICT CHECK
-     (only if date or timeSlot changes)
+     (only if date, time, doctor or chair changes)
   ======================== */
-  if (date || timeSlot) {
+  if (
+    date ||
+    timeSlot ||
+    treatments !== undefined ||
+    doctor !== undefined ||
+    chair !== undefined
+  ) {
     const newDate = date || appointment.date;
     const newTimeSlot = timeSlot || appointment.timeSlot;
+    const newDoctor = doctor !== undefined ? doctor : appointment.doctor;
+    const newChair = chair !== undefined ? chair : appointment.chair;
+
+    // Re-size the visit if planned treatments change
+    let newDuration = appointment.duration;
+    let newTreatments = appointment.plannedTreatments;
+    if (treatments !== undefined) {
+      const plan = await appointmentService.getPlannedDuration(treatments);
+      newDuration = plan.duration;
+      newTreatments = plan.treatmentIds;
+    }
 
-    const startOfDay = new Date(newDate);
-    startOfDay.setHours(0, 0, 0, 0);
+    const clinicDoc = await Clinic.findById(appointment.clinic);
+    if (!clinicDoc) {
+      return ApiResponse.error(res, "Clinic not found", 404);
+    }
 
-    const endOfDay = new Date(newDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    if (newDoctor && doctor !== undefined) {
+      await appointmentService.validateDoctor(newDoctor);
+    }
 
-    const conflict = await Appointment.findOne({
-      _id: { $ne: appointment._id },
-      clinic: appointment.clinic,
-      date: { $gte: startOfDay, $lte: endOfDay },
+    const reservation = await appointmentService.reserveSlot(clinicDoc, {
+      date: newDate,
       timeSlot: newTimeSlot,
-      status: { $ne: "cancelled" },
+      duration: newDuration,
+      doctor: newDoctor,
+      chair: newChair,
+      excludeId: appointment._id,
     });
 
-    if (conflict) {
-      return ApiResponse.error(res, "Time slot already booked", 409);
-    }
-
     appointment.date = newDate;
     appointment.timeSlot = newTimeSlot;
+    appointment.slotEnd = reservation.slotEnd;
+    appointment.duration = newDuration;
+    appointment.plannedTreatments = newTreatments;
+    appointment.doctor = newDoctor || undefined;
+    appointment.chair = reservation.chair || undefined;
   }
 
   /* =======================
@@ -418,7 +565,9 @@ export const updateAppointment = asyncHandler(async (req, res) => {
   if (patient !== undefined) appointment.patient = patient;
   if (clinic !== undefined) appointment.clinic = clinic;
   if (type !== undefined) appointment.type = type;
-  if (status !== undefined) appointment.status = status;
+  if (status !== undefined && status !== appointment.status) {
+    appointment.transitionTo(status, appointmentService.getActor(req));
+  }
   if (reason !== undefined) appointment.reason = reason;
   if (notes !== undefined) appointment.notes = notes;
   if (opdFee !== undefined) appointment.opdFee = opdFee;
@@ -432,14 +581,42 @@ export const updateAppointment = asyncHandler(async (req, res) => {
   /* =======================
      SAVE
   ======================== */
+  const slotFields = ["clinic", "date", "timeSlot", "slotEnd", "doctor", "chair"];
+  const movedSlot = slotFields.some((field) => appointment.isModified(field));
+
   await appointment.save();
 
+  /* =======================
+     FOLLOW-UPS
+     (same as reschedule / status update)
+  ======================== */
+  const becameNoShow =
+    previousStatus !== APPOINTMENT_STATUS.NO_SHOW &&
+    appointment.status === APPOINTMENT_STATUS.NO_SHOW;
+  if (becameNoShow) {
+    await Patient.recordNoShow(appointment.patient);
+  }
+
+  // Vacated or freed slot goes to the waitlist
+  if (heldSlot && (movedSlot || !appointment.holdsSlot)) {
+    await waitlistService.offerFreedSlot(previousSlot);
+  }
+
+  // Update waiting-room display(s)
+  if (movedSlot || appointment.status !== previousStatus) {
+    await queueService.publishQueue(appointment.clinic);
+    if (String(previousSlot.clinic) !== String(appointment.clinic)) {
+      await queueService.publishQueue(previousSlot.clinic);
+    }
+  }
+
   /* =======================
      RESPONSE
   ======================== */
   const updatedAppointment = await Appointment.findById(id)
     .populate("patient")
     .populate("clinic")
+    .populate("doctor", "name")
     .populate("createdBy", "name");
 
   ApiResponse.success(
@@ -467,35 +644,30 @@ export const updateStatus = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Appointment not found", 404);
   }
 
-  // Allowed transitions
-  const allowedTransitions = {
-    scheduled: ["confirmed", "cancelled"],
-    confirmed: ["checked_in", "cancelled", "no_show"],
-    checked_in: ["in_progress", "cancelled"],
-    in_progress: ["completed"],
-    completed: [],
-    cancelled: [],
-    no_show: [],
-  };
-
-  if (!allowedTransitions[appointment.status]?.includes(status)) {
-    return ApiResponse.error(
-      res,
-      `Invalid status transition from ${appointment.status} to ${status}`,
-      400,
-    );
+  if (!Object.values(APPOINTMENT_STATUS).includes(status)) {
+    return ApiResponse.error(res, "Invalid status", 400);
   }
 
-  appointment.status = status;
-
-  appointment.statusHistory.push({
-    status,
+  // Rejects moves not in APPOINTMENT_STATUS_TRANSITIONS
+  appointment.transitionTo(status, {
     reason,
-    changedBy: req.user?._id,
+    ...appointmentService.getActor(req),
   });
 
   await appointment.save();
 
+  if (status === "no_show") {
+    await Patient.recordNoShow(appointment.patient);
+  }
+
+  // Freed slot goes to the waitlist
+  if (["cancelled", "no_show"].includes(status)) {
+    await waitlistService.offerFreedSlot(appointment);
+  }
+
+  // Update waiting-room display
+  await queueService.publishQueue(appointment.clinic);
+
   ApiResponse.success(
     res,
     appointment,
@@ -520,15 +692,8 @@ export const checkIn = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Appointment not found", 404);
   }
 
-  // Must be confirmed or scheduled
-  if (!["scheduled", "confirmed"].includes(appointment.status)) {
-    return ApiResponse.error(res, "Appointment cannot be checked in", 400);
-  }
-
-  // Verify appointment is today
-  const today = new Date();
-  const start = new Date(today.setHours(0, 0, 0, 0));
-  const end = new Date(today.setHours(23, 59, 59, 999));
+  // Verify appointment is today (clinic's day)
+  const { start, end } = getDayRange(new Date(), await Clinic.getTimezoneById(appointment.clinic));
 
   if (appointment.date < start || appointment.date > end) {
     return ApiResponse.error(
@@ -538,16 +703,10 @@ export const checkIn = asyncHandler(async (req, res) => {
     );
   }
 
-  appointment.status = "checked_in";
-  appointment.checkInTime = new Date();
-
-  appointment.statusHistory.push({
-    status: "checked_in",
-    reason: "Patient arrived",
-    changedBy: req.user?._id,
-  });
+  await appointment.checkIn(appointmentService.getActor(req));
 
-  await appointment.save();
+  // Update waiting-room display
+  await queueService.publishQueue(appointment.clinic);
 
   ApiResponse.success(res, appointment, "Patient checked in successfully");
 });
@@ -569,20 +728,14 @@ export const startAppointment = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Appointment not found", 404);
   }
 
-  if (appointment.status !== "checked_in") {
+  if (appointment.status !== APPOINTMENT_STATUS.CHECKED_IN) {
     return ApiResponse.error(res, "Patient must be checked in first", 400);
   }
 
-  appointment.status = "in_progress";
-  appointment.startTime = new Date();
-
-  appointment.statusHistory.push({
-    status: "in_progress",
-    reason: "Treatment started",
-    changedBy: req.user?._id,
-  });
+  await appointment.start(appointmentService.getActor(req));
 
-  await appointment.save();
+  // Update waiting-room display
+  await queueService.publishQueue(appointment.clinic);
 
   ApiResponse.success(res, { appointment }, "Appointment started successfully");
 });
@@ -605,12 +758,10 @@ export const completeAppointment = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Appointment not found", 404);
   }
 
-  if (!["in_progress", "checked_in"].includes(appointment.status)) {
-    return ApiResponse.error(res, "Appointment cannot be completed", 400);
-  }
-
-  appointment.status = "completed";
-  appointment.endTime = new Date();
+  appointment.transitionTo(APPOINTMENT_STATUS.COMPLETED, {
+    reason: "Treatment completed",
+    ...appointmentService.getActor(req),
+  });
 
   // Store clinical info in notes (appointment-only rule)
   appointment.notes = [
@@ -620,14 +771,11 @@ export const completeAppointment = asyncHandler(async (req, res) => {
     .filter(Boolean)
     .join("\n");
 
-  appointment.statusHistory.push({
-    status: "completed",
-    reason: "Treatment completed",
-    changedBy: req.user?._id,
-  });
-
   await appointment.save();
 
+  // Update waiting-room display
+  await queueService.publishQueue(appointment.clinic);
+
   ApiResponse.success(res, appointment, "Appointment completed successfully");
 });
 
@@ -650,20 +798,25 @@ export const cancelAppointment = asyncHandler(async (req, res) => {
   }
 
   // 2️⃣ Check if can be cancelled
-  if (appointment.status === "cancelled") {
+  if (appointment.status === APPOINTMENT_STATUS.CANCELLED) {
     return ApiResponse.error(res, "Appointment already cancelled", 400);
   }
 
-  // 3️⃣ Update status to 'cancelled'
-  appointment.status = "cancelled";
-
-  // 4️⃣ Add cancellation reason
-  appointment.cancellationReason = reason || "Cancelled by clinic";
+  // 3️⃣ Update status to 'cancelled' with reason
+  //    (completed / no-show visits are rejected by the transition table)
+  const actor = appointmentService.getActor(req);
+  await appointment.cancel(
+    actor.changedBy,
+    actor.changedByModel,
+    reason || "Cancelled by clinic",
+  );
 
-  // 5️⃣ Send cancellation notification (placeholder)
+  // 4️⃣ Send cancellation notification (placeholder)
   // sendAppointmentCancelledNotification(appointment);
 
-  await appointment.save();
+  // 5️⃣ Offer the freed slot to the next waitlisted patient
+  await waitlistService.offerFreedSlot(appointment);
+  await queueService.publishQueue(appointment.clinic);
 
   // 6️⃣ Return success
   ApiResponse.success(res, appointment, "Appointment cancelled successfully");
@@ -676,7 +829,7 @@ export const cancelAppointment = asyncHandler(async (req, res) => {
  */
 export const rescheduleAppointment = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { newDate, newTimeSlot, reason } = req.body;
+  const { newDate, newTimeSlot, newDoctor, newChair, reason } = req.body;
 
   /* =======================
      BASIC VALIDATION
@@ -704,10 +857,8 @@ export const rescheduleAppointment = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Appointment not found", 404);
   }
 
-  if (
-    appointment.status === "cancelled" ||
-    appointment.status === "completed"
-  ) {
+  // Only visits that haven't started can move (scheduled/confirmed → scheduled)
+  if (!appointment.canTransitionTo(APPOINTMENT_STATUS.SCHEDULED)) {
     return ApiResponse.error(
       res,
       "This appointment cannot be rescheduled",
@@ -716,40 +867,64 @@ export const rescheduleAppointment = asyncHandler(async (req, res) => {
   }
 
   /* =======================
-     2. CHECK SLOT AVAILABILITY
+     2. CHECK CLINIC HOURS & SLOT AVAILABILITY
   ======================== */
 
-  const startOfDay = new Date(newDate);
-  startOfDay.setHours(0, 0, 0, 0);
+  const clinic = await Clinic.findById(appointment.clinic);
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
 
-  const endOfDay = new Date(newDate);
-  endOfDay.setHours(23, 59, 59, 999);
+  // Keep the same doctor unless a new one is requested
+  const doctor = newDoctor || appointment.doctor;
 
-  const slotAlreadyBooked = await Appointment.findOne({
-    _id: { $ne: appointment._id }, // exclude same appointment
-    clinic: appointment.clinic,
-    date: { $gte: startOfDay, $lte: endOfDay },
+  if (newDoctor) {
+    await appointmentService.validateDoctor(newDoctor);
+  }
+
+  // The visit keeps its planned length;
+  // chair is re-assigned for the new slot unless one is requested
+  const reservation = await appointmentService.reserveSlot(clinic, {
+    date: newDate,
     timeSlot: newTimeSlot,
-    status: { $ne: "cancelled" },
+    duration: appointment.duration,
+    doctor,
+    chair: newChair,
+    excludeId: appointment._id,
   });
 
-  if (slotAlreadyBooked) {
-    return ApiResponse.error(res, "Selected time slot is already booked", 409);
-  }
-
   /* =======================
      3. UPDATE DATE & TIME
   ======================== */
 
+  // Old slot is offered to the waitlist once the move is saved
+  const previousSlot = {
+    clinic: appointment.clinic,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    slotEnd: appointment.slotEnd,
+    doctor: appointment.doctor,
+    patient: appointment.patient,
+  };
+
   appointment.date = newDate;
   appointment.timeSlot = newTimeSlot;
-  appointment.status = "scheduled"; // reset to scheduled
+  appointment.slotEnd = reservation.slotEnd;
+  appointment.doctor = doctor || undefined;
+  appointment.chair = reservation.chair || undefined;
+  // Back to scheduled (a confirmed visit needs re-confirming)
+  appointment.transitionTo(APPOINTMENT_STATUS.SCHEDULED, {
+    reason: reason ? `Rescheduled: ${reason}` : "Rescheduled",
+    ...appointmentService.getActor(req),
+  });
 
   if (reason) {
     appointment.notes = `Rescheduled: ${reason}`;
   }
 
-  await appointment.save(); // pre-save will regenerate tokenNumber
+  await appointment.save(); // pre-save draws a new token if the day changed
+
+  await waitlistService.offerFreedSlot(previousSlot);
 
   /* =======================
      4. RESPONSE
@@ -1,4 +1,21 @@
 import mongoose from "mongoose";
+import { toMinutes, toTimeString } from "../../utils/time.js";
+import WaitlistEntry from "../waitlist/waitlist.model.js";
+import * as counterService from "../counters/counter.service.js";
+import {
+  formatDay,
+  getDayRange,
+  getMinutesOfDay,
+  getTimezone,
+  toClinicDay,
+} from "../../utils/date.js";
+import {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_STATUS_TRANSITIONS,
+  INACTIVE_APPOINTMENT_STATUSES,
+  canTransition,
+} from "../../constants/appointmentStatus.js";
+import { InvalidStatusTransitionError, SlotUnavailableError } from "../../utils/AppError.js";
 
 /**
  * APPOINTMENT MODEL
@@ -6,8 +23,11 @@ import mongoose from "mongoose";
  *
  * Key features:
  * - Unique appointment number (DR-2401-0001)
- * - Time slot management
- * - Status tracking (scheduled → completed/cancelled)
+ * - Time slot management (per doctor and per chair)
+ * - Duration-aware booking (long visits block consecutive slots)
+ * - Slots held for waitlisted patients are blocked until the hold expires
+ * - Status tracking (scheduled → completed/cancelled), transitions enforced
+ *   from APPOINTMENT_STATUS_TRANSITIONS and logged in statusHistory
  * - Token number for queue management
  */
 
@@ -36,17 +56,69 @@ const appointmentSchema = new mongoose.Schema(
       required: [true, "Clinic is required"],
     },
 
+    // Treating doctor (User with isDoctor)
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Dental chair / operatory (subdocument _id in clinic.chairs)
+    chair: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
     // Appointment date and time
+    // Start of the appointment day in clinic time (see utils/date.js)
     date: {
       type: Date,
       required: [true, "Appointment date is required"],
     },
 
+    // Same day as "YYYY-MM-DD" in clinic time (unambiguous for clients)
+    localDate: String,
+
     timeSlot: {
       type: String, // Format: "09:00", "09:30", etc.
       required: [true, "Time slot is required"],
     },
 
+    // End of the blocked time range (exclusive), e.g. "11:30"
+    // A 90-minute visit at 10:00 blocks 10:00, 10:30 and 11:00
+    slotEnd: {
+      type: String,
+    },
+
+    // Planned chair time in minutes (sum of planned treatment durations)
+    duration: {
+      type: Number,
+    },
+
+    // Every 5-minute step from timeSlot up to slotEnd, e.g. ["10:00", "10:05", ...]
+    // Set on save; the unique reservation indexes are built on it (see INDEXES)
+    blockedSlots: {
+      type: [String],
+      default: undefined,
+    },
+
+    // Treatments planned for this visit (from the catalog)
+    plannedTreatments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TreatmentMaster",
+      },
+    ],
+
+    // Recurring series this visit belongs to (optional)
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+    },
+
+    // Position in the series (0 = first visit)
+    seriesIndex: {
+      type: Number,
+    },
+
     // Token number for the day (1, 2, 3...)
     // Helps patients know their position in queue
     tokenNumber: {
@@ -61,18 +133,18 @@ const appointmentSchema = new mongoose.Schema(
     },
 
     // Status tracking
+    // Change only via transitionTo() (see constants/appointmentStatus.js)
     status: {
       type: String,
-      enum: [
-        "scheduled",
-        "confirmed",
-        "checked_in",
-        "in_progress",
-        "completed",
-        "cancelled",
-        "no_show",
-      ],
-      default: "scheduled",
+      enum: Object.values(APPOINTMENT_STATUS),
+      default: APPOINTMENT_STATUS.SCHEDULED,
+    },
+
+    // Does the booking still occupy its slot? (false once cancelled / no-show)
+    // Kept in step with status on save; the unique reservation indexes only cover true
+    holdsSlot: {
+      type: Boolean,
+      default: true,
     },
 
     // Reason for visit (chief complaint)
@@ -96,9 +168,11 @@ const appointmentSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Every status change: from → to, who, why, when
     statusHistory: [
       {
         status: String,
+        fromStatus: String,
         reason: String,
         changedAt: {
           type: Date,
@@ -106,7 +180,16 @@ const appointmentSchema = new mongoose.Schema(
         },
         changedBy: {
           type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
+          refPath: "statusHistory.changedByModel",
+        },
+        changedByModel: {
+          type: String,
+          enum: ["User", "Patient"],
+        },
+        // Changed by a background job rather than a person
+        automatic: {
+          type: Boolean,
+          default: false,
         },
       },
     ],
@@ -136,6 +219,17 @@ const appointmentSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Deposit taken from patients with repeated no-shows
+    deposit: {
+      amount: Number,
+      paidAt: Date,
+      // Advance payment that covers it
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payment",
+      },
+    },
+
     // Created by (staff who booked)
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -145,7 +239,7 @@ const appointmentSchema = new mongoose.Schema(
     // Source of booking
     source: {
       type: String,
-      enum: ["walk_in", "phone", "online", "app"],
+      enum: ["walk_in", "phone", "online", "app", "waitlist"],
       default: "walk_in",
     },
 
@@ -154,6 +248,13 @@ const appointmentSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+
+    // iCalendar SEQUENCE - bumped when the event changes (time, doctor, status)
+    // so subscribed calendars replace their copy
+    calendarSequence: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -162,9 +263,28 @@ const appointmentSchema = new mongoose.Schema(
 
 // ============ INDEXES ============
 
-// Compound index to prevent double booking
-// Same clinic, date, and time slot should be unique
-appointmentSchema.index({ clinic: 1, date: 1, timeSlot: 1 }, { unique: true });
+// Slot lookups for a clinic
+// Not unique: one slot can hold several patients (one per doctor/chair).
+// Overlaps are checked by checkAvailability(); the indexes below stop two
+// concurrent requests from taking overlapping time with the same doctor / chair.
+// blockedSlots holds one key per 5 minutes the visit covers, so a 10:00-11:00
+// booking and a 10:30 one share "10:30" and the second insert fails
+appointmentSchema.index({ clinic: 1, date: 1, timeSlot: 1 });
+appointmentSchema.index(
+  { doctor: 1, date: 1, blockedSlots: 1 },
+  { unique: true, partialFilterExpression: { holdsSlot: true, doctor: { $type: "objectId" } } },
+);
+appointmentSchema.index(
+  { chair: 1, date: 1, blockedSlots: 1 },
+  { unique: true, partialFilterExpression: { holdsSlot: true, chair: { $type: "objectId" } } },
+);
+
+// Occurrences of a recurring series
+appointmentSchema.index({ series: 1, seriesIndex: 1 });
+
+// Doctor and chair schedules
+appointmentSchema.index({ doctor: 1, date: 1 });
+appointmentSchema.index({ clinic: 1, chair: 1, date: 1 });
 
 // Index for finding appointments by patient
 appointmentSchema.index({ patient: 1, date: -1 });
@@ -178,12 +298,50 @@ appointmentSchema.index({ date: 1, status: 1 });
 // ============ PRE-SAVE MIDDLEWARE ============
 
 /**
- * Generate appointment number before saving
- * Format: CLINIC_CODE-YYMM-SERIAL
+ * Store the date as the start of the clinic's day
+ * "2026-10-20" means 20 Oct at the clinic, whatever the server's timezone
+ */
+appointmentSchema.pre("validate", async function () {
+  if (!this.date || !(this.isNew || this.isModified("date"))) return;
+
+  const tz = await mongoose.model("Clinic").getTimezoneById(this.clinic);
+
+  this.date = toClinicDay(this.date, tz).toDate();
+  this.localDate = formatDay(this.date, tz);
+});
+
+/**
+ * Keep the reservation keys in step with the booked time range
+ * Older bookings without slotEnd cover one clinic slot
+ */
+appointmentSchema.pre("validate", async function () {
+  const changed = ["timeSlot", "slotEnd"].some((field) => this.isModified(field));
+  if (!this.timeSlot || !(this.isNew || changed || !this.blockedSlots)) return;
+
+  let { slotEnd } = this;
+  if (!slotEnd) {
+    const clinic = await mongoose
+      .model("Clinic")
+      .findById(this.clinic)
+      .select("appointmentSettings.slotDuration");
+    const slotDuration = clinic?.appointmentSettings?.slotDuration || 30;
+    slotEnd = toTimeString(toMinutes(this.timeSlot) + slotDuration);
+  }
+
+  this.blockedSlots = this.constructor.getSlotKeys(this.timeSlot, slotEnd);
+});
+
+/**
+ * Generate appointment number and token before saving
+ * Format: CLINIC_CODE-YYMM-SERIAL (config/numbering.js)
+ *
+ * A visit moved to another day (or clinic) draws a new token from that day's
+ * counter, so it can't clash with tokens already issued there.
+ * localDate only changes when the clinic day does (see pre-validate).
  */
 appointmentSchema.pre("save", async function () {
-  // Run only for new appointments
-  if (!this.isNew) return;
+  const movedDay = !this.isNew && (this.isModified("localDate") || this.isModified("clinic"));
+  if (!this.isNew && !movedDay) return;
 
   const Clinic = mongoose.model("Clinic");
   const clinic = await Clinic.findById(this.clinic);
@@ -192,64 +350,195 @@ appointmentSchema.pre("save", async function () {
     throw new Error("Clinic not found");
   }
 
-  // Appointment number
-  const now = new Date();
-  const year = now.getFullYear().toString().slice(-2);
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-
-  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  // Appointment number (per clinic, per month) - kept when the visit moves
+  if (this.isNew) {
+    this.appointmentNumber = await counterService.generateNumber("appointment", {
+      clinic: clinic._id,
+      clinicCode: clinic.code,
+      timezone: getTimezone(clinic),
+    });
+  }
 
-  const count = await mongoose.model("Appointment").countDocuments({
-    clinic: this.clinic,
-    createdAt: { $gte: startOfMonth, $lte: endOfMonth },
+  // Token number for the appointment day (per clinic)
+  this.tokenNumber = await counterService.nextSequence("token", {
+    clinic: clinic._id,
+    date: this.date,
+    timezone: getTimezone(clinic),
   });
+});
 
-  const serial = String(count + 1).padStart(4, "0");
-  this.appointmentNumber = `${clinic.code}-${year}${month}-${serial}`;
+/**
+ * Remember the stored status so direct assignments can be checked on save
+ */
+appointmentSchema.post("init", function () {
+  this.$locals.persistedStatus = this.status;
+});
 
-  // Token number for the day
-  const startOfDay = new Date(this.date);
-  startOfDay.setHours(0, 0, 0, 0);
+/**
+ * Enforce the status transition table on every save
+ * - New bookings get their first history entry
+ * - Status changes made without transitionTo() are still validated and logged
+ */
+appointmentSchema.pre("save", function () {
+  if (this.isNew) {
+    if (!this.statusHistory.length) {
+      this.statusHistory.push({
+        status: this.status,
+        reason: "Appointment booked",
+        changedBy: this.createdBy,
+        changedByModel: this.createdBy ? "User" : undefined,
+      });
+    }
+    return;
+  }
 
-  const endOfDay = new Date(this.date);
-  endOfDay.setHours(23, 59, 59, 999);
+  if (!this.isModified("status") || this.$locals.statusRecorded) return;
 
-  const todayCount = await mongoose.model("Appointment").countDocuments({
-    clinic: this.clinic,
-    date: { $gte: startOfDay, $lte: endOfDay },
-    status: { $ne: "cancelled" },
-  });
+  const from = this.$locals.persistedStatus;
+  if (!canTransition(from, this.status)) {
+    throw new InvalidStatusTransitionError(
+      from,
+      this.status,
+      APPOINTMENT_STATUS_TRANSITIONS[from],
+    );
+  }
+
+  this.statusHistory.push({ status: this.status, fromStatus: from });
+});
+
+/**
+ * Free the slot in the unique reservation indexes once the booking no longer holds it
+ */
+appointmentSchema.pre("save", function () {
+  this.holdsSlot = !INACTIVE_APPOINTMENT_STATUSES.includes(this.status);
+});
+
+/**
+ * Bump the calendar sequence when a synced event changes
+ */
+appointmentSchema.pre("save", function () {
+  if (this.isNew) return;
+
+  const calendarFields = ["date", "timeSlot", "slotEnd", "doctor", "status"];
+  if (calendarFields.some((field) => this.isModified(field))) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+});
+
+appointmentSchema.post("save", function () {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.statusRecorded = false;
+});
 
-  this.tokenNumber = todayCount + 1;
+/**
+ * Another request booked overlapping time with the same doctor / chair between
+ * the availability check and this save (unique reservation indexes)
+ */
+appointmentSchema.post("save", function (error, doc, next) {
+  if (error.code === 11000 && error.keyPattern?.blockedSlots) {
+    return next(
+      new SlotUnavailableError(
+        error.keyPattern.chair
+          ? "Chair was just booked for this slot"
+          : "Doctor was just booked for this slot",
+      ),
+    );
+  }
+  next(error);
 });
 
 // ============ METHODS ============
 
+/**
+ * Can the appointment move to this status from its current one?
+ * @param {String} status - Requested status
+ * @returns {Boolean}
+ */
+appointmentSchema.methods.canTransitionTo = function (status) {
+  return canTransition(this.status, status);
+};
+
+/**
+ * Move the appointment to a new status
+ * Validates against APPOINTMENT_STATUS_TRANSITIONS, records the change in
+ * statusHistory and sets the matching timestamps. Does not save.
+ *
+ * @param {String} status - New status
+ * @param {Object} options - { reason, changedBy, changedByModel ('User'|'Patient'), automatic }
+ * @returns {Object} - this (for chaining)
+ */
+appointmentSchema.methods.transitionTo = function (
+  status,
+  { reason, changedBy, changedByModel = "User", automatic = false } = {},
+) {
+  const from = this.status;
+
+  if (!canTransition(from, status)) {
+    throw new InvalidStatusTransitionError(
+      from,
+      status,
+      APPOINTMENT_STATUS_TRANSITIONS[from] || [],
+    );
+  }
+
+  const now = new Date();
+  this.status = status;
+
+  this.statusHistory.push({
+    status,
+    fromStatus: from,
+    reason,
+    changedAt: now,
+    changedBy,
+    changedByModel: changedBy ? changedByModel : undefined,
+    automatic,
+  });
+
+  // Real-time stamps only when a person did it
+  if (!automatic) {
+    if (status === APPOINTMENT_STATUS.CHECKED_IN) this.checkInTime = now;
+    if (status === APPOINTMENT_STATUS.IN_PROGRESS) this.startTime = now;
+    if (status === APPOINTMENT_STATUS.COMPLETED) this.endTime = now;
+  }
+
+  if (status === APPOINTMENT_STATUS.CANCELLED) {
+    this.cancellationReason = reason || this.cancellationReason;
+    this.cancellation = {
+      cancelledAt: now,
+      cancelledBy: changedBy,
+      cancelledByModel: changedBy ? changedByModel : undefined,
+      reason,
+    };
+  }
+
+  this.$locals.statusRecorded = true;
+  return this;
+};
+
 /**
  * Check in patient (mark arrival)
+ * @param {Object} actor - { changedBy, changedByModel }
  */
-appointmentSchema.methods.checkIn = function () {
-  this.status = "checked_in";
-  this.checkInTime = new Date();
+appointmentSchema.methods.checkIn = function (actor = {}) {
+  this.transitionTo(APPOINTMENT_STATUS.CHECKED_IN, { reason: "Patient arrived", ...actor });
   return this.save();
 };
 
 /**
  * Start appointment
+ * @param {Object} actor - { changedBy, changedByModel }
  */
-appointmentSchema.methods.start = function () {
-  this.status = "in_progress";
-  this.startTime = new Date();
+appointmentSchema.methods.start = function (actor = {}) {
+  this.transitionTo(APPOINTMENT_STATUS.IN_PROGRESS, { reason: "Treatment started", ...actor });
   return this.save();
 };
 
 /**
  * Complete appointment
+ * @param {Object} actor - { changedBy, changedByModel }
  */
-appointmentSchema.methods.complete = function () {
-  this.status = "completed";
-  this.endTime = new Date();
+appointmentSchema.methods.complete = function (actor = {}) {
+  this.transitionTo(APPOINTMENT_STATUS.COMPLETED, { reason: "Treatment completed", ...actor });
   return this.save();
 };
 
@@ -264,33 +553,194 @@ appointmentSchema.methods.cancel = function (
   cancelledByModel,
   reason,
 ) {
-  this.status = "cancelled";
-  this.cancellation = {
-    cancelledAt: new Date(),
-    cancelledBy,
-    cancelledByModel,
+  this.transitionTo(APPOINTMENT_STATUS.CANCELLED, {
     reason,
-  };
+    changedBy: cancelledBy,
+    changedByModel: cancelledByModel,
+  });
   return this.save();
 };
 
 /**
  * Mark as no-show
+ * @param {String} reason - Why (e.g. not checked in within grace period)
+ * @param {Object} actor - { changedBy, changedByModel } (default: automatic)
  */
-appointmentSchema.methods.markNoShow = function () {
-  this.status = "no_show";
+appointmentSchema.methods.markNoShow = function (
+  reason = "Patient did not attend",
+  actor = { automatic: true },
+) {
+  this.transitionTo(APPOINTMENT_STATUS.NO_SHOW, { reason, ...actor });
   return this.save();
 };
 
+// ============ HELPERS ============
+
+// Appointments in these statuses no longer occupy their slot
+const FREED_STATUSES = INACTIVE_APPOINTMENT_STATUSES;
+
+// Step between reservation keys (the smallest slotDuration a clinic can set)
+const SLOT_KEY_MINUTES = 5;
+
+/**
+ * Decide whether a slot can take one more booking
+ *
+ * Rules:
+ * - A doctor can see one patient at a time (across all clinics)
+ * - A chair can hold one patient at a time
+ * - With no chair requested, any free chair is picked
+ * - Clinics without chairs fall back to doctor-only checks,
+ *   or one booking per slot when no doctor is given either
+ *
+ * @param {Array} bookings - Active appointments in the slot
+ * @param {Object} options - { clinicId, doctor, chair, chairIds }
+ * @returns {Object} - { available, reason, chair }
+ */
+const resolveSlotResources = (bookings, { clinicId, doctor, chair, chairIds }) => {
+  const clinicBookings = bookings.filter(
+    (b) => String(b.clinic) === String(clinicId),
+  );
+
+  if (doctor && bookings.some((b) => b.doctor && String(b.doctor) === String(doctor))) {
+    return { available: false, reason: "Doctor is already booked for this slot" };
+  }
+
+  if (chairIds.length) {
+    const takenChairs = new Set(
+      clinicBookings.filter((b) => b.chair).map((b) => String(b.chair)),
+    );
+
+    if (chair) {
+      if (takenChairs.has(String(chair))) {
+        return { available: false, reason: "Chair is already booked for this slot" };
+      }
+      return { available: true, chair };
+    }
+
+    // Older bookings without a chair still occupy one
+    const unassigned = clinicBookings.filter((b) => !b.chair).length;
+    const freeChairs = chairIds.filter((id) => !takenChairs.has(String(id)));
+
+    if (freeChairs.length <= unassigned) {
+      return { available: false, reason: "No chair available for this slot" };
+    }
+    return { available: true, chair: freeChairs[unassigned] };
+  }
+
+  if (!doctor && clinicBookings.length) {
+    return { available: false, reason: "Time slot already booked" };
+  }
+
+  return { available: true, chair: null };
+};
+
+/**
+ * Keep bookings whose blocked time overlaps [start, end)
+ * Older bookings without slotEnd occupy a single slot
+ *
+ * @param {Array} bookings - Appointments with timeSlot/slotEnd
+ * @param {String} timeSlot - Start "HH:mm"
+ * @param {String} slotEnd - End "HH:mm" (exclusive)
+ * @param {Number} slotDuration - Fallback length in minutes
+ */
+const filterOverlapping = (bookings, timeSlot, slotEnd, slotDuration) => {
+  const start = toMinutes(timeSlot);
+  const end = toMinutes(slotEnd);
+
+  return bookings.filter((b) => {
+    const bookedStart = toMinutes(b.timeSlot);
+    const bookedEnd = b.slotEnd ? toMinutes(b.slotEnd) : bookedStart + slotDuration;
+    return bookedStart < end && bookedEnd > start;
+  });
+};
+
 // ============ STATICS ============
 
+/**
+ * Check whether a doctor/chair is free for a time range
+ * (and the clinic's daily appointment limit isn't reached)
+ * Used by create, update and reschedule
+ *
+ * @param {Object} clinic - Clinic document
+ * @param {Object} options - { date, timeSlot, slotEnd, doctor, chair, excludeId, excludeIds,
+ *                           excludeHoldId }
+ *                           excludeIds = appointments moving at the same time (series)
+ *                           excludeHoldId = waitlist entry whose held slot is being booked
+ * @returns {Object} - { available, reason, chair } (chair = assigned chair)
+ */
+appointmentSchema.statics.checkAvailability = async function (
+  clinic,
+  { date, timeSlot, slotEnd, doctor, chair, excludeId, excludeIds = [], excludeHoldId },
+) {
+  const chairIds = clinic.getActiveChairIds();
+  const slotDuration = clinic.appointmentSettings?.slotDuration || 30;
+
+  if (chair && !chairIds.some((id) => String(id) === String(chair))) {
+    return { available: false, reason: "Chair not found or inactive" };
+  }
+
+  const { start: startOfDay, end: endOfDay } = getDayRange(date, getTimezone(clinic));
+
+  const query = {
+    date: { $gte: startOfDay, $lte: endOfDay },
+    status: { $nin: FREED_STATUSES },
+    // Doctor may be booked at the other clinic
+    $or: doctor ? [{ clinic: clinic._id }, { doctor }] : [{ clinic: clinic._id }],
+  };
+
+  const excluded = excludeId ? [excludeId, ...excludeIds] : excludeIds;
+  if (excluded.length) {
+    query._id = { $nin: excluded };
+  }
+
+  const [dayBookings, holds] = await Promise.all([
+    this.find(query).select("clinic doctor chair timeSlot slotEnd"),
+    WaitlistEntry.getActiveHolds({
+      clinicId: clinic._id,
+      doctor,
+      startOfDay,
+      endOfDay,
+      excludeId: excludeHoldId,
+    }),
+  ]);
+
+  // Daily limit applies to staff bookings too, not just the slot list
+  const { maxDailyAppointments } = clinic.appointmentSettings || {};
+  const clinicDayCount = dayBookings.filter(
+    (b) => String(b.clinic) === String(clinic._id),
+  ).length;
+  if (maxDailyAppointments && clinicDayCount >= maxDailyAppointments) {
+    return { available: false, reason: "Daily appointment limit reached" };
+  }
+
+  const bookings = filterOverlapping(
+    [...dayBookings, ...holds],
+    timeSlot,
+    slotEnd || timeSlot,
+    slotDuration,
+  );
+
+  return resolveSlotResources(bookings, {
+    clinicId: clinic._id,
+    doctor,
+    chair,
+    chairIds,
+  });
+};
+
 /**
  * Get available slots for a clinic on a specific date
  * @param {ObjectId} clinicId - Clinic ID
  * @param {Date} date - Date to check
- * @returns {Array} - Array of available time slots
+ * @param {Object} options - { doctor, chair, duration } to check specific resources
+ *                           and visit length in minutes
+ * @returns {Array} - Array of available start times
  */
-appointmentSchema.statics.getAvailableSlots = async function (clinicId, date) {
+appointmentSchema.statics.getAvailableSlots = async function (
+  clinicId,
+  date,
+  { doctor, chair, duration } = {},
+) {
   const Clinic = mongoose.model("Clinic");
   const clinic = await Clinic.findById(clinicId);
 
@@ -307,23 +757,64 @@ appointmentSchema.statics.getAvailableSlots = async function (clinicId, date) {
   // Get all possible slots for this day
   const allSlots = clinic.getTimeSlots(date);
 
-  // Get booked slots for this date
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
-
-  const bookedAppointments = await this.find({
-    clinic: clinicId,
-    date: { $gte: startOfDay, $lte: endOfDay },
-    status: { $nin: ["cancelled"] },
-  }).select("timeSlot");
+  // Get booked slots for this date (plus the doctor's bookings elsewhere)
+  const tz = getTimezone(clinic);
+  const { start: startOfDay, end: endOfDay } = getDayRange(date, tz);
+
+  const [bookedAppointments, holds] = await Promise.all([
+    this.find({
+      date: { $gte: startOfDay, $lte: endOfDay },
+      status: { $nin: FREED_STATUSES },
+      $or: doctor ? [{ clinic: clinicId }, { doctor }] : [{ clinic: clinicId }],
+    }).select("clinic doctor chair timeSlot slotEnd"),
+    WaitlistEntry.getActiveHolds({ clinicId: clinic._id, doctor, startOfDay, endOfDay }),
+  ]);
+
+  const bookedSlots = bookedAppointments
+    .filter((apt) => String(apt.clinic) === String(clinic._id))
+    .map((apt) => apt.timeSlot);
+
+  // Daily limit reached - nothing left to book
+  const { maxDailyAppointments } = clinic.appointmentSettings || {};
+  if (maxDailyAppointments && bookedSlots.length >= maxDailyAppointments) {
+    return {
+      isOpen: true,
+      reason: "Daily appointment limit reached",
+      totalSlots: allSlots.length,
+      bookedSlots: bookedSlots.length,
+      availableSlots: [],
+    };
+  }
 
-  const bookedSlots = bookedAppointments.map((apt) => apt.timeSlot);
+  // Keep start times where the whole visit fits and the requested
+  // doctor/chair (or any chair) is free for all of it
+  const chairIds = clinic.getActiveChairIds();
+  const slotDuration = clinic.appointmentSettings?.slotDuration || 30;
+
+  let availableSlots = allSlots.filter((slot) => {
+    const slotCheck = clinic.isValidSlot(date, slot, duration);
+    if (!slotCheck.isValid) return false;
+
+    const slotBookings = filterOverlapping(
+      [...bookedAppointments, ...holds],
+      slot,
+      slotCheck.slotEnd,
+      slotDuration,
+    );
+    return resolveSlotResources(slotBookings, {
+      clinicId: clinic._id,
+      doctor,
+      chair,
+      chairIds,
+    }).available;
+  });
 
-  // Filter out booked slots
-  const availableSlots = allSlots.filter((slot) => !bookedSlots.includes(slot));
+  // If today (clinic time), filter out slots that have already started
+  const now = new Date();
+  if (formatDay(startOfDay, tz) === formatDay(now, tz)) {
+    const nowMinutes = getMinutesOfDay(now, tz);
+    availableSlots = availableSlots.filter((slot) => toMinutes(slot) > nowMinutes);
+  }
 
   return {
     isOpen: true,
@@ -333,15 +824,32 @@ appointmentSchema.statics.getAvailableSlots = async function (clinicId, date) {
   };
 };
 
+/**
+ * Reservation keys for a time range (see blockedSlots)
+ * Overlapping ranges always share at least one key
+ * @param {String} timeSlot - Start "HH:mm"
+ * @param {String} slotEnd - End "HH:mm" (exclusive)
+ * @returns {Array} - e.g. ["10:00", "10:05", ..., "10:55"] for 10:00-11:00
+ */
+appointmentSchema.statics.getSlotKeys = function (timeSlot, slotEnd) {
+  const start = Math.floor(toMinutes(timeSlot) / SLOT_KEY_MINUTES) * SLOT_KEY_MINUTES;
+  const end = Math.max(toMinutes(slotEnd), start + 1);
+
+  const keys = [];
+  for (let minute = start; minute < end; minute += SLOT_KEY_MINUTES) {
+    keys.push(toTimeString(minute));
+  }
+  return keys;
+};
+
 /**
  * Get today's appointments for a clinic
  * @param {ObjectId} clinicId - Clinic ID
+ * @param {String} timezone - Clinic timezone ("today" is the clinic's today)
  * @returns {Array} - Today's appointments
  */
-appointmentSchema.statics.getTodayAppointments = async function (clinicId) {
-  const today = new Date();
-  const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(today.setHours(23, 59, 59, 999));
+appointmentSchema.statics.getTodayAppointments = async function (clinicId, timezone) {
+  const { start: startOfDay, end: endOfDay } = getDayRange(new Date(), timezone);
 
   return this.find({
     clinic: clinicId,
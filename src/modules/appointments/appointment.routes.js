@@ -1,6 +1,8 @@
 import { Router } from "express";
 import * as appointmentController from "./appointment.controller.js";
-import authProtect from "../../middlewares/auth.middleware.js";
+import * as seriesController from "./appointmentSeries.controller.js";
+import * as patientBookingController from "./patientBooking.controller.js";
+import authProtect, { patientProtect } from "../../middlewares/auth.middleware.js";
 const router = Router();
 
 /**
@@ -19,7 +21,51 @@ router.get("/today", appointmentController.getTodayAppointments);
 router.get("/upcoming", appointmentController.getUpcomingAppointments);
 
 // Get available slots (for booking)
-// router.get('/available-slots', appointmentController.getAvailableSlots);
+router.get("/available-slots", appointmentController.getAvailableSlots);
+
+// ============ PATIENT SELF-SERVICE ============
+// Own appointments only; clinic rules: booking horizon, cutoff, max active bookings
+
+// Get my appointments
+router.get("/my", patientProtect, patientBookingController.getMyAppointments);
+
+// Get slots I can book online
+router.get("/my/slots", patientProtect, patientBookingController.getMyAvailableSlots);
+
+// Book an appointment (source: app)
+router.post("/my", patientProtect, patientBookingController.bookMyAppointment);
+
+// Reschedule my appointment
+router.post(
+  "/my/:id/reschedule",
+  patientProtect,
+  patientBookingController.rescheduleMyAppointment,
+);
+
+// Cancel my appointment
+router.post("/my/:id/cancel", patientProtect, patientBookingController.cancelMyAppointment);
+
+// ============ RECURRING SERIES ============
+
+// Get all series
+router.get("/series", seriesController.getAllSeries);
+
+// Preview series dates and conflicts (no booking)
+router.post("/series/preview", seriesController.previewSeries);
+
+// Create series (books every visit)
+router.post("/series", seriesController.createSeries);
+
+// Get series with its visits
+router.get("/series/:seriesId", seriesController.getSeriesById);
+
+// Reschedule one / future / all visits
+router.post("/series/:seriesId/reschedule", seriesController.rescheduleSeries);
+
+// Cancel one / future / all visits
+router.post("/series/:seriesId/cancel", seriesController.cancelSeries);
+
+// ============ SINGLE APPOINTMENTS ============
 
 // Create new appointment (book)
 router.post("/", appointmentController.createAppointment);
@@ -33,6 +79,9 @@ router.patch("/:id/status", authProtect, appointmentController.updateStatus);
 // Check-in patient (appointmet id)
 router.post("/:id/check-in", appointmentController.checkIn);
 
+// Start appointment (patient called in)
+router.post("/:id/start", appointmentController.startAppointment);
+
 // Complete appointment
 router.post("/:id/complete", appointmentController.completeAppointment);
 
@@ -0,0 +1,343 @@
+import mongoose from "mongoose";
+import Appointment from "./appointment.model.js";
+import User from "../users/user.model.js";
+import Payment from "../payments/payment.model.js";
+import { TreatmentMaster } from "../treatments/treatment.model.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  SlotUnavailableError,
+} from "../../utils/AppError.js";
+import { OPEN_APPOINTMENT_STATUSES } from "../../constants/appointmentStatus.js";
+import { addDays, getDayRange, getSlotStart, getTimezone } from "../../utils/date.js";
+
+/**
+ * APPOINTMENT SERVICE
+ *
+ * Booking rules shared by single appointments and appointment series:
+ * - Doctor validation
+ * - Visit length from planned treatments
+ * - Clinic hours + doctor/chair availability for a time range
+ * - Patient self-service rules (booking horizon, cutoff, active booking limit)
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+/**
+ * Verify that a user can be booked as the treating doctor
+ * @param {ObjectId} doctorId - User ID
+ * @returns {Object} - Doctor (User) document
+ */
+export const validateDoctor = async (doctorId) => {
+  if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+    throw new BadRequestError("Invalid doctor ID");
+  }
+
+  const doctor = await User.findById(doctorId);
+
+  if (!doctor || !doctor.isActive) {
+    throw new NotFoundError("Doctor");
+  }
+
+  if (!doctor.isDoctor) {
+    throw new BadRequestError("Selected user is not a doctor");
+  }
+
+  return doctor;
+};
+
+/**
+ * Work out the chair time for a visit
+ * Planned treatments win; otherwise an explicit duration; otherwise one slot
+ * @param {Array} treatments - TreatmentMaster IDs
+ * @param {Number} duration - Minutes (optional)
+ * @returns {Object} - { duration, treatmentIds } (duration undefined = one slot)
+ */
+export const getPlannedDuration = async (treatments = [], duration) => {
+  if (!Array.isArray(treatments)) {
+    throw new BadRequestError("Treatments must be an array");
+  }
+
+  if (treatments.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new BadRequestError("Invalid treatment ID");
+  }
+
+  if (treatments.length) {
+    const plan = await TreatmentMaster.getTotalDuration(treatments);
+
+    if (plan.missing.length) {
+      throw new NotFoundError("Treatment type");
+    }
+
+    return { duration: plan.duration, treatmentIds: treatments };
+  }
+
+  if (duration !== undefined) {
+    const minutes = Number(duration);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new BadRequestError("Duration must be a positive number");
+    }
+    return { duration: minutes, treatmentIds: [] };
+  }
+
+  return { duration: undefined, treatmentIds: [] };
+};
+
+/**
+ * Check whether a visit can be booked (without throwing)
+ * Used to report conflicts up front (e.g. series preview)
+ *
+ * @param {Object} clinic - Clinic document
+ * @param {Object} options - { date, timeSlot, duration, doctor, chair, excludeId, excludeIds,
+ *                           excludeHoldId } (see Appointment.checkAvailability)
+ * @returns {Object} - { available, reason, statusCode, slotEnd, chair }
+ */
+export const evaluateSlot = async (
+  clinic,
+  { date, timeSlot, duration, doctor, chair, excludeId, excludeIds, excludeHoldId },
+) => {
+  // Clinic hours, holidays and visit length
+  const slotCheck = clinic.isValidSlot(date, timeSlot, duration);
+  if (!slotCheck.isValid) {
+    return { available: false, reason: slotCheck.reason, statusCode: 400 };
+  }
+
+  // Doctor and chair availability over the whole visit
+  const availability = await Appointment.checkAvailability(clinic, {
+    date,
+    timeSlot,
+    slotEnd: slotCheck.slotEnd,
+    doctor,
+    chair,
+    excludeId,
+    excludeIds,
+    excludeHoldId,
+  });
+
+  if (!availability.available) {
+    return { available: false, reason: availability.reason, statusCode: 409 };
+  }
+
+  return {
+    available: true,
+    reason: null,
+    slotEnd: slotCheck.slotEnd,
+    chair: availability.chair,
+  };
+};
+
+/**
+ * Check a visit can be booked, throwing if it can't
+ * @returns {Object} - { slotEnd, chair } to store on the appointment
+ */
+export const reserveSlot = async (clinic, options) => {
+  const result = await evaluateSlot(clinic, options);
+
+  if (!result.available) {
+    if (result.statusCode === 400) {
+      throw new BadRequestError(result.reason);
+    }
+    throw new SlotUnavailableError(result.reason);
+  }
+
+  return { slotEnd: result.slotEnd, chair: result.chair };
+};
+
+/**
+ * Check every visit of a recurring series up front
+ * (against existing bookings and against each other)
+ * @param {Object} series - AppointmentSeries document (saved or not)
+ * @param {Object} clinic - Clinic document
+ * @returns {Array} - [{ index, date, timeSlot, shiftedFrom, available, reason, slotEnd, chair }]
+ */
+export const planSeries = async (series, clinic) => {
+  const occurrences = [];
+
+  for (const { index, date, shiftedFrom } of series.buildSchedule(clinic)) {
+    const { statusCode, ...result } = await evaluateSlot(clinic, {
+      date,
+      timeSlot: series.timeSlot,
+      duration: series.duration,
+      doctor: series.doctor,
+      chair: series.chair,
+    });
+
+    // Holiday shifts can land two visits on the same open day
+    const clash = occurrences.find((o) => o.available && o.date.getTime() === date.getTime());
+    if (result.available && clash) {
+      Object.assign(result, {
+        available: false,
+        reason: `Clashes with visit ${clash.index + 1} of the series`,
+      });
+    }
+
+    occurrences.push({ index, date, timeSlot: series.timeSlot, shiftedFrom, ...result });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Does this patient need to pay a deposit to book?
+ * Based on the clinic's no-show threshold (0 = never)
+ * @param {Object} patient - Patient document
+ * @param {Object} clinic - Clinic document
+ * @returns {Object} - { required, amount, noShowCount }
+ */
+export const getDepositRequirement = (patient, clinic) => {
+  const { noShowDepositThreshold: threshold = 3, noShowDepositAmount: amount = 500 } =
+    clinic.appointmentSettings || {};
+  const noShowCount = patient.noShowCount || 0;
+
+  return {
+    required: threshold > 0 && amount > 0 && noShowCount >= threshold,
+    amount,
+    noShowCount,
+  };
+};
+
+/**
+ * Check the payment offered as a no-show deposit
+ * Must be the patient's own paid advance, cover the deposit and not already
+ * back another appointment
+ *
+ * @param {ObjectId} paymentId - Payment ID
+ * @param {Object} patient - Patient document
+ * @param {Number} amount - Deposit required
+ * @returns {Object} - Payment document
+ */
+export const verifyDepositPayment = async (paymentId, patient, amount) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw new BadRequestError("Invalid deposit payment ID");
+  }
+
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw new NotFoundError("Deposit payment");
+  }
+
+  if (String(payment.patient) !== String(patient._id)) {
+    throw new BadRequestError("Deposit payment belongs to another patient");
+  }
+
+  if (payment.status !== "paid" || payment.type !== "advance") {
+    throw new BadRequestError("Deposit must be a completed advance payment");
+  }
+
+  if (payment.amount < amount) {
+    throw new BadRequestError(
+      `Deposit payment of ₹${payment.amount} is less than the ₹${amount} required`,
+    );
+  }
+
+  if (await Appointment.exists({ "deposit.payment": payment._id })) {
+    throw new ConflictError("This payment is already the deposit for another appointment");
+  }
+
+  return payment;
+};
+
+/**
+ * Who is making a status change (for statusHistory)
+ * @param {Object} req - Express request (req.user for staff, req.patient for patients)
+ * @returns {Object} - { changedBy, changedByModel }
+ */
+export const getActor = (req) => {
+  if (req.user) return { changedBy: req.user._id, changedByModel: "User" };
+  if (req.patient) return { changedBy: req.patient._id, changedByModel: "Patient" };
+  return {};
+};
+
+/**
+ * Earliest and latest slot start a patient can book online right now
+ * (the horizon ends at midnight in the clinic's timezone)
+ * @param {Object} clinic - Clinic document
+ * @param {Date} now - Current time
+ * @returns {Object} - { enabled, earliest, latest, cutoffHours, horizonDays }
+ */
+export const getSelfServiceWindow = (clinic, now = new Date()) => {
+  const {
+    onlineBookingEnabled = true,
+    bookingHorizonDays = 30,
+    bookingCutoffHours = 2,
+  } = clinic.appointmentSettings || {};
+
+  const earliest = new Date(now.getTime() + bookingCutoffHours * 60 * 60 * 1000);
+
+  const tz = getTimezone(clinic);
+  const { end: latest } = getDayRange(addDays(now, bookingHorizonDays, tz), tz);
+
+  return {
+    enabled: Boolean(clinic.isActive && onlineBookingEnabled),
+    earliest,
+    latest,
+    cutoffHours: bookingCutoffHours,
+    horizonDays: bookingHorizonDays,
+  };
+};
+
+/**
+ * Check a patient may book, move or cancel a slot online
+ * - Clinic must allow online booking
+ * - Slot must be at least bookingCutoffHours away
+ * - New slots must be within bookingHorizonDays
+ *
+ * @param {Object} clinic - Clinic document
+ * @param {Object} slot - { date, timeSlot }
+ * @param {Object} options - { checkHorizon (default true), now }
+ */
+export const assertSelfServiceWindow = (
+  clinic,
+  { date, timeSlot },
+  { checkHorizon = true, now = new Date() } = {},
+) => {
+  const window = getSelfServiceWindow(clinic, now);
+
+  if (!window.enabled) {
+    throw new BadRequestError(
+      "Online booking is not available for this clinic, please call the clinic",
+    );
+  }
+
+  const slotStart = getSlotStart(date, timeSlot, getTimezone(clinic));
+  if (isNaN(slotStart.getTime())) {
+    throw new BadRequestError("Invalid date or time slot");
+  }
+
+  if (slotStart < window.earliest) {
+    throw new BadRequestError(
+      `Appointments can't be booked or changed online less than ${window.cutoffHours} hour(s) before the slot, please call the clinic`,
+    );
+  }
+
+  if (checkHorizon && slotStart > window.latest) {
+    throw new BadRequestError(
+      `Appointments can be booked at most ${window.horizonDays} days ahead`,
+    );
+  }
+};
+
+/**
+ * Limit how many upcoming visits a patient can hold at a clinic
+ * @param {Object} clinic - Clinic document
+ * @param {ObjectId} patientId - Patient ID
+ */
+export const assertBookingLimit = async (clinic, patientId) => {
+  const { maxActiveBookings = 3 } = clinic.appointmentSettings || {};
+
+  const { start: startOfToday } = getDayRange(new Date(), getTimezone(clinic));
+
+  const activeCount = await Appointment.countDocuments({
+    patient: patientId,
+    clinic: clinic._id,
+    status: { $in: OPEN_APPOINTMENT_STATUSES },
+    date: { $gte: startOfToday },
+  });
+
+  if (activeCount >= maxActiveBookings) {
+    throw new ConflictError(
+      `You already have ${activeCount} upcoming appointment(s) at this clinic (limit ${maxActiveBookings})`,
+    );
+  }
+};
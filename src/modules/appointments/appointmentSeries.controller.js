@@ -0,0 +1,538 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { BadRequestError, NotFoundError } from "../../utils/AppError.js";
+import Appointment from "./appointment.model.js";
+import AppointmentSeries, { nextOpenDay } from "./appointmentSeries.model.js";
+import * as appointmentService from "./appointment.service.js";
+import * as waitlistService from "../waitlist/waitlist.service.js";
+import Clinic from "../clinics/clinic.model.js";
+import Patient from "../patients/patient.model.js";
+import { Treatment } from "../treatments/treatment.model.js";
+import { addDays, getDayDiff, getTimezone } from "../../utils/date.js";
+import {
+  APPOINTMENT_STATUS,
+  OPEN_APPOINTMENT_STATUSES as OPEN_STATUSES,
+} from "../../constants/appointmentStatus.js";
+
+/**
+ * APPOINTMENT SERIES CONTROLLER
+ *
+ * Recurring bookings, e.g. "every 4 weeks for 12 visits"
+ *
+ * Features:
+ * - Preview a series and see conflicts before booking
+ * - Create a series (generates individual appointments)
+ * - Reschedule / cancel one visit, all future visits, or the whole series
+ */
+
+const SCOPES = ["one", "future", "all"];
+
+/**
+ * @desc    Get all appointment series
+ * @route   GET /api/appointments/series?patient=&clinic=&status=
+ * @access  Admin
+ */
+export const getAllSeries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, patient, clinic, status } = req.query;
+
+  const filter = {};
+
+  if (patient && mongoose.Types.ObjectId.isValid(patient)) {
+    filter.patient = patient;
+  }
+
+  if (clinic && mongoose.Types.ObjectId.isValid(clinic)) {
+    filter.clinic = clinic;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const [series, total] = await Promise.all([
+    AppointmentSeries.find(filter)
+      .populate("patient", "name phone")
+      .populate("clinic", "name code")
+      .populate("doctor", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    AppointmentSeries.countDocuments(filter),
+  ]);
+
+  ApiResponse.paginated(res, series, {
+    page: Number(page),
+    limit: Number(limit),
+    total,
+  });
+});
+
+/**
+ * @desc    Get series with all its visits
+ * @route   GET /api/appointments/series/:seriesId
+ * @access  Admin
+ */
+export const getSeriesById = asyncHandler(async (req, res) => {
+  const { seriesId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    return ApiResponse.error(res, "Invalid series ID", 400);
+  }
+
+  const series = await AppointmentSeries.findById(seriesId)
+    .populate("patient", "name phone")
+    .populate("clinic", "name code")
+    .populate("doctor", "name")
+    .populate("treatment", "treatmentNumber totalSessions completedSessions status");
+
+  if (!series) {
+    return ApiResponse.error(res, "Appointment series not found", 404);
+  }
+
+  const appointments = await Appointment.find({ series: series._id })
+    .select("appointmentNumber date timeSlot slotEnd status seriesIndex doctor chair")
+    .sort({ seriesIndex: 1 });
+
+  ApiResponse.success(res, { series, appointments }, "Appointment series fetched");
+});
+
+/**
+ * @desc    Preview a series (dates + conflicts) without booking
+ * @route   POST /api/appointments/series/preview
+ * @access  Admin
+ */
+export const previewSeries = asyncHandler(async (req, res) => {
+  const { series, clinic } = await buildSeries(req.body, req.user);
+
+  const occurrences = await appointmentService.planSeries(series, clinic);
+  const conflicts = occurrences.filter((o) => !o.available);
+
+  ApiResponse.success(
+    res,
+    {
+      series,
+      occurrences,
+      bookable: occurrences.length - conflicts.length,
+      conflicts: conflicts.length,
+    },
+    "Series preview generated",
+  );
+});
+
+/**
+ * @desc    Create a series and book all its visits
+ * @route   POST /api/appointments/series
+ * @access  Admin
+ *
+ * Conflicting visits block the whole booking unless `skipConflicts` is true,
+ * in which case only the free visits are booked.
+ */
+export const createSeries = asyncHandler(async (req, res) => {
+  const { skipConflicts = false } = req.body;
+
+  // 1. Validate input and build the series
+  const { series, clinic } = await buildSeries(req.body, req.user);
+
+  // 2. Check every visit up front
+  const occurrences = await appointmentService.planSeries(series, clinic);
+  const conflicts = occurrences.filter((o) => !o.available);
+  const bookable = occurrences.filter((o) => o.available);
+
+  if (!bookable.length) {
+    return ApiResponse.error(res, "None of the visits in this series can be booked", 409, conflicts);
+  }
+
+  if (conflicts.length && !skipConflicts) {
+    return ApiResponse.error(
+      res,
+      `${conflicts.length} visit(s) conflict with clinic hours or existing bookings`,
+      409,
+      conflicts,
+    );
+  }
+
+  // 3. Save series and generate appointments
+  await series.save();
+
+  const { opdFee: regularFee = 300, emergencyOpdFee = 500 } =
+    clinic.appointmentSettings || {};
+
+  // A visit that can't be saved (e.g. a slot taken meanwhile) undoes the whole series
+  const appointments = [];
+  try {
+    for (const occurrence of bookable) {
+      const appointment = await Appointment.create({
+        patient: series.patient,
+        clinic: series.clinic,
+        doctor: series.doctor,
+        chair: occurrence.chair,
+        date: occurrence.date,
+        timeSlot: series.timeSlot,
+        slotEnd: occurrence.slotEnd,
+        duration: series.duration || clinic.appointmentSettings?.slotDuration,
+        plannedTreatments: series.plannedTreatments,
+        reason: series.reason,
+        type: series.type,
+        opdFee: series.type === "emergency" ? emergencyOpdFee : regularFee,
+        series: series._id,
+        seriesIndex: occurrence.index,
+        createdBy: req.user?._id,
+      });
+      appointments.push(appointment);
+    }
+  } catch (error) {
+    await Appointment.deleteMany({ _id: { $in: appointments.map((a) => a._id) } });
+    await series.deleteOne();
+    throw error;
+  }
+
+  ApiResponse.created(
+    res,
+    {
+      series,
+      appointments,
+      skipped: conflicts,
+    },
+    `Series created with ${appointments.length} appointment(s)`,
+  );
+});
+
+/**
+ * @desc    Reschedule one visit, all future visits, or the whole series
+ * @route   POST /api/appointments/series/:seriesId/reschedule
+ * @access  Admin
+ *
+ * Body: { scope: "one" | "future" | "all", appointmentId, newDate, newTimeSlot, reason }
+ * - one:    move the given visit to newDate / newTimeSlot
+ * - future: shift the given visit and all later ones by the same number of days
+ * - all:    shift every open visit (anchor = appointmentId or first open visit)
+ *
+ * Nothing is changed if any moved visit would conflict.
+ */
+export const rescheduleSeries = asyncHandler(async (req, res) => {
+  const { seriesId } = req.params;
+  const { scope, appointmentId, newDate, newTimeSlot, reason } = req.body;
+
+  if (!newDate && !newTimeSlot) {
+    return ApiResponse.error(res, "New date or new time slot is required", 400);
+  }
+
+  if (newDate && isNaN(new Date(newDate).getTime())) {
+    return ApiResponse.error(res, "Invalid date format", 400);
+  }
+
+  const series = await findActiveSeries(seriesId);
+  const clinic = await Clinic.findById(series.clinic);
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  const { anchor, targets } = await getTargetVisits(series, scope, appointmentId);
+
+  // Days to shift by (future/all keep the series rhythm)
+  const offsetDays = newDate
+    ? getDayDiff(newDate, anchor.date, getTimezone(clinic))
+    : 0;
+
+  // 1. Check every moved visit first
+  // Visits moving together don't block each other
+  const movingIds = targets.map((t) => t._id);
+  const plans = [];
+  for (const appointment of targets) {
+    let date = appointment.date;
+
+    if (scope === "one") {
+      date = newDate ? new Date(newDate) : appointment.date;
+    } else if (offsetDays) {
+      date = nextOpenDay(clinic, addDays(appointment.date, offsetDays, getTimezone(clinic))).date;
+    }
+
+    const timeSlot = newTimeSlot || appointment.timeSlot;
+
+    const result = await appointmentService.evaluateSlot(clinic, {
+      date,
+      timeSlot,
+      duration: appointment.duration,
+      doctor: appointment.doctor,
+      chair: series.chair,
+      excludeIds: movingIds,
+    });
+
+    // ...but can't land on the same start time (e.g. two shifted onto one open day)
+    const clash = plans.find(
+      (p) => p.available && p.date.getTime() === date.getTime() && p.timeSlot === timeSlot,
+    );
+    if (result.available && clash) {
+      Object.assign(result, {
+        available: false,
+        reason: `Clashes with visit ${clash.appointment.seriesIndex + 1} of the series`,
+      });
+    }
+
+    plans.push({ appointment, date, timeSlot, ...result });
+  }
+
+  const conflicts = plans
+    .filter((p) => !p.available)
+    .map((p) => ({
+      appointmentId: p.appointment._id,
+      index: p.appointment.seriesIndex,
+      date: p.date,
+      timeSlot: p.timeSlot,
+      reason: p.reason,
+    }));
+
+  if (conflicts.length) {
+    return ApiResponse.error(
+      res,
+      `${conflicts.length} visit(s) cannot be moved; nothing was changed`,
+      409,
+      conflicts,
+    );
+  }
+
+  // 2. Apply
+  // Moving later: last visit first, so each one lands on a slot its sibling already left
+  const applyOrder = offsetDays > 0 ? [...plans].reverse() : plans;
+  const previousSlots = [];
+  for (const plan of applyOrder) {
+    const { appointment } = plan;
+
+    previousSlots.push({
+      clinic: appointment.clinic,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      slotEnd: appointment.slotEnd,
+      doctor: appointment.doctor,
+      patient: appointment.patient,
+    });
+
+    appointment.date = plan.date;
+    appointment.timeSlot = plan.timeSlot;
+    appointment.slotEnd = plan.slotEnd;
+    appointment.chair = plan.chair || undefined;
+    appointment.transitionTo(APPOINTMENT_STATUS.SCHEDULED, {
+      reason: reason ? `Rescheduled: ${reason}` : "Rescheduled with series",
+      ...appointmentService.getActor(req),
+    });
+
+    await appointment.save(); // pre-save draws a new token if the day changed
+  }
+
+  // Vacated slots go to the waitlist
+  for (const slot of previousSlots) {
+    await waitlistService.offerFreedSlot(slot);
+  }
+
+  // New default time for the rest of the series
+  if (scope !== "one" && newTimeSlot) {
+    series.timeSlot = newTimeSlot;
+    await series.save();
+  }
+
+  ApiResponse.success(
+    res,
+    { series, appointments: plans.map((p) => p.appointment) },
+    `${plans.length} appointment(s) rescheduled`,
+  );
+});
+
+/**
+ * @desc    Cancel one visit, all future visits, or the whole series
+ * @route   POST /api/appointments/series/:seriesId/cancel
+ * @access  Admin
+ *
+ * Body: { scope: "one" | "future" | "all", appointmentId, reason }
+ */
+export const cancelSeries = asyncHandler(async (req, res) => {
+  const { seriesId } = req.params;
+  const { scope, appointmentId, reason } = req.body;
+
+  const series = await findActiveSeries(seriesId);
+  const { targets } = await getTargetVisits(series, scope, appointmentId);
+
+  const cancellationReason = reason || "Cancelled by clinic";
+
+  for (const appointment of targets) {
+    await appointment.cancel(req.user?._id, "User", cancellationReason);
+    await waitlistService.offerFreedSlot(appointment);
+  }
+
+  // Whole series (or nothing left to attend)
+  const hasOpenVisits = await Appointment.exists({
+    series: series._id,
+    status: { $in: OPEN_STATUSES },
+  });
+
+  if (scope === "all" || !hasOpenVisits) {
+    series.status = "cancelled";
+    series.cancellation = {
+      cancelledAt: new Date(),
+      cancelledBy: req.user?._id,
+      reason: cancellationReason,
+    };
+    await series.save();
+  }
+
+  ApiResponse.success(
+    res,
+    { series, cancelled: targets.map((a) => a._id) },
+    `${targets.length} appointment(s) cancelled`,
+  );
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Validate request body and build an (unsaved) series
+ * @returns {Object} - { series, clinic }
+ */
+async function buildSeries(body, user) {
+  const {
+    patientId,
+    clinic: clinicId,
+    doctor,
+    chair,
+    treatment: treatmentId,
+    treatments,
+    timeSlot,
+    startDate,
+    interval,
+    unit,
+    occurrences,
+    reason,
+    type,
+  } = body;
+
+  if (!patientId || !clinicId || !startDate || !timeSlot) {
+    throw new BadRequestError("Patient, clinic, start date and time slot are required");
+  }
+
+  if (
+    !mongoose.Types.ObjectId.isValid(patientId) ||
+    !mongoose.Types.ObjectId.isValid(clinicId)
+  ) {
+    throw new BadRequestError("Invalid patient or clinic ID");
+  }
+
+  if (isNaN(new Date(startDate).getTime())) {
+    throw new BadRequestError("Invalid date format");
+  }
+
+  const [patient, clinic] = await Promise.all([
+    Patient.findById(patientId),
+    Clinic.findById(clinicId),
+  ]);
+
+  if (!patient) throw new NotFoundError("Patient");
+  if (!clinic) throw new NotFoundError("Clinic");
+
+  if (doctor) {
+    await appointmentService.validateDoctor(doctor);
+  }
+
+  // Multi-session treatment: remaining sessions decide the default visit count
+  let treatment = null;
+  if (treatmentId) {
+    if (!mongoose.Types.ObjectId.isValid(treatmentId)) {
+      throw new BadRequestError("Invalid treatment ID");
+    }
+
+    treatment = await Treatment.findById(treatmentId);
+    if (!treatment) throw new NotFoundError("Treatment");
+
+    if (String(treatment.patient) !== String(patient._id)) {
+      throw new BadRequestError("Treatment belongs to another patient");
+    }
+  }
+
+  const visitCount =
+    occurrences ??
+    (treatment ? Math.max(1, treatment.totalSessions - treatment.completedSessions) : undefined);
+
+  const plan = await appointmentService.getPlannedDuration(treatments);
+
+  const series = new AppointmentSeries({
+    patient: patient._id,
+    clinic: clinic._id,
+    doctor,
+    chair,
+    treatment: treatment?._id,
+    plannedTreatments: plan.treatmentIds,
+    duration: plan.duration,
+    timeSlot,
+    startDate: new Date(startDate),
+    recurrence: { interval, unit },
+    occurrences: visitCount,
+    reason: reason || (treatment ? "Treatment session" : undefined),
+    type,
+    createdBy: user?._id,
+  });
+
+  // Schema rules (interval, unit, visit count limits)
+  await series.validate();
+
+  return { series, clinic };
+}
+
+/**
+ * Find a series that can still be changed
+ */
+async function findActiveSeries(seriesId) {
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    throw new BadRequestError("Invalid series ID");
+  }
+
+  const series = await AppointmentSeries.findById(seriesId);
+
+  if (!series) {
+    throw new NotFoundError("Appointment series");
+  }
+
+  if (series.status === "cancelled") {
+    throw new BadRequestError("Appointment series is cancelled");
+  }
+
+  return series;
+}
+
+/**
+ * Pick the visits a reschedule/cancel applies to
+ * @returns {Object} - { anchor, targets }
+ */
+async function getTargetVisits(series, scope, appointmentId) {
+  if (!SCOPES.includes(scope)) {
+    throw new BadRequestError(`Scope must be one of: ${SCOPES.join(", ")}`);
+  }
+
+  const visits = await Appointment.find({ series: series._id }).sort({ seriesIndex: 1 });
+  const openVisits = visits.filter((a) => OPEN_STATUSES.includes(a.status));
+
+  let anchor = null;
+  if (appointmentId) {
+    anchor = visits.find((a) => String(a._id) === String(appointmentId));
+    if (!anchor) {
+      throw new NotFoundError("Appointment in this series");
+    }
+  } else if (scope !== "all") {
+    throw new BadRequestError("Appointment ID is required for this scope");
+  }
+
+  let targets;
+  if (scope === "one") {
+    targets = OPEN_STATUSES.includes(anchor.status) ? [anchor] : [];
+  } else if (scope === "future") {
+    targets = openVisits.filter((a) => a.seriesIndex >= anchor.seriesIndex);
+  } else {
+    targets = openVisits;
+  }
+
+  if (!targets.length) {
+    throw new BadRequestError("No upcoming visits to change");
+  }
+
+  return { anchor: anchor || targets[0], targets };
+}
@@ -0,0 +1,196 @@
+import mongoose from "mongoose";
+import { addDays, addPeriod, getTimezone } from "../../utils/date.js";
+
+/**
+ * APPOINTMENT SERIES MODEL
+ * For recurring bookings (orthodontic adjustments, multi-session root canals)
+ *
+ * Key features:
+ * - Recurrence rule: every N days/weeks/months for X visits
+ * - Generates individual Appointment documents (linked via appointment.series)
+ * - Occurrences falling on a holiday/closed day move to the next open day
+ * - Optional link to a multi-session Treatment
+ */
+
+// Stop looking for an open day after this many days
+const MAX_HOLIDAY_SHIFT_DAYS = 14;
+
+// ============ APPOINTMENT SERIES SCHEMA ============
+
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    // Patient reference
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    // Clinic reference
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: [true, "Clinic is required"],
+    },
+
+    // Treating doctor (optional)
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Preferred chair (optional, auto-assigned otherwise)
+    chair: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
+    // Multi-session treatment this series is for (optional)
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+
+    // Planned treatments per visit (decide visit length)
+    plannedTreatments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TreatmentMaster",
+      },
+    ],
+
+    // Visit length in minutes (one slot if not set)
+    duration: Number,
+
+    // Time of each visit, e.g. "10:00"
+    timeSlot: {
+      type: String,
+      required: [true, "Time slot is required"],
+    },
+
+    // First visit date
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+
+    // Recurrence rule: every `interval` `unit`s
+    recurrence: {
+      interval: {
+        type: Number,
+        min: [1, "Interval must be at least 1"],
+        default: 1,
+      },
+      unit: {
+        type: String,
+        enum: ["day", "week", "month"],
+        default: "week",
+      },
+    },
+
+    // Total number of visits
+    occurrences: {
+      type: Number,
+      required: [true, "Number of visits is required"],
+      min: [1, "At least one visit is required"],
+      max: [52, "A series can have at most 52 visits"],
+    },
+
+    // Reason for visit (copied to each appointment)
+    reason: {
+      type: String,
+      required: [true, "Reason for visit is required"],
+    },
+
+    // Appointment type (copied to each appointment)
+    type: {
+      type: String,
+      enum: ["regular", "emergency", "follow_up"],
+      default: "follow_up",
+    },
+
+    // Series status
+    status: {
+      type: String,
+      enum: ["active", "completed", "cancelled"],
+      default: "active",
+    },
+
+    // Cancellation details (whole series)
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+    },
+
+    // Created by (staff who booked)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+appointmentSeriesSchema.index({ patient: 1, createdAt: -1 });
+appointmentSeriesSchema.index({ clinic: 1, status: 1 });
+
+// ============ METHODS ============
+
+/**
+ * Calculate the date of every visit in the series
+ * Dates on holidays/closed days move to the next open day
+ *
+ * @param {Object} clinic - Clinic document
+ * @param {Number} fromIndex - First occurrence to include (0-based)
+ * @returns {Array} - [{ index, date, shiftedFrom }]
+ */
+appointmentSeriesSchema.methods.buildSchedule = function (clinic, fromIndex = 0) {
+  const { interval, unit } = this.recurrence;
+  const schedule = [];
+
+  for (let index = fromIndex; index < this.occurrences; index++) {
+    const planned = addPeriod(this.startDate, index * interval, unit, getTimezone(clinic));
+    const { date, shiftedFrom } = nextOpenDay(clinic, planned);
+    schedule.push({ index, date, shiftedFrom });
+  }
+
+  return schedule;
+};
+
+// ============ HELPERS ============
+
+/**
+ * Move a date forward until the clinic is open
+ * @param {Object} clinic - Clinic document
+ * @param {Date} date - Planned date
+ * @returns {Object} - { date, shiftedFrom } (shiftedFrom null if not moved)
+ */
+export const nextOpenDay = (clinic, date) => {
+  const tz = getTimezone(clinic);
+
+  for (let i = 0; i <= MAX_HOLIDAY_SHIFT_DAYS; i++) {
+    const candidate = addDays(date, i, tz);
+
+    if (clinic.isOpenOn(candidate).isOpen) {
+      return {
+        date: candidate,
+        shiftedFrom: i === 0 ? null : date,
+      };
+    }
+  }
+
+  // Nothing open nearby - keep the planned date, booking will report it
+  return { date, shiftedFrom: null };
+};
+
+// Create and export the model
+const AppointmentSeries = mongoose.model("AppointmentSeries", appointmentSeriesSchema);
+
+export default AppointmentSeries;
@@ -0,0 +1,372 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import Appointment from "./appointment.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import * as appointmentService from "./appointment.service.js";
+import * as waitlistService from "../waitlist/waitlist.service.js";
+import * as queueService from "../queue/queue.service.js";
+import {
+  APPOINTMENT_STATUS,
+  OPEN_APPOINTMENT_STATUSES,
+} from "../../constants/appointmentStatus.js";
+import { getDayRange, getSlotStart, getTimezone } from "../../utils/date.js";
+
+/**
+ * PATIENT BOOKING CONTROLLER
+ *
+ * Self-service booking for logged-in patients (patient portal / app).
+ * Every handler works on req.patient's own appointments only.
+ *
+ * Clinic rules (clinic.appointmentSettings):
+ * - onlineBookingEnabled: clinic accepts online bookings at all
+ * - bookingHorizonDays: how far ahead a slot can be booked
+ * - bookingCutoffHours: no booking, rescheduling or cancelling closer to the slot
+ * - maxActiveBookings: upcoming visits a patient may hold at one clinic
+ */
+
+/**
+ * @desc    Get my appointments
+ * @route   GET /api/appointments/my?upcoming=true
+ * @access  Patient
+ */
+export const getMyAppointments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, upcoming } = req.query;
+
+  const filter = { patient: req.patient._id };
+
+  if (upcoming === "true") {
+    // Patients can book at several clinics - "today" in the default timezone
+    const { start: startOfToday } = getDayRange();
+
+    filter.date = { $gte: startOfToday };
+    filter.status = { $in: OPEN_APPOINTMENT_STATUSES };
+  }
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const [appointments, total] = await Promise.all([
+    Appointment.find(filter)
+      .select("-statusHistory -notes")
+      .populate("clinic", "name code address phone")
+      .populate("doctor", "name")
+      .sort({ date: upcoming === "true" ? 1 : -1, timeSlot: 1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    Appointment.countDocuments(filter),
+  ]);
+
+  ApiResponse.paginated(res, appointments, {
+    page: Number(page),
+    limit: Number(limit),
+    total,
+  });
+});
+
+/**
+ * @desc    Get slots I can book online
+ * @route   GET /api/appointments/my/slots?clinic=&date=&doctor=&treatments=
+ * @access  Patient
+ *
+ * Same as /available-slots, limited to the clinic's booking horizon and cutoff
+ */
+export const getMyAvailableSlots = asyncHandler(async (req, res) => {
+  const { clinic, date, doctor, treatments } = req.query;
+
+  if (!clinic || !date) {
+    return ApiResponse.error(res, "Clinic and date are required", 400);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(clinic)) {
+    return ApiResponse.error(res, "Invalid clinic ID", 400);
+  }
+
+  const requestedDate = new Date(date);
+  if (isNaN(requestedDate.getTime())) {
+    return ApiResponse.error(res, "Invalid date format", 400);
+  }
+
+  const clinicDoc = await Clinic.findById(clinic);
+  if (!clinicDoc) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  const window = appointmentService.getSelfServiceWindow(clinicDoc);
+  if (!window.enabled) {
+    return ApiResponse.error(
+      res,
+      "Online booking is not available for this clinic, please call the clinic",
+      400,
+    );
+  }
+
+  const plan = await appointmentService.getPlannedDuration(
+    treatments ? String(treatments).split(",") : [],
+  );
+
+  const slotInfo = await Appointment.getAvailableSlots(clinic, requestedDate, {
+    doctor,
+    duration: plan.duration,
+  });
+
+  // Drop slots inside the cutoff or beyond the horizon
+  const availableSlots = (slotInfo.availableSlots || []).filter((slot) => {
+    const start = getSlotStart(requestedDate, slot, getTimezone(clinicDoc));
+    return start >= window.earliest && start <= window.latest;
+  });
+
+  ApiResponse.success(
+    res,
+    {
+      date,
+      clinic,
+      ...slotInfo,
+      availableSlots,
+      bookingWindow: {
+        from: window.earliest,
+        to: window.latest,
+      },
+    },
+    "Slots fetched successfully",
+  );
+});
+
+/**
+ * @desc    Book an appointment for myself
+ * @route   POST /api/appointments/my
+ * @access  Patient
+ *
+ * Body: { clinic, date, timeSlot, doctor?, treatments?, reason }
+ */
+export const bookMyAppointment = asyncHandler(async (req, res) => {
+  const { clinic, date, timeSlot, doctor, treatments, reason } = req.body;
+  const patient = req.patient;
+
+  if (!clinic || !date || !timeSlot) {
+    return ApiResponse.error(
+      res,
+      "Clinic, date and time slot are required",
+      400,
+    );
+  }
+
+  if (!reason) {
+    return ApiResponse.error(res, "Reason for visit is required", 400);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(clinic)) {
+    return ApiResponse.error(res, "Invalid clinic ID", 400);
+  }
+
+  const clinicDoc = await Clinic.findById(clinic);
+  if (!clinicDoc) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  // Clinic rules: online booking on, within horizon, outside cutoff
+  appointmentService.assertSelfServiceWindow(clinicDoc, { date, timeSlot });
+  await appointmentService.assertBookingLimit(clinicDoc, patient._id);
+
+  // Repeat no-shows pay their deposit at the desk
+  const deposit = appointmentService.getDepositRequirement(patient, clinicDoc);
+  if (deposit.required) {
+    return ApiResponse.error(
+      res,
+      `A deposit of ₹${deposit.amount} is required to book (${deposit.noShowCount} missed appointments), please call the clinic`,
+      402,
+    );
+  }
+
+  if (doctor) {
+    await appointmentService.validateDoctor(doctor);
+  }
+
+  const plan = await appointmentService.getPlannedDuration(treatments);
+
+  const reservation = await appointmentService.reserveSlot(clinicDoc, {
+    date,
+    timeSlot,
+    duration: plan.duration,
+    doctor,
+  });
+
+  const appointment = await Appointment.create({
+    patient: patient._id,
+    clinic,
+    doctor,
+    chair: reservation.chair,
+    date,
+    timeSlot,
+    slotEnd: reservation.slotEnd,
+    duration: plan.duration || clinicDoc.appointmentSettings?.slotDuration,
+    plannedTreatments: plan.treatmentIds,
+    reason,
+    opdFee: clinicDoc.appointmentSettings?.opdFee ?? 300,
+    source: "app",
+    statusHistory: [
+      {
+        status: APPOINTMENT_STATUS.SCHEDULED,
+        reason: "Booked by patient (app)",
+        changedBy: patient._id,
+        changedByModel: "Patient",
+      },
+    ],
+  });
+
+  ApiResponse.created(
+    res,
+    {
+      appointmentId: appointment._id,
+      appointmentNumber: appointment.appointmentNumber,
+      tokenNumber: appointment.tokenNumber,
+      date: appointment.date,
+      timeSlot: appointment.timeSlot,
+      slotEnd: appointment.slotEnd,
+      duration: appointment.duration,
+      doctor: appointment.doctor,
+      status: appointment.status,
+      opdFee: appointment.opdFee,
+    },
+    "Appointment booked successfully",
+  );
+});
+
+/**
+ * @desc    Reschedule my appointment
+ * @route   POST /api/appointments/my/:id/reschedule
+ * @access  Patient
+ *
+ * Body: { newDate, newTimeSlot, reason? }
+ * Keeps the same doctor and visit length
+ */
+export const rescheduleMyAppointment = asyncHandler(async (req, res) => {
+  const { newDate, newTimeSlot, reason } = req.body;
+
+  if (!newDate || !newTimeSlot) {
+    return ApiResponse.error(
+      res,
+      "New date and new time slot are required",
+      400,
+    );
+  }
+
+  const appointment = await findMyAppointment(req);
+  if (!appointment) {
+    return ApiResponse.error(res, "Appointment not found", 404);
+  }
+
+  if (!appointment.canTransitionTo(APPOINTMENT_STATUS.SCHEDULED)) {
+    return ApiResponse.error(
+      res,
+      "This appointment cannot be rescheduled",
+      400,
+    );
+  }
+
+  const clinic = await Clinic.findById(appointment.clinic);
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  // Both the current slot and the new one must be outside the cutoff
+  appointmentService.assertSelfServiceWindow(clinic, appointment, {
+    checkHorizon: false,
+  });
+  appointmentService.assertSelfServiceWindow(clinic, {
+    date: newDate,
+    timeSlot: newTimeSlot,
+  });
+
+  const reservation = await appointmentService.reserveSlot(clinic, {
+    date: newDate,
+    timeSlot: newTimeSlot,
+    duration: appointment.duration,
+    doctor: appointment.doctor,
+    excludeId: appointment._id,
+  });
+
+  // Old slot is offered to the waitlist once the move is saved
+  const previousSlot = {
+    clinic: appointment.clinic,
+    date: appointment.date,
+    timeSlot: appointment.timeSlot,
+    slotEnd: appointment.slotEnd,
+    doctor: appointment.doctor,
+    patient: appointment.patient,
+  };
+
+  appointment.date = newDate;
+  appointment.timeSlot = newTimeSlot;
+  appointment.slotEnd = reservation.slotEnd;
+  appointment.chair = reservation.chair || undefined;
+
+  appointment.transitionTo(APPOINTMENT_STATUS.SCHEDULED, {
+    reason: reason ? `Rescheduled by patient: ${reason}` : "Rescheduled by patient",
+    changedBy: req.patient._id,
+    changedByModel: "Patient",
+  });
+
+  await appointment.save();
+
+  await waitlistService.offerFreedSlot(previousSlot);
+
+  ApiResponse.success(res, appointment, "Appointment rescheduled successfully");
+});
+
+/**
+ * @desc    Cancel my appointment
+ * @route   POST /api/appointments/my/:id/cancel
+ * @access  Patient
+ */
+export const cancelMyAppointment = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const appointment = await findMyAppointment(req);
+  if (!appointment) {
+    return ApiResponse.error(res, "Appointment not found", 404);
+  }
+
+  if (!appointment.canTransitionTo(APPOINTMENT_STATUS.CANCELLED)) {
+    return ApiResponse.error(
+      res,
+      "This appointment cannot be cancelled",
+      400,
+    );
+  }
+
+  const clinic = await Clinic.findById(appointment.clinic);
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  appointmentService.assertSelfServiceWindow(clinic, appointment, {
+    checkHorizon: false,
+  });
+
+  await appointment.cancel(
+    req.patient._id,
+    "Patient",
+    reason || "Cancelled by patient",
+  );
+
+  await waitlistService.offerFreedSlot(appointment);
+  await queueService.publishQueue(appointment.clinic);
+
+  ApiResponse.success(res, appointment, "Appointment cancelled successfully");
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Find an appointment belonging to the logged-in patient
+ * @returns {Object|null} - Appointment document
+ */
+async function findMyAppointment(req) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return Appointment.findOne({ _id: id, patient: req.patient._id });
+}
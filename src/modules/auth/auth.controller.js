@@ -272,7 +272,7 @@ export const patientLogin = asyncHandler(async (req, res) => {
   }
 
   // Find patient by phone
-  let patient = await Patient.findOne({ phone });
+  let patient = await Patient.findByPhone(phone);
 
   if (!patient) {
     // Patient doesn't exist - they need to register first
@@ -316,7 +316,7 @@ export const verifyOtp = asyncHandler(async (req, res) => {
   }
 
   // Find patient by phone
-  const patient = await Patient.findOne({ phone });
+  const patient = await Patient.findByPhone(phone);
 
   if (!patient) {
     return ApiResponse.error(res, "Patient not found", 404);
@@ -368,7 +368,7 @@ export const resendOtp = asyncHandler(async (req, res) => {
   }
 
   // Find patient by phone
-  const patient = await Patient.findOne({ phone });
+  const patient = await Patient.findByPhone(phone);
 
   if (!patient) {
     return ApiResponse.error(res, "Patient not found", 404);
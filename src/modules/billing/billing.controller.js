@@ -2,6 +2,8 @@ import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import Invoice from "./invoice.model.js";
 import Patient from "../patients/patient.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import { getDayRange, getMonthRange } from "../../utils/date.js";
 import mongoose from "mongoose";
 
 /**
@@ -502,9 +504,10 @@ export const getOverdueInvoices = asyncHandler(async (req, res) => {
 export const getBillingStats = asyncHandler(async (req, res) => {
   const { clinic, from, to } = req.query;
 
-  // Date range (default: current month)
-  const startDate = from ? new Date(from) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
-  const endDate = to ? new Date(to) : new Date();
+  // Date range (default: current month, in the clinic's timezone)
+  const tz = await Clinic.getTimezoneById(clinic);
+  const startDate = from ? getDayRange(from, tz).start : getMonthRange(new Date(), tz).start;
+  const endDate = to ? getDayRange(to, tz).end : new Date();
 
   // Build match query
   const matchQuery = {
@@ -0,0 +1,241 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import CalendarFeed from "./calendarFeed.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import * as appointmentService from "../appointments/appointment.service.js";
+import * as calendarService from "./calendar.service.js";
+
+/**
+ * CALENDAR CONTROLLER
+ *
+ * Handles:
+ * - Subscribable iCalendar feeds per doctor / per clinic (Google, Apple, Outlook)
+ * - Revoking / regenerating feed URLs
+ * - .ics download of a single appointment ("add to calendar")
+ *
+ * Feeds are rebuilt from the database on every fetch, so reschedules and
+ * cancellations show up on the calendar app's next refresh.
+ */
+
+/**
+ * @desc    Get calendar feeds
+ * @route   GET /api/calendar/feeds?scope=&doctor=&clinic=&active=
+ * @access  Admin
+ */
+export const getFeeds = asyncHandler(async (req, res) => {
+  const { scope, doctor, clinic, active } = req.query;
+
+  const filter = {};
+
+  if (scope) filter.scope = scope;
+
+  if (doctor && mongoose.Types.ObjectId.isValid(doctor)) {
+    filter.doctor = doctor;
+  }
+
+  if (clinic && mongoose.Types.ObjectId.isValid(clinic)) {
+    filter.clinic = clinic;
+  }
+
+  if (active !== undefined) {
+    filter.isActive = active === "true";
+  }
+
+  const feeds = await CalendarFeed.find(filter)
+    .populate("doctor", "name")
+    .populate("clinic", "name code")
+    .populate("createdBy", "name")
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, { feeds }, "Calendar feeds fetched successfully");
+});
+
+/**
+ * @desc    Create calendar feed
+ * @route   POST /api/calendar/feeds
+ * @access  Admin
+ *
+ * Body: { scope: "doctor" | "clinic", doctor?, clinic?, name? }
+ * The feed URL (with its secret token) is only returned here and on regenerate
+ */
+export const createFeed = asyncHandler(async (req, res) => {
+  const { scope, doctor, clinic, name } = req.body;
+
+  if (!["doctor", "clinic"].includes(scope)) {
+    return ApiResponse.error(res, "Scope must be 'doctor' or 'clinic'", 400);
+  }
+
+  let defaultName;
+
+  if (scope === "doctor") {
+    if (!doctor) {
+      return ApiResponse.error(res, "Doctor is required for a doctor feed", 400);
+    }
+
+    const doctorDoc = await appointmentService.validateDoctor(doctor);
+    defaultName = `${doctorDoc.name} - Appointments`;
+  } else {
+    if (!clinic || !mongoose.Types.ObjectId.isValid(clinic)) {
+      return ApiResponse.error(res, "Valid clinic ID is required for a clinic feed", 400);
+    }
+
+    const clinicDoc = await Clinic.findById(clinic);
+    if (!clinicDoc) {
+      return ApiResponse.error(res, "Clinic not found", 404);
+    }
+    defaultName = `${clinicDoc.name} - Appointments`;
+  }
+
+  const feed = new CalendarFeed({
+    scope,
+    doctor: scope === "doctor" ? doctor : undefined,
+    clinic: scope === "clinic" ? clinic : undefined,
+    name: name || defaultName,
+    createdBy: req.user?._id,
+  });
+
+  const token = feed.generateToken();
+  await feed.save();
+
+  ApiResponse.created(
+    res,
+    { feed, url: getFeedUrl(req, token) },
+    "Calendar feed created. Copy the URL now, it won't be shown again",
+  );
+});
+
+/**
+ * @desc    Regenerate feed URL (old URL stops working)
+ * @route   POST /api/calendar/feeds/:id/regenerate
+ * @access  Admin
+ */
+export const regenerateFeed = asyncHandler(async (req, res) => {
+  const feed = await findFeed(req.params.id);
+  if (!feed) {
+    return ApiResponse.error(res, "Calendar feed not found", 404);
+  }
+
+  const token = feed.generateToken();
+  feed.isActive = true;
+  feed.revokedAt = undefined;
+  feed.revokedBy = undefined;
+  await feed.save();
+
+  ApiResponse.success(
+    res,
+    { feed, url: getFeedUrl(req, token) },
+    "Calendar feed URL regenerated",
+  );
+});
+
+/**
+ * @desc    Revoke calendar feed
+ * @route   POST /api/calendar/feeds/:id/revoke
+ * @access  Admin
+ */
+export const revokeFeed = asyncHandler(async (req, res) => {
+  const feed = await findFeed(req.params.id);
+  if (!feed) {
+    return ApiResponse.error(res, "Calendar feed not found", 404);
+  }
+
+  if (!feed.isActive) {
+    return ApiResponse.error(res, "Calendar feed already revoked", 400);
+  }
+
+  await feed.revoke(req.user?._id);
+
+  ApiResponse.success(res, { feed }, "Calendar feed revoked");
+});
+
+/**
+ * @desc    Subscribable iCalendar feed
+ * @route   GET /api/calendar/ical/:token.ics
+ * @access  Public (secret token)
+ */
+export const getFeedCalendar = asyncHandler(async (req, res) => {
+  const token = String(req.params.token).replace(/\.ics$/, "");
+
+  const feed = await CalendarFeed.findByToken(token);
+  if (!feed) {
+    return ApiResponse.error(res, "Calendar feed not found or revoked", 404);
+  }
+
+  const body = await calendarService.buildFeedCalendar(feed);
+
+  feed.lastAccessedAt = new Date();
+  await feed.save();
+
+  sendCalendar(res, body, "appointments.ics", "inline");
+});
+
+/**
+ * @desc    Download .ics for one appointment ("add to calendar")
+ * @route   GET /api/calendar/appointments/:id.ics
+ * @access  Admin / Patient (own appointments)
+ */
+export const getAppointmentCalendar = asyncHandler(async (req, res) => {
+  const id = String(req.params.id).replace(/\.ics$/, "");
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return ApiResponse.error(res, "Invalid appointment ID", 400);
+  }
+
+  const filter = { _id: id };
+
+  // Patients only get their own
+  if (req.patient) {
+    filter.patient = req.patient._id;
+  }
+
+  const appointment = await Appointment.findOne(filter)
+    .populate("patient", "name phone")
+    .populate("clinic", "name address timezone")
+    .populate("doctor", "name")
+    .populate("plannedTreatments", "name");
+
+  if (!appointment) {
+    return ApiResponse.error(res, "Appointment not found", 404);
+  }
+
+  // Staff can ask for the internal version (patient name, phone, reason)
+  const audience = req.user && req.query.audience === "staff" ? "staff" : "patient";
+
+  const body = calendarService.buildAppointmentCalendar(appointment, audience);
+
+  sendCalendar(res, body, `${appointment.appointmentNumber || "appointment"}.ics`);
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Find a feed by ID (null if the ID is invalid)
+ */
+async function findFeed(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return CalendarFeed.findById(id);
+}
+
+/**
+ * Public URL for a feed token
+ */
+function getFeedUrl(req, token) {
+  return `${req.protocol}://${req.get("host")}/api/calendar/ical/${token}.ics`;
+}
+
+/**
+ * Send text/calendar body
+ */
+function sendCalendar(res, body, filename, disposition = "attachment") {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `${disposition}; filename="${filename}"`,
+    "Cache-Control": "no-cache",
+  });
+  res.send(body);
+}
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import * as calendarController from "./calendar.controller.js";
+import { authProtect, anyAuth } from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * CALENDAR ROUTES
+ * Base path: /api/calendar
+ *
+ * Feed URLs carry a secret token instead of auth headers so Google / Apple /
+ * Outlook can subscribe to them; revoke or regenerate a feed to cut access.
+ */
+
+// ==================== PUBLIC (secret token) ====================
+
+// iCalendar feed: /api/calendar/ical/<token>.ics
+router.get("/ical/:token", calendarController.getFeedCalendar);
+
+// ==================== ADMIN / PATIENT ====================
+
+// Single appointment .ics: /api/calendar/appointments/<id>.ics
+router.get("/appointments/:id", anyAuth, calendarController.getAppointmentCalendar);
+
+// ==================== ADMIN ====================
+
+// Get feeds (filters: scope, doctor, clinic, active)
+router.get("/feeds", authProtect, calendarController.getFeeds);
+
+// Create doctor / clinic feed (returns the URL once)
+router.post("/feeds", authProtect, calendarController.createFeed);
+
+// New URL for a feed (old one stops working)
+router.post("/feeds/:id/regenerate", authProtect, calendarController.regenerateFeed);
+
+// Revoke feed
+router.post("/feeds/:id/revoke", authProtect, calendarController.revokeFeed);
+
+export default router;
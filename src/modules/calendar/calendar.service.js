@@ -0,0 +1,131 @@
+import Appointment from "../appointments/appointment.model.js";
+import { APPOINTMENT_STATUS } from "../../constants/appointmentStatus.js";
+import { buildCalendar } from "../../utils/ical.js";
+import { addDays, getDayRange, getSlotStart, getTimezone } from "../../utils/date.js";
+
+/**
+ * CALENDAR SERVICE
+ *
+ * Turns appointments into iCalendar events.
+ * Each appointment keeps the same UID for its whole life; reschedules and
+ * cancellations bump appointment.calendarSequence, so calendars update or
+ * strike out the existing event instead of adding a new one.
+ *
+ * Event times are UTC instants of the slot in the clinic's timezone.
+ */
+
+// Feed covers recent history and the months ahead
+const FEED_DAYS_BACK = 30;
+const FEED_DAYS_AHEAD = 180;
+
+// Suggested refresh for subscribed calendars
+const FEED_REFRESH_MINUTES = 30;
+
+// Statuses shown as cancelled (calendars remove / strike them out)
+const CANCELLED_STATUSES = [APPOINTMENT_STATUS.CANCELLED, APPOINTMENT_STATUS.NO_SHOW];
+
+/**
+ * Build the iCalendar document for a feed
+ * @param {Object} feed - CalendarFeed document (doctor or clinic scope)
+ * @returns {String} - text/calendar body
+ */
+export const buildFeedCalendar = async (feed) => {
+  const from = addDays(new Date(), -FEED_DAYS_BACK);
+  const { end: to } = getDayRange(addDays(new Date(), FEED_DAYS_AHEAD));
+
+  const filter = { date: { $gte: from, $lte: to } };
+  if (feed.scope === "doctor") {
+    filter.doctor = feed.doctor;
+  } else {
+    filter.clinic = feed.clinic;
+  }
+
+  const appointments = await Appointment.find(filter)
+    .populate("patient", "name phone")
+    .populate("clinic", "name address timezone")
+    .populate("doctor", "name")
+    .populate("plannedTreatments", "name")
+    .sort({ date: 1, timeSlot: 1 });
+
+  return buildCalendar({
+    name: feed.name,
+    events: appointments.map((appointment) => toEvent(appointment, "staff")),
+    refreshMinutes: FEED_REFRESH_MINUTES,
+  });
+};
+
+/**
+ * Build a single-event .ics file for one appointment
+ * @param {Object} appointment - Appointment (patient, clinic, doctor, plannedTreatments populated)
+ * @param {String} audience - 'patient' (no internal details) or 'staff'
+ * @returns {String} - text/calendar body
+ */
+export const buildAppointmentCalendar = (appointment, audience = "patient") =>
+  buildCalendar({
+    events: [toEvent(appointment, audience)],
+  });
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Appointment -> iCalendar event
+ * Staff see the patient and planned work; patients see where and with whom
+ */
+function toEvent(appointment, audience) {
+  const tz = getTimezone(appointment.clinic);
+  const start = getSlotStart(appointment.date, appointment.timeSlot, tz);
+  const end = appointment.slotEnd
+    ? getSlotStart(appointment.date, appointment.slotEnd, tz)
+    : new Date(start.getTime() + (appointment.duration || 30) * 60 * 1000);
+
+  const clinic = appointment.clinic || {};
+  const doctorName = appointment.doctor?.name;
+  const treatments = (appointment.plannedTreatments || [])
+    .map((t) => t.name)
+    .filter(Boolean)
+    .join(", ");
+
+  let summary;
+  let description;
+
+  if (audience === "staff") {
+    summary = [appointment.patient?.name || "Patient", treatments || appointment.reason]
+      .filter(Boolean)
+      .join(" - ");
+    description = [
+      `Appointment: ${appointment.appointmentNumber}`,
+      appointment.patient?.phone && `Phone: ${appointment.patient.phone}`,
+      doctorName && `Doctor: ${doctorName}`,
+      appointment.reason && `Reason: ${appointment.reason}`,
+      `Status: ${appointment.status}`,
+    ];
+  } else {
+    summary = `Dental appointment${clinic.name ? ` - ${clinic.name}` : ""}`;
+    description = [
+      `Appointment: ${appointment.appointmentNumber}`,
+      doctorName && `Doctor: ${doctorName}`,
+      treatments && `Planned: ${treatments}`,
+      "Please arrive 10 minutes early.",
+    ];
+  }
+
+  return {
+    uid: `${appointment._id}@appointments`,
+    sequence: appointment.calendarSequence,
+    start,
+    end,
+    summary,
+    description: description.filter(Boolean).join("\n"),
+    location: formatAddress(clinic),
+    status: CANCELLED_STATUSES.includes(appointment.status) ? "CANCELLED" : "CONFIRMED",
+    lastModified: appointment.updatedAt,
+  };
+}
+
+/**
+ * Clinic name + address on one line
+ */
+function formatAddress(clinic) {
+  const { street, area, city, state, pincode } = clinic.address || {};
+  return [clinic.name, street, area, city, state, pincode].filter(Boolean).join(", ");
+}
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+/**
+ * CALENDAR FEED MODEL
+ * Subscribable iCalendar feed of a doctor's or a clinic's appointments
+ *
+ * Key features:
+ * - Secret token in the feed URL (calendar apps can't send auth headers)
+ * - Only a SHA-256 hash of the token is stored; the URL is shown once
+ * - Revoking a feed stops the URL working immediately
+ */
+
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    // Whose appointments the feed shows
+    scope: {
+      type: String,
+      enum: ["doctor", "clinic"],
+      required: [true, "Feed scope is required"],
+    },
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+
+    // Label shown in the calendar app
+    name: {
+      type: String,
+      trim: true,
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    lastAccessedAt: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+calendarFeedSchema.index({ doctor: 1, isActive: 1 });
+calendarFeedSchema.index({ clinic: 1, isActive: 1 });
+
+// ============ VALIDATION ============
+
+/**
+ * Doctor feeds need a doctor, clinic feeds need a clinic
+ */
+calendarFeedSchema.pre("validate", function () {
+  if (this.scope === "doctor" && !this.doctor) {
+    this.invalidate("doctor", "Doctor is required for a doctor feed");
+  }
+  if (this.scope === "clinic" && !this.clinic) {
+    this.invalidate("clinic", "Clinic is required for a clinic feed");
+  }
+});
+
+// ============ METHODS ============
+
+/**
+ * Generate a new secret token (replaces any previous one)
+ * @returns {String} - Raw token to put in the feed URL (not stored)
+ */
+calendarFeedSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.tokenHash = hashToken(token);
+  return token;
+};
+
+/**
+ * Revoke the feed (URL stops working)
+ * @param {ObjectId} userId - Who revoked it
+ */
+calendarFeedSchema.methods.revoke = function (userId) {
+  this.isActive = false;
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// ============ STATICS ============
+
+/**
+ * Find an active feed by the raw token from its URL
+ * @param {String} token - Raw token
+ * @returns {Object|null} - CalendarFeed document
+ */
+calendarFeedSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token), isActive: true });
+};
+
+// ============ HELPERS ============
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Create and export the model
+const CalendarFeed = mongoose.model("CalendarFeed", calendarFeedSchema);
+
+export default CalendarFeed;
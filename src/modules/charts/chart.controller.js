@@ -0,0 +1,120 @@
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import * as chartService from "./chart.service.js";
+
+/**
+ * CHART CONTROLLER
+ *
+ * Patient dental chart (odontogram), mounted under /api/patients/:id/chart
+ *
+ * Tooth numbers: ?notation=fdi (default, "16") or ?notation=universal ("3");
+ * responses always include the FDI number as `fdi` too.
+ */
+
+/**
+ * @desc    Get patient's dental chart
+ * @route   GET /api/patients/:id/chart?notation=&asOf=
+ * @access  Admin
+ *
+ * asOf: chart as it was on that date/time
+ */
+export const getChart = asyncHandler(async (req, res) => {
+  const { notation, asOf } = req.query;
+
+  let asOfDate;
+  if (asOf) {
+    asOfDate = new Date(asOf);
+    if (isNaN(asOfDate.getTime())) {
+      return ApiResponse.error(res, "Invalid asOf date", 400);
+    }
+  }
+
+  const chart = await chartService.getChart(req.params.id, {
+    notation: chartService.parseNotation(notation),
+    asOf: asOfDate,
+  });
+
+  ApiResponse.success(res, { chart }, "Dental chart fetched successfully");
+});
+
+/**
+ * @desc    Get patient's chart history
+ * @route   GET /api/patients/:id/chart/history?tooth=&treatment=&notation=&includeVoided=
+ * @access  Admin
+ */
+export const getChartHistory = asyncHandler(async (req, res) => {
+  const { tooth, treatment, notation, includeVoided } = req.query;
+
+  const history = await chartService.getHistory(req.params.id, {
+    notation: chartService.parseNotation(notation),
+    tooth,
+    treatment,
+    includeVoided: includeVoided === "true",
+  });
+
+  ApiResponse.success(res, { history }, "Chart history fetched successfully");
+});
+
+/**
+ * @desc    Record findings on the chart
+ * @route   POST /api/patients/:id/chart/entries
+ * @access  Admin
+ *
+ * Body: {
+ *   notation?, treatment?, appointment?, clinic?,
+ *   findings: [{ tooth, condition, surfaces?, mobilityGrade?, notes? }]
+ * }
+ * Linking a treatment resolves what it fixed against it and adds the teeth to treatment.teeth
+ */
+export const recordFindings = asyncHandler(async (req, res) => {
+  const { findings, notation, treatment, appointment, clinic } = req.body;
+  const parsedNotation = chartService.parseNotation(notation);
+
+  const result = await chartService.recordFindings(req.params.id, findings, {
+    notation: parsedNotation,
+    treatment,
+    appointment,
+    clinic,
+    recordedBy: req.user?._id,
+  });
+
+  const chart = await chartService.getChart(req.params.id, { notation: parsedNotation });
+
+  ApiResponse.created(
+    res,
+    {
+      recorded: result.entries.length,
+      resolved: result.resolved.length,
+      chart,
+    },
+    "Chart updated successfully",
+  );
+});
+
+/**
+ * @desc    Resolve or void a chart entry
+ * @route   POST /api/patients/:id/chart/entries/:entryId/resolve
+ * @access  Admin
+ *
+ * Body: { reason, enteredInError? }
+ * enteredInError: removes the entry from the chart and restores what it replaced
+ */
+export const resolveEntry = asyncHandler(async (req, res) => {
+  const { reason, enteredInError, notation } = req.body;
+
+  const result = await chartService.resolveEntry(req.params.id, req.params.entryId, {
+    reason,
+    enteredInError: Boolean(enteredInError),
+    resolvedBy: req.user?._id,
+  });
+
+  const chart = await chartService.getChart(req.params.id, {
+    notation: chartService.parseNotation(notation),
+  });
+
+  ApiResponse.success(
+    res,
+    { entry: result.entry, restored: result.restored.length, chart },
+    enteredInError ? "Chart entry voided" : "Chart entry resolved",
+  );
+});
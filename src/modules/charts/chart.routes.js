@@ -0,0 +1,28 @@
+import { Router } from "express";
+import * as chartController from "./chart.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+// mergeParams: patient ID comes from /api/patients/:id
+const router = Router({ mergeParams: true });
+
+/**
+ * CHART ROUTES
+ * Base path: /api/patients/:id/chart
+ *
+ * Dental chart (odontogram) per patient: FDI or Universal notation,
+ * per-tooth and per-surface conditions, full history
+ */
+
+// Current chart (or ?asOf= a past date)
+router.get("/", authProtect, chartController.getChart);
+
+// Chart history (filters: tooth, treatment)
+router.get("/history", authProtect, chartController.getChartHistory);
+
+// Record findings (optionally linked to a treatment)
+router.post("/entries", authProtect, chartController.recordFindings);
+
+// Resolve or void (entered in error) a finding
+router.post("/entries/:entryId/resolve", authProtect, chartController.resolveEntry);
+
+export default router;
@@ -0,0 +1,455 @@
+import mongoose from "mongoose";
+import ChartEntry from "./chartEntry.model.js";
+import Patient from "../patients/patient.model.js";
+import { Treatment } from "../treatments/treatment.model.js";
+import {
+  CHART_ENTRY_STATUS,
+  CONDITION_SUPERSEDES,
+  DEFAULT_TOOTH_NOTATION,
+  MISSING_TOOTH_CONDITIONS,
+  SURFACE_CONDITIONS,
+  TOOTH_CONDITIONS,
+  TOOTH_NOTATIONS,
+} from "../../constants/dentalChart.js";
+import { fromFdi, getDentition, isPrimaryTooth, toFdi } from "../../utils/teeth.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * CHART SERVICE
+ *
+ * Patient dental chart (odontogram):
+ * - Current chart (or the chart as it was on a date), per tooth and per surface
+ * - Recording findings: replaced conditions are resolved, never deleted
+ * - History per patient / tooth / treatment
+ *
+ * Teeth are stored in FDI; callers pick "fdi" or "universal" for input and output.
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+/**
+ * Validate a notation query/body value
+ * @param {String} notation - "fdi" | "universal" (default fdi)
+ * @returns {String}
+ */
+export const parseNotation = (notation) => {
+  if (!notation) return DEFAULT_TOOTH_NOTATION;
+
+  const value = String(notation).toLowerCase();
+  if (!Object.values(TOOTH_NOTATIONS).includes(value)) {
+    throw new BadRequestError(
+      `Invalid notation (use ${Object.values(TOOTH_NOTATIONS).join(" or ")})`,
+    );
+  }
+  return value;
+};
+
+/**
+ * Convert tooth numbers to FDI, rejecting unknown teeth
+ * @param {Array} teeth - e.g. ["3", "14"] (universal) or ["16", "26"] (fdi)
+ * @param {String} notation - Notation the numbers are in
+ * @returns {Array} - FDI numbers, duplicates removed
+ */
+export const normalizeTeeth = (teeth = [], notation = DEFAULT_TOOTH_NOTATION) => {
+  if (!Array.isArray(teeth)) {
+    throw new BadRequestError("Teeth must be an array");
+  }
+
+  const fdi = teeth.map((tooth) => {
+    const number = toFdi(tooth, notation);
+    if (!number) {
+      throw new BadRequestError(`Invalid tooth number: ${tooth} (${notation} notation)`);
+    }
+    return number;
+  });
+
+  return [...new Set(fdi)];
+};
+
+/**
+ * Patient's chart now, or as it was on a date
+ * @param {ObjectId} patientId - Patient ID
+ * @param {Object} options - { notation, asOf }
+ * @returns {Object} - { notation, asOf, teeth, summary }
+ */
+export const getChart = async (patientId, { notation = DEFAULT_TOOTH_NOTATION, asOf } = {}) => {
+  await findPatient(patientId);
+
+  const entries = await ChartEntry.getActiveAt(patientId, asOf).populate(
+    "treatment",
+    "treatmentNumber status",
+  );
+
+  return { notation, asOf: asOf || null, ...buildChart(entries, notation) };
+};
+
+/**
+ * Record findings on a patient's chart
+ * All findings are checked before anything is saved.
+ *
+ * @param {ObjectId} patientId - Patient ID
+ * @param {Array} findings - [{ tooth, condition, surfaces?, mobilityGrade?, notes? }]
+ * @param {Object} context - { notation, treatment, appointment, clinic, recordedBy }
+ * @returns {Object} - { entries (new), resolved (entries they replaced) }
+ */
+export const recordFindings = async (patientId, findings, context = {}) => {
+  const { notation = DEFAULT_TOOTH_NOTATION, recordedBy } = context;
+
+  if (!Array.isArray(findings) || !findings.length) {
+    throw new BadRequestError("At least one finding is required");
+  }
+
+  await findPatient(patientId);
+  const treatment = context.treatment ? await findTreatment(context.treatment, patientId) : null;
+
+  const now = new Date();
+  const source = {
+    patient: patientId,
+    recordedAt: now,
+    recordedBy,
+    clinic: context.clinic || treatment?.clinic,
+    appointment: context.appointment || treatment?.appointment,
+    treatment: treatment?._id,
+  };
+
+  // Active entries on the teeth being charted (updated as findings apply)
+  const teeth = normalizeTeeth(
+    findings.map((f) => f?.tooth),
+    notation,
+  );
+  const active = await ChartEntry.find({
+    patient: patientId,
+    status: CHART_ENTRY_STATUS.ACTIVE,
+    tooth: { $in: teeth },
+  });
+
+  const created = [];
+  const resolved = [];
+
+  for (const finding of findings) {
+    const tooth = toFdi(finding.tooth, notation);
+    const condition = String(finding.condition || "").toLowerCase();
+
+    if (!Object.values(TOOTH_CONDITIONS).includes(condition)) {
+      throw new BadRequestError(
+        `Invalid condition: ${finding.condition} (use ${Object.values(TOOTH_CONDITIONS).join(", ")})`,
+      );
+    }
+
+    const label = fromFdi(tooth, notation);
+    const onTooth = active.filter((e) => e.tooth === tooth);
+
+    if (
+      onTooth.some((e) => e.condition === TOOTH_CONDITIONS.MISSING) &&
+      !MISSING_TOOTH_CONDITIONS.includes(condition)
+    ) {
+      throw new ConflictError(`Tooth ${label} is charted as missing`);
+    }
+
+    const entry = new ChartEntry({
+      ...source,
+      tooth,
+      condition,
+      surfaces: normalizeSurfaces(finding.surfaces),
+      mobilityGrade: finding.mobilityGrade,
+      notes: finding.notes,
+    });
+
+    try {
+      await entry.validate();
+    } catch (error) {
+      const message = Object.values(error.errors || {})
+        .map((e) => e.message)
+        .join(", ");
+      throw new BadRequestError(`Tooth ${label}: ${message || error.message}`);
+    }
+
+    // Close what this finding replaces; surface conditions left on
+    // other surfaces carry on as a new entry
+    for (const previous of onTooth) {
+      const covered = getCoveredSurfaces(entry, previous);
+      if (!covered) continue;
+
+      previous.resolve({
+        reason: `Replaced by ${condition}`,
+        resolvedBy: recordedBy,
+        supersededBy: entry._id,
+        treatment: treatment?._id,
+      });
+      resolved.push(previous);
+      active.splice(active.indexOf(previous), 1);
+
+      const remaining = previous.surfaces.filter((s) => !covered.includes(s));
+      if (remaining.length && covered.length) {
+        const rest = new ChartEntry({
+          ...source,
+          treatment: previous.treatment,
+          tooth,
+          condition: previous.condition,
+          surfaces: remaining,
+          notes: previous.notes,
+        });
+        created.push(rest);
+        active.push(rest);
+      }
+    }
+
+    created.push(entry);
+    active.push(entry);
+  }
+
+  for (const entry of [...created, ...resolved]) {
+    await entry.save();
+  }
+
+  // Treatment lists the teeth it changed
+  if (treatment) {
+    treatment.teeth = [...new Set([...(treatment.teeth || []), ...teeth])];
+    await treatment.save();
+  }
+
+  return { entries: created, resolved };
+};
+
+/**
+ * Resolve (healed / treated elsewhere) or void (entered in error) a finding
+ * Voiding brings back whatever the entry had replaced.
+ *
+ * @param {ObjectId} patientId - Patient ID
+ * @param {ObjectId} entryId - ChartEntry ID
+ * @param {Object} options - { reason, enteredInError, resolvedBy }
+ * @returns {Object} - { entry, restored }
+ */
+export const resolveEntry = async (patientId, entryId, { reason, enteredInError, resolvedBy }) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    throw new BadRequestError("Invalid chart entry ID");
+  }
+
+  const entry = await ChartEntry.findOne({ _id: entryId, patient: patientId });
+  if (!entry) {
+    throw new NotFoundError("Chart entry");
+  }
+
+  if (entry.status !== CHART_ENTRY_STATUS.ACTIVE) {
+    throw new BadRequestError(`Chart entry is already ${entry.status}`);
+  }
+
+  if (!reason) {
+    throw new BadRequestError("Reason is required");
+  }
+
+  entry.resolve({
+    status: enteredInError ? CHART_ENTRY_STATUS.VOIDED : CHART_ENTRY_STATUS.RESOLVED,
+    reason,
+    resolvedBy,
+  });
+  await entry.save();
+
+  const restored = [];
+
+  if (enteredInError) {
+    const replaced = await ChartEntry.find({
+      supersededBy: entry._id,
+      status: CHART_ENTRY_STATUS.RESOLVED,
+    });
+
+    for (const previous of replaced) {
+      previous.status = CHART_ENTRY_STATUS.ACTIVE;
+      previous.resolvedAt = undefined;
+      previous.resolvedBy = undefined;
+      previous.supersededBy = undefined;
+      previous.resolvedByTreatment = undefined;
+      previous.resolutionReason = undefined;
+      await previous.save();
+      restored.push(previous);
+    }
+  }
+
+  return { entry, restored };
+};
+
+/**
+ * Chart history, newest first
+ * @param {ObjectId} patientId - Patient ID
+ * @param {Object} options - { notation, tooth, treatment, includeVoided }
+ * @returns {Array} - Entries with the tooth number in the requested notation
+ */
+export const getHistory = async (
+  patientId,
+  { notation = DEFAULT_TOOTH_NOTATION, tooth, treatment, includeVoided = false } = {},
+) => {
+  await findPatient(patientId);
+
+  const filter = { patient: patientId };
+
+  if (tooth) {
+    [filter.tooth] = normalizeTeeth([tooth], notation);
+  }
+
+  if (treatment) {
+    if (!mongoose.Types.ObjectId.isValid(treatment)) {
+      throw new BadRequestError("Invalid treatment ID");
+    }
+    filter.$or = [{ treatment }, { resolvedByTreatment: treatment }];
+  }
+
+  if (!includeVoided) {
+    filter.status = { $ne: CHART_ENTRY_STATUS.VOIDED };
+  }
+
+  const entries = await ChartEntry.find(filter)
+    .populate("recordedBy", "name")
+    .populate("resolvedBy", "name")
+    .populate("treatment", "treatmentNumber status")
+    .populate("resolvedByTreatment", "treatmentNumber status")
+    .sort({ recordedAt: -1, createdAt: -1 });
+
+  return entries.map((entry) => formatEntry(entry, notation));
+};
+
+/**
+ * Teeth and surfaces a treatment changed on the chart
+ * @param {ObjectId} treatmentId - Treatment ID
+ * @param {String} notation - Output notation
+ * @returns {Object} - { added, resolved }
+ */
+export const getTreatmentChanges = async (treatmentId, notation = DEFAULT_TOOTH_NOTATION) => {
+  const [added, resolved] = await Promise.all([
+    ChartEntry.find({ treatment: treatmentId, status: { $ne: CHART_ENTRY_STATUS.VOIDED } }).sort({
+      recordedAt: 1,
+    }),
+    ChartEntry.find({ resolvedByTreatment: treatmentId }).sort({ recordedAt: 1 }),
+  ]);
+
+  return {
+    added: added.map((entry) => formatEntry(entry, notation)),
+    resolved: resolved.map((entry) => formatEntry(entry, notation)),
+  };
+};
+
+/**
+ * Find a patient, throwing if the ID is invalid or unknown
+ * @param {ObjectId} patientId - Patient ID
+ * @returns {Object} - Patient document
+ */
+export const findPatient = async (patientId) => {
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    throw new BadRequestError("Invalid patient ID");
+  }
+
+  const patient = await Patient.findById(patientId);
+  if (!patient) {
+    throw new NotFoundError("Patient");
+  }
+  return patient;
+};
+
+/**
+ * Find a treatment that must belong to the patient
+ * @param {ObjectId} treatmentId - Treatment ID
+ * @param {ObjectId} patientId - Patient ID
+ * @returns {Object} - Treatment document
+ */
+export const findTreatment = async (treatmentId, patientId) => {
+  if (!mongoose.Types.ObjectId.isValid(treatmentId)) {
+    throw new BadRequestError("Invalid treatment ID");
+  }
+
+  const treatment = await Treatment.findById(treatmentId);
+  if (!treatment) {
+    throw new NotFoundError("Treatment");
+  }
+
+  if (String(treatment.patient) !== String(patientId)) {
+    throw new BadRequestError("Treatment belongs to another patient");
+  }
+  return treatment;
+};
+
+/**
+ * Arrange chart entries by tooth and surface
+ * Permanent teeth are always listed; primary teeth only once charted.
+ *
+ * @param {Array} entries - Active ChartEntry documents
+ * @param {String} notation - Output notation
+ * @returns {Object} - { teeth, summary }
+ */
+export const buildChart = (entries, notation = DEFAULT_TOOTH_NOTATION) => {
+  const byTooth = new Map();
+  for (const entry of entries) {
+    if (!byTooth.has(entry.tooth)) byTooth.set(entry.tooth, []);
+    byTooth.get(entry.tooth).push(entry);
+  }
+
+  const chartTeeth = [
+    ...getDentition("permanent"),
+    ...getDentition("primary").filter((fdi) => byTooth.has(fdi)),
+  ];
+
+  const teeth = chartTeeth.map((fdi) => {
+    const onTooth = byTooth.get(fdi) || [];
+    const surfaces = {};
+
+    for (const entry of onTooth.filter((e) => SURFACE_CONDITIONS.includes(e.condition))) {
+      for (const surface of entry.surfaces) {
+        if (!surfaces[surface]) surfaces[surface] = [];
+        surfaces[surface].push(entry.condition);
+      }
+    }
+
+    return {
+      tooth: fromFdi(fdi, notation),
+      fdi,
+      dentition: isPrimaryTooth(fdi) ? "primary" : "permanent",
+      missing: onTooth.some((e) => e.condition === TOOTH_CONDITIONS.MISSING),
+      conditions: onTooth.map((entry) => formatEntry(entry, notation)),
+      surfaces,
+    };
+  });
+
+  // Number of teeth with each condition
+  const summary = Object.fromEntries(
+    Object.values(TOOTH_CONDITIONS).map((condition) => [
+      condition,
+      teeth.filter((t) => t.conditions.some((c) => c.condition === condition)).length,
+    ]),
+  );
+
+  return { teeth, summary };
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function normalizeSurfaces(surfaces) {
+  if (surfaces === undefined || surfaces === null) return [];
+
+  const list = Array.isArray(surfaces) ? surfaces : String(surfaces).split("");
+  return [...new Set(list.map((s) => String(s).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Surfaces of `previous` that a new entry replaces
+ * @returns {Array|null} - Covered surfaces ([] = whole tooth), null if not replaced
+ */
+function getCoveredSurfaces(entry, previous) {
+  if (!CONDITION_SUPERSEDES[entry.condition].includes(previous.condition)) return null;
+
+  // Whole-tooth finding (crown, missing, ...) or whole-tooth previous entry
+  if (!entry.surfaces.length || !previous.surfaces.length) return [];
+
+  const covered = previous.surfaces.filter((s) => entry.surfaces.includes(s));
+  return covered.length ? covered : null;
+}
+
+/**
+ * ChartEntry -> API shape (tooth in the requested notation, FDI alongside)
+ */
+function formatEntry(entry, notation) {
+  const { _id, tooth, ...rest } = entry.toObject();
+
+  return {
+    id: _id,
+    tooth: fromFdi(tooth, notation),
+    fdi: tooth,
+    ...rest,
+  };
+}
@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+import {
+  CHART_ENTRY_STATUS,
+  MOBILITY_GRADES,
+  SURFACE_CONDITIONS,
+  TOOTH_CONDITIONS,
+  TOOTH_SURFACES,
+} from "../../constants/dentalChart.js";
+import { getToothSurfaces, isValidFdi } from "../../utils/teeth.js";
+
+/**
+ * CHART ENTRY MODEL
+ * One finding on a patient's dental chart (odontogram)
+ *
+ * The chart is never overwritten: every finding is a new entry, and a later
+ * finding or treatment resolves the entries it replaces. The chart on any
+ * date = entries recorded by then that were still active then.
+ *
+ * e.g. caries on 16-O (active) → filling on 16-O resolves it and adds
+ *      "filled 16-O", both linked to the filling treatment
+ */
+
+const chartEntrySchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    // FDI tooth number ("16", "55")
+    tooth: {
+      type: String,
+      required: [true, "Tooth is required"],
+      validate: {
+        validator: isValidFdi,
+        message: "Invalid tooth number",
+      },
+    },
+
+    condition: {
+      type: String,
+      enum: Object.values(TOOTH_CONDITIONS),
+      required: [true, "Condition is required"],
+    },
+
+    // Surfaces affected (caries / filled only)
+    surfaces: [
+      {
+        type: String,
+        enum: Object.values(TOOTH_SURFACES),
+      },
+    ],
+
+    // Mobility only
+    mobilityGrade: {
+      type: Number,
+      enum: MOBILITY_GRADES,
+    },
+
+    notes: String,
+
+    status: {
+      type: String,
+      enum: Object.values(CHART_ENTRY_STATUS),
+      default: CHART_ENTRY_STATUS.ACTIVE,
+    },
+
+    // -------- Where it came from --------
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    // Treatment that produced this finding (e.g. the filling)
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+
+    // -------- How it ended --------
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Later entry that replaced this one
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChartEntry",
+    },
+    // Treatment that fixed it
+    resolvedByTreatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+    resolutionReason: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+chartEntrySchema.index({ patient: 1, status: 1, tooth: 1 });
+chartEntrySchema.index({ patient: 1, recordedAt: -1 });
+chartEntrySchema.index({ treatment: 1 });
+
+// ============ VALIDATION ============
+
+/**
+ * Surfaces only for surface conditions (and must exist on the tooth),
+ * mobility grade only for mobility
+ */
+chartEntrySchema.pre("validate", function () {
+  const isSurfaceCondition = SURFACE_CONDITIONS.includes(this.condition);
+
+  if (isSurfaceCondition && !this.surfaces?.length) {
+    this.invalidate("surfaces", `Surfaces are required for ${this.condition}`);
+  }
+
+  if (!isSurfaceCondition && this.surfaces?.length) {
+    this.invalidate("surfaces", `${this.condition} is recorded for the whole tooth, not per surface`);
+  }
+
+  if (isSurfaceCondition && isValidFdi(this.tooth)) {
+    const valid = getToothSurfaces(this.tooth);
+    const invalid = this.surfaces.filter((s) => !valid.includes(s));
+    if (invalid.length) {
+      this.invalidate(
+        "surfaces",
+        `No ${invalid.join(", ")} surface on this tooth (use ${valid.join(", ")})`,
+      );
+    }
+  }
+
+  if (this.condition === TOOTH_CONDITIONS.MOBILITY && !this.mobilityGrade) {
+    this.invalidate("mobilityGrade", "Mobility grade (1-3) is required");
+  }
+
+  if (this.condition !== TOOTH_CONDITIONS.MOBILITY && this.mobilityGrade) {
+    this.mobilityGrade = undefined;
+  }
+});
+
+// ============ METHODS ============
+
+/**
+ * Close this entry
+ * @param {Object} options - { status (resolved | voided), reason, resolvedBy, supersededBy, treatment }
+ */
+chartEntrySchema.methods.resolve = function ({
+  status = CHART_ENTRY_STATUS.RESOLVED,
+  reason,
+  resolvedBy,
+  supersededBy,
+  treatment,
+} = {}) {
+  this.status = status;
+  this.resolvedAt = new Date();
+  this.resolvedBy = resolvedBy;
+  this.supersededBy = supersededBy;
+  this.resolvedByTreatment = treatment;
+  this.resolutionReason = reason;
+};
+
+// ============ STATICS ============
+
+/**
+ * Entries that made up the chart at a point in time
+ * @param {ObjectId} patientId - Patient ID
+ * @param {Date} asOf - Defaults to now
+ * @returns {Array} - ChartEntry documents (oldest first)
+ */
+chartEntrySchema.statics.getActiveAt = function (patientId, asOf) {
+  if (!asOf) {
+    return this.find({ patient: patientId, status: CHART_ENTRY_STATUS.ACTIVE }).sort({
+      recordedAt: 1,
+    });
+  }
+
+  return this.find({
+    patient: patientId,
+    status: { $ne: CHART_ENTRY_STATUS.VOIDED },
+    recordedAt: { $lte: asOf },
+    $or: [{ resolvedAt: { $exists: false } }, { resolvedAt: null }, { resolvedAt: { $gt: asOf } }],
+  }).sort({ recordedAt: 1 });
+};
+
+// Create and export the model
+const ChartEntry = mongoose.model("ChartEntry", chartEntrySchema);
+
+export default ChartEntry;
@@ -0,0 +1,163 @@
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import PerioExam from "./perioExam.model.js";
+import * as chartService from "./chart.service.js";
+import * as perioService from "./perio.service.js";
+import { PERIO_EXAM_STATUS } from "../../constants/dentalChart.js";
+
+/**
+ * PERIO CONTROLLER
+ *
+ * Periodontal charting exams, mounted under /api/patients/:id/perio
+ *
+ * Tooth numbers: ?notation=fdi (default) or ?notation=universal, as for the dental chart
+ */
+
+/**
+ * @desc    List patient's perio exams (newest version first, without readings)
+ * @route   GET /api/patients/:id/perio?status=
+ * @access  Admin
+ */
+export const getExams = asyncHandler(async (req, res) => {
+  await chartService.findPatient(req.params.id);
+
+  const query = { patient: req.params.id };
+  if (req.query.status) query.status = req.query.status;
+
+  const exams = await PerioExam.find(query)
+    .select("-teeth")
+    .populate("examinedBy", "name")
+    .sort({ version: -1 });
+
+  ApiResponse.success(res, { exams }, "Perio exams fetched successfully");
+});
+
+/**
+ * @desc    Compare two exams
+ * @route   GET /api/patients/:id/perio/compare?from=&to=&notation=
+ * @access  Admin
+ *
+ * Without from/to: the latest two final exams
+ */
+export const compareExams = asyncHandler(async (req, res) => {
+  const { from, to, notation } = req.query;
+  const parsedNotation = chartService.parseNotation(notation);
+
+  let exams;
+  if (from || to) {
+    if (!from || !to) {
+      return ApiResponse.error(res, "Both from and to exam IDs are required", 400);
+    }
+    exams = [
+      await perioService.findExam(req.params.id, from),
+      await perioService.findExam(req.params.id, to),
+    ];
+  } else {
+    await chartService.findPatient(req.params.id);
+    exams = await PerioExam.find({ patient: req.params.id, status: PERIO_EXAM_STATUS.FINAL })
+      .sort({ examDate: -1 })
+      .limit(2);
+
+    if (exams.length < 2) {
+      return ApiResponse.error(res, "At least two final exams are needed to compare", 400);
+    }
+  }
+
+  const comparison = perioService.compareExams(exams[0], exams[1], parsedNotation);
+
+  ApiResponse.success(res, { comparison }, "Perio exams compared successfully");
+});
+
+/**
+ * @desc    Get a perio exam
+ * @route   GET /api/patients/:id/perio/:examId?notation=
+ * @access  Admin
+ */
+export const getExamById = asyncHandler(async (req, res) => {
+  const notation = chartService.parseNotation(req.query.notation);
+  const exam = await perioService.findExam(req.params.id, req.params.examId);
+
+  ApiResponse.success(
+    res,
+    { exam: perioService.formatExam(exam, notation) },
+    "Perio exam fetched successfully",
+  );
+});
+
+/**
+ * @desc    Record a perio exam
+ * @route   POST /api/patients/:id/perio
+ * @access  Admin
+ *
+ * Body: {
+ *   notation?, examDate?, clinic?, appointment?, treatment?, notes?, finalize?,
+ *   teeth: [{
+ *     tooth, missing?, furcation?, mobility?, notes?,
+ *     probingDepths: [DB, B, MB, DL, L, ML], recession?: [...], bleeding?: [...], suppuration?: [...]
+ *     (or sites: [{ site, probingDepth, recession, bleeding, suppuration }])
+ *   }]
+ * }
+ * Saved as a draft unless finalize is true
+ */
+export const createExam = asyncHandler(async (req, res) => {
+  const notation = chartService.parseNotation(req.body.notation);
+
+  const exam = await perioService.createExam(
+    req.params.id,
+    { ...req.body, notation },
+    req.user?._id,
+  );
+
+  ApiResponse.created(
+    res,
+    { exam: perioService.formatExam(exam, notation) },
+    "Perio exam recorded successfully",
+  );
+});
+
+/**
+ * @desc    Update a draft exam (teeth sent replace those teeth's readings)
+ * @route   PATCH /api/patients/:id/perio/:examId
+ * @access  Admin
+ */
+export const updateExam = asyncHandler(async (req, res) => {
+  const notation = chartService.parseNotation(req.body.notation);
+  const exam = await perioService.findExam(req.params.id, req.params.examId);
+
+  await perioService.updateExam(exam, { ...req.body, notation });
+
+  ApiResponse.success(
+    res,
+    { exam: perioService.formatExam(exam, notation) },
+    "Perio exam updated successfully",
+  );
+});
+
+/**
+ * @desc    Finalize (lock) a draft exam
+ * @route   POST /api/patients/:id/perio/:examId/finalize
+ * @access  Admin
+ */
+export const finalizeExam = asyncHandler(async (req, res) => {
+  const exam = await perioService.findExam(req.params.id, req.params.examId);
+
+  await perioService.finalizeExam(exam, req.user?._id);
+
+  ApiResponse.success(res, { exam }, "Perio exam finalized successfully");
+});
+
+/**
+ * @desc    Start a corrected version of a final exam
+ * @route   POST /api/patients/:id/perio/:examId/amend
+ * @access  Admin
+ *
+ * Body: { reason }
+ * Creates a draft copy; the original is marked amended when the copy is finalized
+ */
+export const amendExam = asyncHandler(async (req, res) => {
+  const exam = await perioService.findExam(req.params.id, req.params.examId);
+
+  const amendment = await perioService.amendExam(exam, req.body.reason, req.user?._id);
+
+  ApiResponse.created(res, { exam: amendment }, "Perio exam amendment started");
+});
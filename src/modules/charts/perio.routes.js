@@ -0,0 +1,31 @@
+import { Router } from "express";
+import * as perioController from "./perio.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+// mergeParams: patient ID comes from /api/patients/:id
+const router = Router({ mergeParams: true });
+
+/**
+ * PERIO ROUTES
+ * Base path: /api/patients/:id/perio
+ *
+ * Periodontal charting: versioned exams with six-site probing,
+ * recession, bleeding, furcation and mobility; exam comparison
+ */
+
+// List exams / record a new one
+router.get("/", authProtect, perioController.getExams);
+router.post("/", authProtect, perioController.createExam);
+
+// Compare two exams (default: latest two final) - before /:examId
+router.get("/compare", authProtect, perioController.compareExams);
+
+// Single exam
+router.get("/:examId", authProtect, perioController.getExamById);
+router.patch("/:examId", authProtect, perioController.updateExam);
+
+// Lock a draft / start a correction of a final exam
+router.post("/:examId/finalize", authProtect, perioController.finalizeExam);
+router.post("/:examId/amend", authProtect, perioController.amendExam);
+
+export default router;
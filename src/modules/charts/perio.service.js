@@ -0,0 +1,401 @@
+import mongoose from "mongoose";
+import PerioExam, { summarizeTeeth } from "./perioExam.model.js";
+import { findPatient, findTreatment } from "./chart.service.js";
+import {
+  DEFAULT_TOOTH_NOTATION,
+  PERIO_EXAM_STATUS,
+  PERIO_SIGNIFICANT_CHANGE,
+  PERIO_SITES,
+} from "../../constants/dentalChart.js";
+import { fromFdi, getDentition, toFdi } from "../../utils/teeth.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * PERIO SERVICE
+ *
+ * Periodontal charting exams per patient:
+ * - Recording six-site probing depth, recession, bleeding, furcation and mobility
+ * - Draft → final (locked) → amended by a corrected version
+ * - Comparing two exams site by site (improved / worsened / stable)
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+/**
+ * Find an exam of a patient
+ * @param {ObjectId} patientId - Patient ID
+ * @param {ObjectId} examId - PerioExam ID
+ * @returns {Object} - PerioExam document
+ */
+export const findExam = async (patientId, examId) => {
+  if (!mongoose.Types.ObjectId.isValid(examId)) {
+    throw new BadRequestError("Invalid perio exam ID");
+  }
+
+  const exam = await PerioExam.findOne({ _id: examId, patient: patientId });
+  if (!exam) {
+    throw new NotFoundError("Perio exam");
+  }
+  return exam;
+};
+
+/**
+ * Start (or fully record) a perio exam
+ * @param {ObjectId} patientId - Patient ID
+ * @param {Object} data - { teeth, notation, examDate, clinic, appointment, treatment, notes, finalize }
+ * @param {ObjectId} userId - Examining user
+ * @returns {Object} - PerioExam document
+ */
+export const createExam = async (patientId, data, userId) => {
+  const { notation = DEFAULT_TOOTH_NOTATION, treatment: treatmentId } = data;
+
+  await findPatient(patientId);
+
+  let treatment = null;
+  if (treatmentId) {
+    treatment = await findTreatment(treatmentId, patientId);
+  }
+
+  const exam = new PerioExam({
+    patient: patientId,
+    examDate: data.examDate || new Date(),
+    clinic: data.clinic || treatment?.clinic,
+    appointment: data.appointment || treatment?.appointment,
+    treatment: treatment?._id,
+    examinedBy: userId,
+    teeth: normalizeTeeth(data.teeth || [], notation),
+    notes: data.notes,
+  });
+
+  if (data.finalize) {
+    return finalizeExam(exam, userId);
+  }
+
+  await exam.save();
+  return exam;
+};
+
+/**
+ * Update a draft exam
+ * Teeth are merged by tooth number (a tooth sent again replaces its readings)
+ *
+ * @param {Object} exam - PerioExam document (draft)
+ * @param {Object} data - { teeth, notation, examDate, notes }
+ * @returns {Object} - PerioExam document
+ */
+export const updateExam = async (exam, data) => {
+  assertEditable(exam);
+
+  if (data.teeth !== undefined) {
+    const updates = normalizeTeeth(data.teeth, data.notation || DEFAULT_TOOTH_NOTATION);
+    const byTooth = new Map(exam.teeth.map((t) => [t.tooth, t.toObject()]));
+
+    for (const tooth of updates) {
+      byTooth.set(tooth.tooth, tooth);
+    }
+
+    exam.teeth = sortTeeth([...byTooth.values()]);
+  }
+
+  if (data.examDate !== undefined) exam.examDate = data.examDate;
+  if (data.notes !== undefined) exam.notes = data.notes;
+
+  await exam.save();
+  return exam;
+};
+
+/**
+ * Lock an exam; a finalized amendment replaces the exam it corrects
+ * @param {Object} exam - PerioExam document (draft)
+ * @param {ObjectId} userId - Finalizing user
+ * @returns {Object} - PerioExam document
+ */
+export const finalizeExam = async (exam, userId) => {
+  assertEditable(exam);
+
+  if (!exam.teeth.length) {
+    throw new BadRequestError("Record at least one tooth before finalizing the exam");
+  }
+
+  exam.status = PERIO_EXAM_STATUS.FINAL;
+  exam.finalizedAt = new Date();
+  exam.finalizedBy = userId;
+  await exam.save();
+
+  if (exam.amends) {
+    await PerioExam.updateOne(
+      { _id: exam.amends },
+      { status: PERIO_EXAM_STATUS.AMENDED, amendedBy: exam._id },
+    );
+  }
+
+  return exam;
+};
+
+/**
+ * Start a corrected version of a final exam (copy as a new draft)
+ * The original stays final until the correction is finalized.
+ *
+ * @param {Object} exam - PerioExam document (final)
+ * @param {String} reason - Why it's being corrected
+ * @param {ObjectId} userId - User correcting it
+ * @returns {Object} - New draft PerioExam
+ */
+export const amendExam = async (exam, reason, userId) => {
+  if (exam.status !== PERIO_EXAM_STATUS.FINAL) {
+    throw new BadRequestError(`Only final exams can be amended (this one is ${exam.status})`);
+  }
+
+  if (!reason) {
+    throw new BadRequestError("Amendment reason is required");
+  }
+
+  const pending = await PerioExam.findOne({
+    amends: exam._id,
+    status: PERIO_EXAM_STATUS.DRAFT,
+  });
+  if (pending) {
+    throw new ConflictError(`Exam already has a draft amendment (version ${pending.version})`);
+  }
+
+  const { _id, version, status, summary, finalizedAt, finalizedBy, createdAt, updatedAt, ...copy } =
+    exam.toObject();
+
+  const amendment = new PerioExam({
+    ...copy,
+    examinedBy: userId,
+    amends: exam._id,
+    amendmentReason: reason,
+  });
+  await amendment.save();
+
+  return amendment;
+};
+
+/**
+ * Compare two exams site by site
+ * Older exam is the baseline whatever order they're passed in.
+ * A site has improved / worsened when probing depth or attachment level
+ * changes by at least PERIO_SIGNIFICANT_CHANGE mm.
+ *
+ * @param {Object} first - PerioExam document
+ * @param {Object} second - PerioExam document
+ * @param {String} notation - Output notation
+ * @returns {Object} - { baseline, current, overall, summary, sites, teeth }
+ */
+export const compareExams = (first, second, notation = DEFAULT_TOOTH_NOTATION) => {
+  const [baseline, current] = first.examDate <= second.examDate ? [first, second] : [second, first];
+
+  const before = new Map(baseline.teeth.map((t) => [t.tooth, t]));
+  const after = new Map(current.teeth.map((t) => [t.tooth, t]));
+  const fdiTeeth = sortTeeth([...new Set([...before.keys(), ...after.keys()])].map((tooth) => ({ tooth })));
+
+  const siteCounts = { compared: 0, improved: 0, worsened: 0, stable: 0 };
+  const teeth = [];
+
+  for (const { tooth: fdi } of fdiTeeth) {
+    const old = before.get(fdi);
+    const now = after.get(fdi);
+    const tooth = fromFdi(fdi, notation);
+
+    if (!old || !now) {
+      teeth.push({ tooth, fdi, trend: old ? "not_recorded" : "new", sites: [] });
+      continue;
+    }
+
+    if (!old.missing && now.missing) {
+      teeth.push({ tooth, fdi, trend: "lost", sites: [] });
+      continue;
+    }
+
+    if (old.missing || now.missing) continue;
+
+    const sites = [];
+    for (const site of PERIO_SITES) {
+      const a = old.sites.find((s) => s.site === site);
+      const b = now.sites.find((s) => s.site === site);
+      if (a?.probingDepth == null || b?.probingDepth == null) continue;
+
+      const compared = compareSite(a, b);
+      siteCounts.compared++;
+      siteCounts[compared.trend]++;
+      sites.push({ site, ...compared });
+    }
+
+    const furcation = { from: old.furcation || 0, to: now.furcation || 0 };
+    const mobility = { from: old.mobility || 0, to: now.mobility || 0 };
+
+    let trend = "stable";
+    if (
+      sites.some((s) => s.trend === "worsened") ||
+      furcation.to > furcation.from ||
+      mobility.to > mobility.from
+    ) {
+      trend = "worsened";
+    } else if (sites.some((s) => s.trend === "improved")) {
+      trend = "improved";
+    }
+
+    teeth.push({ tooth, fdi, trend, furcation, mobility, sites });
+  }
+
+  const lostTeeth = teeth.filter((t) => t.trend === "lost").length;
+
+  let overall = "stable";
+  if (siteCounts.worsened > siteCounts.improved || lostTeeth) {
+    overall = "worsened";
+  } else if (siteCounts.improved > siteCounts.worsened) {
+    overall = "improved";
+  }
+
+  const summary = {};
+  for (const key of Object.keys(summarizeTeeth([]))) {
+    const from = baseline.summary?.[key] ?? 0;
+    const to = current.summary?.[key] ?? 0;
+    summary[key] = { from, to, change: Math.round((to - from) * 10) / 10 };
+  }
+
+  return {
+    baseline: describeExam(baseline),
+    current: describeExam(current),
+    overall,
+    summary,
+    sites: siteCounts,
+    teeth,
+  };
+};
+
+/**
+ * Exam -> API shape (tooth numbers in the requested notation, CAL per site)
+ * @param {Object} exam - PerioExam document
+ * @param {String} notation - Output notation
+ * @returns {Object}
+ */
+export const formatExam = (exam, notation = DEFAULT_TOOTH_NOTATION) => {
+  const data = exam.toObject();
+
+  return {
+    ...data,
+    notation,
+    teeth: (data.teeth || []).map((tooth) => ({
+      ...tooth,
+      tooth: fromFdi(tooth.tooth, notation),
+      fdi: tooth.tooth,
+      sites: (tooth.sites || []).map((site) => ({
+        ...site,
+        attachmentLevel:
+          site.probingDepth == null ? null : site.probingDepth + (site.recession || 0),
+      })),
+    })),
+  };
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function assertEditable(exam) {
+  if (!exam.isEditable()) {
+    throw new BadRequestError(
+      `Perio exam is ${exam.status} and can't be changed (amend it to correct it)`,
+    );
+  }
+}
+
+/**
+ * Request teeth -> stored teeth
+ * Sites can be sent in full ({ sites: [{ site, probingDepth, ... }] }) or as
+ * six-value arrays in PERIO_SITES order:
+ *   { tooth: "16", probingDepths: [3, 2, 4, 5, 3, 3], recession: [...], bleeding: [...] }
+ */
+function normalizeTeeth(teeth, notation) {
+  if (!Array.isArray(teeth)) {
+    throw new BadRequestError("Teeth must be an array");
+  }
+
+  return sortTeeth(
+    teeth.map((input) => {
+      const tooth = toFdi(input?.tooth, notation);
+      if (!tooth) {
+        throw new BadRequestError(`Invalid tooth number: ${input?.tooth} (${notation} notation)`);
+      }
+
+      return {
+        tooth,
+        missing: Boolean(input.missing),
+        sites: input.missing ? [] : normalizeSites(input, fromFdi(tooth, notation)),
+        furcation: input.furcation ?? 0,
+        mobility: input.mobility ?? 0,
+        notes: input.notes,
+      };
+    }),
+  );
+}
+
+function normalizeSites(input, label) {
+  if (Array.isArray(input.sites)) {
+    return input.sites.map((site) => ({
+      ...site,
+      site: String(site.site || "").toUpperCase(),
+    }));
+  }
+
+  const { probingDepths, recession, bleeding, suppuration } = input;
+  const arrays = { probingDepths, recession, bleeding, suppuration };
+
+  for (const [name, values] of Object.entries(arrays)) {
+    if (values !== undefined && (!Array.isArray(values) || values.length !== PERIO_SITES.length)) {
+      throw new BadRequestError(
+        `Tooth ${label}: ${name} must list ${PERIO_SITES.length} values (${PERIO_SITES.join(", ")})`,
+      );
+    }
+  }
+
+  if (!probingDepths) return [];
+
+  return PERIO_SITES.map((site, i) => ({
+    site,
+    probingDepth: probingDepths[i],
+    recession: recession?.[i] ?? 0,
+    bleeding: Boolean(bleeding?.[i]),
+    suppuration: Boolean(suppuration?.[i]),
+  }));
+}
+
+// Chart order (upper right → upper left → lower left → lower right)
+function sortTeeth(teeth) {
+  const order = [...getDentition("permanent"), ...getDentition("primary")];
+  return [...teeth].sort((a, b) => order.indexOf(a.tooth) - order.indexOf(b.tooth));
+}
+
+function compareSite(a, b) {
+  const calA = a.probingDepth + (a.recession || 0);
+  const calB = b.probingDepth + (b.recession || 0);
+
+  const depthChange = b.probingDepth - a.probingDepth;
+  const attachmentChange = calB - calA;
+
+  let trend = "stable";
+  if (depthChange >= PERIO_SIGNIFICANT_CHANGE || attachmentChange >= PERIO_SIGNIFICANT_CHANGE) {
+    trend = "worsened";
+  } else if (
+    depthChange <= -PERIO_SIGNIFICANT_CHANGE ||
+    attachmentChange <= -PERIO_SIGNIFICANT_CHANGE
+  ) {
+    trend = "improved";
+  }
+
+  return {
+    trend,
+    probingDepth: { from: a.probingDepth, to: b.probingDepth, change: depthChange },
+    attachmentLevel: { from: calA, to: calB, change: attachmentChange },
+    bleeding: { from: a.bleeding, to: b.bleeding },
+  };
+}
+
+function describeExam(exam) {
+  return {
+    id: exam._id,
+    version: exam.version,
+    status: exam.status,
+    examDate: exam.examDate,
+  };
+}
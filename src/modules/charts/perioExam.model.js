@@ -0,0 +1,258 @@
+import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+import {
+  FURCATION_GRADES,
+  PERIO_DEEP_POCKET_DEPTH,
+  PERIO_EXAM_STATUS,
+  PERIO_POCKET_DEPTH,
+  PERIO_SITES,
+} from "../../constants/dentalChart.js";
+import { isValidFdi } from "../../utils/teeth.js";
+
+/**
+ * PERIO EXAM MODEL
+ * One periodontal charting exam for a patient
+ *
+ * Key features:
+ * - Six probing sites per tooth: probing depth, recession, bleeding on probing
+ * - Furcation and mobility per tooth
+ * - Exams are numbered per patient (version 1, 2, 3, ...) and locked once final;
+ *   corrections go into a new version that marks the old one as amended
+ * - Summary (mean depth, BOP %, pockets) is recalculated on every save
+ */
+
+// ============ SUB-SCHEMAS ============
+
+const perioSiteSchema = new mongoose.Schema(
+  {
+    site: {
+      type: String,
+      enum: PERIO_SITES,
+      required: true,
+    },
+
+    // Gingival margin to pocket base (mm)
+    probingDepth: {
+      type: Number,
+      min: [0, "Probing depth can't be negative"],
+      max: [20, "Probing depth must be at most 20 mm"],
+    },
+
+    // Gingival margin below the CEJ (mm); negative = enlargement above it
+    recession: {
+      type: Number,
+      default: 0,
+      min: [-10, "Recession must be at least -10 mm"],
+      max: [20, "Recession must be at most 20 mm"],
+    },
+
+    bleeding: {
+      type: Boolean,
+      default: false,
+    },
+
+    suppuration: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false },
+);
+
+const perioToothSchema = new mongoose.Schema(
+  {
+    // FDI tooth number
+    tooth: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidFdi,
+        message: "Invalid tooth number",
+      },
+    },
+
+    // Missing teeth are listed so they're not read as "not probed"
+    missing: {
+      type: Boolean,
+      default: false,
+    },
+
+    sites: [perioSiteSchema],
+
+    furcation: {
+      type: Number,
+      enum: FURCATION_GRADES,
+      default: 0,
+    },
+
+    mobility: {
+      type: Number,
+      enum: [0, 1, 2, 3],
+      default: 0,
+    },
+
+    notes: String,
+  },
+  { _id: false },
+);
+
+// ============ PERIO EXAM SCHEMA ============
+
+const perioExamSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    // 1, 2, 3, ... per patient
+    version: Number,
+
+    status: {
+      type: String,
+      enum: Object.values(PERIO_EXAM_STATUS),
+      default: PERIO_EXAM_STATUS.DRAFT,
+    },
+
+    examDate: {
+      type: Date,
+      default: Date.now,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    // Periodontal treatment this exam belongs to (e.g. re-evaluation after scaling)
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+
+    examinedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    teeth: [perioToothSchema],
+
+    notes: String,
+
+    // -------- Versioning --------
+    // Exam this one corrects
+    amends: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PerioExam",
+    },
+    amendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PerioExam",
+    },
+    amendmentReason: String,
+
+    finalizedAt: Date,
+    finalizedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // -------- Calculated on save --------
+    summary: {
+      teethPresent: Number,
+      sitesMeasured: Number,
+      meanProbingDepth: Number,
+      meanAttachmentLevel: Number,
+      bleedingPercent: Number,
+      pocketSites: Number, // probing depth >= PERIO_POCKET_DEPTH
+      deepPocketSites: Number, // probing depth >= PERIO_DEEP_POCKET_DEPTH
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+perioExamSchema.index({ patient: 1, version: -1 });
+perioExamSchema.index({ patient: 1, examDate: -1 });
+
+// ============ VALIDATION ============
+
+/**
+ * Each tooth once, each site once per tooth
+ */
+perioExamSchema.pre("validate", function () {
+  const seen = new Set();
+
+  for (const tooth of this.teeth) {
+    if (seen.has(tooth.tooth)) {
+      this.invalidate("teeth", `Tooth ${tooth.tooth} is listed twice`);
+    }
+    seen.add(tooth.tooth);
+
+    const sites = tooth.sites.map((s) => s.site);
+    if (new Set(sites).size !== sites.length) {
+      this.invalidate("teeth", `Tooth ${tooth.tooth} has a site listed twice`);
+    }
+  }
+});
+
+// ============ PRE-SAVE MIDDLEWARE ============
+
+/**
+ * Number new exams per patient and recalculate the summary
+ */
+perioExamSchema.pre("save", async function () {
+  if (this.isNew) {
+    this.version = await counterService.nextSequence("perioExam", {
+      prefix: String(this.patient),
+    });
+  }
+
+  this.summary = summarizeTeeth(this.teeth);
+});
+
+// ============ METHODS ============
+
+perioExamSchema.methods.isEditable = function () {
+  return this.status === PERIO_EXAM_STATUS.DRAFT;
+};
+
+// ============ HELPERS ============
+
+/**
+ * Whole-mouth figures for an exam
+ * Attachment level (CAL) = probing depth + recession
+ * @param {Array} teeth - Exam teeth
+ * @returns {Object} - summary
+ */
+export const summarizeTeeth = (teeth = []) => {
+  const present = teeth.filter((t) => !t.missing);
+  const sites = present.flatMap((t) => t.sites).filter((s) => s.probingDepth != null);
+
+  const round = (value) => Math.round(value * 10) / 10;
+  const mean = (values) =>
+    values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+
+  return {
+    teethPresent: present.length,
+    sitesMeasured: sites.length,
+    meanProbingDepth: mean(sites.map((s) => s.probingDepth)),
+    meanAttachmentLevel: mean(sites.map((s) => s.probingDepth + (s.recession || 0))),
+    bleedingPercent: sites.length
+      ? round((sites.filter((s) => s.bleeding).length / sites.length) * 100)
+      : 0,
+    pocketSites: sites.filter((s) => s.probingDepth >= PERIO_POCKET_DEPTH).length,
+    deepPocketSites: sites.filter((s) => s.probingDepth >= PERIO_DEEP_POCKET_DEPTH).length,
+  };
+};
+
+// Create and export the model
+const PerioExam = mongoose.model("PerioExam", perioExamSchema);
+
+export default PerioExam;
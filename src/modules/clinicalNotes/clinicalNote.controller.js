@@ -0,0 +1,295 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import ClinicalNote from "./clinicalNote.model.js";
+import NoteTemplate from "./noteTemplate.model.js";
+import * as clinicalNoteService from "./clinicalNote.service.js";
+import { CLINICAL_NOTE_STATUS } from "../../constants/clinicalNotes.js";
+
+/**
+ * CLINICAL NOTE CONTROLLER
+ *
+ * Handles:
+ * - Note templates (SOAP text per treatment category)
+ * - SOAP notes per appointment: draft → signed (locked) → amendments
+ */
+
+// ==================== TEMPLATES ====================
+
+/**
+ * @desc    Get note templates
+ * @route   GET /api/clinical-notes/templates?category=&active=
+ * @access  Admin
+ */
+export const getTemplates = asyncHandler(async (req, res) => {
+  const { category, active = "true" } = req.query;
+
+  const filter = {};
+  if (active === "true") {
+    filter.isActive = true;
+  }
+  if (category) {
+    filter.treatmentCategory = category;
+  }
+
+  const templates = await NoteTemplate.find(filter).sort({ treatmentCategory: 1, name: 1 });
+
+  ApiResponse.success(res, { templates }, "Note templates fetched successfully");
+});
+
+/**
+ * @desc    Create note template
+ * @route   POST /api/clinical-notes/templates
+ * @access  Admin
+ *
+ * Body: { name, treatmentCategory?, isDefault?, subjective?, objective?, assessment?, plan? }
+ * isDefault replaces the category's current default
+ */
+export const createTemplate = asyncHandler(async (req, res) => {
+  if (!req.body.name) {
+    return ApiResponse.error(res, "Template name is required", 400);
+  }
+
+  const existing = await NoteTemplate.findOne({ name: req.body.name.trim() });
+  if (existing) {
+    return ApiResponse.error(res, "Template with this name already exists", 409);
+  }
+
+  const template = await NoteTemplate.create({
+    ...pickTemplateFields(req.body),
+    createdBy: req.user?._id,
+  });
+
+  if (template.isDefault) {
+    await clinicalNoteService.setDefaultTemplate(template);
+  }
+
+  ApiResponse.created(res, { template }, "Note template created successfully");
+});
+
+/**
+ * @desc    Update note template (existing notes keep their text)
+ * @route   PATCH /api/clinical-notes/templates/:id
+ * @access  Admin
+ */
+export const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req, res);
+  if (!template) return;
+
+  Object.assign(template, pickTemplateFields(req.body));
+  await template.save();
+
+  if (template.isDefault) {
+    await clinicalNoteService.setDefaultTemplate(template);
+  }
+
+  ApiResponse.success(res, { template }, "Note template updated successfully");
+});
+
+/**
+ * @desc    Delete (deactivate) note template
+ * @route   DELETE /api/clinical-notes/templates/:id
+ * @access  Admin
+ */
+export const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req, res);
+  if (!template) return;
+
+  // Soft delete - notes still reference it
+  template.isActive = false;
+  template.isDefault = false;
+  await template.save();
+
+  ApiResponse.success(res, null, "Note template deactivated successfully");
+});
+
+/**
+ * @desc    Seed default note templates
+ * @route   POST /api/clinical-notes/templates/seed
+ * @access  Admin
+ */
+export const seedDefaultTemplates = asyncHandler(async (req, res) => {
+  await NoteTemplate.seedDefaultTemplates();
+
+  const templates = await NoteTemplate.find({ isActive: true }).sort({
+    treatmentCategory: 1,
+    name: 1,
+  });
+
+  ApiResponse.success(res, { templates }, "Default note templates seeded successfully");
+});
+
+// ==================== NOTES ====================
+
+/**
+ * @desc    Get clinical notes
+ * @route   GET /api/clinical-notes?patient=&appointment=&doctor=&status=
+ * @access  Admin
+ *
+ * Amended (replaced) versions are left out unless asked for with status=amended
+ */
+export const getNotes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, patient, appointment, doctor, status } = req.query;
+
+  const query = {};
+
+  for (const [field, value] of Object.entries({ patient, appointment, doctor })) {
+    if (value && mongoose.Types.ObjectId.isValid(value)) {
+      query[field] = value;
+    }
+  }
+
+  query.status = status || { $ne: CLINICAL_NOTE_STATUS.AMENDED };
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [notes, total] = await Promise.all([
+    ClinicalNote.find(query)
+      .populate("patient", "name phone")
+      .populate("doctor", "name")
+      .populate("appointment", "appointmentNumber date timeSlot")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ClinicalNote.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, notes, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Get clinical note
+ * @route   GET /api/clinical-notes/:id
+ * @access  Admin
+ */
+export const getNoteById = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.findNote(req.params.id);
+
+  await note.populate([
+    { path: "patient", select: "name phone" },
+    { path: "appointment", select: "appointmentNumber date timeSlot status" },
+    { path: "doctor", select: "name qualifications registrationNumber" },
+    { path: "treatment", select: "treatmentNumber status" },
+    { path: "template", select: "name treatmentCategory" },
+    { path: "signedBy", select: "name" },
+    { path: "createdBy", select: "name" },
+  ]);
+
+  ApiResponse.success(res, { note }, "Clinical note fetched successfully");
+});
+
+/**
+ * @desc    Every version of the note (original first) with changed sections
+ * @route   GET /api/clinical-notes/:id/history
+ * @access  Admin
+ */
+export const getNoteHistory = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.findNote(req.params.id);
+
+  const versions = await clinicalNoteService.getNoteHistory(note.appointment);
+
+  ApiResponse.success(res, { versions }, "Clinical note history fetched successfully");
+});
+
+/**
+ * @desc    Write the clinical note for an appointment
+ * @route   POST /api/clinical-notes
+ * @access  Admin
+ *
+ * Body: {
+ *   appointment, template?, treatmentCategory?, doctor?, treatment?,
+ *   subjective?, objective?, assessment?, plan?, sign?
+ * }
+ * Sections not sent come from the template. Saved as a draft unless sign is true.
+ */
+export const createNote = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.createNote(req.body, req.user);
+
+  ApiResponse.created(res, { note }, "Clinical note created successfully");
+});
+
+/**
+ * @desc    Update a draft note
+ * @route   PATCH /api/clinical-notes/:id
+ * @access  Admin
+ */
+export const updateNote = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.findNote(req.params.id);
+
+  await clinicalNoteService.updateNote(note, req.body);
+
+  ApiResponse.success(res, { note }, "Clinical note updated successfully");
+});
+
+/**
+ * @desc    Sign (lock) a draft note
+ * @route   POST /api/clinical-notes/:id/sign
+ * @access  Admin (the note's doctor)
+ */
+export const signNote = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.findNote(req.params.id);
+
+  await clinicalNoteService.signNote(note, req.user);
+
+  ApiResponse.success(res, { note }, "Clinical note signed successfully");
+});
+
+/**
+ * @desc    Start an amendment of a signed note
+ * @route   POST /api/clinical-notes/:id/amend
+ * @access  Admin
+ *
+ * Body: { reason }
+ * Creates a draft copy; the original is marked amended when the copy is signed
+ */
+export const amendNote = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.findNote(req.params.id);
+
+  const amendment = await clinicalNoteService.amendNote(note, req.body.reason, req.user);
+
+  ApiResponse.created(res, { note: amendment }, "Clinical note amendment started");
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+const TEMPLATE_FIELDS = [
+  "name",
+  "treatmentCategory",
+  "isDefault",
+  "subjective",
+  "objective",
+  "assessment",
+  "plan",
+  "isActive",
+];
+
+function pickTemplateFields(body) {
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+async function findTemplate(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    ApiResponse.error(res, "Invalid note template ID", 400);
+    return null;
+  }
+
+  const template = await NoteTemplate.findById(id);
+
+  if (!template) {
+    ApiResponse.error(res, "Note template not found", 404);
+    return null;
+  }
+
+  return template;
+}
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+import { CLINICAL_NOTE_STATUS, SOAP_SECTIONS } from "../../constants/clinicalNotes.js";
+
+/**
+ * CLINICAL NOTE MODEL
+ * SOAP note (Subjective, Objective, Assessment, Plan) for an appointment
+ *
+ * Key features:
+ * - Prefilled from a note template (per treatment category)
+ * - Draft until signed by the doctor, then locked
+ * - Corrections go into an amendment (new version of the note); once the
+ *   amendment is signed the original is marked amended and kept unchanged
+ */
+
+const clinicalNoteSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: [true, "Appointment is required"],
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+    // Doctor responsible for the note - the only one who can sign it
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Doctor is required"],
+    },
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+
+    // 1, 2, 3, ... per appointment (amendments get the next version)
+    version: Number,
+
+    status: {
+      type: String,
+      enum: Object.values(CLINICAL_NOTE_STATUS),
+      default: CLINICAL_NOTE_STATUS.DRAFT,
+    },
+
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NoteTemplate",
+    },
+
+    // -------- SOAP --------
+    subjective: String, // Complaint and history in the patient's words
+    objective: String, // Examination findings
+    assessment: String, // Diagnosis
+    plan: String, // Treatment done / planned, advice, next visit
+
+    // -------- Signing --------
+    signedAt: Date,
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // -------- Amendments --------
+    // Note this one corrects
+    amends: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ClinicalNote",
+    },
+    amendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ClinicalNote",
+    },
+    amendmentReason: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+clinicalNoteSchema.index({ appointment: 1, version: -1 });
+clinicalNoteSchema.index({ patient: 1, createdAt: -1 });
+clinicalNoteSchema.index({ doctor: 1, status: 1 });
+
+// ============ PRE-SAVE MIDDLEWARE ============
+
+/**
+ * Number new notes per appointment
+ */
+clinicalNoteSchema.pre("save", async function () {
+  if (this.isNew) {
+    this.version = await counterService.nextSequence("clinicalNote", {
+      prefix: String(this.appointment),
+    });
+  }
+});
+
+// ============ METHODS ============
+
+clinicalNoteSchema.methods.isEditable = function () {
+  return this.status === CLINICAL_NOTE_STATUS.DRAFT;
+};
+
+/**
+ * Whether any SOAP section has content
+ */
+clinicalNoteSchema.methods.hasContent = function () {
+  return SOAP_SECTIONS.some((section) => this[section]?.trim());
+};
+
+// Create and export the model
+const ClinicalNote = mongoose.model("ClinicalNote", clinicalNoteSchema);
+
+export default ClinicalNote;
@@ -0,0 +1,51 @@
+import { Router } from "express";
+import * as clinicalNoteController from "./clinicalNote.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * CLINICAL NOTE ROUTES
+ * Base path: /api/clinical-notes
+ *
+ * SOAP notes per appointment (templates per treatment category,
+ * signing by the doctor locks the note, amendments keep the original)
+ */
+
+// ==================== TEMPLATES ====================
+
+// Get templates (filters: category, active)
+router.get("/templates", authProtect, clinicalNoteController.getTemplates);
+
+// Seed default templates
+router.post("/templates/seed", authProtect, clinicalNoteController.seedDefaultTemplates);
+
+// Create template
+router.post("/templates", authProtect, clinicalNoteController.createTemplate);
+
+// Update template
+router.patch("/templates/:id", authProtect, clinicalNoteController.updateTemplate);
+
+// Delete (deactivate) template
+router.delete("/templates/:id", authProtect, clinicalNoteController.deleteTemplate);
+
+// ==================== NOTES ====================
+
+// Get notes (filters: patient, appointment, doctor, status)
+router.get("/", authProtect, clinicalNoteController.getNotes);
+
+// Write the note for an appointment
+router.post("/", authProtect, clinicalNoteController.createNote);
+
+// Single note
+router.get("/:id", authProtect, clinicalNoteController.getNoteById);
+router.patch("/:id", authProtect, clinicalNoteController.updateNote);
+
+// All versions of the note
+router.get("/:id/history", authProtect, clinicalNoteController.getNoteHistory);
+
+// Lock a draft / start an amendment of a signed note
+router.post("/:id/sign", authProtect, clinicalNoteController.signNote);
+router.post("/:id/amend", authProtect, clinicalNoteController.amendNote);
+
+export default router;
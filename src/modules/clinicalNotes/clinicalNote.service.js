@@ -0,0 +1,302 @@
+import mongoose from "mongoose";
+import ClinicalNote from "./clinicalNote.model.js";
+import NoteTemplate from "./noteTemplate.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import User from "../users/user.model.js";
+import * as chartService from "../charts/chart.service.js";
+import { CLINICAL_NOTE_STATUS, SOAP_SECTIONS } from "../../constants/clinicalNotes.js";
+import { INACTIVE_APPOINTMENT_STATUSES } from "../../constants/appointmentStatus.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../utils/AppError.js";
+
+/**
+ * CLINICAL NOTE SERVICE
+ *
+ * SOAP notes per appointment:
+ * - Prefilled from a note template (chosen, or the default for the treatment category)
+ * - Draft → signed by the note's doctor (locked) → amended by a signed correction
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+/**
+ * Find a clinical note by ID
+ * @param {ObjectId} noteId - ClinicalNote ID
+ * @returns {Object} - ClinicalNote document
+ */
+export const findNote = async (noteId) => {
+  if (!mongoose.Types.ObjectId.isValid(noteId)) {
+    throw new BadRequestError("Invalid clinical note ID");
+  }
+
+  const note = await ClinicalNote.findById(noteId);
+  if (!note) {
+    throw new NotFoundError("Clinical note");
+  }
+  return note;
+};
+
+/**
+ * Find an active note template by ID
+ * @param {ObjectId} templateId - NoteTemplate ID
+ * @returns {Object} - NoteTemplate document
+ */
+export const findTemplate = async (templateId) => {
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new BadRequestError("Invalid note template ID");
+  }
+
+  const template = await NoteTemplate.findById(templateId);
+  if (!template || !template.isActive) {
+    throw new NotFoundError("Note template");
+  }
+  return template;
+};
+
+/**
+ * Make a template the only default of its category
+ * @param {Object} template - NoteTemplate document (saved)
+ */
+export const setDefaultTemplate = async (template) => {
+  await NoteTemplate.updateMany(
+    { _id: { $ne: template._id }, treatmentCategory: template.treatmentCategory ?? null },
+    { isDefault: false },
+  );
+};
+
+/**
+ * Start the clinical note for an appointment
+ * Template: data.template, else the default for data.treatmentCategory or the
+ * category of the visit's first planned treatment, else the general default.
+ * SOAP sections sent in data replace the template text.
+ *
+ * @param {Object} data - { appointment, template, treatmentCategory, doctor, treatment,
+ *                          subjective, objective, assessment, plan, sign }
+ * @param {Object} user - Writing user
+ * @returns {Object} - ClinicalNote document
+ */
+export const createNote = async (data, user) => {
+  const appointment = await findAppointment(data.appointment);
+
+  if (INACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+    throw new BadRequestError(`Can't write a note for a ${appointment.status} appointment`);
+  }
+
+  // One note per appointment - later changes are amendments (new versions)
+  const existing = await ClinicalNote.exists({ appointment: appointment._id });
+  if (existing) {
+    throw new ConflictError(
+      "Appointment already has a clinical note - edit the draft or amend the signed note",
+    );
+  }
+
+  let treatment = null;
+  if (data.treatment) {
+    treatment = await chartService.findTreatment(data.treatment, appointment.patient);
+  }
+
+  const doctor = await findDoctor(data.doctor || appointment.doctor || user?._id);
+  const template = await resolveTemplate(data, appointment);
+
+  const note = new ClinicalNote({
+    appointment: appointment._id,
+    patient: appointment.patient,
+    clinic: appointment.clinic,
+    doctor: doctor._id,
+    treatment: treatment?._id,
+    template: template?._id,
+    createdBy: user?._id,
+  });
+
+  for (const section of SOAP_SECTIONS) {
+    note[section] = data[section] ?? template?.[section];
+  }
+
+  if (data.sign) {
+    return signNote(note, user);
+  }
+
+  await note.save();
+  return note;
+};
+
+/**
+ * Update a draft note
+ * @param {Object} note - ClinicalNote document (draft)
+ * @param {Object} data - { subjective, objective, assessment, plan, doctor, treatment }
+ * @returns {Object} - ClinicalNote document
+ */
+export const updateNote = async (note, data) => {
+  assertEditable(note);
+
+  for (const section of SOAP_SECTIONS) {
+    if (data[section] !== undefined) note[section] = data[section];
+  }
+
+  if (data.doctor !== undefined) {
+    note.doctor = (await findDoctor(data.doctor))._id;
+  }
+
+  if (data.treatment !== undefined) {
+    note.treatment = data.treatment
+      ? (await chartService.findTreatment(data.treatment, note.patient))._id
+      : undefined;
+  }
+
+  await note.save();
+  return note;
+};
+
+/**
+ * Sign (lock) a draft note - only the note's doctor can sign
+ * A signed amendment replaces the note it corrects.
+ *
+ * @param {Object} note - ClinicalNote document (draft)
+ * @param {Object} user - Signing user
+ * @returns {Object} - ClinicalNote document
+ */
+export const signNote = async (note, user) => {
+  assertEditable(note);
+
+  if (!user || String(note.doctor) !== String(user._id)) {
+    throw new ForbiddenError("Only the note's doctor can sign it");
+  }
+
+  if (!note.hasContent()) {
+    throw new BadRequestError("Write the note before signing it");
+  }
+
+  note.status = CLINICAL_NOTE_STATUS.SIGNED;
+  note.signedAt = new Date();
+  note.signedBy = user._id;
+  await note.save();
+
+  if (note.amends) {
+    await ClinicalNote.updateOne(
+      { _id: note.amends },
+      { status: CLINICAL_NOTE_STATUS.AMENDED, amendedBy: note._id },
+    );
+  }
+
+  return note;
+};
+
+/**
+ * Start an amendment of a signed note (copy as a new draft)
+ * The original stays signed until the amendment is signed, and is never changed.
+ *
+ * @param {Object} note - ClinicalNote document (signed)
+ * @param {String} reason - Why it's being amended
+ * @param {Object} user - User amending it
+ * @returns {Object} - New draft ClinicalNote
+ */
+export const amendNote = async (note, reason, user) => {
+  if (note.status !== CLINICAL_NOTE_STATUS.SIGNED) {
+    throw new BadRequestError(`Only signed notes can be amended (this one is ${note.status})`);
+  }
+
+  if (!reason) {
+    throw new BadRequestError("Amendment reason is required");
+  }
+
+  const pending = await ClinicalNote.findOne({
+    amends: note._id,
+    status: CLINICAL_NOTE_STATUS.DRAFT,
+  });
+  if (pending) {
+    throw new ConflictError(`Note already has a draft amendment (version ${pending.version})`);
+  }
+
+  const { _id, version, status, signedAt, signedBy, amendedBy, createdAt, updatedAt, ...copy } =
+    note.toObject();
+
+  const amendment = new ClinicalNote({
+    ...copy,
+    amends: note._id,
+    amendmentReason: reason,
+    createdBy: user?._id,
+  });
+  await amendment.save();
+
+  return amendment;
+};
+
+/**
+ * Every version of an appointment's note, oldest first
+ * Each version lists the SOAP sections that differ from the one before.
+ *
+ * @param {ObjectId} appointmentId - Appointment ID
+ * @returns {Array} - [{ note, changedSections }]
+ */
+export const getNoteHistory = async (appointmentId) => {
+  const notes = await ClinicalNote.find({ appointment: appointmentId })
+    .populate("doctor", "name")
+    .populate("signedBy", "name")
+    .populate("createdBy", "name")
+    .sort({ version: 1 });
+
+  const byId = new Map(notes.map((n) => [String(n._id), n]));
+
+  return notes.map((note) => {
+    const previous = note.amends ? byId.get(String(note.amends)) : null;
+
+    return {
+      note,
+      changedSections: previous
+        ? SOAP_SECTIONS.filter((section) => (previous[section] || "") !== (note[section] || ""))
+        : [],
+    };
+  });
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function assertEditable(note) {
+  if (!note.isEditable()) {
+    throw new BadRequestError(`Note is ${note.status} and can't be changed - amend it instead`);
+  }
+}
+
+async function findAppointment(appointmentId) {
+  if (!appointmentId || !mongoose.Types.ObjectId.isValid(appointmentId)) {
+    throw new BadRequestError("Valid appointment ID is required");
+  }
+
+  const appointment = await Appointment.findById(appointmentId).populate(
+    "plannedTreatments",
+    "category",
+  );
+  if (!appointment) {
+    throw new NotFoundError("Appointment");
+  }
+  return appointment;
+}
+
+async function findDoctor(doctorId) {
+  if (!doctorId || !mongoose.Types.ObjectId.isValid(doctorId)) {
+    throw new BadRequestError("Doctor is required");
+  }
+
+  const doctor = await User.findById(doctorId);
+  if (!doctor || !doctor.isActive) {
+    throw new NotFoundError("Doctor");
+  }
+
+  if (!doctor.isDoctor) {
+    throw new BadRequestError(`${doctor.name} is not a doctor`);
+  }
+  return doctor;
+}
+
+async function resolveTemplate(data, appointment) {
+  if (data.template) {
+    return findTemplate(data.template);
+  }
+
+  const category = data.treatmentCategory || appointment.plannedTreatments?.[0]?.category;
+  return NoteTemplate.findDefault(category);
+}
@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import { TreatmentMaster } from "../treatments/treatment.model.js";
+
+/**
+ * NOTE TEMPLATE MODEL
+ * Starting text for the SOAP sections of a clinical note
+ *
+ * Key features:
+ * - One template per treatment category can be the default
+ *   (templates without a category are general)
+ * - A new note is prefilled from the chosen template, or the default for
+ *   the category of the visit's planned treatment
+ */
+
+const TREATMENT_CATEGORIES = TreatmentMaster.schema.path("category").enumValues;
+
+const noteTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      unique: true,
+      trim: true,
+    },
+
+    // Empty = general template
+    treatmentCategory: {
+      type: String,
+      enum: TREATMENT_CATEGORIES,
+    },
+
+    // Default template for its category (or the general default)
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Prefilled text / prompts per SOAP section
+    subjective: String,
+    objective: String,
+    assessment: String,
+    plan: String,
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+noteTemplateSchema.index({ treatmentCategory: 1, isDefault: 1 });
+
+// ============ STATICS ============
+
+/**
+ * Default template for a treatment category (falls back to the general default)
+ * @param {String} category - Treatment category (optional)
+ * @returns {Object|null} - NoteTemplate document
+ */
+noteTemplateSchema.statics.findDefault = async function (category) {
+  if (category) {
+    const template = await this.findOne({
+      treatmentCategory: category,
+      isDefault: true,
+      isActive: true,
+    });
+    if (template) return template;
+  }
+
+  return this.findOne({ treatmentCategory: null, isDefault: true, isActive: true });
+};
+
+/**
+ * Seed default templates
+ * Call this once during initial setup
+ */
+noteTemplateSchema.statics.seedDefaultTemplates = async function () {
+  const defaultTemplates = [
+    {
+      name: "General Consultation",
+      isDefault: true,
+      subjective: "Chief complaint:\nHistory of present complaint:\nMedical history reviewed:",
+      objective: "Extra-oral:\nIntra-oral:\nTeeth involved:",
+      assessment: "Diagnosis:",
+      plan: "Treatment advised:\nNext visit:",
+    },
+    {
+      name: "Root Canal Treatment",
+      treatmentCategory: "endodontic",
+      isDefault: true,
+      subjective: "Pain (onset / type / duration):\nSensitivity to hot / cold:",
+      objective: "Tooth:\nPercussion:\nPalpation:\nPulp vitality test:\nRadiograph (IOPA):",
+      assessment: "Pulpal diagnosis:\nPeriapical diagnosis:",
+      plan: "Access opening / BMP / obturation:\nWorking length:\nMedicament:\nNext visit:",
+    },
+    {
+      name: "Periodontal Treatment",
+      treatmentCategory: "periodontic",
+      isDefault: true,
+      subjective: "Bleeding gums:\nMobility / sensitivity:\nOral hygiene routine:",
+      objective: "Plaque / calculus:\nProbing depths (see perio chart):\nBleeding on probing:",
+      assessment: "Periodontal diagnosis (stage / grade):",
+      plan: "Scaling / root planing:\nOral hygiene instructions:\nRe-evaluation:",
+    },
+    {
+      name: "Extraction",
+      treatmentCategory: "surgical",
+      isDefault: true,
+      subjective: "Complaint:\nMedical history / anticoagulants checked:",
+      objective: "Tooth:\nMobility:\nRadiograph:",
+      assessment: "Indication for extraction:",
+      plan: "Anaesthesia:\nProcedure:\nHaemostasis:\nPost-operative instructions given:",
+    },
+    {
+      name: "Restoration",
+      treatmentCategory: "restorative",
+      isDefault: true,
+      subjective: "Complaint:\nSensitivity:",
+      objective: "Tooth / surfaces:\nCaries depth:",
+      assessment: "Diagnosis:",
+      plan: "Material:\nShade:\nOcclusion checked:",
+    },
+    {
+      name: "Orthodontic Review",
+      treatmentCategory: "orthodontic",
+      isDefault: true,
+      subjective: "Discomfort / breakages since last visit:",
+      objective: "Appliance condition:\nOral hygiene:\nProgress:",
+      assessment: "Stage of treatment:",
+      plan: "Adjustment / wire change:\nNext review:",
+    },
+  ];
+
+  // Use upsert to avoid duplicates
+  for (const template of defaultTemplates) {
+    await this.findOneAndUpdate({ name: template.name }, template, { upsert: true, new: true });
+  }
+};
+
+// Create and export the model
+const NoteTemplate = mongoose.model("NoteTemplate", noteTemplateSchema);
+
+export default NoteTemplate;
@@ -2,6 +2,16 @@ import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import Clinic from "./clinic.model.js";
 import Appointment from "../appointments/appointment.model.js";
+import AppointmentSeries from "../appointments/appointmentSeries.model.js";
+import WaitlistEntry from "../waitlist/waitlist.model.js";
+import {
+  formatDay,
+  getDayRange,
+  getMonthRange,
+  getTimezone,
+  isValidTimezone,
+  toClinicDay,
+} from "../../utils/date.js";
 
 /**
  * CLINIC CONTROLLER
@@ -13,6 +23,7 @@ import Appointment from "../appointments/appointment.model.js";
  * - CRUD operations for clinics
  * - Operating hours management
  * - Holiday management
+ * - Chair (operatory) management
  * - Available slot checking
  */
 
@@ -59,13 +70,26 @@ export const getClinicById = asyncHandler(async (req, res) => {
  * @access  Admin
  */
 export const createClinic = asyncHandler(async (req, res) => {
-  const { name, code, address, phone, operatingHours, appointmentSettings } = req.body;
+  const {
+    name,
+    code,
+    address,
+    phone,
+    email,
+    timezone,
+    operatingHours,
+    appointmentSettings,
+  } = req.body;
 
   // Validate required fields
   if (!name || !code) {
     return ApiResponse.error(res, "Clinic name and code are required", 400);
   }
 
+  if (timezone && !isValidTimezone(timezone)) {
+    return ApiResponse.error(res, "Invalid timezone (use an IANA name such as Asia/Kolkata)", 400);
+  }
+
   // Check if code already exists
   const existingClinic = await Clinic.findOne({ code: code.toUpperCase() });
   if (existingClinic) {
@@ -87,7 +111,9 @@ export const createClinic = asyncHandler(async (req, res) => {
     name,
     code: code.toUpperCase(),
     address,
-    phone: Array.isArray(phone) ? phone : [phone],
+    phone: Array.isArray(phone) ? phone : [phone].filter(Boolean),
+    email,
+    timezone,
     operatingHours: operatingHours || defaultOperatingHours,
     appointmentSettings,
   });
@@ -99,6 +125,9 @@ export const createClinic = asyncHandler(async (req, res) => {
  * @desc    Update clinic
  * @route   PATCH /api/clinics/:id
  * @access  Admin
+ *
+ * timezone can only change while the clinic has no appointments, series or
+ * waitlist entries: their dates are stored as the start of the clinic's day
  */
 export const updateClinic = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -110,8 +139,33 @@ export const updateClinic = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Clinic not found", 404);
   }
 
+  // Stored days would no longer line up with the new timezone's days
+  if (req.body.timezone !== undefined && req.body.timezone !== clinic.timezone) {
+    const [appointment, series, waitlistEntry] = await Promise.all([
+      Appointment.exists({ clinic: clinic._id }),
+      AppointmentSeries.exists({ clinic: clinic._id }),
+      WaitlistEntry.exists({ clinic: clinic._id }),
+    ]);
+
+    if (appointment || series || waitlistEntry) {
+      return ApiResponse.error(
+        res,
+        "Timezone can't be changed once the clinic has appointments or waitlist entries",
+        409,
+      );
+    }
+  }
+
   // Update allowed fields
-  const allowedFields = ["name", "address", "phone", "appointmentSettings", "isActive"];
+  const allowedFields = [
+    "name",
+    "address",
+    "phone",
+    "email",
+    "timezone",
+    "appointmentSettings",
+    "isActive",
+  ];
 
   allowedFields.forEach((field) => {
     if (req.body[field] !== undefined) {
@@ -148,12 +202,12 @@ export const removeClinic = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Get available slots for a date
- * @route   GET /api/clinics/:id/slots?date=2024-01-15
+ * @route   GET /api/clinics/:id/slots?date=2024-01-15&doctor=&chair=&duration=
  * @access  Public
  */
 export const getAvailableSlots = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { date } = req.query;
+  const { date, doctor, chair, duration } = req.query;
 
   // Validate date
   if (!date) {
@@ -165,15 +219,23 @@ export const getAvailableSlots = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Invalid date format", 400);
   }
 
-  // Check if date is in the past
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  if (requestedDate < today) {
+  const clinic = await Clinic.findById(id);
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  // Check if date is in the past (clinic's today)
+  const tz = getTimezone(clinic);
+  if (formatDay(date, tz) < formatDay(new Date(), tz)) {
     return ApiResponse.error(res, "Cannot check slots for past dates", 400);
   }
 
   // Get available slots using Appointment model's static method
-  const slotInfo = await Appointment.getAvailableSlots(id, requestedDate);
+  const slotInfo = await Appointment.getAvailableSlots(id, requestedDate, {
+    doctor,
+    chair,
+    duration: duration ? Number(duration) : undefined,
+  });
 
   ApiResponse.success(res, slotInfo, "Available slots fetched");
 });
@@ -198,9 +260,15 @@ export const updateOperatingHours = asyncHandler(async (req, res) => {
       return ApiResponse.error(res, "Invalid day of week (must be 0-6)", 400);
     }
 
-    if (day.isOpen && (!day.openTime || !day.closeTime)) {
+    // Split days define their windows in `shifts` instead of openTime/closeTime
+    const hasShifts = Array.isArray(day.shifts) && day.shifts.length > 0;
+    if (day.isOpen && !hasShifts && (!day.openTime || !day.closeTime)) {
       return ApiResponse.error(res, "Open and close times are required for open days", 400);
     }
+
+    if (hasShifts && day.shifts.some((s) => !s.openTime || !s.closeTime)) {
+      return ApiResponse.error(res, "Each shift needs an open and close time", 400);
+    }
   }
 
   // Find clinic
@@ -224,7 +292,20 @@ export const updateOperatingHours = asyncHandler(async (req, res) => {
  */
 export const updateAppointmentSettings = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { slotDuration, maxDailyAppointments, opdFee, emergencyOpdFee } = req.body;
+  const {
+    slotDuration,
+    maxDailyAppointments,
+    opdFee,
+    emergencyOpdFee,
+    waitlistHoldMinutes,
+    noShowGraceMinutes,
+    noShowDepositThreshold,
+    noShowDepositAmount,
+    onlineBookingEnabled,
+    bookingHorizonDays,
+    bookingCutoffHours,
+    maxActiveBookings,
+  } = req.body;
 
   // Find clinic
   const clinic = await Clinic.findById(id);
@@ -246,6 +327,30 @@ export const updateAppointmentSettings = asyncHandler(async (req, res) => {
   if (emergencyOpdFee !== undefined) {
     clinic.appointmentSettings.emergencyOpdFee = emergencyOpdFee;
   }
+  if (waitlistHoldMinutes !== undefined) {
+    clinic.appointmentSettings.waitlistHoldMinutes = waitlistHoldMinutes;
+  }
+  if (noShowGraceMinutes !== undefined) {
+    clinic.appointmentSettings.noShowGraceMinutes = noShowGraceMinutes;
+  }
+  if (noShowDepositThreshold !== undefined) {
+    clinic.appointmentSettings.noShowDepositThreshold = noShowDepositThreshold;
+  }
+  if (noShowDepositAmount !== undefined) {
+    clinic.appointmentSettings.noShowDepositAmount = noShowDepositAmount;
+  }
+  if (onlineBookingEnabled !== undefined) {
+    clinic.appointmentSettings.onlineBookingEnabled = onlineBookingEnabled;
+  }
+  if (bookingHorizonDays !== undefined) {
+    clinic.appointmentSettings.bookingHorizonDays = bookingHorizonDays;
+  }
+  if (bookingCutoffHours !== undefined) {
+    clinic.appointmentSettings.bookingCutoffHours = bookingCutoffHours;
+  }
+  if (maxActiveBookings !== undefined) {
+    clinic.appointmentSettings.maxActiveBookings = maxActiveBookings;
+  }
 
   await clinic.save();
 
@@ -266,8 +371,7 @@ export const addHoliday = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Holiday date is required", 400);
   }
 
-  const holidayDate = new Date(date);
-  if (isNaN(holidayDate.getTime())) {
+  if (isNaN(new Date(date).getTime())) {
     return ApiResponse.error(res, "Invalid date format", 400);
   }
 
@@ -278,9 +382,13 @@ export const addHoliday = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Clinic not found", 404);
   }
 
+  // Stored as the start of that day in clinic time
+  const tz = getTimezone(clinic);
+  const holidayDate = toClinicDay(date, tz).toDate();
+
   // Check if holiday already exists
   const existingHoliday = clinic.holidays.find(
-    (h) => h.date.toDateString() === holidayDate.toDateString()
+    (h) => formatDay(h.date, tz) === formatDay(holidayDate, tz)
   );
 
   if (existingHoliday) {
@@ -348,9 +456,9 @@ export const getHolidays = asyncHandler(async (req, res) => {
 
   // Filter by year if provided
   if (year) {
-    const yearInt = parseInt(year);
+    const tz = getTimezone(clinic);
     holidays = holidays.filter(
-      (h) => new Date(h.date).getFullYear() === yearInt
+      (h) => formatDay(h.date, tz).startsWith(`${parseInt(year)}-`)
     );
   }
 
@@ -360,6 +468,86 @@ export const getHolidays = asyncHandler(async (req, res) => {
   ApiResponse.success(res, { holidays }, "Holidays fetched successfully");
 });
 
+/**
+ * @desc    Get clinic chairs
+ * @route   GET /api/clinics/:id/chairs
+ * @access  Public
+ */
+export const getChairs = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const clinic = await Clinic.findById(id);
+
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  ApiResponse.success(res, { chairs: clinic.chairs }, "Chairs fetched successfully");
+});
+
+/**
+ * @desc    Add chair (operatory) to clinic
+ * @route   POST /api/clinics/:id/chairs
+ * @access  Admin
+ */
+export const addChair = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name } = req.body;
+
+  if (!name) {
+    return ApiResponse.error(res, "Chair name is required", 400);
+  }
+
+  const clinic = await Clinic.findById(id);
+
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  // Chair names must be unique within a clinic
+  const duplicate = clinic.chairs.find(
+    (c) => c.name.toLowerCase() === name.trim().toLowerCase()
+  );
+
+  if (duplicate) {
+    return ApiResponse.error(res, "Chair with this name already exists", 409);
+  }
+
+  clinic.chairs.push({ name });
+  await clinic.save();
+
+  ApiResponse.created(res, { chairs: clinic.chairs }, "Chair added successfully");
+});
+
+/**
+ * @desc    Update chair (rename / activate / deactivate)
+ * @route   PATCH /api/clinics/:id/chairs/:chairId
+ * @access  Admin
+ */
+export const updateChair = asyncHandler(async (req, res) => {
+  const { id, chairId } = req.params;
+  const { name, isActive } = req.body;
+
+  const clinic = await Clinic.findById(id);
+
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  const chair = clinic.chairs.id(chairId);
+
+  if (!chair) {
+    return ApiResponse.error(res, "Chair not found", 404);
+  }
+
+  if (name !== undefined) chair.name = name;
+  if (isActive !== undefined) chair.isActive = isActive;
+
+  await clinic.save();
+
+  ApiResponse.success(res, { chairs: clinic.chairs }, "Chair updated successfully");
+});
+
 /**
  * @desc    Get today's appointments for a clinic
  * @route   GET /api/clinics/:id/today
@@ -375,7 +563,7 @@ export const getTodayAppointments = asyncHandler(async (req, res) => {
   }
 
   // Get today's appointments
-  const appointments = await Appointment.getTodayAppointments(id);
+  const appointments = await Appointment.getTodayAppointments(id, getTimezone(clinic));
 
   // Get summary
   const summary = {
@@ -404,9 +592,10 @@ export const getClinicStats = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Clinic not found", 404);
   }
 
-  // Date range
-  const start = startDate ? new Date(startDate) : new Date(new Date().setDate(1)); // Start of month
-  const end = endDate ? new Date(endDate) : new Date();
+  // Date range (clinic days; default: this month so far)
+  const tz = getTimezone(clinic);
+  const start = startDate ? getDayRange(startDate, tz).start : getMonthRange(new Date(), tz).start;
+  const end = getDayRange(endDate || new Date(), tz).end;
 
   // Get appointment stats
   const appointmentStats = await Appointment.aggregate([
@@ -433,7 +622,7 @@ export const getClinicStats = asyncHandler(async (req, res) => {
       cancelled: 0,
       noShow: 0,
     },
-    dateRange: { start, end },
+    dateRange: { start, end, timezone: tz },
   };
 
   appointmentStats.forEach((stat) => {
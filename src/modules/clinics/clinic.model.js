@@ -1,10 +1,134 @@
 import mongoose from "mongoose";
+import { toMinutes, toTimeString } from "../../utils/time.js";
+import {
+  DEFAULT_TIMEZONE,
+  formatDay,
+  getTimezone,
+  getWeekday,
+  isValidTimezone,
+} from "../../utils/date.js";
 
 /**
- * CLINIC MODEL (BASIC CRUD)
+ * CLINIC MODEL
  * Used for managing clinic locations
+ *
+ * Key features:
+ * - Short clinic code (DR, PV) used in appointment numbers
+ * - Weekly operating schedule (multiple shifts per day, lunch breaks)
+ * - Slot duration and daily booking limits
+ * - Holiday calendar
+ * - Timezone: "today", weekdays and slot times are in clinic time
+ * - Dental chairs (operatories) used for resource-aware booking
  */
 
+// ============ SUB-SCHEMAS ============
+
+/**
+ * Shift Schema (embedded)
+ * One continuous working window, e.g. 09:00 - 13:00
+ */
+const shiftSchema = new mongoose.Schema(
+  {
+    openTime: {
+      type: String, // Format: "09:00"
+      required: [true, "Shift open time is required"],
+    },
+    closeTime: {
+      type: String, // Format: "13:00"
+      required: [true, "Shift close time is required"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Break Schema (embedded)
+ * Time inside a shift when no slots are offered (lunch etc.)
+ */
+const breakSchema = new mongoose.Schema(
+  {
+    startTime: {
+      type: String,
+      required: [true, "Break start time is required"],
+    },
+    endTime: {
+      type: String,
+      required: [true, "Break end time is required"],
+    },
+    label: {
+      type: String,
+      default: "Lunch",
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Operating Hours Schema (embedded)
+ * One entry per weekday (0 = Sunday ... 6 = Saturday)
+ *
+ * Simple days only need openTime/closeTime.
+ * Split days (morning + evening) list their windows in `shifts`,
+ * which take precedence over openTime/closeTime.
+ */
+const operatingHoursSchema = new mongoose.Schema(
+  {
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: [true, "Day of week is required"],
+    },
+    isOpen: {
+      type: Boolean,
+      default: true,
+    },
+    openTime: {
+      type: String,
+      default: "09:00",
+    },
+    closeTime: {
+      type: String,
+      default: "20:00",
+    },
+    shifts: [shiftSchema],
+    breaks: [breakSchema],
+  },
+  { _id: false },
+);
+
+/**
+ * Holiday Schema (embedded)
+ */
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, "Holiday date is required"],
+  },
+  reason: {
+    type: String,
+    default: "Holiday",
+  },
+});
+
+/**
+ * Chair Schema (embedded)
+ * A dental chair / operatory that can hold one patient at a time
+ */
+const chairSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Chair name is required"],
+    trim: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// ============ CLINIC SCHEMA ============
+
 const clinicSchema = new mongoose.Schema(
   {
     // -------- Basic Info --------
@@ -14,7 +138,25 @@ const clinicSchema = new mongoose.Schema(
       trim: true,
     },
 
- 
+    // Short code used in appointment numbers: 'DR' (Delhi Road), 'PV' (Parsavnath)
+    code: {
+      type: String,
+      required: [true, "Clinic code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    // IANA timezone all day / slot calculations use
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: "Invalid timezone (use an IANA name such as Asia/Kolkata)",
+      },
+    },
+
     // -------- Address --------
     address: {
       street: String,
@@ -26,10 +168,54 @@ const clinicSchema = new mongoose.Schema(
 
     // -------- Contact --------
     phone: {
-      type: String,
-      required: [true, "Clinic phone number is required"],
+      type: [String],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: "Clinic phone number is required",
+      },
+    },
+
+    email: String,
+
+    // -------- Schedule --------
+    operatingHours: {
+      type: [operatingHoursSchema],
+      default: [
+        { dayOfWeek: 0, isOpen: false }, // Sunday closed
+        { dayOfWeek: 1, isOpen: true, openTime: "09:00", closeTime: "20:00" },
+        { dayOfWeek: 2, isOpen: true, openTime: "09:00", closeTime: "20:00" },
+        { dayOfWeek: 3, isOpen: true, openTime: "09:00", closeTime: "20:00" },
+        { dayOfWeek: 4, isOpen: true, openTime: "09:00", closeTime: "20:00" },
+        { dayOfWeek: 5, isOpen: true, openTime: "09:00", closeTime: "20:00" },
+        { dayOfWeek: 6, isOpen: true, openTime: "09:00", closeTime: "14:00" }, // Saturday half day
+      ],
     },
 
+    appointmentSettings: {
+      slotDuration: { type: Number, default: 30, min: 5 }, // minutes
+      maxDailyAppointments: { type: Number, default: 50 },
+      opdFee: { type: Number, default: 300 },
+      emergencyOpdFee: { type: Number, default: 500 },
+      // How long a freed slot is held for a waitlisted patient
+      waitlistHoldMinutes: { type: Number, default: 30, min: 5 },
+      // Minutes after the slot time before an unattended visit becomes a no-show
+      noShowGraceMinutes: { type: Number, default: 30, min: 0 },
+      // Missed visits after which booking needs a deposit (0 = never)
+      noShowDepositThreshold: { type: Number, default: 3, min: 0 },
+      noShowDepositAmount: { type: Number, default: 500, min: 0 },
+      // Patient self-service booking (patient portal / app)
+      onlineBookingEnabled: { type: Boolean, default: true },
+      bookingHorizonDays: { type: Number, default: 30, min: 1 }, // how far ahead
+      bookingCutoffHours: { type: Number, default: 2, min: 0 }, // no changes closer than this
+      maxActiveBookings: { type: Number, default: 3, min: 1 }, // upcoming visits per patient
+    },
+
+    holidays: [holidaySchema],
+
+    // -------- Resources --------
+    // Chairs/operatories; together with doctors they decide slot capacity
+    chairs: [chairSchema],
+
     // -------- Status --------
     isActive: {
       type: Boolean,
@@ -38,9 +224,235 @@ const clinicSchema = new mongoose.Schema(
   },
   {
     timestamps: true, // createdAt & updatedAt
-  }
+  },
 );
 
+// ============ VALIDATION ============
+
+/**
+ * Validate operating hours before saving
+ * - Times must be HH:mm
+ * - Each window must close after it opens
+ * - Only one entry per weekday
+ */
+clinicSchema.pre("validate", function () {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const seenDays = new Set();
+
+  for (const day of this.operatingHours || []) {
+    if (seenDays.has(day.dayOfWeek)) {
+      this.invalidate("operatingHours", `Duplicate entry for day ${day.dayOfWeek}`);
+      return;
+    }
+    seenDays.add(day.dayOfWeek);
+
+    if (!day.isOpen) continue;
+
+    const windows = [
+      ...(day.shifts?.length
+        ? day.shifts
+        : [{ openTime: day.openTime, closeTime: day.closeTime }]),
+      ...(day.breaks || []).map((b) => ({ openTime: b.startTime, closeTime: b.endTime })),
+    ];
+
+    for (const window of windows) {
+      if (!timePattern.test(window.openTime) || !timePattern.test(window.closeTime)) {
+        this.invalidate("operatingHours", `Invalid time on day ${day.dayOfWeek} (use HH:mm)`);
+        return;
+      }
+      if (toMinutes(window.closeTime) <= toMinutes(window.openTime)) {
+        this.invalidate(
+          "operatingHours",
+          `Closing time must be after opening time on day ${day.dayOfWeek}`,
+        );
+        return;
+      }
+    }
+  }
+});
+
+// ============ METHODS ============
+
+/**
+ * Get the operating hours entry for a date
+ * @param {Date} date - Date to look up
+ * @returns {Object|undefined} - Operating hours for that weekday
+ */
+clinicSchema.methods.getHoursFor = function (date) {
+  const dayOfWeek = getWeekday(date, getTimezone(this));
+  return this.operatingHours.find((h) => h.dayOfWeek === dayOfWeek);
+};
+
+/**
+ * Get the holiday on a date (if any)
+ * @param {Date} date - Date to check
+ * @returns {Object|undefined} - Holiday entry
+ */
+clinicSchema.methods.getHolidayOn = function (date) {
+  const tz = getTimezone(this);
+  const day = formatDay(date, tz);
+  return this.holidays.find((h) => formatDay(h.date, tz) === day);
+};
+
+/**
+ * Check whether the clinic is open on a date
+ * @param {Date} date - Date to check
+ * @returns {Object} - { isOpen, reason }
+ */
+clinicSchema.methods.isOpenOn = function (date) {
+  if (!this.isActive) {
+    return { isOpen: false, reason: "Clinic is not active" };
+  }
+
+  const holiday = this.getHolidayOn(date);
+  if (holiday) {
+    return { isOpen: false, reason: holiday.reason || "Holiday" };
+  }
+
+  const hours = this.getHoursFor(date);
+  if (!hours || !hours.isOpen) {
+    return { isOpen: false, reason: "Clinic is closed on this day" };
+  }
+
+  return { isOpen: true, reason: null };
+};
+
+/**
+ * Get working shifts for a date
+ * Falls back to a single openTime-closeTime shift
+ * @param {Date} date - Date to check
+ * @returns {Array} - [{ openTime, closeTime }]
+ */
+clinicSchema.methods.getShifts = function (date) {
+  const hours = this.getHoursFor(date);
+  if (!hours || !hours.isOpen) return [];
+
+  if (hours.shifts?.length) {
+    return hours.shifts.map((s) => ({ openTime: s.openTime, closeTime: s.closeTime }));
+  }
+
+  return [{ openTime: hours.openTime, closeTime: hours.closeTime }];
+};
+
+/**
+ * Generate all bookable time slots for a date
+ * Slots must fit fully inside a shift and must not overlap a break
+ * @param {Date} date - Date to generate slots for
+ * @returns {Array} - ["09:00", "09:30", ...]
+ */
+clinicSchema.methods.getTimeSlots = function (date) {
+  if (!this.isOpenOn(date).isOpen) return [];
+
+  const hours = this.getHoursFor(date);
+  const slotDuration = this.appointmentSettings?.slotDuration || 30;
+  const breaks = (hours.breaks || []).map((b) => ({
+    start: toMinutes(b.startTime),
+    end: toMinutes(b.endTime),
+  }));
+
+  const slots = [];
+
+  for (const shift of this.getShifts(date)) {
+    const shiftEnd = toMinutes(shift.closeTime);
+    let current = toMinutes(shift.openTime);
+
+    while (current + slotDuration <= shiftEnd) {
+      const slotEnd = current + slotDuration;
+      const inBreak = breaks.some((b) => current < b.end && slotEnd > b.start);
+
+      if (!inBreak) {
+        slots.push(toTimeString(current));
+      }
+      current += slotDuration;
+    }
+  }
+
+  // Shifts may be listed out of order
+  return [...new Set(slots)].sort();
+};
+
+/**
+ * Get the consecutive slots a visit of `duration` minutes occupies
+ * The visit must not run past a shift end or into a break
+ * @param {Date} date - Appointment date
+ * @param {String} startSlot - "HH:mm"
+ * @param {Number} duration - Chair time in minutes (default: one slot)
+ * @returns {Array|null} - ["10:00", "10:30", "11:00"] or null if it doesn't fit
+ */
+clinicSchema.methods.getSlotSpan = function (date, startSlot, duration) {
+  const slotDuration = this.appointmentSettings?.slotDuration || 30;
+  const count = Math.max(1, Math.ceil((duration || slotDuration) / slotDuration));
+
+  const slots = this.getTimeSlots(date);
+  const startIndex = slots.indexOf(startSlot);
+  if (startIndex === -1) return null;
+
+  const span = slots.slice(startIndex, startIndex + count);
+  if (span.length < count) return null;
+
+  // Slots must be back to back (a gap means a break or shift change)
+  for (let i = 1; i < span.length; i++) {
+    if (toMinutes(span[i]) - toMinutes(span[i - 1]) !== slotDuration) {
+      return null;
+    }
+  }
+
+  return span;
+};
+
+/**
+ * Check whether a visit can start at a time slot on a date
+ * @param {Date} date - Appointment date
+ * @param {String} timeSlot - "HH:mm"
+ * @param {Number} duration - Chair time in minutes (default: one slot)
+ * @returns {Object} - { isValid, reason, slots, slotEnd }
+ */
+clinicSchema.methods.isValidSlot = function (date, timeSlot, duration) {
+  const openStatus = this.isOpenOn(date);
+  if (!openStatus.isOpen) {
+    return { isValid: false, reason: openStatus.reason };
+  }
+
+  if (!this.getTimeSlots(date).includes(timeSlot)) {
+    return { isValid: false, reason: "Time slot is outside clinic operating hours" };
+  }
+
+  const slots = this.getSlotSpan(date, timeSlot, duration);
+  if (!slots) {
+    return {
+      isValid: false,
+      reason: "Appointment is too long for this slot (runs into a break or closing time)",
+    };
+  }
+
+  const slotDuration = this.appointmentSettings?.slotDuration || 30;
+  const slotEnd = toTimeString(toMinutes(slots[slots.length - 1]) + slotDuration);
+
+  return { isValid: true, reason: null, slots, slotEnd };
+};
+
+/**
+ * Get IDs of chairs that can be booked
+ * @returns {Array} - Active chair ObjectIds
+ */
+clinicSchema.methods.getActiveChairIds = function () {
+  return (this.chairs || []).filter((c) => c.isActive).map((c) => c._id);
+};
+
+// ============ STATICS ============
+
+/**
+ * Timezone of a clinic by ID (DEFAULT_TIMEZONE if no ID / not found)
+ * @param {ObjectId} clinicId - Clinic ID
+ * @returns {String} - IANA timezone
+ */
+clinicSchema.statics.getTimezoneById = async function (clinicId) {
+  if (!clinicId || !mongoose.Types.ObjectId.isValid(clinicId)) return getTimezone(null);
+
+  const clinic = await this.findById(clinicId).select("timezone");
+  return getTimezone(clinic);
+};
+
 // -------- EXPORT --------
 const Clinic = mongoose.model("Clinic", clinicSchema);
 
@@ -22,18 +22,33 @@ router.patch("/:id", clinicController.updateClinic);
 router.delete("/:id", clinicController.removeClinic);
 
 // Get single clinic by ID
-// router.get('/:id', clinicController.getClinicById);
+router.get("/:id", clinicController.getClinicById);
 
 // Get available slots for a clinic on a specific date
-// router.get('/:id/slots', clinicController.getAvailableSlots);
+router.get("/:id/slots", clinicController.getAvailableSlots);
 
 // Update clinic operating hours (Admin only)
-// router.patch('/:id/hours', clinicController.updateOperatingHours);
+router.patch("/:id/hours", clinicController.updateOperatingHours);
+
+// Update slot duration, daily limit and OPD fees (Admin only)
+router.patch("/:id/settings", clinicController.updateAppointmentSettings);
+
+// Get clinic holidays
+router.get("/:id/holidays", clinicController.getHolidays);
 
 // Add holiday to clinic (Admin only)
-// router.post('/:id/holidays', clinicController.addHoliday);
+router.post("/:id/holidays", clinicController.addHoliday);
 
 // Remove holiday from clinic (Admin only)
-// router.delete('/:id/holidays/:holidayId', clinicController.removeHoliday);
+router.delete("/:id/holidays/:holidayId", clinicController.removeHoliday);
+
+// Get clinic chairs (operatories)
+router.get("/:id/chairs", clinicController.getChairs);
+
+// Add chair to clinic (Admin only)
+router.post("/:id/chairs", clinicController.addChair);
+
+// Rename / activate / deactivate chair (Admin only)
+router.patch("/:id/chairs/:chairId", clinicController.updateChair);
 
 export default router;
@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import ConsentTemplate from "./consentTemplate.model.js";
+import ConsentForm from "./consentForm.model.js";
+import { TreatmentMaster } from "../treatments/treatment.model.js";
+import * as consentService from "./consent.service.js";
+import { buildConsentPdf } from "./consent.pdf.js";
+import { CONSENT_MERGE_FIELDS } from "../../constants/consents.js";
+
+/**
+ * CONSENT CONTROLLER
+ *
+ * Handles:
+ * - Consent templates per treatment type (with merge fields)
+ * - Consent forms: prepared for a treatment, e-signed on a tablet / the
+ *   patient's phone, printable PDF
+ */
+
+// ==================== TEMPLATES ====================
+
+/**
+ * @desc    Get consent templates (and the merge fields they can use)
+ * @route   GET /api/consents/templates?treatmentType=&active=
+ * @access  Admin
+ */
+export const getTemplates = asyncHandler(async (req, res) => {
+  const { treatmentType, active = "true" } = req.query;
+
+  const filter = {};
+  if (active === "true") {
+    filter.isActive = true;
+  }
+  if (treatmentType && mongoose.Types.ObjectId.isValid(treatmentType)) {
+    filter.treatmentType = treatmentType;
+  }
+
+  const templates = await ConsentTemplate.find(filter)
+    .populate("treatmentType", "name code requiresConsent")
+    .sort({ name: 1 });
+
+  ApiResponse.success(
+    res,
+    { templates, mergeFields: CONSENT_MERGE_FIELDS },
+    "Consent templates fetched successfully",
+  );
+});
+
+/**
+ * @desc    Create consent template
+ * @route   POST /api/consents/templates
+ * @access  Admin
+ *
+ * Body: { name, title, body, treatmentType?, risks?: [], alternatives?: [] }
+ * body / title / risks use {{field}} merge fields, e.g. {{patientName}}, {{procedure}}
+ */
+export const createTemplate = asyncHandler(async (req, res) => {
+  const { name, title, body, treatmentType } = req.body;
+
+  if (!name || !title || !body) {
+    return ApiResponse.error(res, "Name, title and body are required", 400);
+  }
+
+  if (!validateTemplate(req.body, res)) return;
+
+  if (treatmentType) {
+    if (!mongoose.Types.ObjectId.isValid(treatmentType)) {
+      return ApiResponse.error(res, "Invalid treatment type ID", 400);
+    }
+    if (!(await TreatmentMaster.exists({ _id: treatmentType }))) {
+      return ApiResponse.error(res, "Treatment type not found", 404);
+    }
+  }
+
+  const existing = await ConsentTemplate.findOne({
+    treatmentType: treatmentType || null,
+    isActive: true,
+  });
+  if (existing) {
+    return ApiResponse.error(
+      res,
+      `"${existing.name}" is already the active template for this treatment type - update it instead`,
+      409,
+    );
+  }
+
+  const template = await ConsentTemplate.create({
+    ...pickTemplateFields(req.body),
+    treatmentType: treatmentType || undefined,
+    createdBy: req.user?._id,
+  });
+
+  ApiResponse.created(res, { template }, "Consent template created successfully");
+});
+
+/**
+ * @desc    Update consent template (new version; signed forms keep their wording)
+ * @route   PATCH /api/consents/templates/:id
+ * @access  Admin
+ */
+export const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await consentService.findTemplate(req.params.id);
+
+  if (!validateTemplate(req.body, res)) return;
+
+  Object.assign(template, pickTemplateFields(req.body));
+  await template.save();
+
+  ApiResponse.success(res, { template }, "Consent template updated successfully");
+});
+
+/**
+ * @desc    Delete (deactivate) consent template
+ * @route   DELETE /api/consents/templates/:id
+ * @access  Admin
+ */
+export const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await consentService.findTemplate(req.params.id);
+
+  // Soft delete - forms still reference it
+  template.isActive = false;
+  await template.save();
+
+  ApiResponse.success(res, null, "Consent template deactivated successfully");
+});
+
+// ==================== PATIENT ====================
+
+/**
+ * @desc    Get my consent forms
+ * @route   GET /api/consents/my
+ * @access  Patient
+ */
+export const getMyForms = asyncHandler(async (req, res) => {
+  const forms = await ConsentForm.find({ patient: req.patient._id })
+    .select("-signature.image")
+    .populate("treatmentType", "name")
+    .populate("clinic", "name code")
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, { forms }, "Consent forms fetched successfully");
+});
+
+// ==================== FORMS ====================
+
+/**
+ * @desc    Get consent forms
+ * @route   GET /api/consents?patient=&treatment=&status=
+ * @access  Admin
+ */
+export const getAllForms = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, patient, treatment, status } = req.query;
+
+  const query = {};
+
+  for (const [field, value] of Object.entries({ patient, treatment })) {
+    if (value && mongoose.Types.ObjectId.isValid(value)) {
+      query[field] = value;
+    }
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [forms, total] = await Promise.all([
+    ConsentForm.find(query)
+      .select("-content -signature.image")
+      .populate("patient", "name phone")
+      .populate("treatmentType", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ConsentForm.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, forms, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Prepare a consent form for a treatment
+ * @route   POST /api/consents
+ * @access  Admin
+ *
+ * Body: { treatment, template?, doctor? }
+ * Template defaults to the treatment type's (else the general template)
+ */
+export const prepareForm = asyncHandler(async (req, res) => {
+  const form = await consentService.prepareForm(req.body, req.user?._id);
+
+  ApiResponse.created(res, { form }, "Consent form ready for signature");
+});
+
+/**
+ * @desc    Get consent form
+ * @route   GET /api/consents/:id
+ * @access  Admin / Patient (own)
+ */
+export const getFormById = asyncHandler(async (req, res) => {
+  const form = await findFormForRequester(req, res);
+  if (!form) return;
+
+  await form.populate([
+    { path: "patient", select: "name phone" },
+    { path: "treatment", select: "treatmentNumber teeth status" },
+    { path: "treatmentType", select: "name" },
+    { path: "doctor", select: "name" },
+    { path: "clinic", select: "name code" },
+    { path: "signature.witnessedBy", select: "name" },
+  ]);
+
+  ApiResponse.success(res, { form }, "Consent form fetched successfully");
+});
+
+/**
+ * @desc    Sign consent form
+ * @route   POST /api/consents/:id/sign
+ * @access  Admin (clinic tablet) / Patient (own)
+ *
+ * Body: { signature: "data:image/png;base64,...", signedByName?, relationship? }
+ * Timestamp, IP and device are recorded with the signature
+ */
+export const signForm = asyncHandler(async (req, res) => {
+  const form = await findFormForRequester(req, res);
+  if (!form) return;
+
+  await consentService.signForm(form, req.body, {
+    signedVia: req.patient ? "patient" : "staff",
+    witnessedBy: req.user?._id,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  ApiResponse.success(res, { form }, "Consent form signed successfully");
+});
+
+/**
+ * @desc    Revoke consent form (consent withdrawn / prepared in error)
+ * @route   POST /api/consents/:id/revoke
+ * @access  Admin / Patient (own)
+ *
+ * Body: { reason }
+ */
+export const revokeForm = asyncHandler(async (req, res) => {
+  const form = await findFormForRequester(req, res);
+  if (!form) return;
+
+  await consentService.revokeForm(form, req.body.reason);
+
+  ApiResponse.success(res, { form }, "Consent form revoked");
+});
+
+/**
+ * @desc    Download consent form as PDF
+ * @route   GET /api/consents/:id/pdf
+ * @access  Admin / Patient (own)
+ */
+export const downloadFormPdf = asyncHandler(async (req, res) => {
+  const form = await findFormForRequester(req, res);
+  if (!form) return;
+
+  await form.populate([
+    { path: "patient", select: "name phone" },
+    { path: "clinic", select: "name address timezone" },
+    {
+      path: "treatment",
+      select: "teeth treatmentType",
+      populate: { path: "treatmentType", select: "name" },
+    },
+    { path: "signature.witnessedBy", select: "name" },
+  ]);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${form.formNumber}.pdf"`,
+  });
+
+  buildConsentPdf(form).pipe(res);
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+const TEMPLATE_FIELDS = ["name", "title", "body", "risks", "alternatives", "isActive"];
+
+function pickTemplateFields(body) {
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+/**
+ * Reject merge fields that don't exist
+ * Sends the error response and returns false on failure
+ */
+function validateTemplate(body, res) {
+  const text = [body.title, body.body, ...(body.risks || []), ...(body.alternatives || [])]
+    .filter(Boolean)
+    .join("\n");
+
+  const unknown = consentService.findUnknownFields(text);
+  if (unknown.length) {
+    ApiResponse.error(
+      res,
+      `Unknown merge field(s): ${unknown.join(", ")}. Available: ${Object.keys(CONSENT_MERGE_FIELDS).join(", ")}`,
+      400,
+    );
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Load a consent form; patients may only see their own
+ * Sends the error response and returns null on failure
+ */
+async function findFormForRequester(req, res) {
+  const form = await consentService.findForm(req.params.id);
+
+  if (req.patient && String(form.patient) !== String(req.patient._id)) {
+    ApiResponse.error(res, "Access denied", 403);
+    return null;
+  }
+
+  return form;
+}
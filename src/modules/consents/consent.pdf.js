@@ -0,0 +1,155 @@
+import PDFDocument from "pdfkit";
+import { formatDisplayDate, formatDisplayTime, getTimezone } from "../../utils/date.js";
+
+/**
+ * CONSENT PDF
+ * Signed consent form (A4): clinic header, patient and procedure, the
+ * consent wording, risks / alternatives and the captured signature.
+ *
+ * Expects patient, clinic, treatment.treatmentType and signature.witnessedBy populated.
+ */
+
+const MARGIN = 50;
+const MUTED = "#555555";
+
+/**
+ * Build the consent PDF
+ * @param {Object} form - ConsentForm document (populated)
+ * @returns {PDFDocument} - Ended document; pipe it to the response
+ */
+export const buildConsentPdf = (form) => {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN });
+  const tz = getTimezone(form.clinic);
+
+  drawClinicHeader(doc, form.clinic);
+  drawTitle(doc, form, tz);
+  drawPatientDetails(doc, form);
+  drawContent(doc, form);
+  drawSignature(doc, form, tz);
+
+  if (form.status === "revoked") {
+    drawWatermark(doc, "REVOKED");
+  }
+
+  doc.end();
+  return doc;
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function rule(doc) {
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(doc.page.width - MARGIN, doc.y)
+    .lineWidth(0.5)
+    .strokeColor("#999999")
+    .stroke();
+  doc.moveDown(0.5);
+}
+
+function drawClinicHeader(doc, clinic = {}) {
+  const address = clinic.address || {};
+  const addressLine = [address.street, address.area, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(", ");
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("black").text(clinic.name || "", { align: "center" });
+  doc.font("Helvetica").fontSize(9).fillColor(MUTED);
+  if (addressLine) doc.text(addressLine, { align: "center" });
+
+  doc.moveDown(0.5);
+  rule(doc);
+}
+
+function drawTitle(doc, form, tz) {
+  const reference = `Form No: ${form.formNumber || ""}  |  Prepared: ${formatDisplayDate(form.createdAt, tz)}`;
+
+  doc.font("Helvetica-Bold").fontSize(14).fillColor("black");
+  doc.text(form.title || "Consent Form", { align: "center" });
+  doc.font("Helvetica").fontSize(9).fillColor(MUTED).text(reference, { align: "center" });
+  doc.moveDown(0.8);
+}
+
+function drawPatientDetails(doc, form) {
+  const patient = form.patient || {};
+  const treatment = form.treatment || {};
+
+  doc.font("Helvetica").fontSize(10).fillColor("black");
+  doc.text(`Patient: ${patient.name || ""}${patient.phone ? `  (${patient.phone})` : ""}`);
+  doc.text(`Procedure: ${treatment.treatmentType?.name || ""}`);
+  if (treatment.teeth?.length) doc.text(`Teeth: ${treatment.teeth.join(", ")}`);
+
+  doc.moveDown(0.5);
+  rule(doc);
+}
+
+function drawList(doc, heading, items = []) {
+  if (!items.length) return;
+
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(10).fillColor("black").text(heading);
+  doc.font("Helvetica");
+  items.forEach((item) => doc.text(`•  ${item}`, { indent: 10 }));
+}
+
+function drawContent(doc, form) {
+  doc.font("Helvetica").fontSize(10).fillColor("black").text(form.content || "", {
+    align: "justify",
+  });
+
+  drawList(doc, "Risks and possible complications", form.risks);
+  drawList(doc, "Alternatives", form.alternatives);
+}
+
+function drawSignature(doc, form, tz) {
+  const signature = form.signature;
+  const width = 220;
+
+  if (doc.y + 150 > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+  doc.moveDown(2);
+
+  if (!signature?.image) {
+    doc.font("Helvetica-Oblique").fontSize(10).fillColor(MUTED).text("Awaiting signature");
+    return;
+  }
+
+  const top = doc.y;
+  const base64 = signature.image.replace(/^data:image\/\w+;base64,/, "");
+  doc.image(Buffer.from(base64, "base64"), MARGIN, top, { fit: [width, 80] });
+
+  doc
+    .moveTo(MARGIN, top + 85)
+    .lineTo(MARGIN + width, top + 85)
+    .lineWidth(0.5)
+    .strokeColor("black")
+    .stroke();
+
+  const relationship =
+    signature.relationship && signature.relationship !== "self"
+      ? ` (${signature.relationship})`
+      : "";
+
+  doc.font("Helvetica-Bold").fontSize(10).fillColor("black");
+  doc.text(`${signature.signedByName}${relationship}`, MARGIN, top + 90, { width });
+
+  doc.font("Helvetica").fontSize(8).fillColor(MUTED);
+  const signedAt = `${formatDisplayDate(signature.signedAt, tz)} ${formatDisplayTime(signature.signedAt, tz)}`;
+  doc.text(`Signed ${signedAt}${signature.ipAddress ? `  |  IP ${signature.ipAddress}` : ""}`);
+  if (signature.witnessedBy?.name) {
+    doc.text(`Witness: ${signature.witnessedBy.name}`);
+  }
+}
+
+function drawWatermark(doc, text) {
+  doc
+    .save()
+    .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+    .font("Helvetica-Bold")
+    .fontSize(72)
+    .fillColor("#b00020")
+    .opacity(0.2)
+    .text(text, 0, doc.page.height / 2 - 36, { width: doc.page.width, align: "center" })
+    .restore();
+}
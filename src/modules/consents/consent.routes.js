@@ -0,0 +1,57 @@
+import { Router } from "express";
+import * as consentController from "./consent.controller.js";
+import {
+  authProtect,
+  patientProtect,
+  anyAuth,
+} from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * CONSENT ROUTES
+ * Base path: /api/consents
+ *
+ * Consent templates per treatment type, e-signed consent forms, PDF
+ */
+
+// ==================== TEMPLATES ====================
+
+// Get templates (filters: treatmentType, active) + available merge fields
+router.get("/templates", authProtect, consentController.getTemplates);
+
+// Create template
+router.post("/templates", authProtect, consentController.createTemplate);
+
+// Update template
+router.patch("/templates/:id", authProtect, consentController.updateTemplate);
+
+// Delete (deactivate) template
+router.delete("/templates/:id", authProtect, consentController.deleteTemplate);
+
+// ==================== PATIENT ====================
+
+// Get my consent forms
+router.get("/my", patientProtect, consentController.getMyForms);
+
+// ==================== FORMS ====================
+
+// Get forms (filters: patient, treatment, status)
+router.get("/", authProtect, consentController.getAllForms);
+
+// Prepare form for a treatment
+router.post("/", authProtect, consentController.prepareForm);
+
+// Get single form
+router.get("/:id", anyAuth, consentController.getFormById);
+
+// Sign form (clinic tablet or patient's phone)
+router.post("/:id/sign", anyAuth, consentController.signForm);
+
+// Revoke form
+router.post("/:id/revoke", anyAuth, consentController.revokeForm);
+
+// Download PDF
+router.get("/:id/pdf", anyAuth, consentController.downloadFormPdf);
+
+export default router;
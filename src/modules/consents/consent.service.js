@@ -0,0 +1,266 @@
+import mongoose from "mongoose";
+import ConsentTemplate from "./consentTemplate.model.js";
+import ConsentForm from "./consentForm.model.js";
+import { TreatmentMaster, Treatment } from "../treatments/treatment.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import User from "../users/user.model.js";
+import * as chartService from "../charts/chart.service.js";
+import { CONSENT_FORM_STATUS, CONSENT_MERGE_FIELDS } from "../../constants/consents.js";
+import { formatDisplayDate, getTimezone } from "../../utils/date.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * CONSENT SERVICE
+ *
+ * - Templates per treatment type with {{merge}} fields
+ * - Preparing a form for a treatment (wording merged and frozen)
+ * - E-signature capture (image + signer + timestamp + IP)
+ * - Gate: treatments whose type requires consent can't start without a signed form
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+const MERGE_FIELD = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Signature images: PNG / JPEG data URLs up to ~500 KB
+const SIGNATURE_IMAGE = /^data:image\/(png|jpe?g);base64,[A-Za-z0-9+/=\s]+$/;
+const MAX_SIGNATURE_LENGTH = 700 * 1024;
+
+/**
+ * Find a consent template by ID
+ * @param {ObjectId} templateId - ConsentTemplate ID
+ * @returns {Object} - ConsentTemplate document
+ */
+export const findTemplate = async (templateId) => {
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw new BadRequestError("Invalid consent template ID");
+  }
+
+  const template = await ConsentTemplate.findById(templateId);
+  if (!template) {
+    throw new NotFoundError("Consent template");
+  }
+  return template;
+};
+
+/**
+ * Find a consent form by ID
+ * @param {ObjectId} formId - ConsentForm ID
+ * @returns {Object} - ConsentForm document
+ */
+export const findForm = async (formId) => {
+  if (!mongoose.Types.ObjectId.isValid(formId)) {
+    throw new BadRequestError("Invalid consent form ID");
+  }
+
+  const form = await ConsentForm.findById(formId);
+  if (!form) {
+    throw new NotFoundError("Consent form");
+  }
+  return form;
+};
+
+/**
+ * Merge fields used in a text that don't exist
+ * @param {String} text - Template text
+ * @returns {Array} - Unknown field names
+ */
+export const findUnknownFields = (text = "") => {
+  const used = [...text.matchAll(MERGE_FIELD)].map((match) => match[1]);
+  return [...new Set(used.filter((field) => !(field in CONSENT_MERGE_FIELDS)))];
+};
+
+/**
+ * Fill {{field}} merge fields
+ * @param {String} text - Template text
+ * @param {Object} values - Field values
+ * @returns {String}
+ */
+export const mergeFields = (text = "", values = {}) =>
+  text.replace(MERGE_FIELD, (match, field) => (field in values ? values[field] ?? "" : match));
+
+/**
+ * Prepare a consent form for a treatment
+ * Template: data.template, else the treatment type's template, else the general one.
+ *
+ * @param {Object} data - { treatment, template, doctor }
+ * @param {ObjectId} userId - Preparing user
+ * @returns {Object} - ConsentForm document (pending)
+ */
+export const prepareForm = async (data, userId) => {
+  if (!data.treatment || !mongoose.Types.ObjectId.isValid(data.treatment)) {
+    throw new BadRequestError("Valid treatment ID is required");
+  }
+
+  const treatment = await Treatment.findById(data.treatment)
+    .populate("treatmentType", "name")
+    .populate("appointment", "doctor");
+  if (!treatment) {
+    throw new NotFoundError("Treatment");
+  }
+
+  if (["completed", "cancelled"].includes(treatment.status)) {
+    throw new BadRequestError(`Treatment is ${treatment.status}`);
+  }
+
+  const open = await ConsentForm.findOne({
+    treatment: treatment._id,
+    status: { $ne: CONSENT_FORM_STATUS.REVOKED },
+  });
+  if (open) {
+    throw new ConflictError(
+      `Treatment already has a ${open.status} consent form (${open.formNumber})`,
+    );
+  }
+
+  const template = data.template
+    ? await findTemplate(data.template)
+    : await ConsentTemplate.findForTreatmentType(treatment.treatmentType?._id);
+
+  if (!template || !template.isActive) {
+    throw new BadRequestError(
+      `No consent template for ${treatment.treatmentType?.name || "this treatment"}`,
+    );
+  }
+
+  // Doctor: given, else the visit's doctor
+  const doctorId = data.doctor || treatment.appointment?.doctor;
+
+  const [patient, clinic, doctor] = await Promise.all([
+    chartService.findPatient(treatment.patient),
+    Clinic.findById(treatment.clinic).select("name timezone"),
+    doctorId && mongoose.Types.ObjectId.isValid(doctorId)
+      ? User.findById(doctorId).select("name")
+      : null,
+  ]);
+
+  const values = {
+    patientName: patient.name,
+    patientAge: patient.calculatedAge ?? patient.age ?? "",
+    patientGender: patient.gender || "",
+    patientPhone: patient.phone,
+    procedure: treatment.treatmentType?.name || "",
+    teeth: treatment.teeth?.join(", ") || "",
+    risks: template.risks.map((risk) => `- ${risk}`).join("\n"),
+    alternatives: template.alternatives.map((alt) => `- ${alt}`).join("\n"),
+    doctorName: doctor ? `Dr. ${doctor.name}` : "",
+    clinicName: clinic?.name || "",
+    date: formatDisplayDate(new Date(), getTimezone(clinic)),
+  };
+
+  const form = new ConsentForm({
+    patient: patient._id,
+    clinic: treatment.clinic,
+    treatment: treatment._id,
+    treatmentType: treatment.treatmentType?._id,
+    doctor: doctor?._id,
+    template: template._id,
+    templateVersion: template.version,
+    title: mergeFields(template.title, values),
+    content: mergeFields(template.body, values),
+    risks: template.risks.map((risk) => mergeFields(risk, values)),
+    alternatives: template.alternatives.map((alt) => mergeFields(alt, values)),
+    createdBy: userId,
+  });
+
+  await form.save();
+  return form;
+};
+
+/**
+ * Sign a pending form
+ * Minors can't sign for themselves - a parent / guardian signs (relationship required).
+ *
+ * @param {Object} form - ConsentForm document (pending)
+ * @param {Object} data - { signature (image data URL), signedByName, relationship }
+ * @param {Object} context - { signedVia, witnessedBy, ipAddress, userAgent }
+ * @returns {Object} - ConsentForm document
+ */
+export const signForm = async (form, data, context = {}) => {
+  if (form.status !== CONSENT_FORM_STATUS.PENDING) {
+    throw new BadRequestError(`Consent form is already ${form.status}`);
+  }
+
+  const image = typeof data.signature === "string" ? data.signature.trim() : "";
+  if (!SIGNATURE_IMAGE.test(image)) {
+    throw new BadRequestError("Signature must be a PNG or JPEG image (data URL)");
+  }
+  if (image.length > MAX_SIGNATURE_LENGTH) {
+    throw new BadRequestError("Signature image is too large");
+  }
+
+  const patient = await chartService.findPatient(form.patient);
+  const relationship = data.relationship || "self";
+
+  if (patient.isMinor && relationship === "self") {
+    throw new BadRequestError(
+      "Patient is a minor - a parent or guardian must sign (send signedByName and relationship)",
+    );
+  }
+
+  let signedByName = data.signedByName?.trim();
+  if (!signedByName) {
+    if (relationship !== "self") {
+      throw new BadRequestError("Name of the person signing is required");
+    }
+    signedByName = patient.name;
+  }
+
+  form.signature = {
+    image,
+    signedByName,
+    relationship,
+    signedAt: new Date(),
+    signedVia: context.signedVia,
+    witnessedBy: context.witnessedBy,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+  };
+  form.status = CONSENT_FORM_STATUS.SIGNED;
+  await form.save();
+
+  return form;
+};
+
+/**
+ * Revoke a form (withdrawn consent, or prepared in error)
+ * A revoked form no longer lets the treatment start.
+ *
+ * @param {Object} form - ConsentForm document
+ * @param {String} reason - Why
+ * @returns {Object} - ConsentForm document
+ */
+export const revokeForm = async (form, reason) => {
+  if (form.status === CONSENT_FORM_STATUS.REVOKED) {
+    throw new BadRequestError("Consent form is already revoked");
+  }
+
+  if (!reason) {
+    throw new BadRequestError("Revocation reason is required");
+  }
+
+  form.status = CONSENT_FORM_STATUS.REVOKED;
+  form.revokedAt = new Date();
+  form.revocationReason = reason;
+  await form.save();
+
+  return form;
+};
+
+/**
+ * Stop a treatment from starting without the consent its type requires
+ * @param {Object} treatment - Treatment document
+ */
+export const assertConsent = async (treatment) => {
+  const treatmentType = await TreatmentMaster.findById(
+    treatment.treatmentType?._id || treatment.treatmentType,
+  ).select("name requiresConsent");
+
+  if (!treatmentType?.requiresConsent) return;
+
+  if (!(await ConsentForm.isSigned(treatment._id))) {
+    throw new BadRequestError(
+      `${treatmentType.name} requires a signed consent form before it can start`,
+    );
+  }
+};
@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+import { CONSENT_FORM_STATUS } from "../../constants/consents.js";
+
+/**
+ * CONSENT FORM MODEL
+ * A consent form prepared for one treatment and signed by the patient
+ *
+ * Key features:
+ * - Unique form number (CON-2610-0001)
+ * - Template text merged with the patient / treatment details and frozen
+ *   when prepared, so the signed wording never changes
+ * - Signature image with signer, timestamp, IP and device
+ * - A signed form lets a treatment that requires consent start
+ */
+
+// ============ SIGNATURE SCHEMA ============
+
+const signatureSchema = new mongoose.Schema(
+  {
+    // PNG / JPEG data URL captured on the tablet
+    image: {
+      type: String,
+      required: [true, "Signature image is required"],
+    },
+
+    signedByName: {
+      type: String,
+      required: [true, "Signer name is required"],
+    },
+
+    // "self", "parent", "guardian", ...
+    relationship: {
+      type: String,
+      default: "self",
+    },
+
+    signedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Signed on the patient's own device or on the clinic's tablet
+    signedVia: {
+      type: String,
+      enum: ["patient", "staff"],
+      default: "staff",
+    },
+
+    // Staff who witnessed it
+    witnessedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    ipAddress: String,
+    userAgent: String,
+  },
+  { _id: false },
+);
+
+// ============ CONSENT FORM SCHEMA ============
+
+const consentFormSchema = new mongoose.Schema(
+  {
+    // Unique form number
+    formNumber: {
+      type: String,
+      unique: true,
+    },
+
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: [true, "Clinic is required"],
+    },
+
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+      required: [true, "Treatment is required"],
+    },
+
+    treatmentType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TreatmentMaster",
+    },
+
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // -------- Frozen wording --------
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ConsentTemplate",
+    },
+    templateVersion: Number,
+
+    title: String,
+    content: String, // Body with merge fields filled in
+    risks: [String],
+    alternatives: [String],
+
+    status: {
+      type: String,
+      enum: Object.values(CONSENT_FORM_STATUS),
+      default: CONSENT_FORM_STATUS.PENDING,
+    },
+
+    signature: signatureSchema,
+
+    revokedAt: Date,
+    revocationReason: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+consentFormSchema.index({ treatment: 1, status: 1 });
+consentFormSchema.index({ patient: 1, createdAt: -1 });
+
+// ============ PRE-SAVE MIDDLEWARE ============
+
+/**
+ * Generate form number before saving
+ */
+consentFormSchema.pre("save", async function () {
+  if (this.isNew && !this.formNumber) {
+    this.formNumber = await counterService.generateNumber("consentForm", {
+      clinic: this.clinic,
+    });
+  }
+});
+
+// ============ STATICS ============
+
+/**
+ * Whether a treatment has a signed consent form
+ * @param {ObjectId} treatmentId - Treatment ID
+ * @returns {Boolean}
+ */
+consentFormSchema.statics.isSigned = async function (treatmentId) {
+  const form = await this.exists({ treatment: treatmentId, status: CONSENT_FORM_STATUS.SIGNED });
+  return Boolean(form);
+};
+
+// Create and export the model
+const ConsentForm = mongoose.model("ConsentForm", consentFormSchema);
+
+export default ConsentForm;
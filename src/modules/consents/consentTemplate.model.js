@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+/**
+ * CONSENT TEMPLATE MODEL
+ * Consent wording for a treatment type, with merge fields
+ *
+ * Key features:
+ * - body uses {{field}} merge fields (see CONSENT_MERGE_FIELDS)
+ * - Risks and alternatives are listed separately and merged as {{risks}} / {{alternatives}}
+ * - One active template per treatment type; templates without one are general
+ * - version goes up on every edit; signed forms keep the text they were signed with
+ */
+
+const consentTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+    },
+
+    // Empty = general template (used when a treatment type has none)
+    treatmentType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TreatmentMaster",
+    },
+
+    // Heading on the form, e.g. "Consent for Root Canal Treatment"
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+    },
+
+    body: {
+      type: String,
+      required: [true, "Consent text is required"],
+    },
+
+    risks: [String],
+    alternatives: [String],
+
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+consentTemplateSchema.index({ treatmentType: 1, isActive: 1 });
+
+// ============ PRE-SAVE MIDDLEWARE ============
+
+/**
+ * New version whenever the wording changes
+ */
+consentTemplateSchema.pre("save", function () {
+  if (!this.isNew && this.isModified(["title", "body", "risks", "alternatives"])) {
+    this.version += 1;
+  }
+});
+
+// ============ STATICS ============
+
+/**
+ * Template for a treatment type (falls back to the general template)
+ * @param {ObjectId} treatmentTypeId - TreatmentMaster ID
+ * @returns {Object|null} - ConsentTemplate document
+ */
+consentTemplateSchema.statics.findForTreatmentType = async function (treatmentTypeId) {
+  const template = await this.findOne({ treatmentType: treatmentTypeId, isActive: true });
+  if (template) return template;
+
+  return this.findOne({ treatmentType: null, isActive: true }).sort({ createdAt: 1 });
+};
+
+// Create and export the model
+const ConsentTemplate = mongoose.model("ConsentTemplate", consentTemplateSchema);
+
+export default ConsentTemplate;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+/**
+ * COUNTER MODEL
+ * Atomic sequences behind document numbers (appointments, invoices, ...)
+ *
+ * One document per sequence name + prefix + clinic + period, e.g.
+ *   invoice::*:2026-10        → INV-2610-0001, INV-2610-0002, ...
+ *   appointment::<clinicId>:2026-10
+ *
+ * Incremented with findOneAndUpdate($inc) so concurrent requests never
+ * get the same value, and deleting documents never frees a number.
+ */
+
+const counterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Parts of the key (for reporting / migration)
+    name: {
+      type: String,
+      required: true,
+    },
+    prefix: String,
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+    period: String, // "all", "2026", "2026-10", "2026-10-19"
+
+    // Last value handed out
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Create and export the model
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
@@ -0,0 +1,204 @@
+import dayjs from "dayjs";
+import mongoose from "mongoose";
+import Counter from "./counter.model.js";
+import { NUMBER_SEQUENCES } from "../../config/numbering.js";
+import { DEFAULT_TIMEZONE } from "../../utils/date.js";
+
+/**
+ * COUNTER SERVICE
+ *
+ * Generates document numbers from atomic counters
+ * (formats in config/numbering.js).
+ *
+ * Used in the models' pre-save hooks, after validation has passed, so a
+ * number is only taken when the document is about to be written.
+ *
+ * Periods ("this month", "today") are in the clinic's timezone.
+ */
+
+// Period -> dayjs format of the counter's period key
+const PERIOD_KEY_FORMATS = {
+  year: "YYYY",
+  month: "YYYY-MM",
+  day: "YYYY-MM-DD",
+};
+
+/**
+ * Next value of a sequence (atomic)
+ * @param {String} name - Sequence name (key of NUMBER_SEQUENCES)
+ * @param {Object} options - { prefix, clinic, date, timezone (default: clinic's) }
+ * @returns {Number} - 1, 2, 3, ...
+ */
+export const nextSequence = async (
+  name,
+  { prefix = "", clinic, date = new Date(), timezone } = {},
+) => {
+  const config = getSequenceConfig(name);
+
+  if (config.perClinic && !clinic) {
+    throw new Error(`Clinic is required to number ${name}`);
+  }
+
+  const tz = timezone || (await mongoose.model("Clinic").getTimezoneById(clinic));
+
+  const parts = {
+    name,
+    prefix,
+    clinic: config.perClinic ? clinic : undefined,
+    period: getPeriodKey(config.period, date, tz),
+  };
+  const key = getCounterKey(parts);
+
+  const increment = () =>
+    Counter.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 }, $setOnInsert: parts },
+      { upsert: true, new: true },
+    );
+
+  try {
+    const counter = await increment();
+    return counter.seq;
+  } catch (error) {
+    // Two requests created the same new counter at once - the loser retries
+    if (error.code !== 11000) throw error;
+
+    const counter = await increment();
+    return counter.seq;
+  }
+};
+
+/**
+ * Generate the next formatted document number
+ * @param {String} name - Sequence name ("invoice", "appointment", ...)
+ * @param {Object} options - { prefix, clinic, clinicCode, date, timezone }
+ * @returns {String} - e.g. "INV-2610-0042"
+ */
+export const generateNumber = async (name, options = {}) => {
+  const { format } = getSequenceConfig(name);
+  const date = options.date || new Date();
+  const timezone =
+    options.timezone || (await mongoose.model("Clinic").getTimezoneById(options.clinic));
+
+  // Callers other than appointments only pass the clinic ID
+  let { clinicCode } = options;
+  if (!clinicCode && options.clinic && format.includes("{CLINIC}")) {
+    const clinic = await mongoose.model("Clinic").findById(options.clinic).select("code");
+    clinicCode = clinic?.code;
+  }
+
+  const seq = await nextSequence(name, { ...options, date, timezone });
+
+  return formatNumber(format, { ...options, clinicCode, date, timezone, seq });
+};
+
+/**
+ * Fill a format string
+ * @param {String} format - e.g. "{CLINIC}-{YY}{MM}-{SEQ:4}"
+ * @param {Object} values - { prefix, clinicCode, date, timezone, seq }
+ * @returns {String}
+ */
+export const formatNumber = (
+  format,
+  { prefix = "", clinicCode = "", date = new Date(), timezone = DEFAULT_TIMEZONE, seq },
+) => {
+  const d = dayjs(date).tz(timezone);
+
+  return format
+    .replace(/\{PREFIX\}/g, prefix)
+    .replace(/\{CLINIC\}/g, clinicCode)
+    .replace(/\{YYYY\}/g, d.format("YYYY"))
+    .replace(/\{YY\}/g, d.format("YY"))
+    .replace(/\{MM\}/g, d.format("MM"))
+    .replace(/\{DD\}/g, d.format("DD"))
+    .replace(/\{SEQ(?::(\d+))?\}/g, (_, width) =>
+      String(seq).padStart(Number(width) || 0, "0"),
+    );
+};
+
+/**
+ * Read an existing number back into its parts (for migrating counters)
+ * @param {String} name - Sequence name
+ * @param {String} number - e.g. "XRY-2610-0042"
+ * @param {String} format - Format to read it with (default: the current one)
+ * @returns {Object|null} - { prefix, clinicCode, period, seq } or null if it doesn't match the format
+ */
+export const parseNumber = (name, number, format) => {
+  const config = getSequenceConfig(name);
+  const fields = [];
+
+  const pattern = (format || config.format)
+    .replace(/[.*+?^$()|[\]\\/-]/g, "\\$&")
+    .replace(/\{(PREFIX|CLINIC|YYYY|YY|MM|DD|SEQ(?::\d+)?)\}/g, (_, token) => {
+      const field = token.startsWith("SEQ") ? "SEQ" : token;
+      fields.push(field);
+
+      if (field === "PREFIX" || field === "CLINIC") return "([A-Za-z0-9]+?)";
+      if (field === "YYYY") return "(\\d{4})";
+      if (field === "SEQ") return "(\\d+)";
+      return "(\\d{2})";
+    });
+
+  const match = new RegExp(`^${pattern}$`).exec(String(number || ""));
+  if (!match) return null;
+
+  const values = {};
+  fields.forEach((field, i) => {
+    values[field] = match[i + 1];
+  });
+
+  const year = values.YYYY || (values.YY && `20${values.YY}`);
+  const date = dayjs.utc(`${year || "2000"}-${values.MM || "01"}-${values.DD || "01"}`);
+
+  return {
+    prefix: values.PREFIX || "",
+    clinicCode: values.CLINIC,
+    period: getPeriodKey(config.period, date.toDate(), "UTC"),
+    seq: Number(values.SEQ),
+  };
+};
+
+/**
+ * Raise a counter to at least `seq` (never lowers it)
+ * Used when migrating existing numbers into counters
+ * @param {String} name - Sequence name
+ * @param {Object} parts - { prefix, clinic, period }
+ * @param {Number} seq - Highest number already issued
+ */
+export const syncCounter = (name, { prefix = "", clinic, period }, seq) => {
+  const config = getSequenceConfig(name);
+  const parts = {
+    name,
+    prefix,
+    clinic: config.perClinic ? clinic : undefined,
+    period,
+  };
+
+  return Counter.findOneAndUpdate(
+    { key: getCounterKey(parts) },
+    { $max: { seq }, $setOnInsert: parts },
+    { upsert: true, new: true },
+  );
+};
+
+/**
+ * Period key for a date in a timezone ("all", "2026", "2026-10", "2026-10-19")
+ */
+export const getPeriodKey = (period, date = new Date(), timezone = DEFAULT_TIMEZONE) =>
+  PERIOD_KEY_FORMATS[period]
+    ? dayjs(date).tz(timezone).format(PERIOD_KEY_FORMATS[period])
+    : "all";
+
+// ==================== HELPER FUNCTIONS ====================
+
+function getSequenceConfig(name) {
+  const config = NUMBER_SEQUENCES[name];
+  if (!config) {
+    throw new Error(`Unknown number sequence: ${name}`);
+  }
+  return config;
+}
+
+function getCounterKey({ name, prefix, clinic, period }) {
+  return [name, prefix || "", clinic ? String(clinic) : "*", period].join(":");
+}
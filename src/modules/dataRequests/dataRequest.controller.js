@@ -0,0 +1,215 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import DataRequest from "./dataRequest.model.js";
+import * as dataRequestService from "./dataRequest.service.js";
+import * as chartService from "../charts/chart.service.js";
+import { DATA_REQUEST_STATUS, DATA_REQUEST_TYPES } from "../../constants/dataRequests.js";
+
+/**
+ * DATA REQUEST CONTROLLER
+ *
+ * Handles:
+ * - Patients raising export / erasure requests for their own data (DPDP Act)
+ * - Staff reviewing requests, downloading exports, carrying out or rejecting erasures
+ */
+
+// ==================== PATIENT ====================
+
+/**
+ * @desc    Request a copy or the erasure of my data
+ * @route   POST /api/data-requests/my
+ * @access  Patient
+ *
+ * Body: { type: "export" | "erasure", reason? }
+ */
+export const createMyRequest = asyncHandler(async (req, res) => {
+  const request = await dataRequestService.createRequest(req.patient, req.body, {
+    patient: req.patient,
+  });
+
+  ApiResponse.created(res, { request }, "Request received");
+});
+
+/**
+ * @desc    Get my requests
+ * @route   GET /api/data-requests/my
+ * @access  Patient
+ */
+export const getMyRequests = asyncHandler(async (req, res) => {
+  const requests = await DataRequest.find({ patient: req.patient._id })
+    .select("-history")
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, { requests }, "Requests fetched successfully");
+});
+
+/**
+ * @desc    Download my data (export request)
+ * @route   GET /api/data-requests/my/:requestId/download
+ * @access  Patient
+ */
+export const downloadMyExport = asyncHandler(async (req, res) => {
+  const request = await dataRequestService.findRequestForPatient(
+    req.params.requestId,
+    req.patient,
+  );
+
+  await sendExport(res, request, { patient: req.patient });
+});
+
+/**
+ * @desc    Withdraw my pending request
+ * @route   POST /api/data-requests/my/:requestId/cancel
+ * @access  Patient
+ */
+export const cancelMyRequest = asyncHandler(async (req, res) => {
+  const request = await dataRequestService.findRequestForPatient(
+    req.params.requestId,
+    req.patient,
+  );
+
+  await dataRequestService.closeRequest(request, req.body?.reason, { patient: req.patient });
+
+  ApiResponse.success(res, { request }, "Request cancelled");
+});
+
+// ==================== STAFF ====================
+
+/**
+ * @desc    Get requests (audit log)
+ * @route   GET /api/data-requests?type=&status=&patient=
+ * @access  Admin
+ */
+export const getAllRequests = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, type, status, patient } = req.query;
+
+  const query = {};
+  if (type) {
+    query.type = type;
+  }
+  if (status) {
+    query.status = status;
+  }
+  if (patient && mongoose.Types.ObjectId.isValid(patient)) {
+    query.patient = patient;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [requests, total] = await Promise.all([
+    DataRequest.find(query)
+      .select("-history")
+      .populate("patient", "name phone erasedAt")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    DataRequest.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, requests, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Raise a request on a patient's behalf (e.g. made in writing at the clinic)
+ * @route   POST /api/data-requests
+ * @access  Admin
+ *
+ * Body: { patient, type: "export" | "erasure", reason? }
+ */
+export const createRequest = asyncHandler(async (req, res) => {
+  const patient = await chartService.findPatient(req.body.patient);
+
+  const request = await dataRequestService.createRequest(patient, req.body, { user: req.user });
+
+  ApiResponse.created(res, { request }, "Request recorded");
+});
+
+/**
+ * @desc    Get request with its audit log
+ * @route   GET /api/data-requests/:requestId
+ * @access  Admin
+ *
+ * A pending erasure also returns erasurePlan: what would be deleted / anonymised /
+ * retained, and blockers (dependants, upcoming appointments, ...)
+ */
+export const getRequestById = asyncHandler(async (req, res) => {
+  const request = await dataRequestService.findRequest(req.params.requestId);
+  await request.populate([
+    { path: "patient", select: "name phone erasedAt" },
+    { path: "requestedBy", select: "name" },
+    { path: "history.by", select: "name" },
+  ]);
+
+  const erasurePlan =
+    request.type === DATA_REQUEST_TYPES.ERASURE && request.status === DATA_REQUEST_STATUS.PENDING
+      ? await dataRequestService.getErasurePlan(request.patient._id)
+      : undefined;
+
+  ApiResponse.success(res, { request, erasurePlan }, "Request fetched successfully");
+});
+
+/**
+ * @desc    Download the patient's data (export request)
+ * @route   GET /api/data-requests/:requestId/download
+ * @access  Admin
+ */
+export const downloadExport = asyncHandler(async (req, res) => {
+  const request = await dataRequestService.findRequest(req.params.requestId);
+
+  await sendExport(res, request, { user: req.user });
+});
+
+/**
+ * @desc    Carry out an erasure request
+ * @route   POST /api/data-requests/:requestId/erase
+ * @access  Admin only
+ *
+ * Body: { confirm: true }
+ * Irreversible: personal and clinical data is deleted, invoices and payments
+ * are kept against an anonymous patient record.
+ */
+export const eraseData = asyncHandler(async (req, res) => {
+  if (req.body?.confirm !== true) {
+    return ApiResponse.error(res, "Erasure can't be undone - send confirm: true", 400);
+  }
+
+  const request = await dataRequestService.findRequest(req.params.requestId);
+
+  await dataRequestService.erasePatient(request, { user: req.user });
+
+  ApiResponse.success(res, { request }, "Patient data erased");
+});
+
+/**
+ * @desc    Reject a request
+ * @route   POST /api/data-requests/:requestId/reject
+ * @access  Admin
+ *
+ * Body: { reason }
+ */
+export const rejectRequest = asyncHandler(async (req, res) => {
+  const request = await dataRequestService.findRequest(req.params.requestId);
+
+  await dataRequestService.closeRequest(request, req.body?.reason, { user: req.user });
+
+  ApiResponse.success(res, { request }, "Request rejected");
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+async function sendExport(res, request, actor) {
+  const patient = await dataRequestService.getExportPatient(request);
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${request.requestNumber}.zip"`,
+  });
+
+  await dataRequestService.writeExport(request, patient, res, actor);
+}
@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+import {
+  DATA_REQUEST_ACTIONS,
+  DATA_REQUEST_STATUS,
+  DATA_REQUEST_TYPES,
+} from "../../constants/dataRequests.js";
+
+/**
+ * DATA REQUEST MODEL
+ * A patient's (data principal's) request under the DPDP Act, and its audit log
+ *
+ * Key features:
+ * - export: a copy of the patient's record (JSON + PDFs, as a ZIP); every download is logged
+ * - erasure: personal and clinical data removed, invoices / payments kept for tax
+ * - history: who did what and when - holds no personal data, so it outlives the erasure
+ *
+ * Status flow: pending → completed | rejected | cancelled
+ */
+
+// ============ SUB-SCHEMAS ============
+
+/**
+ * History Schema (embedded)
+ * One audit log entry
+ */
+const historySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: Object.values(DATA_REQUEST_ACTIONS),
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "history.byModel",
+    },
+    byModel: {
+      type: String,
+      enum: ["User", "Patient"],
+    },
+    note: String,
+  },
+  { _id: false },
+);
+
+// ============ MAIN DATA REQUEST SCHEMA ============
+
+const dataRequestSchema = new mongoose.Schema(
+  {
+    // Auto-generated: DPR-YYMM-XXXX (config/numbering.js)
+    requestNumber: {
+      type: String,
+      unique: true,
+    },
+
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(DATA_REQUEST_TYPES),
+      required: [true, "Request type is required"],
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(DATA_REQUEST_STATUS),
+      default: DATA_REQUEST_STATUS.PENDING,
+    },
+
+    // Patient's own words
+    reason: String,
+
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "requestedByModel",
+    },
+
+    requestedByModel: {
+      type: String,
+      enum: ["User", "Patient"],
+    },
+
+    completedAt: Date,
+
+    rejectionReason: String,
+
+    // Export: number of times the archive was downloaded
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Erasure: what happened to each kind of record ({ Model: count })
+    erasure: {
+      deleted: mongoose.Schema.Types.Mixed,
+      anonymised: mongoose.Schema.Types.Mixed,
+      retained: mongoose.Schema.Types.Mixed,
+      filesDeleted: Number,
+      // Cloudinary files that could not be deleted (to retry by hand)
+      filesFailed: [String],
+      // Retained financial records may be deleted after this date
+      retainUntil: Date,
+    },
+
+    history: [historySchema],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+dataRequestSchema.index({ patient: 1, createdAt: -1 });
+dataRequestSchema.index({ status: 1, type: 1 });
+
+// ============ METHODS ============
+
+/**
+ * Add an audit log entry
+ * @param {String} action - DATA_REQUEST_ACTIONS value
+ * @param {Object} actor - { user } (staff) or { patient }
+ * @param {String} note - Optional note
+ */
+dataRequestSchema.methods.log = function (action, { user, patient } = {}, note) {
+  this.history.push({
+    action,
+    by: user?._id || patient?._id,
+    byModel: user ? "User" : patient ? "Patient" : undefined,
+    note,
+  });
+};
+
+// ============ PRE-SAVE MIDDLEWARE ============
+
+/**
+ * Generate request number before saving
+ * Format: DPR-YYMM-XXXX (config/numbering.js)
+ */
+dataRequestSchema.pre("save", async function () {
+  if (!this.isNew || this.requestNumber) return;
+
+  this.requestNumber = await counterService.generateNumber("dataRequest");
+});
+
+const DataRequest = mongoose.model("DataRequest", dataRequestSchema);
+
+export default DataRequest;
@@ -0,0 +1,48 @@
+import { Router } from "express";
+import * as dataRequestController from "./dataRequest.controller.js";
+import { authProtect, patientProtect, adminOnly } from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * DATA REQUEST ROUTES
+ * Base path: /api/data-requests
+ *
+ * Data principal requests (DPDP Act): export of a patient's data and erasure
+ */
+
+// ==================== PATIENT ====================
+
+// Request export / erasure of my data
+router.post("/my", patientProtect, dataRequestController.createMyRequest);
+
+// Get my requests
+router.get("/my", patientProtect, dataRequestController.getMyRequests);
+
+// Download my data (ZIP)
+router.get("/my/:requestId/download", patientProtect, dataRequestController.downloadMyExport);
+
+// Withdraw a pending request
+router.post("/my/:requestId/cancel", patientProtect, dataRequestController.cancelMyRequest);
+
+// ==================== STAFF ====================
+
+// Get requests (?type=&status=&patient=)
+router.get("/", authProtect, dataRequestController.getAllRequests);
+
+// Record a request made at the clinic
+router.post("/", authProtect, dataRequestController.createRequest);
+
+// Get request, audit log and (pending erasure) what would be erased
+router.get("/:requestId", authProtect, dataRequestController.getRequestById);
+
+// Download the patient's data (ZIP)
+router.get("/:requestId/download", authProtect, dataRequestController.downloadExport);
+
+// Carry out an erasure (irreversible)
+router.post("/:requestId/erase", authProtect, adminOnly, dataRequestController.eraseData);
+
+// Reject a request
+router.post("/:requestId/reject", authProtect, dataRequestController.rejectRequest);
+
+export default router;
@@ -0,0 +1,700 @@
+import mongoose from "mongoose";
+import archiver from "archiver";
+import DataRequest from "./dataRequest.model.js";
+import Patient from "../patients/patient.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import AppointmentSeries from "../appointments/appointmentSeries.model.js";
+import WaitlistEntry from "../waitlist/waitlist.model.js";
+import Treatment from "../treatments/treatment.model.js";
+import TreatmentPlan from "../treatmentPlans/treatmentPlan.model.js";
+import Test from "../tests/test.model.js";
+import Prescription from "../prescriptions/prescription.model.js";
+import ClinicalNote from "../clinicalNotes/clinicalNote.model.js";
+import ConsentForm from "../consents/consentForm.model.js";
+import ChartEntry from "../charts/chartEntry.model.js";
+import PerioExam from "../charts/perioExam.model.js";
+import AlertOverride from "../medicalAlerts/alertOverride.model.js";
+import Invoice from "../billing/invoice.model.js";
+import Payment from "../payments/payment.model.js";
+import Report from "../reports/report.model.js";
+import Upload from "../uploads/upload.model.js";
+import Notification from "../notifications/notification.model.js";
+import Enquiry from "../enquiries/enquiry.model.js";
+import Household from "../households/household.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import PatientMerge from "../duplicates/patientMerge.model.js";
+import PatientImport from "../patientImports/patientImport.model.js";
+import { buildPrescriptionPdf } from "../prescriptions/prescription.pdf.js";
+import { buildConsentPdf } from "../consents/consent.pdf.js";
+import { deleteFromCloudinary } from "../../middlewares/upload.middleware.js";
+import {
+  DATA_REQUEST_ACTIONS,
+  DATA_REQUEST_STATUS,
+  DATA_REQUEST_TYPES,
+  ERASED_PATIENT_NAME,
+  FINANCIAL_RECORD_RETENTION_YEARS,
+} from "../../constants/dataRequests.js";
+import { APPOINTMENT_STATUS } from "../../constants/appointmentStatus.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../../utils/AppError.js";
+import { getDayRange, getTimezone } from "../../utils/date.js";
+
+/**
+ * DATA REQUEST SERVICE
+ *
+ * Data principal requests under the DPDP Act:
+ *
+ * Export - one ZIP with the profile and every record as JSON, prescriptions and
+ * consent forms as PDF and the report / upload files themselves (manifest.json
+ * lists the contents and any file that could not be fetched).
+ *
+ * Erasure - RECORDS says what happens to each kind of record:
+ * - delete:    clinical and contact data nothing else depends on
+ * - anonymise: visits, treatments and tests invoices point at; free text removed
+ * - retain:    invoices and payments, kept for tax (FINANCIAL_RECORD_RETENTION_YEARS)
+ * The patient record stays as an anonymous stub so retained records still resolve.
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+const ERASE = { DELETE: "delete", ANONYMISE: "anonymise", RETAIN: "retain" };
+
+// Erasure summary key per action
+const SUMMARY_KEYS = { delete: "deleted", anonymise: "anonymised", retain: "retained" };
+const ERASED_TEXT = "Erased";
+
+// Every record held about a patient: { name, file (export), model, filter, erase, scrub }
+// scrub: updates applied when anonymising / retaining, each { filter, update }
+const RECORDS = [
+  {
+    name: "Appointment",
+    file: "appointments",
+    model: Appointment,
+    populate: [
+      { path: "clinic", select: "name" },
+      { path: "doctor", select: "name" },
+    ],
+    erase: ERASE.ANONYMISE,
+    scrub: [
+      {
+        update: {
+          $set: { reason: ERASED_TEXT, cancellationReason: "" },
+          $unset: { notes: 1, "cancellation.reason": 1 },
+        },
+      },
+      {
+        filter: { "statusHistory.0": { $exists: true } },
+        update: { $unset: { "statusHistory.$[].reason": 1 } },
+      },
+    ],
+  },
+  {
+    name: "AppointmentSeries",
+    file: "appointment-series",
+    model: AppointmentSeries,
+    erase: ERASE.DELETE,
+  },
+  { name: "WaitlistEntry", file: "waitlist", model: WaitlistEntry, erase: ERASE.DELETE },
+  {
+    name: "Treatment",
+    file: "treatments",
+    model: Treatment,
+    populate: [{ path: "treatmentType", select: "name" }],
+    erase: ERASE.ANONYMISE,
+    scrub: [
+      { update: { $unset: { notes: 1, diagnosis: 1, treatmentPlan: 1, "discount.reason": 1 } } },
+      {
+        filter: { "sessions.0": { $exists: true } },
+        update: { $unset: { "sessions.$[].notes": 1 } },
+      },
+    ],
+  },
+  { name: "TreatmentPlan", file: "treatment-plans", model: TreatmentPlan, erase: ERASE.DELETE },
+  {
+    name: "Test",
+    file: "tests",
+    model: Test,
+    populate: [{ path: "testType", select: "name" }],
+    erase: ERASE.ANONYMISE,
+    scrub: [
+      {
+        update: {
+          $set: { resultValues: [] },
+          $unset: { notes: 1, resultSummary: 1, report: 1 },
+        },
+      },
+    ],
+  },
+  { name: "Prescription", file: "prescriptions", model: Prescription, erase: ERASE.DELETE },
+  {
+    name: "ClinicalNote",
+    file: "clinical-notes",
+    model: ClinicalNote,
+    populate: [{ path: "doctor", select: "name" }],
+    erase: ERASE.DELETE,
+  },
+  { name: "ConsentForm", file: "consent-forms", model: ConsentForm, erase: ERASE.DELETE },
+  { name: "ChartEntry", file: "dental-chart", model: ChartEntry, erase: ERASE.DELETE },
+  { name: "PerioExam", file: "perio-exams", model: PerioExam, erase: ERASE.DELETE },
+  { name: "AlertOverride", file: "alert-overrides", model: AlertOverride, erase: ERASE.DELETE },
+  {
+    name: "Invoice",
+    file: "invoices",
+    model: Invoice,
+    erase: ERASE.RETAIN,
+    // Free text may hold personal details; amounts and items stay
+    scrub: [{ update: { $unset: { notes: 1 } } }],
+  },
+  {
+    name: "Payment",
+    file: "payments",
+    model: Payment,
+    select: "-razorpaySignature",
+    erase: ERASE.RETAIN,
+    // UPI ID and free text identify the person; the transaction stays
+    scrub: [{ update: { $unset: { "razorpayDetails.vpa": 1, notes: 1, "refund.reason": 1 } } }],
+  },
+  { name: "Report", file: "reports", model: Report, erase: ERASE.DELETE },
+  {
+    name: "Upload",
+    file: "uploads",
+    model: Upload,
+    field: "relatedTo.document",
+    filter: { "relatedTo.model": "Patient" },
+    erase: ERASE.DELETE,
+  },
+  {
+    name: "Notification",
+    file: "notifications",
+    model: Notification,
+    field: "recipient",
+    filter: { recipientModel: "Patient" },
+    erase: ERASE.DELETE,
+  },
+  {
+    name: "Enquiry",
+    file: "enquiries",
+    model: Enquiry,
+    field: "convertedToPatient",
+    erase: ERASE.DELETE,
+  },
+];
+
+// Never exported (secrets)
+const PATIENT_EXPORT_EXCLUDE = "-password -otp";
+
+// Active appointments still to come block an erasure
+const UPCOMING_STATUSES = [
+  APPOINTMENT_STATUS.SCHEDULED,
+  APPOINTMENT_STATUS.CONFIRMED,
+  APPOINTMENT_STATUS.CHECKED_IN,
+  APPOINTMENT_STATUS.IN_PROGRESS,
+];
+
+/**
+ * Find a request by ID
+ * @param {ObjectId} requestId - DataRequest ID
+ * @returns {Object} - DataRequest document
+ */
+export const findRequest = async (requestId) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw new BadRequestError("Invalid request ID");
+  }
+
+  const request = await DataRequest.findById(requestId);
+  if (!request) {
+    throw new NotFoundError("Data request");
+  }
+  return request;
+};
+
+/**
+ * A patient's own request (others' requests are reported as not found)
+ * @param {ObjectId} requestId - DataRequest ID
+ * @param {Object} patient - Logged-in patient
+ * @returns {Object} - DataRequest document
+ */
+export const findRequestForPatient = async (requestId, patient) => {
+  const request = await findRequest(requestId);
+  if (String(request.patient) !== String(patient._id)) {
+    throw new NotFoundError("Data request");
+  }
+  return request;
+};
+
+/**
+ * Raise a request (by the patient or by staff on their behalf)
+ *
+ * @param {Object} patient - Patient document
+ * @param {Object} data - { type, reason }
+ * @param {Object} actor - { user } or { patient }
+ * @returns {Object} - DataRequest document
+ */
+export const createRequest = async (patient, { type, reason } = {}, actor) => {
+  if (!Object.values(DATA_REQUEST_TYPES).includes(type)) {
+    throw new BadRequestError(
+      `Type must be one of: ${Object.values(DATA_REQUEST_TYPES).join(", ")}`,
+    );
+  }
+
+  if (patient.erasedAt) {
+    throw new BadRequestError("Patient's data has already been erased");
+  }
+
+  const open = await DataRequest.exists({
+    patient: patient._id,
+    type,
+    status: DATA_REQUEST_STATUS.PENDING,
+  });
+  if (open) {
+    throw new ConflictError(`An ${type} request is already pending for this patient`);
+  }
+
+  const request = new DataRequest({
+    patient: patient._id,
+    type,
+    reason: reason?.trim(),
+    requestedBy: actor.user?._id || actor.patient?._id,
+    requestedByModel: actor.user ? "User" : "Patient",
+  });
+  request.log(DATA_REQUEST_ACTIONS.REQUESTED, actor, reason?.trim());
+
+  await request.save();
+  return request;
+};
+
+/**
+ * Reject a pending request (staff) or cancel it (patient)
+ *
+ * @param {Object} request - DataRequest document
+ * @param {String} note - Rejection reason / cancellation note
+ * @param {Object} actor - { user } rejects, { patient } cancels
+ * @returns {Object} - DataRequest document
+ */
+export const closeRequest = async (request, note, actor) => {
+  assertPending(request);
+
+  if (actor.user) {
+    if (!note?.trim()) {
+      throw new BadRequestError("Rejection reason is required");
+    }
+    request.status = DATA_REQUEST_STATUS.REJECTED;
+    request.rejectionReason = note.trim();
+    request.log(DATA_REQUEST_ACTIONS.REJECTED, actor, note.trim());
+  } else {
+    request.status = DATA_REQUEST_STATUS.CANCELLED;
+    request.log(DATA_REQUEST_ACTIONS.CANCELLED, actor, note?.trim());
+  }
+
+  await request.save();
+  return request;
+};
+
+// ==================== EXPORT ====================
+
+/**
+ * Patient whose data an export request covers (checks it can be exported)
+ * Call before writing response headers, so errors still go out as JSON.
+ *
+ * @param {Object} request - DataRequest document (type export)
+ * @returns {Object} - Patient (lean, without secrets)
+ */
+export const getExportPatient = async (request) => {
+  if (request.type !== DATA_REQUEST_TYPES.EXPORT) {
+    throw new BadRequestError("Not an export request");
+  }
+  if ([DATA_REQUEST_STATUS.REJECTED, DATA_REQUEST_STATUS.CANCELLED].includes(request.status)) {
+    throw new BadRequestError(`Request is ${request.status}`);
+  }
+
+  const patient = await Patient.findById(request.patient)
+    .select(PATIENT_EXPORT_EXCLUDE)
+    .populate("household", "name")
+    .populate("preferredClinic", "name")
+    .lean();
+  if (!patient) {
+    throw new NotFoundError("Patient");
+  }
+  if (patient.erasedAt) {
+    throw new BadRequestError("Patient's data has been erased");
+  }
+
+  return patient;
+};
+
+/**
+ * Stream the patient's export archive (ZIP) to output
+ * The download is logged on the request; the first one completes it.
+ *
+ * @param {Object} request - DataRequest document (type export)
+ * @param {Object} patient - From getExportPatient
+ * @param {Writable} output - Response (headers already set)
+ * @param {Object} actor - { user } or { patient }
+ */
+export const writeExport = async (request, patient, output, actor) => {
+  const archive = archiver("zip");
+  // Headers are already out - all that's left is to cut the download short
+  archive.on("error", (error) => output.destroy(error));
+  archive.pipe(output);
+
+  const manifest = {
+    requestNumber: request.requestNumber,
+    patient: String(patient._id),
+    generatedAt: new Date(),
+    records: {},
+    files: [],
+    missingFiles: [],
+  };
+
+  archive.append(toJson(patient), { name: "patient.json" });
+
+  const loaded = {};
+  for (const record of RECORDS) {
+    let query = record.model.find(recordFilter(record, patient._id));
+    if (record.select) query = query.select(record.select);
+    for (const populate of record.populate || []) query = query.populate(populate);
+
+    loaded[record.name] = await query.sort({ createdAt: 1 }).lean();
+    manifest.records[record.file] = loaded[record.name].length;
+    archive.append(toJson(loaded[record.name]), { name: `records/${record.file}.json` });
+  }
+
+  await appendPdfs(archive, manifest, patient._id);
+  await appendFiles(archive, manifest, loaded);
+
+  archive.append(toJson(manifest), { name: "manifest.json" });
+  archive.append(readme(request, manifest), { name: "README.txt" });
+
+  await archive.finalize();
+
+  request.downloadCount += 1;
+  if (request.status === DATA_REQUEST_STATUS.PENDING) {
+    request.status = DATA_REQUEST_STATUS.COMPLETED;
+    request.completedAt = new Date();
+  }
+  request.log(DATA_REQUEST_ACTIONS.DOWNLOADED, actor);
+  await request.save();
+};
+
+// ==================== ERASURE ====================
+
+/**
+ * What an erasure would do, and anything stopping it
+ *
+ * @param {ObjectId} patientId - Patient ID
+ * @returns {Object} - { blockers: [String], deleted, anonymised, retained: { Model: n } }
+ */
+export const getErasurePlan = async (patientId) => {
+  const patient = await Patient.findById(patientId);
+  if (!patient) {
+    throw new NotFoundError("Patient");
+  }
+
+  const plan = { blockers: await findBlockers(patient), deleted: {}, anonymised: {}, retained: {} };
+
+  for (const record of RECORDS) {
+    const count = await record.model.countDocuments(recordFilter(record, patient._id));
+    if (count) plan[SUMMARY_KEYS[record.erase]][record.name] = count;
+  }
+
+  return plan;
+};
+
+/**
+ * Carry out an erasure request
+ * Safe to run again if interrupted: every step looks records up by patient.
+ *
+ * @param {Object} request - DataRequest document (type erasure, pending)
+ * @param {Object} actor - { user }
+ * @returns {Object} - DataRequest document (completed, with the erasure summary)
+ */
+export const erasePatient = async (request, actor) => {
+  if (request.type !== DATA_REQUEST_TYPES.ERASURE) {
+    throw new BadRequestError("Not an erasure request");
+  }
+  assertPending(request);
+
+  const patient = await Patient.findById(request.patient);
+  if (!patient) {
+    throw new NotFoundError("Patient");
+  }
+
+  const blockers = await findBlockers(patient);
+  if (blockers.length) {
+    throw new ConflictError(`Can't erase yet: ${blockers.join("; ")}`);
+  }
+
+  const summary = { deleted: {}, anonymised: {}, retained: {} };
+
+  // Files go last, once nothing points at them
+  const files = await collectFiles(patient._id);
+
+  for (const record of RECORDS) {
+    const filter = recordFilter(record, patient._id);
+
+    if (record.erase === ERASE.DELETE) {
+      const { deletedCount } = await record.model.deleteMany(filter);
+      if (deletedCount) summary.deleted[record.name] = deletedCount;
+      continue;
+    }
+
+    const count = await record.model.countDocuments(filter);
+    for (const step of record.scrub || []) {
+      await record.model.updateMany({ ...filter, ...step.filter }, step.update);
+    }
+    if (count) summary[SUMMARY_KEYS[record.erase]][record.name] = count;
+  }
+
+  // Merge logs keep copies of personal values (phones, email, ...)
+  const merges = await PatientMerge.deleteMany({
+    $or: [{ survivor: patient._id }, { duplicate: patient._id }],
+  });
+  if (merges.deletedCount) summary.deleted.PatientMerge = merges.deletedCount;
+
+  // Rows of import files this patient came from
+  await PatientImport.updateMany(
+    { "rows.patient": patient._id },
+    { $set: { "rows.$[row].data": {} } },
+    { arrayFilters: [{ "row.patient": patient._id }] },
+  );
+
+  // Sole member of a household they hold: the household goes too
+  if (patient.household) {
+    const household = await Household.findOneAndDelete({
+      _id: patient.household,
+      primaryHolder: patient._id,
+    });
+    if (household) summary.deleted.Household = 1;
+  }
+
+  // Earlier duplicates merged into this record are the same person
+  const duplicates = await Patient.find({ mergedInto: patient._id }).select("_id");
+  for (const duplicate of [...duplicates, patient]) {
+    await scrubPatient(duplicate._id);
+  }
+  summary.anonymised.Patient = duplicates.length + 1;
+
+  const { deleted, failed } = await deleteFiles(files);
+
+  const retainUntil = new Date();
+  retainUntil.setFullYear(retainUntil.getFullYear() + FINANCIAL_RECORD_RETENTION_YEARS);
+
+  request.erasure = { ...summary, filesDeleted: deleted, filesFailed: failed, retainUntil };
+  request.status = DATA_REQUEST_STATUS.COMPLETED;
+  request.completedAt = new Date();
+  request.log(
+    DATA_REQUEST_ACTIONS.ERASED,
+    actor,
+    failed.length ? `${failed.length} file(s) could not be deleted from storage` : undefined,
+  );
+  await request.save();
+
+  return request;
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function recordFilter(record, patientId) {
+  return { [record.field || "patient"]: patientId, ...record.filter };
+}
+
+function assertPending(request) {
+  if (request.status !== DATA_REQUEST_STATUS.PENDING) {
+    throw new BadRequestError(`Request is already ${request.status}`);
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+function safeFileName(name) {
+  return String(name || "file").replace(/[^\w.-]+/g, "_");
+}
+
+async function findBlockers(patient) {
+  const blockers = [];
+
+  if (patient.erasedAt) {
+    blockers.push("patient has already been erased");
+    return blockers;
+  }
+
+  const dependants = await Patient.countDocuments({ guardian: patient._id, isActive: true });
+  if (dependants) {
+    blockers.push(`guardian of ${dependants} dependant(s) - give them their own phone first`);
+  }
+
+  if (patient.household) {
+    const household = await Household.findById(patient.household).select("primaryHolder");
+    const others = await Patient.countDocuments({
+      household: patient.household,
+      _id: { $ne: patient._id },
+    });
+    if (others && String(household?.primaryHolder) === String(patient._id)) {
+      blockers.push("primary holder of a household with other members - hand it over first");
+    }
+  }
+
+  // "Today" is each clinic's own day
+  const openFilter = { patient: patient._id, status: { $in: UPCOMING_STATUSES } };
+  const clinics = await Clinic.find({
+    _id: { $in: await Appointment.distinct("clinic", openFilter) },
+  }).select("timezone");
+  const upcoming = clinics.length
+    ? await Appointment.countDocuments({
+        ...openFilter,
+        $or: clinics.map((clinic) => ({
+          clinic: clinic._id,
+          date: { $gte: getDayRange(new Date(), getTimezone(clinic)).start },
+        })),
+      })
+    : 0;
+  if (upcoming) {
+    blockers.push(`${upcoming} upcoming appointment(s) - cancel them first`);
+  }
+
+  return blockers;
+}
+
+// Prescriptions and consent forms as printed
+async function appendPdfs(archive, manifest, patientId) {
+  const prescriptions = await Prescription.find({ patient: patientId }).populate([
+    { path: "patient", select: "name phone gender dateOfBirth allergies medicalAlerts" },
+    { path: "clinic", select: "name address phone email timezone" },
+    { path: "doctor", select: "name qualifications registrationNumber" },
+  ]);
+  for (const prescription of prescriptions) {
+    const name = `prescriptions/${safeFileName(prescription.prescriptionNumber)}.pdf`;
+    archive.append(buildPrescriptionPdf(prescription), { name });
+    manifest.files.push(name);
+  }
+
+  const forms = await ConsentForm.find({ patient: patientId }).populate([
+    { path: "patient", select: "name phone" },
+    { path: "clinic", select: "name address timezone" },
+    {
+      path: "treatment",
+      select: "teeth treatmentType",
+      populate: { path: "treatmentType", select: "name" },
+    },
+    { path: "signature.witnessedBy", select: "name" },
+  ]);
+  for (const form of forms) {
+    const name = `consent-forms/${safeFileName(form.formNumber)}.pdf`;
+    archive.append(buildConsentPdf(form), { name });
+    manifest.files.push(name);
+  }
+}
+
+// Report and upload files, fetched from storage one at a time
+async function appendFiles(archive, manifest, loaded) {
+  const files = [
+    ...loaded.Report.map((report) => ({
+      name: `reports/${report.reportNumber}-${safeFileName(report.file?.fileName)}`,
+      url: report.file?.url,
+    })),
+    ...loaded.Upload.map((upload) => ({
+      name: `uploads/${upload._id}-${safeFileName(upload.fileName)}`,
+      url: upload.url,
+    })),
+  ];
+
+  for (const file of files) {
+    try {
+      const response = await fetch(file.url, { signal: AbortSignal.timeout(30000) });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      archive.append(Buffer.from(await response.arrayBuffer()), { name: file.name });
+      manifest.files.push(file.name);
+    } catch (error) {
+      manifest.missingFiles.push({ name: file.name, url: file.url, error: error.message });
+    }
+  }
+}
+
+function readme(request, manifest) {
+  return [
+    `Data export ${request.requestNumber || ""}`.trim(),
+    `Generated ${manifest.generatedAt.toISOString()}`,
+    "",
+    "patient.json      Your profile",
+    "records/*.json    Appointments, treatments, tests, prescriptions, notes, consents,",
+    "                  dental chart, invoices, payments, reports and messages",
+    "prescriptions/    Prescriptions (PDF)",
+    "consent-forms/    Signed consent forms (PDF)",
+    "reports/          Report files (X-rays, scans, lab reports)",
+    "uploads/          Other files on your record",
+    "manifest.json     Record counts and the list of files",
+    manifest.missingFiles.length
+      ? `\n${manifest.missingFiles.length} file(s) could not be included - see manifest.json`
+      : "",
+  ].join("\r\n");
+}
+
+async function collectFiles(patientId) {
+  const [reports, uploads] = await Promise.all([
+    Report.find({ patient: patientId }).select("file.publicId").lean(),
+    Upload.find({ "relatedTo.model": "Patient", "relatedTo.document": patientId })
+      .select("publicId")
+      .lean(),
+  ]);
+
+  return [
+    ...reports.map((report) => report.file?.publicId),
+    ...uploads.map((upload) => upload.publicId),
+  ].filter(Boolean);
+}
+
+async function deleteFiles(publicIds) {
+  let deleted = 0;
+  const failed = [];
+
+  for (const publicId of publicIds) {
+    try {
+      await deleteFromCloudinary(publicId);
+      deleted++;
+    } catch {
+      failed.push(publicId);
+    }
+  }
+
+  return { deleted, failed };
+}
+
+// Anonymous stub: no contact, identity, health, tag or membership details
+async function scrubPatient(patientId) {
+  await Patient.updateOne(
+    { _id: patientId },
+    {
+      $set: {
+        name: ERASED_PATIENT_NAME,
+        phone: `erased-${patientId}`,
+        alternatePhones: [],
+        allergies: [],
+        medicalHistory: [],
+        medicalAlerts: [],
+        tags: [],
+        membershipHistory: [],
+        isDependant: false,
+        isActive: false,
+        erasedAt: new Date(),
+      },
+      $unset: {
+        email: 1,
+        password: 1,
+        otp: 1,
+        gender: 1,
+        dateOfBirth: 1,
+        address: 1,
+        bloodGroup: 1,
+        emergencyContact: 1,
+        guardian: 1,
+        guardianConsent: 1,
+        household: 1,
+        householdRelationship: 1,
+        membership: 1,
+        notes: 1,
+      },
+    },
+  );
+}
@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import PatientMerge from "./patientMerge.model.js";
+import * as duplicateService from "./duplicate.service.js";
+import * as chartService from "../charts/chart.service.js";
+
+/**
+ * DUPLICATE CONTROLLER
+ *
+ * Handles:
+ * - Duplicate patient detection (one patient, or a scan of recent registrations)
+ * - Merging a duplicate into the surviving record, the merge log and reverting a merge
+ */
+
+// ==================== DETECTION ====================
+
+/**
+ * @desc    Scan recently registered patients for duplicates
+ * @route   GET /api/patients/duplicates?days=&minScore=&limit=
+ * @access  Admin
+ */
+export const scanDuplicates = asyncHandler(async (req, res) => {
+  const { days, minScore, limit } = req.query;
+
+  const pairs = await duplicateService.scanDuplicates({
+    days: days ? Number(days) : undefined,
+    minScore: minScore ? Number(minScore) : undefined,
+    limit: limit ? Number(limit) : undefined,
+  });
+
+  ApiResponse.success(res, { pairs }, `${pairs.length} possible duplicate(s) found`);
+});
+
+/**
+ * @desc    Get likely duplicates of a patient
+ * @route   GET /api/patients/:id/duplicates?minScore=
+ * @access  Admin
+ */
+export const getDuplicates = asyncHandler(async (req, res) => {
+  const patient = await chartService.findPatient(req.params.id);
+
+  const duplicates = await duplicateService.findDuplicates(patient, {
+    minScore: req.query.minScore ? Number(req.query.minScore) : undefined,
+  });
+
+  ApiResponse.success(res, { duplicates }, `${duplicates.length} possible duplicate(s) found`);
+});
+
+// ==================== MERGES ====================
+
+/**
+ * @desc    Merge a duplicate into this patient
+ * @route   POST /api/patients/:id/merge
+ * @access  Admin
+ *
+ * Body: { duplicate (patient ID), reason? }
+ * Appointments, treatments, tests, invoices, payments, reports, uploads,
+ * notifications etc. move to this patient; the duplicate is deactivated.
+ */
+export const mergePatient = asyncHandler(async (req, res) => {
+  const { duplicate, reason } = req.body;
+
+  const { merge, survivor } = await duplicateService.mergePatients(
+    req.params.id,
+    duplicate,
+    { reason },
+    req.user,
+  );
+
+  ApiResponse.success(res, { merge, patient: survivor }, "Patients merged successfully");
+});
+
+/**
+ * @desc    Get merge log
+ * @route   GET /api/patients/merges?patient=&status=
+ * @access  Admin
+ */
+export const getMerges = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, patient, status } = req.query;
+
+  const query = {};
+  if (patient && mongoose.Types.ObjectId.isValid(patient)) {
+    query.$or = [{ survivor: patient }, { duplicate: patient }];
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [merges, total] = await Promise.all([
+    PatientMerge.find(query)
+      .select("-moved -survivorChanges")
+      .populate("survivor", "name phone")
+      .populate("duplicate", "name phone")
+      .populate("mergedBy", "name")
+      .populate("revertedBy", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PatientMerge.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, merges, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Get merge (what moved and what the survivor picked up)
+ * @route   GET /api/patients/merges/:mergeId
+ * @access  Admin
+ */
+export const getMergeById = asyncHandler(async (req, res) => {
+  const merge = await duplicateService.findMerge(req.params.mergeId);
+  await merge.populate([
+    { path: "survivor", select: "name phone alternatePhones isActive" },
+    { path: "duplicate", select: "name phone isActive mergedInto" },
+    { path: "mergedBy", select: "name" },
+    { path: "revertedBy", select: "name" },
+  ]);
+
+  ApiResponse.success(res, { merge }, "Merge fetched successfully");
+});
+
+/**
+ * @desc    Revert a merge
+ * @route   POST /api/patients/merges/:mergeId/revert
+ * @access  Admin
+ *
+ * Body: { reason? }
+ * Records moved by the merge go back to the duplicate, which is reactivated.
+ */
+export const revertMerge = asyncHandler(async (req, res) => {
+  const merge = await duplicateService.findMerge(req.params.mergeId);
+
+  const { survivor, duplicate } = await duplicateService.revertMerge(
+    merge,
+    req.body?.reason,
+    req.user,
+  );
+
+  ApiResponse.success(res, { merge, survivor, duplicate }, "Merge reverted successfully");
+});
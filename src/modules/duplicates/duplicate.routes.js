@@ -0,0 +1,36 @@
+import { Router } from "express";
+import * as duplicateController from "./duplicate.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * DUPLICATE ROUTES
+ * Base path: /api/patients (mounted before /:id)
+ *
+ * Duplicate patient detection, merges and the reversible merge log
+ */
+
+// ==================== DETECTION ====================
+
+// Scan recent registrations (?days=&minScore=&limit=)
+router.get("/duplicates", authProtect, duplicateController.scanDuplicates);
+
+// Likely duplicates of one patient (?minScore=)
+router.get("/:id/duplicates", authProtect, duplicateController.getDuplicates);
+
+// ==================== MERGES ====================
+
+// Merge log (?patient=&status=)
+router.get("/merges", authProtect, duplicateController.getMerges);
+
+// Single merge
+router.get("/merges/:mergeId", authProtect, duplicateController.getMergeById);
+
+// Revert merge
+router.post("/merges/:mergeId/revert", authProtect, duplicateController.revertMerge);
+
+// Merge a duplicate into this patient
+router.post("/:id/merge", authProtect, duplicateController.mergePatient);
+
+export default router;
@@ -0,0 +1,489 @@
+import mongoose from "mongoose";
+import PatientMerge from "./patientMerge.model.js";
+import Patient from "../patients/patient.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import AppointmentSeries from "../appointments/appointmentSeries.model.js";
+import WaitlistEntry from "../waitlist/waitlist.model.js";
+import Treatment from "../treatments/treatment.model.js";
+import TreatmentPlan from "../treatmentPlans/treatmentPlan.model.js";
+import Test from "../tests/test.model.js";
+import Prescription from "../prescriptions/prescription.model.js";
+import ClinicalNote from "../clinicalNotes/clinicalNote.model.js";
+import ConsentForm from "../consents/consentForm.model.js";
+import ChartEntry from "../charts/chartEntry.model.js";
+import PerioExam from "../charts/perioExam.model.js";
+import AlertOverride from "../medicalAlerts/alertOverride.model.js";
+import Invoice from "../billing/invoice.model.js";
+import Payment from "../payments/payment.model.js";
+import Report from "../reports/report.model.js";
+import Upload from "../uploads/upload.model.js";
+import Notification from "../notifications/notification.model.js";
+import Enquiry from "../enquiries/enquiry.model.js";
+import Household from "../households/household.model.js";
+import * as chartService from "../charts/chart.service.js";
+import {
+  DUPLICATE_MATCH_WEIGHTS,
+  DUPLICATE_MIN_SCORE,
+  NAME_SIMILARITY_THRESHOLD,
+  PATIENT_MERGE_STATUS,
+} from "../../constants/duplicates.js";
+import { BadRequestError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * DUPLICATE SERVICE
+ *
+ * Duplicate detection:
+ * - Candidates share a phone (incl. alternate phones), email or date of birth,
+ *   or part of the name; each is scored on phone / email / DOB / fuzzy name
+ *
+ * Merging (duplicate → survivor):
+ * - Every record pointing at the duplicate is re-pointed to the survivor
+ * - The survivor picks up what it is missing (email, DOB, ...), the duplicate's
+ *   phones as alternate phones, allergies, history and medical alerts
+ * - The duplicate is deactivated with mergedInto set; the PatientMerge log
+ *   lists everything that moved so the merge can be reverted
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+// Everything that references a patient: { model, field, filter }
+const REFERENCES = [
+  { model: Appointment, field: "patient" },
+  { model: AppointmentSeries, field: "patient" },
+  { model: WaitlistEntry, field: "patient" },
+  { model: Treatment, field: "patient" },
+  { model: TreatmentPlan, field: "patient" },
+  { model: Test, field: "patient" },
+  { model: Prescription, field: "patient" },
+  { model: ClinicalNote, field: "patient" },
+  { model: ConsentForm, field: "patient" },
+  { model: ChartEntry, field: "patient" },
+  { model: PerioExam, field: "patient" },
+  { model: AlertOverride, field: "patient" },
+  { model: Invoice, field: "patient" },
+  { model: Payment, field: "patient" },
+  { model: Report, field: "patient" },
+  { model: Upload, field: "relatedTo.document", filter: { "relatedTo.model": "Patient" } },
+  { model: Notification, field: "recipient", filter: { recipientModel: "Patient" } },
+  { model: Enquiry, field: "convertedToPatient" },
+  { model: Household, field: "primaryHolder" },
+  { model: Patient, field: "guardian" },
+  { model: Patient, field: "guardianConsent.givenBy" },
+  { model: Patient, field: "mergedInto" }, // Earlier merges into the duplicate
+];
+
+// Copied to the survivor when it has no value of its own
+const FILL_FIELDS = [
+  "email",
+  "gender",
+  "dateOfBirth",
+  "address",
+  "bloodGroup",
+  "emergencyContact",
+  "preferredClinic",
+  "household",
+  "householdRelationship",
+];
+
+// Lists the duplicate's entries are added to
+const LIST_FIELDS = ["allergies", "medicalHistory"];
+
+const CANDIDATE_FIELDS =
+  "name phone alternatePhones email dateOfBirth gender household isDependant isActive createdAt";
+
+/**
+ * Find a merge log entry by ID
+ * @param {ObjectId} mergeId - PatientMerge ID
+ * @returns {Object} - PatientMerge document
+ */
+export const findMerge = async (mergeId) => {
+  if (!mongoose.Types.ObjectId.isValid(mergeId)) {
+    throw new BadRequestError("Invalid merge ID");
+  }
+
+  const merge = await PatientMerge.findById(mergeId);
+  if (!merge) {
+    throw new NotFoundError("Merge");
+  }
+  return merge;
+};
+
+/**
+ * Likely duplicates of a patient, best match first
+ * @param {Object} patient - Patient document
+ * @param {Object} options - { minScore }
+ * @returns {Array} - [{ patient, score, reasons }]
+ */
+export const findDuplicates = async (patient, { minScore = DUPLICATE_MIN_SCORE } = {}) => {
+  const phones = getPhones(patient);
+  const or = [{ phone: { $in: phones } }, { alternatePhones: { $in: phones } }];
+
+  if (patient.email) {
+    or.push({ email: patient.email.toLowerCase() });
+  }
+  if (patient.dateOfBirth) {
+    or.push({ dateOfBirth: patient.dateOfBirth });
+  }
+  for (const token of nameTokens(patient.name).filter((t) => t.length >= 3)) {
+    or.push({ name: { $regex: `\\b${escapeRegex(token)}`, $options: "i" } });
+  }
+
+  const candidates = await Patient.find({
+    _id: { $ne: patient._id },
+    mergedInto: { $exists: false },
+    $or: or,
+  })
+    .select(CANDIDATE_FIELDS)
+    .limit(200);
+
+  return candidates
+    .map((candidate) => ({ patient: candidate, ...scoreMatch(patient, candidate) }))
+    .filter((match) => match.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Duplicate pairs among recently registered patients
+ * @param {Object} options - { days (registered within), minScore, limit }
+ * @returns {Array} - [{ patients: [a, b], score, reasons }]
+ */
+export const scanDuplicates = async ({
+  days = 30,
+  minScore = DUPLICATE_MIN_SCORE,
+  limit = 50,
+} = {}) => {
+  const since = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000);
+
+  const recent = await Patient.find({
+    createdAt: { $gte: since },
+    isActive: true,
+    mergedInto: { $exists: false },
+  }).select(CANDIDATE_FIELDS);
+
+  const pairs = new Map();
+  for (const patient of recent) {
+    for (const match of await findDuplicates(patient, { minScore })) {
+      const key = [String(patient._id), String(match.patient._id)].sort().join(":");
+      if (pairs.has(key)) continue;
+
+      pairs.set(key, {
+        patients: [patient, match.patient],
+        score: match.score,
+        reasons: match.reasons,
+      });
+    }
+  }
+
+  return [...pairs.values()].sort((a, b) => b.score - a.score).slice(0, Number(limit));
+};
+
+/**
+ * Merge a duplicate into the surviving record
+ *
+ * @param {ObjectId} survivorId - Record that stays
+ * @param {ObjectId} duplicateId - Record folded into it (deactivated)
+ * @param {Object} options - { reason }
+ * @param {Object} user - Admin merging
+ * @returns {Object} - { merge, survivor }
+ */
+export const mergePatients = async (survivorId, duplicateId, { reason } = {}, user) => {
+  if (!duplicateId) {
+    throw new BadRequestError("Duplicate patient is required");
+  }
+  if (String(survivorId) === String(duplicateId)) {
+    throw new BadRequestError("Can't merge a patient into itself");
+  }
+
+  const survivor = await chartService.findPatient(survivorId);
+  const duplicate = await chartService.findPatient(duplicateId);
+
+  for (const patient of [survivor, duplicate]) {
+    if (patient.mergedInto) {
+      throw new BadRequestError(`${patient.name} has already been merged into another record`);
+    }
+  }
+  assertHouseholdsCompatible(survivor, duplicate);
+
+  const merge = new PatientMerge({
+    survivor: survivor._id,
+    duplicate: duplicate._id,
+    reason,
+    match: scoreMatch(survivor, duplicate),
+    duplicateBefore: { isActive: duplicate.isActive },
+    mergedBy: user?._id,
+  });
+
+  merge.survivorChanges = applySurvivorChanges(survivor, duplicate);
+
+  for (const ref of REFERENCES) {
+    const filter = { ...ref.filter, [ref.field]: duplicate._id };
+    const ids = await ref.model.find(filter).distinct("_id");
+    if (!ids.length) continue;
+
+    await ref.model.updateMany({ _id: { $in: ids } }, { $set: { [ref.field]: survivor._id } });
+    merge.moved.push({ model: ref.model.modelName, field: ref.field, ids });
+  }
+
+  await survivor.save();
+
+  duplicate.isActive = false;
+  duplicate.mergedInto = survivor._id;
+  duplicate.mergedAt = new Date();
+  await duplicate.save();
+
+  await merge.save();
+  return { merge, survivor };
+};
+
+/**
+ * Undo a merge
+ * Records moved by the merge go back to the duplicate (records created on the
+ * survivor since stay); what the survivor picked up is removed unless it has
+ * been edited since. The duplicate is reactivated.
+ *
+ * @param {Object} merge - PatientMerge document
+ * @param {String} reason - Why
+ * @param {Object} user - Admin reverting
+ * @returns {Object} - { merge, survivor, duplicate }
+ */
+export const revertMerge = async (merge, reason, user) => {
+  if (merge.status === PATIENT_MERGE_STATUS.REVERTED) {
+    throw new BadRequestError("Merge has already been reverted");
+  }
+
+  const survivor = await chartService.findPatient(merge.survivor);
+  const duplicate = await chartService.findPatient(merge.duplicate);
+
+  if (survivor.mergedInto) {
+    throw new BadRequestError(
+      `${survivor.name} has since been merged into another record - revert that merge first`,
+    );
+  }
+
+  for (const moved of merge.moved) {
+    const model = mongoose.model(moved.model);
+    await model.updateMany(
+      { _id: { $in: moved.ids }, [moved.field]: survivor._id },
+      { $set: { [moved.field]: duplicate._id } },
+    );
+  }
+
+  revertSurvivorChanges(survivor, merge.survivorChanges);
+  await survivor.save();
+
+  duplicate.isActive = merge.duplicateBefore?.isActive ?? true;
+  duplicate.mergedInto = undefined;
+  duplicate.mergedAt = undefined;
+  await duplicate.save();
+
+  merge.status = PATIENT_MERGE_STATUS.REVERTED;
+  merge.revertedAt = new Date();
+  merge.revertedBy = user?._id;
+  merge.revertReason = reason;
+  await merge.save();
+
+  return { merge, survivor, duplicate };
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Score how likely two patients are the same person
+ * @returns {Object} - { score (0-100), reasons }
+ */
+function scoreMatch(patient, candidate) {
+  let score = 0;
+  const reasons = [];
+
+  // Household members share a phone on purpose
+  const sameHousehold =
+    patient.household && String(patient.household) === String(candidate.household);
+  const candidatePhones = getPhones(candidate);
+  const sharedPhone = getPhones(patient).find((phone) => candidatePhones.includes(phone));
+  if (sharedPhone && !sameHousehold) {
+    score += DUPLICATE_MATCH_WEIGHTS.phone;
+    reasons.push(`Same phone (${sharedPhone})`);
+  }
+
+  if (patient.email && patient.email.toLowerCase() === candidate.email?.toLowerCase()) {
+    score += DUPLICATE_MATCH_WEIGHTS.email;
+    reasons.push("Same email");
+  }
+
+  if (sameDay(patient.dateOfBirth, candidate.dateOfBirth)) {
+    score += DUPLICATE_MATCH_WEIGHTS.dateOfBirth;
+    reasons.push("Same date of birth");
+  }
+
+  const similarity = nameSimilarity(patient.name, candidate.name);
+  if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+    score += Math.round(DUPLICATE_MATCH_WEIGHTS.name * similarity);
+    reasons.push(
+      similarity === 1 ? "Same name" : `Similar name (${Math.round(similarity * 100)}%)`,
+    );
+  }
+
+  return { score: Math.min(score, 100), reasons };
+}
+
+function assertHouseholdsCompatible(survivor, duplicate) {
+  if (!duplicate.household) return;
+
+  if (survivor.household && String(survivor.household) !== String(duplicate.household)) {
+    throw new BadRequestError("Patients are in different households - remove one first");
+  }
+
+  if (survivor.household && duplicate.householdRelationship === "self") {
+    throw new BadRequestError(
+      `${duplicate.name} is the household's primary holder - make ${survivor.name} primary first`,
+    );
+  }
+}
+
+/**
+ * Give the survivor what only the duplicate has
+ * @returns {Object} - { set: { field: { from, to } }, added: { field: [values] } }
+ */
+function applySurvivorChanges(survivor, duplicate) {
+  const set = {};
+  const added = {};
+
+  const setField = (field, value) => {
+    set[field] = { from: plain(survivor[field]), to: plain(value) };
+    survivor[field] = value;
+  };
+
+  for (const field of FILL_FIELDS) {
+    if (!hasValue(survivor[field]) && hasValue(duplicate[field])) {
+      setField(field, duplicate[field]);
+    }
+  }
+
+  if (!survivor.hasMembership && duplicate.hasMembership) {
+    setField("membership", duplicate.membership.toObject());
+  }
+
+  if (duplicate.noShowCount) {
+    setField("noShowCount", (survivor.noShowCount || 0) + duplicate.noShowCount);
+  }
+
+  const addToList = (field, values, key = (v) => String(v).trim().toLowerCase()) => {
+    const existing = new Set((survivor[field] || []).map(key));
+    const fresh = values.filter((value) => {
+      if (!hasValue(value) || existing.has(key(value))) return false;
+      existing.add(key(value));
+      return true;
+    });
+    if (!fresh.length) return;
+
+    survivor[field].push(...fresh);
+    added[field] = fresh.map(plain);
+  };
+
+  addToList(
+    "alternatePhones",
+    getPhones(duplicate).filter((phone) => phone !== survivor.phone),
+  );
+  for (const field of LIST_FIELDS) {
+    addToList(field, duplicate[field] || []);
+  }
+
+  // Alerts keep their IDs so override logs still point at them
+  addToList(
+    "medicalAlerts",
+    (duplicate.medicalAlerts || []).map((alert) => alert.toObject()),
+    (alert) => `${alert.type}:${String(alert.name).trim().toLowerCase()}`,
+  );
+
+  return { set, added };
+}
+
+function revertSurvivorChanges(survivor, { set = {}, added = {} } = {}) {
+  for (const [field, { from, to }] of Object.entries(set)) {
+    // Edited since the merge - leave it
+    if (JSON.stringify(plain(survivor[field])) !== JSON.stringify(to)) continue;
+    survivor[field] = from ?? undefined;
+  }
+
+  for (const [field, values] of Object.entries(added)) {
+    if (field === "medicalAlerts") {
+      const ids = new Set(values.map((alert) => String(alert._id)));
+      survivor.medicalAlerts = survivor.medicalAlerts.filter((a) => !ids.has(String(a._id)));
+    } else {
+      const remove = new Set(values.map(String));
+      survivor[field] = (survivor[field] || []).filter((value) => !remove.has(String(value)));
+    }
+  }
+}
+
+function getPhones(patient) {
+  return [patient.phone, ...(patient.alternatePhones || [])].filter(Boolean);
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null || value === "") return false;
+  if (value instanceof Date || value instanceof mongoose.Types.ObjectId) return true;
+  if (typeof value === "object") {
+    const object = typeof value.toObject === "function" ? value.toObject() : value;
+    return Object.values(object).some(hasValue);
+  }
+  return true;
+}
+
+// JSON-safe copy (for the merge log)
+function plain(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+function sameDay(a, b) {
+  if (!a || !b) return false;
+  return new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+}
+
+function nameTokens(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * 0-1 similarity of two names (edit distance), ignoring case,
+ * punctuation and word order ("Kumar Ravi" = "Ravi Kumar")
+ */
+function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  return Math.max(
+    similarity(tokensA.join(" "), tokensB.join(" ")),
+    similarity([...tokensA].sort().join(" "), [...tokensB].sort().join(" ")),
+  );
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 1;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import { PATIENT_MERGE_STATUS } from "../../constants/duplicates.js";
+
+/**
+ * PATIENT MERGE MODEL
+ * Log of a duplicate patient merged into a surviving record
+ *
+ * Key features:
+ * - moved: every document re-pointed from the duplicate to the survivor
+ *   (model, field, IDs) so the merge can be reverted exactly
+ * - survivorChanges: what the survivor picked up from the duplicate
+ *   (fields filled in, list entries added) - removed again on revert
+ *
+ * Status flow: merged → reverted
+ */
+
+// ============ SUB-SCHEMAS ============
+
+/**
+ * Moved Schema (embedded)
+ * Documents of one model whose patient reference was re-pointed
+ */
+const movedSchema = new mongoose.Schema(
+  {
+    model: {
+      type: String,
+      required: true,
+    },
+    field: {
+      type: String,
+      required: true,
+    },
+    ids: [mongoose.Schema.Types.ObjectId],
+  },
+  { _id: false },
+);
+
+// ============ MAIN PATIENT MERGE SCHEMA ============
+
+const patientMergeSchema = new mongoose.Schema(
+  {
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    duplicate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(PATIENT_MERGE_STATUS),
+      default: PATIENT_MERGE_STATUS.MERGED,
+    },
+
+    reason: String,
+
+    // Match that led to the merge (score + reasons), if any
+    match: {
+      score: Number,
+      reasons: [String],
+    },
+
+    moved: [movedSchema],
+
+    // { filled: { field: value }, added: { field: [values] } }
+    survivorChanges: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Duplicate's state before it was deactivated
+    duplicateBefore: {
+      isActive: Boolean,
+    },
+
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    revertedAt: Date,
+
+    revertedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    revertReason: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+patientMergeSchema.index({ survivor: 1, createdAt: -1 });
+patientMergeSchema.index({ duplicate: 1, createdAt: -1 });
+patientMergeSchema.index({ status: 1 });
+
+const PatientMerge = mongoose.model("PatientMerge", patientMergeSchema);
+
+export default PatientMerge;
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+import { getDayRange } from "../../utils/date.js";
 
 /**
  * ENQUIRY MODEL
@@ -206,26 +208,12 @@ enquirySchema.index({ nextFollowUp: 1 });
 
 /**
  * Generate enquiry number before saving
- * Format: ENQ-YYMMDD-XXXX
+ * Format: ENQ-YYMMDD-XXXX (config/numbering.js)
  */
 enquirySchema.pre("save", async function () {
   if (!this.isNew) return;
 
-  const now = new Date();
-  const year = now.getFullYear().toString().slice(-2);
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const day = String(now.getDate()).padStart(2, "0");
-
-  // Count today's enquiries
-  const startOfDay = new Date(now.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(now.setHours(23, 59, 59, 999));
-
-  const count = await mongoose.model("Enquiry").countDocuments({
-    createdAt: { $gte: startOfDay, $lte: endOfDay },
-  });
-
-  const serial = String(count + 1).padStart(4, "0");
-  this.enquiryNumber = `ENQ-${year}${month}${day}-${serial}`;
+  this.enquiryNumber = await counterService.generateNumber("enquiry");
 
   // Add initial status to history
   this.statusHistory.push({
@@ -362,12 +350,10 @@ enquirySchema.statics.getStats = async function (dateFrom, dateTo) {
 };
 
 /**
- * Get today's enquiries
+ * Get today's enquiries (enquiries aren't per clinic - default timezone)
  */
 enquirySchema.statics.getTodayEnquiries = async function () {
-  const today = new Date();
-  const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(today.setHours(23, 59, 59, 999));
+  const { start: startOfDay, end: endOfDay } = getDayRange();
 
   return this.find({
     createdAt: { $gte: startOfDay, $lte: endOfDay },
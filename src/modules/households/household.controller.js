@@ -0,0 +1,219 @@
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import Household from "./household.model.js";
+import * as householdService from "./household.service.js";
+
+/**
+ * HOUSEHOLD CONTROLLER
+ *
+ * Handles:
+ * - Households (families) and their members / dependants
+ * - Household-wide appointments and outstanding invoices
+ *   (admin, and the primary account holder via /my)
+ */
+
+// ==================== PATIENT (PRIMARY HOLDER) ====================
+
+/**
+ * @desc    Get my household and its members
+ * @route   GET /api/households/my
+ * @access  Patient (primary account holder)
+ */
+export const getMyHousehold = asyncHandler(async (req, res) => {
+  const household = await householdService.findHouseholdForHolder(req.patient);
+  const members = await householdService.getMembers(household);
+
+  ApiResponse.success(res, { household, members }, "Household fetched successfully");
+});
+
+/**
+ * @desc    Get appointments of everyone in my household
+ * @route   GET /api/households/my/appointments?upcoming=
+ * @access  Patient (primary account holder)
+ */
+export const getMyHouseholdAppointments = asyncHandler(async (req, res) => {
+  const household = await householdService.findHouseholdForHolder(req.patient);
+  const appointments = await householdService.getHouseholdAppointments(household, {
+    upcoming: req.query.upcoming === "true",
+  });
+
+  ApiResponse.success(res, { appointments }, "Household appointments fetched successfully");
+});
+
+/**
+ * @desc    Get outstanding invoices of everyone in my household
+ * @route   GET /api/households/my/invoices
+ * @access  Patient (primary account holder)
+ */
+export const getMyHouseholdInvoices = asyncHandler(async (req, res) => {
+  const household = await householdService.findHouseholdForHolder(req.patient);
+  const outstanding = await householdService.getOutstandingInvoices(household);
+
+  ApiResponse.success(res, outstanding, "Household invoices fetched successfully");
+});
+
+// ==================== HOUSEHOLDS ====================
+
+/**
+ * @desc    Get households
+ * @route   GET /api/households?search=&active=
+ * @access  Admin
+ */
+export const getAllHouseholds = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, search, active = "true" } = req.query;
+
+  const query = {};
+  if (active === "true") {
+    query.isActive = true;
+  }
+  if (search) {
+    query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [households, total] = await Promise.all([
+    Household.find(query)
+      .populate("primaryHolder", "name phone")
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Household.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, households, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Create household
+ * @route   POST /api/households
+ * @access  Admin
+ *
+ * Body: { primaryHolder (patient ID), name?, notes? }
+ * The primary holder must be an adult with their own phone.
+ */
+export const createHousehold = asyncHandler(async (req, res) => {
+  const household = await householdService.createHousehold(req.body, req.user);
+  const members = await householdService.getMembers(household);
+
+  ApiResponse.created(res, { household, members }, "Household created successfully");
+});
+
+/**
+ * @desc    Get household with its members
+ * @route   GET /api/households/:id
+ * @access  Admin
+ */
+export const getHouseholdById = asyncHandler(async (req, res) => {
+  const household = await householdService.findHousehold(req.params.id);
+  await household.populate([
+    { path: "primaryHolder", select: "name phone email membership" },
+    { path: "createdBy", select: "name" },
+  ]);
+
+  const members = await householdService.getMembers(household);
+
+  ApiResponse.success(res, { household, members }, "Household fetched successfully");
+});
+
+/**
+ * @desc    Update household (name, notes, active, primary holder)
+ * @route   PATCH /api/households/:id
+ * @access  Admin
+ *
+ * Body: { name?, notes?, isActive?, primaryHolder? } - new holder must be an adult member
+ */
+export const updateHousehold = asyncHandler(async (req, res) => {
+  const household = await householdService.findHousehold(req.params.id);
+
+  await householdService.updateHousehold(household, req.body);
+
+  ApiResponse.success(res, { household }, "Household updated successfully");
+});
+
+// ==================== MEMBERS ====================
+
+/**
+ * @desc    Add an existing patient to the household
+ * @route   POST /api/households/:id/members
+ * @access  Admin
+ *
+ * Body: { patient, relationship, guardianConsent? }
+ * Minors need guardianConsent: { relationship, givenByName?, notes? }
+ */
+export const addMember = asyncHandler(async (req, res) => {
+  const household = await householdService.findHousehold(req.params.id);
+  const patient = await householdService.addMember(household, req.body, req.user);
+
+  ApiResponse.success(res, { patient }, "Member added to household");
+});
+
+/**
+ * @desc    Register a dependant sharing their guardian's phone
+ * @route   POST /api/households/:id/dependants
+ * @access  Admin
+ *
+ * Body: {
+ *   name, relationship, dateOfBirth?, gender?, email?, bloodGroup?, allergies?,
+ *   medicalHistory?, preferredClinic?, notes?,
+ *   guardian? (member ID, defaults to the primary holder),
+ *   guardianConsent?: { relationship, givenByName?, notes? } (required for minors)
+ * }
+ */
+export const addDependant = asyncHandler(async (req, res) => {
+  const household = await householdService.findHousehold(req.params.id);
+  const patient = await householdService.addDependant(household, req.body, req.user);
+
+  ApiResponse.created(res, { patient }, "Dependant registered successfully");
+});
+
+/**
+ * @desc    Remove member from household
+ * @route   DELETE /api/households/:id/members/:patientId
+ * @access  Admin
+ *
+ * Body: { phone } - required for dependants (they need their own phone to leave)
+ */
+export const removeMember = asyncHandler(async (req, res) => {
+  const household = await householdService.findHousehold(req.params.id);
+  const patient = await householdService.removeMember(
+    household,
+    req.params.patientId,
+    req.body || {},
+  );
+
+  ApiResponse.success(res, { patient }, "Member removed from household");
+});
+
+// ==================== HOUSEHOLD VIEWS ====================
+
+/**
+ * @desc    Get appointments of every household member
+ * @route   GET /api/households/:id/appointments?upcoming=
+ * @access  Admin
+ */
+export const getHouseholdAppointments = asyncHandler(async (req, res) => {
+  const household = await householdService.findHousehold(req.params.id);
+  const appointments = await householdService.getHouseholdAppointments(household, {
+    upcoming: req.query.upcoming === "true",
+  });
+
+  ApiResponse.success(res, { appointments }, "Household appointments fetched successfully");
+});
+
+/**
+ * @desc    Get outstanding invoices of every household member
+ * @route   GET /api/households/:id/invoices
+ * @access  Admin
+ */
+export const getHouseholdInvoices = asyncHandler(async (req, res) => {
+  const household = await householdService.findHousehold(req.params.id);
+  const outstanding = await householdService.getOutstandingInvoices(household);
+
+  ApiResponse.success(res, outstanding, "Household invoices fetched successfully");
+});
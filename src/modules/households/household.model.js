@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+/**
+ * HOUSEHOLD MODEL
+ * A family registered together under one account holder
+ *
+ * Key features:
+ * - primaryHolder: adult account holder who logs in and sees the household
+ * - Members are patients with Patient.household set (see householdRelationship)
+ * - Dependants share the primary holder's (or another guardian's) phone
+ *   and can't log in on their own
+ */
+
+const householdSchema = new mongoose.Schema(
+  {
+    // e.g. "Sharma family"
+    name: {
+      type: String,
+      required: [true, "Household name is required"],
+      trim: true,
+    },
+
+    primaryHolder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Primary account holder is required"],
+    },
+
+    notes: String,
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+householdSchema.index({ primaryHolder: 1 }, { unique: true });
+householdSchema.index({ name: 1 });
+
+const Household = mongoose.model("Household", householdSchema);
+
+export default Household;
@@ -0,0 +1,58 @@
+import { Router } from "express";
+import * as householdController from "./household.controller.js";
+import { authProtect, patientProtect } from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * HOUSEHOLD ROUTES
+ * Base path: /api/households
+ *
+ * Families under one primary account holder; dependants share the guardian's phone
+ */
+
+// ==================== PATIENT (PRIMARY HOLDER) ====================
+
+// Get my household and its members
+router.get("/my", patientProtect, householdController.getMyHousehold);
+
+// Get appointments of everyone in my household (?upcoming=true)
+router.get("/my/appointments", patientProtect, householdController.getMyHouseholdAppointments);
+
+// Get outstanding invoices of everyone in my household
+router.get("/my/invoices", patientProtect, householdController.getMyHouseholdInvoices);
+
+// ==================== HOUSEHOLDS ====================
+
+// Get households (filters: search, active)
+router.get("/", authProtect, householdController.getAllHouseholds);
+
+// Create household
+router.post("/", authProtect, householdController.createHousehold);
+
+// Get single household with members
+router.get("/:id", authProtect, householdController.getHouseholdById);
+
+// Update household / change primary holder
+router.patch("/:id", authProtect, householdController.updateHousehold);
+
+// ==================== MEMBERS ====================
+
+// Add existing patient
+router.post("/:id/members", authProtect, householdController.addMember);
+
+// Register dependant (shares guardian's phone)
+router.post("/:id/dependants", authProtect, householdController.addDependant);
+
+// Remove member
+router.delete("/:id/members/:patientId", authProtect, householdController.removeMember);
+
+// ==================== HOUSEHOLD VIEWS ====================
+
+// Appointments of every member (?upcoming=true)
+router.get("/:id/appointments", authProtect, householdController.getHouseholdAppointments);
+
+// Outstanding invoices of every member
+router.get("/:id/invoices", authProtect, householdController.getHouseholdInvoices);
+
+export default router;
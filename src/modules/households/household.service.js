@@ -0,0 +1,419 @@
+import mongoose from "mongoose";
+import Household from "./household.model.js";
+import Patient from "../patients/patient.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import Invoice from "../billing/invoice.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import * as chartService from "../charts/chart.service.js";
+import { getDayRange, getTimezone } from "../../utils/date.js";
+import { HOUSEHOLD_RELATIONSHIPS } from "../../constants/households.js";
+import {
+  APPOINTMENT_STATUS,
+  OPEN_APPOINTMENT_STATUSES,
+} from "../../constants/appointmentStatus.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * HOUSEHOLD SERVICE
+ *
+ * - Households with one adult primary account holder
+ * - Members: existing patients joining a household
+ * - Dependants: new patients sharing a guardian's phone (can't log in themselves)
+ * - Minors need a parent / guardian's consent to be registered in a household
+ * - Household-wide appointments and outstanding invoices
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+const MEMBER_FIELDS =
+  "name phone gender dateOfBirth householdRelationship isDependant guardian guardianConsent isActive";
+
+// Fields a dependant can be registered with
+const DEPENDANT_FIELDS = [
+  "name",
+  "email",
+  "gender",
+  "dateOfBirth",
+  "bloodGroup",
+  "allergies",
+  "medicalHistory",
+  "preferredClinic",
+  "notes",
+];
+
+/**
+ * Find a household by ID
+ * @param {ObjectId} householdId - Household ID
+ * @returns {Object} - Household document
+ */
+export const findHousehold = async (householdId) => {
+  if (!mongoose.Types.ObjectId.isValid(householdId)) {
+    throw new BadRequestError("Invalid household ID");
+  }
+
+  const household = await Household.findById(householdId);
+  if (!household) {
+    throw new NotFoundError("Household");
+  }
+  return household;
+};
+
+/**
+ * Household a logged-in patient holds the account for
+ * @param {Object} patient - Patient document (req.patient)
+ * @returns {Object} - Household document
+ */
+export const findHouseholdForHolder = async (patient) => {
+  const household = await Household.findOne({ primaryHolder: patient._id, isActive: true });
+  if (!household) {
+    throw new NotFoundError("Household");
+  }
+  return household;
+};
+
+/**
+ * Members of a household (primary holder first)
+ * @param {Object} household - Household document
+ * @returns {Array} - Patient documents
+ */
+export const getMembers = async (household) => {
+  const members = await Patient.find({ household: household._id })
+    .select(MEMBER_FIELDS)
+    .sort({ createdAt: 1 });
+
+  const isHolder = (member) => String(member._id) === String(household.primaryHolder);
+  return [...members.filter(isHolder), ...members.filter((member) => !isHolder(member))];
+};
+
+/**
+ * Create a household around its primary account holder
+ * @param {Object} data - { name?, primaryHolder, notes }
+ * @param {Object} user - Admin creating it
+ * @returns {Object} - Household document
+ */
+export const createHousehold = async (data, user) => {
+  if (!data.primaryHolder) {
+    throw new BadRequestError("Primary account holder is required");
+  }
+
+  const holder = await chartService.findPatient(data.primaryHolder);
+  assertCanHoldAccount(holder);
+
+  if (holder.household) {
+    throw new ConflictError(`${holder.name} is already in a household`);
+  }
+
+  const household = await Household.create({
+    name: data.name?.trim() || `${holder.name} family`,
+    primaryHolder: holder._id,
+    notes: data.notes,
+    createdBy: user?._id,
+  });
+
+  holder.household = household._id;
+  holder.householdRelationship = HOUSEHOLD_RELATIONSHIPS.SELF;
+  await holder.save();
+
+  return household;
+};
+
+/**
+ * Add an existing patient to a household
+ * @param {Object} household - Household document
+ * @param {Object} data - { patient, relationship, guardianConsent }
+ * @param {Object} user - Admin adding them
+ * @returns {Object} - Patient document
+ */
+export const addMember = async (household, data, user) => {
+  assertActive(household);
+
+  const patient = await chartService.findPatient(data.patient);
+  const relationship = parseRelationship(data.relationship);
+
+  if (patient.household) {
+    throw new ConflictError(
+      String(patient.household) === String(household._id)
+        ? `${patient.name} is already in this household`
+        : `${patient.name} is already in another household`,
+    );
+  }
+
+  patient.household = household._id;
+  patient.householdRelationship = relationship;
+
+  if (patient.isMinor) {
+    const guardian = await Patient.findById(household.primaryHolder);
+    patient.guardian = patient.guardian || guardian._id;
+    patient.guardianConsent = buildGuardianConsent(patient, data.guardianConsent, guardian, user);
+  }
+
+  await patient.save();
+  return patient;
+};
+
+/**
+ * Register a new patient as a dependant sharing their guardian's phone
+ * @param {Object} household - Household document
+ * @param {Object} data - { name, dateOfBirth, relationship, guardian?, guardianConsent, ... }
+ * @param {Object} user - Admin registering them
+ * @returns {Object} - Patient document
+ */
+export const addDependant = async (household, data, user) => {
+  assertActive(household);
+
+  if (!data.name) {
+    throw new BadRequestError("Name is required");
+  }
+
+  const relationship = parseRelationship(data.relationship);
+  const guardian = await findGuardian(household, data.guardian);
+
+  if (data.email) {
+    const emailExists = await Patient.exists({ email: data.email.toLowerCase() });
+    if (emailExists) {
+      throw new ConflictError("Patient with this email already exists");
+    }
+  }
+
+  const patient = new Patient({
+    ...pickFields(data, DEPENDANT_FIELDS),
+    phone: guardian.phone,
+    household: household._id,
+    householdRelationship: relationship,
+    isDependant: true,
+    guardian: guardian._id,
+  });
+
+  if (patient.isMinor) {
+    patient.guardianConsent = buildGuardianConsent(patient, data.guardianConsent, guardian, user);
+  }
+
+  await patient.save();
+  return patient;
+};
+
+/**
+ * Take a patient out of a household
+ * A dependant leaving needs a phone of their own (no other account holder on it).
+ *
+ * @param {Object} household - Household document
+ * @param {ObjectId} patientId - Member to remove
+ * @param {Object} data - { phone } (dependants only)
+ * @returns {Object} - Patient document
+ */
+export const removeMember = async (household, patientId, data = {}) => {
+  const patient = await chartService.findPatient(patientId);
+
+  if (String(patient.household) !== String(household._id)) {
+    throw new BadRequestError(`${patient.name} is not in this household`);
+  }
+
+  if (String(patient._id) === String(household.primaryHolder)) {
+    throw new BadRequestError("Change the primary account holder before removing them");
+  }
+
+  if (await Patient.exists({ guardian: patient._id, isDependant: true })) {
+    throw new BadRequestError(`${patient.name} is the guardian of dependants in this household`);
+  }
+
+  if (patient.isDependant) {
+    const phone = data.phone?.trim();
+    if (!phone || !/^[6-9]\d{9}$/.test(phone)) {
+      throw new BadRequestError("A dependant leaving the household needs their own 10-digit phone");
+    }
+    if (await Patient.findByPhone(phone)) {
+      throw new ConflictError("Patient with this phone number already exists");
+    }
+
+    patient.phone = phone;
+    patient.isDependant = false;
+    patient.guardian = undefined;
+  }
+
+  patient.household = undefined;
+  patient.householdRelationship = undefined;
+  await patient.save();
+
+  return patient;
+};
+
+/**
+ * Update household details or hand the account to another adult member
+ * @param {Object} household - Household document
+ * @param {Object} data - { name, notes, isActive, primaryHolder }
+ * @returns {Object} - Household document
+ */
+export const updateHousehold = async (household, data) => {
+  if (data.name !== undefined) household.name = data.name;
+  if (data.notes !== undefined) household.notes = data.notes;
+  if (data.isActive !== undefined) household.isActive = data.isActive;
+
+  if (data.primaryHolder && String(data.primaryHolder) !== String(household.primaryHolder)) {
+    const holder = await chartService.findPatient(data.primaryHolder);
+
+    if (String(holder.household) !== String(household._id)) {
+      throw new BadRequestError(`${holder.name} is not in this household`);
+    }
+    assertCanHoldAccount(holder);
+
+    // Previous holder stays in the household as a regular member
+    await Patient.updateOne(
+      { _id: household.primaryHolder, householdRelationship: HOUSEHOLD_RELATIONSHIPS.SELF },
+      { householdRelationship: HOUSEHOLD_RELATIONSHIPS.OTHER },
+    );
+
+    holder.householdRelationship = HOUSEHOLD_RELATIONSHIPS.SELF;
+    await holder.save();
+    household.primaryHolder = holder._id;
+  }
+
+  await household.save();
+  return household;
+};
+
+/**
+ * Appointments of every household member
+ * @param {Object} household - Household document
+ * @param {Object} options - { upcoming } only visits not yet done, from today (clinic day) on
+ * @returns {Array} - Appointment documents
+ */
+export const getHouseholdAppointments = async (household, { upcoming = false } = {}) => {
+  const memberIds = await getMemberIds(household);
+
+  const filter = { patient: { $in: memberIds } };
+  if (upcoming) {
+    // Booked or under way today (checked in / in the chair)
+    filter.status = {
+      $in: [
+        ...OPEN_APPOINTMENT_STATUSES,
+        APPOINTMENT_STATUS.CHECKED_IN,
+        APPOINTMENT_STATUS.IN_PROGRESS,
+      ],
+    };
+
+    // "Today" is each clinic's own day
+    const clinicIds = await Appointment.distinct("clinic", filter);
+    const clinics = await Clinic.find({ _id: { $in: clinicIds } }).select("timezone");
+    filter.$or = clinics.map((clinic) => ({
+      clinic: clinic._id,
+      date: { $gte: getDayRange(new Date(), getTimezone(clinic)).start },
+    }));
+    if (!filter.$or.length) return [];
+  }
+
+  return Appointment.find(filter)
+    .populate("patient", "name householdRelationship")
+    .populate("clinic", "name code")
+    .populate("doctor", "name")
+    .sort(upcoming ? { date: 1, timeSlot: 1 } : { date: -1 });
+};
+
+/**
+ * Unpaid / partly paid invoices of every household member
+ * @param {Object} household - Household document
+ * @returns {Object} - { invoices, totalOutstanding, byMember: [{ patient, name, balanceDue }] }
+ */
+export const getOutstandingInvoices = async (household) => {
+  const memberIds = await getMemberIds(household);
+
+  const invoices = await Invoice.find({
+    patient: { $in: memberIds },
+    paymentStatus: { $in: ["unpaid", "partial"] },
+    status: { $ne: "cancelled" },
+  })
+    .populate("patient", "name householdRelationship")
+    .populate("clinic", "name code")
+    .sort({ createdAt: -1 });
+
+  const byMember = new Map();
+  for (const invoice of invoices) {
+    const id = String(invoice.patient._id);
+    const entry = byMember.get(id) || { patient: id, name: invoice.patient.name, balanceDue: 0 };
+    entry.balanceDue += invoice.balanceDue || 0;
+    byMember.set(id, entry);
+  }
+
+  return {
+    invoices,
+    totalOutstanding: invoices.reduce((sum, invoice) => sum + (invoice.balanceDue || 0), 0),
+    byMember: [...byMember.values()],
+  };
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function assertActive(household) {
+  if (!household.isActive) {
+    throw new BadRequestError("Household is inactive");
+  }
+}
+
+// The account holder logs in with their own phone, so no minors or dependants
+function assertCanHoldAccount(patient) {
+  if (patient.isDependant) {
+    throw new BadRequestError(`${patient.name} is a dependant and can't hold the account`);
+  }
+  if (patient.isMinor) {
+    throw new BadRequestError(`${patient.name} is a minor and can't hold the account`);
+  }
+}
+
+function parseRelationship(relationship) {
+  if (!relationship) {
+    throw new BadRequestError("Relationship to the primary account holder is required");
+  }
+  if (
+    relationship === HOUSEHOLD_RELATIONSHIPS.SELF ||
+    !Object.values(HOUSEHOLD_RELATIONSHIPS).includes(relationship)
+  ) {
+    throw new BadRequestError(`Invalid relationship: ${relationship}`);
+  }
+  return relationship;
+}
+
+// Guardian whose phone a dependant shares (defaults to the primary holder)
+async function findGuardian(household, guardianId) {
+  const guardian = await chartService.findPatient(guardianId || household.primaryHolder);
+
+  if (String(guardian.household) !== String(household._id)) {
+    throw new BadRequestError(`${guardian.name} is not in this household`);
+  }
+  if (guardian.isDependant || guardian.isMinor) {
+    throw new BadRequestError(`${guardian.name} can't be a guardian`);
+  }
+  return guardian;
+}
+
+function buildGuardianConsent(patient, consent, guardian, user) {
+  if (!consent?.relationship) {
+    throw new BadRequestError(
+      `${patient.name} is a minor - guardianConsent ({ relationship, givenByName? }) is required`,
+    );
+  }
+
+  // Someone other than the guardian on record (e.g. the other parent) consents by name only
+  const givenByName = consent.givenByName?.trim() || guardian.name;
+
+  return {
+    givenBy: givenByName === guardian.name ? guardian._id : undefined,
+    givenByName,
+    relationship: consent.relationship,
+    consentedAt: new Date(),
+    recordedBy: user?._id,
+    notes: consent.notes,
+  };
+}
+
+async function getMemberIds(household) {
+  const members = await Patient.find({ household: household._id }).select("_id");
+  return members.map((member) => member._id);
+}
+
+function pickFields(body, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) picked[field] = body[field];
+  }
+  if (picked.email) picked.email = picked.email.toLowerCase();
+  return picked;
+}
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { ALERT_CONTEXTS } from "../../constants/medicalAlerts.js";
+
+/**
+ * ALERT OVERRIDE MODEL
+ * Log of every time staff went ahead despite a blocking medical alert
+ *
+ * One entry per treatment / test / prescription created with an override:
+ * which alerts blocked it, the reason given and who gave it.
+ */
+
+const overriddenAlertSchema = new mongoose.Schema(
+  {
+    alert: mongoose.Schema.Types.ObjectId, // Patient.medicalAlerts._id (none for plain allergies)
+    type: String,
+    name: String,
+    severity: String,
+    // Why it blocked, e.g. "Matches Amoxicillin 500 mg (penicillin)"
+    detail: String,
+  },
+  { _id: false },
+);
+
+const alertOverrideSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    context: {
+      type: String,
+      enum: Object.values(ALERT_CONTEXTS),
+      required: true,
+    },
+
+    // Record created with the override
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "recordModel",
+    },
+    recordModel: {
+      type: String,
+      enum: ["Treatment", "Test", "Prescription"],
+    },
+
+    alerts: [overriddenAlertSchema],
+
+    reason: {
+      type: String,
+      required: [true, "Override reason is required"],
+    },
+
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+alertOverrideSchema.index({ patient: 1, createdAt: -1 });
+
+// Create and export the model
+const AlertOverride = mongoose.model("AlertOverride", alertOverrideSchema);
+
+export default AlertOverride;
@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import AlertOverride from "./alertOverride.model.js";
+import * as medicalAlertService from "./medicalAlert.service.js";
+import * as chartService from "../charts/chart.service.js";
+import { ALERT_CONTEXTS } from "../../constants/medicalAlerts.js";
+
+/**
+ * MEDICAL ALERT CONTROLLER
+ *
+ * Structured medical alerts on a patient, mounted under /api/patients/:id/alerts
+ * Checked automatically when a treatment, test or prescription is created.
+ */
+
+/**
+ * @desc    Get patient's medical alerts
+ * @route   GET /api/patients/:id/alerts?context=&includeInactive=
+ * @access  Admin
+ *
+ * With ?context=treatment|test|prescription: also what would block / warn for it
+ */
+export const getAlerts = asyncHandler(async (req, res) => {
+  const { context, includeInactive } = req.query;
+
+  if (context && !Object.values(ALERT_CONTEXTS).includes(context)) {
+    return ApiResponse.error(
+      res,
+      `Context must be one of: ${Object.values(ALERT_CONTEXTS).join(", ")}`,
+      400,
+    );
+  }
+
+  const patient = await chartService.findPatient(req.params.id);
+
+  const alerts = patient.medicalAlerts.filter((a) => includeInactive === "true" || a.isActive);
+
+  ApiResponse.success(
+    res,
+    {
+      alerts,
+      allergies: patient.allergies,
+      evaluation: context ? medicalAlertService.evaluateAlerts(patient, context) : undefined,
+    },
+    "Medical alerts fetched successfully",
+  );
+});
+
+/**
+ * @desc    Add medical alert
+ * @route   POST /api/patients/:id/alerts
+ * @access  Admin
+ *
+ * Body: { type, name, severity?, notes?, appliesTo? }
+ */
+export const createAlert = asyncHandler(async (req, res) => {
+  const { type, name } = req.body;
+
+  if (!type || !name) {
+    return ApiResponse.error(res, "Alert type and name are required", 400);
+  }
+
+  const patient = await chartService.findPatient(req.params.id);
+
+  const key = String(name).trim().toLowerCase();
+  const duplicate = patient.medicalAlerts.find(
+    (a) => a.isActive && a.type === type && a.name.toLowerCase() === key,
+  );
+  if (duplicate) {
+    return ApiResponse.error(res, "This alert is already recorded", 409);
+  }
+
+  patient.medicalAlerts.push({
+    ...pickAlertFields(req.body),
+    recordedBy: req.user?._id,
+    recordedAt: new Date(),
+  });
+  await patient.save();
+
+  const alert = patient.medicalAlerts[patient.medicalAlerts.length - 1];
+
+  ApiResponse.created(res, { alert }, "Medical alert added successfully");
+});
+
+/**
+ * @desc    Update medical alert
+ * @route   PATCH /api/patients/:id/alerts/:alertId
+ * @access  Admin
+ */
+export const updateAlert = asyncHandler(async (req, res) => {
+  const patient = await chartService.findPatient(req.params.id);
+  const alert = findAlert(patient, req, res);
+  if (!alert) return;
+
+  Object.assign(alert, pickAlertFields(req.body));
+
+  // Re-activating clears the resolved date
+  if (req.body.isActive === true) {
+    alert.resolvedAt = undefined;
+  }
+  await patient.save();
+
+  ApiResponse.success(res, { alert }, "Medical alert updated successfully");
+});
+
+/**
+ * @desc    Resolve (deactivate) medical alert
+ * @route   DELETE /api/patients/:id/alerts/:alertId
+ * @access  Admin
+ */
+export const deleteAlert = asyncHandler(async (req, res) => {
+  const patient = await chartService.findPatient(req.params.id);
+  const alert = findAlert(patient, req, res);
+  if (!alert) return;
+
+  // Soft delete - override log still references it
+  alert.isActive = false;
+  alert.resolvedAt = new Date();
+  await patient.save();
+
+  ApiResponse.success(res, { alert }, "Medical alert resolved successfully");
+});
+
+/**
+ * @desc    Get overrides logged for the patient
+ * @route   GET /api/patients/:id/alerts/overrides?context=
+ * @access  Admin
+ */
+export const getOverrides = asyncHandler(async (req, res) => {
+  await chartService.findPatient(req.params.id);
+
+  const query = { patient: req.params.id };
+  if (req.query.context) query.context = req.query.context;
+
+  const overrides = await AlertOverride.find(query)
+    .populate("overriddenBy", "name")
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, { overrides }, "Alert overrides fetched successfully");
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+const ALERT_FIELDS = ["type", "name", "severity", "notes", "appliesTo", "isActive"];
+
+function pickAlertFields(body) {
+  const fields = {};
+  for (const field of ALERT_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+/**
+ * Find an alert on the patient
+ * Sends the error response and returns null on failure
+ */
+function findAlert(patient, req, res) {
+  const { alertId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(alertId)) {
+    ApiResponse.error(res, "Invalid alert ID", 400);
+    return null;
+  }
+
+  const alert = patient.medicalAlerts.id(alertId);
+  if (!alert) {
+    ApiResponse.error(res, "Medical alert not found", 404);
+    return null;
+  }
+
+  return alert;
+}
@@ -0,0 +1,27 @@
+import { Router } from "express";
+import * as medicalAlertController from "./medicalAlert.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+// mergeParams: patient ID comes from /api/patients/:id
+const router = Router({ mergeParams: true });
+
+/**
+ * MEDICAL ALERT ROUTES
+ * Base path: /api/patients/:id/alerts
+ *
+ * Allergies, anticoagulants, diabetes, pregnancy, cardiac conditions;
+ * high severity alerts block treatments / tests / prescriptions until overridden
+ */
+
+// List alerts (?context= adds blocking / warning evaluation) / add one
+router.get("/", authProtect, medicalAlertController.getAlerts);
+router.post("/", authProtect, medicalAlertController.createAlert);
+
+// Override log - before /:alertId
+router.get("/overrides", authProtect, medicalAlertController.getOverrides);
+
+// Single alert
+router.patch("/:alertId", authProtect, medicalAlertController.updateAlert);
+router.delete("/:alertId", authProtect, medicalAlertController.deleteAlert);
+
+export default router;
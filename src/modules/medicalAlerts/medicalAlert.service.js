@@ -0,0 +1,212 @@
+import AlertOverride from "./alertOverride.model.js";
+import {
+  ALERT_CONTEXTS,
+  ALERT_TYPE_CONTEXTS,
+  BLOCKING_ALERT_SEVERITIES,
+  MEDICAL_ALERT_TYPES,
+  MEDICAL_HISTORY_KEYWORDS,
+} from "../../constants/medicalAlerts.js";
+import { ConflictError } from "../../utils/AppError.js";
+
+/**
+ * MEDICAL ALERT SERVICE
+ *
+ * Checks a patient's medical alerts before a treatment, test or prescription:
+ * - High severity alerts (and allergies matching a prescribed drug) block
+ *   until an override reason is given; the override is logged
+ * - Everything else that applies is returned as a warning
+ *
+ * Plain Patient.allergies strings are treated as allergy alerts without a severity.
+ */
+
+const RECORD_MODELS = {
+  [ALERT_CONTEXTS.TREATMENT]: "Treatment",
+  [ALERT_CONTEXTS.TEST]: "Test",
+  [ALERT_CONTEXTS.PRESCRIPTION]: "Prescription",
+};
+
+/**
+ * Contexts an alert is checked for
+ * @param {Object} alert - Patient.medicalAlerts entry
+ * @returns {Array}
+ */
+export const getAlertContexts = (alert) =>
+  alert.appliesTo?.length ? alert.appliesTo : ALERT_TYPE_CONTEXTS[alert.type] || [];
+
+/**
+ * Every allergy on record (plain list + active allergy alerts)
+ * @param {Object} patient - Patient document
+ * @returns {Array} - Allergy names
+ */
+export const getAllergyNames = (patient) => {
+  const alerts = (patient.medicalAlerts || [])
+    .filter((a) => a.isActive && a.type === MEDICAL_ALERT_TYPES.ALLERGY)
+    .map((a) => a.name);
+
+  return [...new Set([...(patient.allergies || []), ...alerts])];
+};
+
+/**
+ * Drugs that clash with a list of allergies
+ * A drug clashes when an allergy names it (brand or generic) or one of its
+ * allergy tags ("Penicillin allergy" ↔ amoxicillin tagged "penicillin").
+ *
+ * @param {Array} allergies - Allergy names
+ * @param {Array} drugs - Drug documents
+ * @returns {Array} - [{ drug, allergy, matchedOn }]
+ */
+export const findAllergyConflicts = (allergies = [], drugs = []) => {
+  const conflicts = [];
+
+  for (const drug of drugs) {
+    const terms = [drug.name, drug.genericName, ...(drug.allergyTags || [])]
+      .filter(Boolean)
+      .map(normalize);
+
+    for (const allergy of allergies) {
+      const recorded = normalize(allergy);
+      if (recorded.length < 3) continue;
+
+      const matchedOn = terms.find((term) => recorded.includes(term) || term.includes(recorded));
+      if (matchedOn) {
+        conflicts.push({
+          drug: `${drug.name} ${drug.strength}`,
+          allergy,
+          matchedOn,
+        });
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Alerts that apply to an action, split into blocking and warnings
+ *
+ * @param {Object} patient - Patient document
+ * @param {String} context - "treatment" | "test" | "prescription"
+ * @param {Object} options - { drugs } (prescriptions: Drug documents being prescribed)
+ * @returns {Object} - { blocking: [...], warnings: [...] }
+ */
+export const evaluateAlerts = (patient, context, { drugs = [] } = {}) => {
+  const blocking = [];
+  const warnings = [];
+  const isPrescription = context === ALERT_CONTEXTS.PRESCRIPTION;
+
+  const alerts = (patient.medicalAlerts || []).filter(
+    (alert) => alert.isActive && getAlertContexts(alert).includes(context),
+  );
+
+  // Plain allergy strings not also recorded as alerts
+  const alertNames = new Set(alerts.map((a) => normalize(a.name)));
+  const plainAllergies = ALERT_TYPE_CONTEXTS[MEDICAL_ALERT_TYPES.ALLERGY].includes(context)
+    ? (patient.allergies || [])
+        .filter((name) => !alertNames.has(normalize(name)))
+        .map((name) => ({ type: MEDICAL_ALERT_TYPES.ALLERGY, name }))
+    : [];
+
+  for (const alert of [...alerts, ...plainAllergies]) {
+    const entry = describeAlert(alert);
+
+    // An allergy to something being prescribed always blocks
+    if (isPrescription && alert.type === MEDICAL_ALERT_TYPES.ALLERGY) {
+      const conflicts = findAllergyConflicts([alert.name], drugs);
+      if (conflicts.length) {
+        blocking.push({
+          ...entry,
+          detail: conflicts.map((c) => `Matches ${c.drug} (${c.matchedOn})`).join("; "),
+        });
+        continue;
+      }
+    }
+
+    if (alert._id && BLOCKING_ALERT_SEVERITIES.includes(alert.severity)) {
+      blocking.push(entry);
+    } else {
+      warnings.push(entry);
+    }
+  }
+
+  return { blocking, warnings };
+};
+
+/**
+ * Check alerts before creating something for the patient
+ * Throws 409 (blocking alerts listed) unless an override reason is given.
+ *
+ * @param {Object} patient - Patient document
+ * @param {String} context - "treatment" | "test" | "prescription"
+ * @param {Object} options - { drugs, overrideReason }
+ * @returns {Object} - { blocking, warnings, overrideReason }
+ */
+export const checkAlerts = (patient, context, { drugs, overrideReason } = {}) => {
+  const result = evaluateAlerts(patient, context, { drugs });
+  const reason = typeof overrideReason === "string" ? overrideReason.trim() : "";
+
+  if (result.blocking.length && !reason) {
+    const names = result.blocking.map((a) => `${a.name} (${a.type})`).join(", ");
+    throw new ConflictError(
+      `Medical alert: ${names}. Review the alerts and send alertOverride.reason to continue`,
+      result.blocking,
+    );
+  }
+
+  return { ...result, overrideReason: result.blocking.length ? reason : undefined };
+};
+
+/**
+ * Log an override once the record exists
+ * @param {Object} check - Result of checkAlerts
+ * @param {Object} options - { patient, context, record, userId }
+ * @returns {Object|null} - AlertOverride document (null when nothing was overridden)
+ */
+export const logOverride = async (check, { patient, context, record, userId }) => {
+  if (!check?.blocking?.length) return null;
+
+  return AlertOverride.create({
+    patient,
+    context,
+    record,
+    recordModel: RECORD_MODELS[context],
+    alerts: check.blocking.map(({ id, type, name, severity, detail }) => ({
+      alert: id,
+      type,
+      name,
+      severity,
+      detail,
+    })),
+    reason: check.overrideReason,
+    overriddenBy: userId,
+  });
+};
+
+/**
+ * Alert type for a free-text medical history entry
+ * @param {String} entry - e.g. "On warfarin since 2022"
+ * @returns {String|null} - Alert type, or null if unrecognised
+ */
+export const classifyMedicalHistory = (entry) => {
+  const text = normalize(entry);
+
+  for (const [type, keywords] of Object.entries(MEDICAL_HISTORY_KEYWORDS)) {
+    if (keywords.some((keyword) => text.includes(keyword))) return type;
+  }
+  return null;
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function describeAlert(alert) {
+  return {
+    id: alert._id,
+    type: alert.type,
+    name: alert.name,
+    severity: alert.severity,
+    notes: alert.notes,
+  };
+}
@@ -1,8 +1,10 @@
 import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import Notification from "./notification.model.js";
+import { deliverNotification } from "./notification.service.js";
 import Patient from "../patients/patient.model.js";
 import User from "../users/user.model.js";
+import * as segmentService from "../segments/segment.service.js";
 import mongoose from "mongoose";
 
 /**
@@ -339,7 +341,7 @@ export const sendNotification = asyncHandler(async (req, res) => {
 
   // If not scheduled for later, process immediately
   if (!scheduledFor) {
-    await processNotificationDelivery(notification);
+    await deliverNotification(notification);
   }
 
   ApiResponse.created(res, { notification }, "Notification sent successfully");
@@ -349,11 +351,14 @@ export const sendNotification = asyncHandler(async (req, res) => {
  * @desc    Send bulk notifications
  * @route   POST /api/notifications/send-bulk
  * @access  Admin
+ *
+ * recipientType "segment" sends to the patients currently in a saved segment (body: segment)
  */
 export const sendBulkNotifications = asyncHandler(async (req, res) => {
   const {
-    recipientType, // 'all_patients', 'all_users', or 'selected'
+    recipientType, // 'all_patients', 'all_users', 'selected' or 'segment'
     recipientIds, // Array of IDs if 'selected'
+    segment, // Segment ID if 'segment'
     type,
     title,
     message,
@@ -381,6 +386,11 @@ export const sendBulkNotifications = asyncHandler(async (req, res) => {
   } else if (recipientType === "selected" && recipientIds?.length > 0) {
     recipients = recipientIds.map((id) => ({ _id: id }));
     recipientModel = req.body.recipientModel || "Patient";
+  } else if (recipientType === "segment" && segment) {
+    const savedSegment = await segmentService.findSegment(segment);
+    const patientIds = await segmentService.getSegmentPatientIds(savedSegment);
+    recipients = patientIds.map((id) => ({ _id: id }));
+    recipientModel = "Patient";
   } else {
     return ApiResponse.error(res, "Invalid recipient type or no recipients selected", 400);
   }
@@ -405,7 +415,7 @@ export const sendBulkNotifications = asyncHandler(async (req, res) => {
     notifications.push(notification);
 
     // Process delivery
-    await processNotificationDelivery(notification);
+    await deliverNotification(notification);
   }
 
   ApiResponse.success(
@@ -445,7 +455,7 @@ export const createAppointmentReminder = asyncHandler(async (req, res) => {
   const notification = await Notification.createAppointmentReminder(appointment, patient);
 
   // Process delivery
-  await processNotificationDelivery(notification);
+  await deliverNotification(notification);
 
   ApiResponse.created(res, { notification }, "Appointment reminder sent successfully");
 });
@@ -477,7 +487,7 @@ export const createPaymentReminder = asyncHandler(async (req, res) => {
   const notification = await Notification.createPaymentReminder(invoice, patient);
 
   // Process delivery
-  await processNotificationDelivery(notification);
+  await deliverNotification(notification);
 
   ApiResponse.created(res, { notification }, "Payment reminder sent successfully");
 });
@@ -598,43 +608,3 @@ function verifyOwnership(req, notification) {
   }
   return false;
 }
-
-/**
- * Process notification delivery across channels
- * This is a placeholder - actual implementation would integrate with SMS/Email providers
- */
-async function processNotificationDelivery(notification) {
-  try {
-    // Send SMS if enabled
-    if (notification.sendSms) {
-      // TODO: Integrate with SMS provider (Twilio, MSG91, etc.)
-      // const result = await sendSMS(recipientPhone, notification.message);
-      // await notification.updateSmsStatus(result.success, result.error);
-      console.log(`SMS would be sent: ${notification.title}`);
-      notification.smsStatus = { sent: true, sentAt: new Date() };
-    }
-
-    // Send Email if enabled
-    if (notification.sendEmail) {
-      // TODO: Integrate with email provider (Nodemailer, SendGrid, etc.)
-      // const result = await sendEmail(recipientEmail, notification.title, notification.message);
-      // await notification.updateEmailStatus(result.success, result.error);
-      console.log(`Email would be sent: ${notification.title}`);
-      notification.emailStatus = { sent: true, sentAt: new Date() };
-    }
-
-    // Send WhatsApp if enabled
-    if (notification.sendWhatsapp) {
-      // TODO: Integrate with WhatsApp Business API
-      console.log(`WhatsApp would be sent: ${notification.title}`);
-      notification.whatsappStatus = { sent: true, sentAt: new Date() };
-    }
-
-    // Mark as processed
-    notification.isProcessed = true;
-    notification.processedAt = new Date();
-    await notification.save();
-  } catch (error) {
-    console.error("Error processing notification delivery:", error);
-  }
-}
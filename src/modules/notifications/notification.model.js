@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { formatDisplayDate, formatDisplayTime, getTimezone } from "../../utils/date.js";
 
 /**
  * NOTIFICATION MODEL
@@ -7,6 +8,7 @@ import mongoose from "mongoose";
  *
  * Types of notifications:
  * - Appointment reminders
+ * - Waitlist slot offers
  * - Payment reminders
  * - Treatment updates
  * - Membership expiry alerts
@@ -34,6 +36,7 @@ const notificationSchema = new mongoose.Schema(
         "appointment_reminder",
         "appointment_confirmation",
         "appointment_cancellation",
+        "waitlist_offer",
         "payment_reminder",
         "payment_received",
         "treatment_update",
@@ -319,9 +322,13 @@ notificationSchema.statics.getScheduledToSend = function () {
  * Create appointment reminder notification
  */
 notificationSchema.statics.createAppointmentReminder = async function (appointment, patient) {
+  const tz = await mongoose
+    .model("Clinic")
+    .getTimezoneById(appointment.clinic?._id ?? appointment.clinic);
+
   const notification = new this({
     title: "Appointment Reminder",
-    message: `Your appointment is scheduled for ${new Date(appointment.date).toLocaleDateString()} at ${appointment.timeSlot}. Please arrive 10 minutes early.`,
+    message: `Your appointment is scheduled for ${formatDisplayDate(appointment.date, tz)} at ${appointment.timeSlot}. Please arrive 10 minutes early.`,
     type: "appointment_reminder",
     recipientType: "patient",
     recipient: patient._id,
@@ -336,6 +343,34 @@ notificationSchema.statics.createAppointmentReminder = async function (appointme
   return notification.save();
 };
 
+/**
+ * Create waitlist slot offer notification
+ * Tells the patient a slot opened up and how long it is held for them
+ */
+notificationSchema.statics.createWaitlistOffer = async function (entry, patient, clinic) {
+  const { hold } = entry;
+  const tz = getTimezone(clinic);
+
+  const notification = new this({
+    title: "Earlier Appointment Available",
+    message: `A slot has opened up at ${clinic.name} on ${formatDisplayDate(hold.date, tz)} at ${hold.timeSlot}. It is held for you until ${formatDisplayTime(hold.expiresAt, tz)}. Please confirm to book it.`,
+    type: "waitlist_offer",
+    recipientType: "patient",
+    recipient: patient._id,
+    recipientModel: "Patient",
+    sendSms: true,
+    sendWhatsapp: true,
+    showInApp: true,
+    priority: "urgent",
+    metadata: {
+      waitlistEntry: entry._id,
+      expiresAt: hold.expiresAt,
+    },
+  });
+
+  return notification.save();
+};
+
 /**
  * Create payment reminder notification
  */
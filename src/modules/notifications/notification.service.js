@@ -0,0 +1,48 @@
+/**
+ * NOTIFICATION SERVICE
+ *
+ * Delivery of saved notifications across channels.
+ * Shared by the notification controller and modules that notify
+ * patients on their own (e.g. waitlist slot offers).
+ */
+
+/**
+ * Process notification delivery across channels
+ * This is a placeholder - actual implementation would integrate with SMS/Email providers
+ * @param {Object} notification - Saved Notification document
+ */
+export async function deliverNotification(notification) {
+  try {
+    // Send SMS if enabled
+    if (notification.sendSms) {
+      // TODO: Integrate with SMS provider (Twilio, MSG91, etc.)
+      // const result = await sendSMS(recipientPhone, notification.message);
+      // await notification.updateSmsStatus(result.success, result.error);
+      console.log(`SMS would be sent: ${notification.title}`);
+      notification.smsStatus = { sent: true, sentAt: new Date() };
+    }
+
+    // Send Email if enabled
+    if (notification.sendEmail) {
+      // TODO: Integrate with email provider (Nodemailer, SendGrid, etc.)
+      // const result = await sendEmail(recipientEmail, notification.title, notification.message);
+      // await notification.updateEmailStatus(result.success, result.error);
+      console.log(`Email would be sent: ${notification.title}`);
+      notification.emailStatus = { sent: true, sentAt: new Date() };
+    }
+
+    // Send WhatsApp if enabled
+    if (notification.sendWhatsapp) {
+      // TODO: Integrate with WhatsApp Business API
+      console.log(`WhatsApp would be sent: ${notification.title}`);
+      notification.whatsappStatus = { sent: true, sentAt: new Date() };
+    }
+
+    // Mark as processed
+    notification.isProcessed = true;
+    notification.processedAt = new Date();
+    await notification.save();
+  } catch (error) {
+    console.error("Error processing notification delivery:", error);
+  }
+}
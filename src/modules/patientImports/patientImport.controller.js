@@ -0,0 +1,162 @@
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import PatientImport from "./patientImport.model.js";
+import * as patientImportService from "./patientImport.service.js";
+
+/**
+ * PATIENT IMPORT CONTROLLER
+ *
+ * Handles:
+ * - Uploading a CSV / XLSX of patients (dry run with a per-row validation report)
+ * - Committing the valid rows and downloading the outcome as CSV
+ */
+
+// ==================== UPLOAD & COMMIT ====================
+
+/**
+ * @desc    Upload a patient file (dry run - nothing imported yet)
+ * @route   POST /api/patients/imports
+ * @access  Admin
+ *
+ * Form-data: file (CSV / XLSX), mapping? (JSON: { "Column header": "field" })
+ * Columns are matched to patient fields by header; mapping overrides
+ * (map a column to "" to ignore it).
+ */
+export const createImport = asyncHandler(async (req, res) => {
+  const patientImport = await patientImportService.createImport(
+    req.file,
+    { mapping: req.body?.mapping },
+    req.user,
+  );
+
+  const { valid, invalid, duplicate } = patientImport.summary;
+  ApiResponse.created(
+    res,
+    { import: withRows(patientImport, 1, 50) },
+    `File checked: ${valid} valid, ${invalid} invalid, ${duplicate} already registered`,
+  );
+});
+
+/**
+ * @desc    Import the valid rows of a dry run
+ * @route   POST /api/patients/imports/:importId/commit
+ * @access  Admin
+ */
+export const commitImport = asyncHandler(async (req, res) => {
+  const patientImport = await patientImportService.findImport(req.params.importId);
+
+  await patientImportService.commitImport(patientImport, req.user);
+
+  const { imported, failed } = patientImport.summary;
+  ApiResponse.success(
+    res,
+    { import: withRows(patientImport, 1, 50) },
+    `${imported} patient(s) imported${failed ? `, ${failed} failed` : ""}`,
+  );
+});
+
+// ==================== VIEW & DOWNLOAD ====================
+
+/**
+ * @desc    Get imports (without rows)
+ * @route   GET /api/patients/imports?status=
+ * @access  Admin
+ */
+export const getImports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status } = req.query;
+
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [imports, total] = await Promise.all([
+    PatientImport.find(query)
+      .select("-rows")
+      .populate("uploadedBy", "name")
+      .populate("committedBy", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PatientImport.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, imports, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Get import with its rows (validation report)
+ * @route   GET /api/patients/imports/:importId?status=&page=&limit=
+ * @access  Admin
+ *
+ * status filters rows (valid, invalid, duplicate, imported, failed)
+ */
+export const getImportById = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, status } = req.query;
+
+  const patientImport = await patientImportService.findImport(req.params.importId);
+  await patientImport.populate([
+    { path: "uploadedBy", select: "name" },
+    { path: "committedBy", select: "name" },
+  ]);
+
+  ApiResponse.success(
+    res,
+    { import: withRows(patientImport, parseInt(page), parseInt(limit), status) },
+    "Import fetched successfully",
+  );
+});
+
+/**
+ * @desc    Download the import summary (one line per row) as CSV
+ * @route   GET /api/patients/imports/:importId/report
+ * @access  Admin
+ */
+export const downloadReport = asyncHandler(async (req, res) => {
+  const patientImport = await patientImportService.findImport(req.params.importId);
+
+  const csv = patientImportService.buildReportCsv(patientImport);
+  const name = patientImport.fileName?.replace(/\.[^.]+$/, "") || "patients";
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}-import-report.csv"`);
+  res.send(csv);
+});
+
+/**
+ * @desc    Download a blank import file with the recognised headers
+ * @route   GET /api/patients/imports/template
+ * @access  Admin
+ */
+export const downloadTemplate = asyncHandler(async (req, res) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", 'attachment; filename="patient-import-template.csv"');
+  res.send(patientImportService.buildTemplateCsv());
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+// Import as JSON with one page of rows (files can run to thousands of rows)
+function withRows(patientImport, page, limit, status) {
+  const { rows, ...rest } = patientImport.toObject();
+  const filtered = status ? rows.filter((row) => row.status === status) : rows;
+  const skip = (page - 1) * limit;
+
+  return {
+    ...rest,
+    rows: filtered.slice(skip, skip + limit),
+    rowsPagination: {
+      page,
+      limit,
+      total: filtered.length,
+      totalPages: Math.ceil(filtered.length / limit),
+    },
+  };
+}
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import { IMPORT_ROW_STATUS, PATIENT_IMPORT_STATUS } from "../../constants/patientImport.js";
+
+/**
+ * PATIENT IMPORT MODEL
+ * One uploaded CSV / XLSX file of patients, from dry run to commit
+ *
+ * Key features:
+ * - mapping: file column → patient field (auto-detected, can be overridden)
+ * - rows: cleaned data per row with validation errors / warnings and the outcome
+ * - summary: counts per outcome (downloadable as a CSV report)
+ *
+ * Status flow: validated (dry run) → importing → completed
+ */
+
+// ============ SUB-SCHEMAS ============
+
+/**
+ * Row Schema (embedded)
+ * One data row of the file ("errors" is reserved by Mongoose, hence validationErrors)
+ */
+const rowSchema = new mongoose.Schema(
+  {
+    // Line in the file (header = 1)
+    rowNumber: Number,
+
+    // Cleaned patient fields
+    data: mongoose.Schema.Types.Mixed,
+
+    validationErrors: [String],
+    warnings: [String],
+
+    status: {
+      type: String,
+      enum: Object.values(IMPORT_ROW_STATUS),
+    },
+
+    // Created patient (imported) / existing patient with the phone (duplicate)
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+  },
+  { _id: false },
+);
+
+// ============ MAIN PATIENT IMPORT SCHEMA ============
+
+const patientImportSchema = new mongoose.Schema(
+  {
+    fileName: String,
+
+    format: {
+      type: String,
+      enum: ["csv", "xlsx"],
+    },
+
+    // { "Column header": "patientField" }
+    mapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Columns not imported
+    unmappedColumns: [String],
+
+    status: {
+      type: String,
+      enum: Object.values(PATIENT_IMPORT_STATUS),
+      default: PATIENT_IMPORT_STATUS.VALIDATED,
+    },
+
+    rows: [rowSchema],
+
+    summary: {
+      total: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      imported: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      withWarnings: { type: Number, default: 0 },
+    },
+
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    committedAt: Date,
+
+    committedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+patientImportSchema.index({ createdAt: -1 });
+
+// ============ METHODS ============
+
+/**
+ * Recount summary from the rows
+ */
+patientImportSchema.methods.updateSummary = function () {
+  const summary = { total: this.rows.length, withWarnings: 0 };
+  for (const status of Object.values(IMPORT_ROW_STATUS)) {
+    summary[status] = 0;
+  }
+
+  for (const row of this.rows) {
+    summary[row.status]++;
+    if (row.warnings?.length) summary.withWarnings++;
+  }
+
+  this.summary = summary;
+};
+
+const PatientImport = mongoose.model("PatientImport", patientImportSchema);
+
+export default PatientImport;
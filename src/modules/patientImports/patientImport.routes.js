@@ -0,0 +1,35 @@
+import { Router } from "express";
+import * as patientImportController from "./patientImport.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+import { uploadSpreadsheet } from "../../middlewares/upload.middleware.js";
+
+const router = Router();
+
+/**
+ * PATIENT IMPORT ROUTES
+ * Base path: /api/patients/imports (mounted before /:id)
+ *
+ * Upload a CSV / XLSX (dry run) → review the report → commit
+ */
+
+router.use(authProtect);
+
+// Blank file with the recognised headers
+router.get("/template", patientImportController.downloadTemplate);
+
+// Upload and validate (dry run)
+router.post("/", uploadSpreadsheet("file"), patientImportController.createImport);
+
+// Import history (?status=)
+router.get("/", patientImportController.getImports);
+
+// Import with row-level report (?status=&page=&limit=)
+router.get("/:importId", patientImportController.getImportById);
+
+// Import the valid rows
+router.post("/:importId/commit", patientImportController.commitImport);
+
+// Download summary as CSV
+router.get("/:importId/report", patientImportController.downloadReport);
+
+export default router;
@@ -0,0 +1,526 @@
+import mongoose from "mongoose";
+import ExcelJS from "exceljs";
+import { Readable } from "stream";
+import PatientImport from "./patientImport.model.js";
+import Patient from "../patients/patient.model.js";
+import {
+  IMPORT_BATCH_SIZE,
+  IMPORT_ROW_STATUS,
+  MAX_IMPORT_ROWS,
+  PATIENT_IMPORT_FIELDS,
+  PATIENT_IMPORT_STATUS,
+} from "../../constants/patientImport.js";
+import { BadRequestError, NotFoundError } from "../../utils/AppError.js";
+import { toCsv } from "../../utils/csv.js";
+
+/**
+ * PATIENT IMPORT SERVICE
+ *
+ * 1. Upload (dry run): the CSV / XLSX is read, columns are mapped to patient
+ *    fields and every row is cleaned and validated. Rows whose phone is already
+ *    registered (or repeated in the file) are flagged. Nothing is saved to Patient.
+ * 2. Commit: valid rows are inserted in batches of IMPORT_BATCH_SIZE;
+ *    each row records the created patient or why it failed.
+ * 3. The outcome per row can be downloaded as a CSV report.
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const GENDERS = {
+  m: "male",
+  male: "male",
+  f: "female",
+  female: "female",
+  o: "other",
+  other: "other",
+};
+const BLOOD_GROUPS = Patient.schema.path("bloodGroup").enumValues;
+const NO_ALLERGIES = ["none", "nil", "na", "n/a", "no", "nka", "nkda"];
+
+/**
+ * Find an import by ID
+ * @param {ObjectId} importId - PatientImport ID
+ * @returns {Object} - PatientImport document
+ */
+export const findImport = async (importId) => {
+  if (!mongoose.Types.ObjectId.isValid(importId)) {
+    throw new BadRequestError("Invalid import ID");
+  }
+
+  const patientImport = await PatientImport.findById(importId);
+  if (!patientImport) {
+    throw new NotFoundError("Import");
+  }
+  return patientImport;
+};
+
+/**
+ * Read and validate a file (dry run)
+ *
+ * @param {Object} file - Multer file (buffer, originalname)
+ * @param {Object} options - { mapping: { "Column header": "field" } } overrides auto-detection
+ * @param {Object} user - Admin uploading
+ * @returns {Object} - PatientImport document (status validated)
+ */
+export const createImport = async (file, { mapping: overrides } = {}, user) => {
+  if (!file?.buffer) {
+    throw new BadRequestError("File is required (CSV or XLSX)");
+  }
+
+  const format = /\.xlsx$/i.test(file.originalname) ? "xlsx" : "csv";
+  const { headers, records } = await readSpreadsheet(file.buffer, format);
+
+  if (!records.length) {
+    throw new BadRequestError("File has no data rows");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new BadRequestError(
+      `File has ${records.length} rows - split it (max ${MAX_IMPORT_ROWS})`,
+    );
+  }
+
+  const mapping = buildMapping(headers, overrides);
+  const rows = records.map((record) => validateRow(record, mapping));
+
+  flagDuplicatesInFile(rows);
+  await flagExistingPhones(rows);
+
+  const patientImport = new PatientImport({
+    fileName: file.originalname,
+    format,
+    mapping,
+    unmappedColumns: headers.filter((header) => !mapping[header]),
+    rows,
+    uploadedBy: user?._id,
+  });
+  patientImport.updateSummary();
+
+  await patientImport.save();
+  return patientImport;
+};
+
+/**
+ * Import the valid rows of a dry run, in batches
+ * Phones are checked again per batch (someone may have registered since the dry run).
+ *
+ * @param {Object} patientImport - PatientImport document (validated)
+ * @param {Object} user - Admin committing
+ * @returns {Object} - PatientImport document (completed)
+ */
+export const commitImport = async (patientImport, user) => {
+  if (patientImport.status !== PATIENT_IMPORT_STATUS.VALIDATED) {
+    throw new BadRequestError(`Import is already ${patientImport.status}`);
+  }
+
+  patientImport.status = PATIENT_IMPORT_STATUS.IMPORTING;
+  patientImport.committedBy = user?._id;
+  await patientImport.save();
+
+  const pending = patientImport.rows.filter((row) => row.status === IMPORT_ROW_STATUS.VALID);
+
+  for (let start = 0; start < pending.length; start += IMPORT_BATCH_SIZE) {
+    await importBatch(pending.slice(start, start + IMPORT_BATCH_SIZE), user);
+  }
+
+  patientImport.status = PATIENT_IMPORT_STATUS.COMPLETED;
+  patientImport.committedAt = new Date();
+  patientImport.updateSummary();
+  await patientImport.save();
+
+  return patientImport;
+};
+
+/**
+ * Outcome of every row as CSV (download)
+ * @param {Object} patientImport - PatientImport document
+ * @returns {String} - CSV text
+ */
+export const buildReportCsv = (patientImport) => {
+  const lines = [["Row", "Status", "Name", "Phone", "Patient ID", "Errors", "Warnings"]];
+
+  for (const row of patientImport.rows) {
+    lines.push([
+      row.rowNumber,
+      row.status,
+      row.data?.name,
+      row.data?.phone,
+      row.patient,
+      row.validationErrors.join("; "),
+      row.warnings.join("; "),
+    ]);
+  }
+
+  return toCsv(lines);
+};
+
+/**
+ * Header row of a ready-to-fill import file
+ * @returns {String} - CSV text
+ */
+export const buildTemplateCsv = () =>
+  [
+    "Name,Phone,Email,DOB,Gender,Address,City,State,Pincode,Allergies,Blood Group",
+    [
+      "Ravi Kumar",
+      "9876543210",
+      "ravi@example.com",
+      "15/08/1985",
+      "Male",
+      "12 Model Town",
+      "Karnal",
+      "Haryana",
+      "132001",
+      "Penicillin; Latex",
+      "B+",
+    ].join(","),
+  ].join("\r\n");
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * First worksheet as header list + records ({ rowNumber, values: { header: text } })
+ */
+async function readSpreadsheet(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  try {
+    if (format === "xlsx") {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      // Keep every value as text - dates are parsed day-first below, not US-style
+      worksheet = await workbook.csv.read(Readable.from(buffer), { map: (value) => value });
+    }
+  } catch {
+    throw new BadRequestError(`Could not read the file as ${format.toUpperCase()}`);
+  }
+
+  if (!worksheet || !worksheet.rowCount) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column - 1] = cellText(cell.value);
+  });
+
+  const records = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      const header = headers[column - 1];
+      if (header) values[header] = cell.value instanceof Date ? cell.value : cellText(cell.value);
+    });
+
+    if (Object.values(values).some((value) => value !== "")) {
+      records.push({ rowNumber, values });
+    }
+  });
+
+  return { headers: headers.filter(Boolean), records };
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("").trim();
+    if (value.text !== undefined) return cellText(value.text); // Hyperlink
+    if (value.result !== undefined) return cellText(value.result); // Formula
+    return "";
+  }
+  return String(value).trim();
+}
+
+/**
+ * Column → field: overrides first, then recognised headers
+ */
+function buildMapping(headers, overrides) {
+  let custom = overrides || {};
+  if (typeof custom === "string") {
+    try {
+      custom = JSON.parse(custom);
+    } catch {
+      throw new BadRequestError("Mapping must be JSON: { \"Column header\": \"field\" }");
+    }
+  }
+
+  const fields = Object.keys(PATIENT_IMPORT_FIELDS);
+  const mapping = {};
+
+  for (const header of headers) {
+    if (custom[header] !== undefined) {
+      if (custom[header] && !fields.includes(custom[header])) {
+        throw new BadRequestError(`Unknown field "${custom[header]}". Valid: ${fields.join(", ")}`);
+      }
+      if (custom[header]) mapping[header] = custom[header];
+      continue;
+    }
+
+    const key = header.toLowerCase().replace(/[\s._-]/g, "");
+    const field = fields.find((f) => PATIENT_IMPORT_FIELDS[f].includes(key));
+    if (field && !Object.values(mapping).includes(field)) {
+      mapping[header] = field;
+    }
+  }
+
+  const mapped = Object.values(mapping);
+  const missing = ["name", "phone"].filter((field) => !mapped.includes(field));
+  if (missing.length) {
+    throw new BadRequestError(
+      `No column for ${missing.join(" and ")} - name the column or send mapping`,
+    );
+  }
+
+  return mapping;
+}
+
+/**
+ * Clean one record into patient fields, collecting errors and warnings
+ */
+function validateRow({ rowNumber, values }, mapping) {
+  const raw = {};
+  for (const [header, field] of Object.entries(mapping)) {
+    raw[field] = values[header] ?? "";
+  }
+
+  const data = {};
+  const errors = [];
+  const warnings = [];
+
+  // Name
+  if (raw.name) {
+    data.name = raw.name.replace(/\s+/g, " ");
+  } else {
+    errors.push("Name is required");
+  }
+
+  // Phone (+91 / 0 prefixes, spaces and dashes allowed)
+  const phone = normalizePhone(raw.phone);
+  if (!raw.phone) {
+    errors.push("Phone is required");
+  } else if (!PHONE_PATTERN.test(phone)) {
+    errors.push(`Invalid phone "${raw.phone}" - need a 10-digit mobile number`);
+  } else {
+    data.phone = phone;
+  }
+
+  if (raw.email) {
+    if (EMAIL_PATTERN.test(raw.email)) {
+      data.email = raw.email.toLowerCase();
+    } else {
+      warnings.push(`Invalid email "${raw.email}" - left blank`);
+    }
+  }
+
+  if (raw.dateOfBirth) {
+    const dob = parseDate(raw.dateOfBirth);
+    if (!dob) {
+      errors.push(`Invalid date of birth "${cellText(raw.dateOfBirth)}" - use DD/MM/YYYY`);
+    } else if (dob > new Date()) {
+      errors.push("Date of birth is in the future");
+    } else if (new Date().getUTCFullYear() - dob.getUTCFullYear() > 120) {
+      errors.push("Date of birth is more than 120 years ago");
+    } else {
+      data.dateOfBirth = dob;
+    }
+  }
+
+  if (raw.gender) {
+    const gender = GENDERS[raw.gender.toLowerCase()];
+    if (gender) {
+      data.gender = gender;
+    } else {
+      warnings.push(`Unrecognised gender "${raw.gender}" - left blank`);
+    }
+  }
+
+  if (raw.bloodGroup) {
+    const bloodGroup = normalizeBloodGroup(raw.bloodGroup);
+    if (BLOOD_GROUPS.includes(bloodGroup)) {
+      data.bloodGroup = bloodGroup;
+    } else {
+      warnings.push(`Unrecognised blood group "${raw.bloodGroup}" - left blank`);
+    }
+  }
+
+  if (raw.allergies) {
+    const allergies = raw.allergies
+      .split(/[;,|\n]/)
+      .map((allergy) => allergy.trim())
+      .filter((allergy) => allergy && !NO_ALLERGIES.includes(allergy.toLowerCase()));
+    if (allergies.length) data.allergies = [...new Set(allergies)];
+  }
+
+  const address = {};
+  if (raw.address) address.street = raw.address;
+  if (raw.city) address.city = raw.city;
+  if (raw.state) address.state = raw.state;
+  if (raw.pincode) {
+    if (/^\d{6}$/.test(raw.pincode)) {
+      address.pincode = raw.pincode;
+    } else {
+      warnings.push(`Invalid pincode "${raw.pincode}" - left blank`);
+    }
+  }
+  if (Object.keys(address).length) data.address = address;
+
+  return {
+    rowNumber,
+    data,
+    validationErrors: errors,
+    warnings,
+    status: errors.length ? IMPORT_ROW_STATUS.INVALID : IMPORT_ROW_STATUS.VALID,
+  };
+}
+
+function normalizePhone(value) {
+  const digits = String(value || "").replace(/\D/g, "");
+  if (digits.length === 12 && digits.startsWith("91")) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith("0")) return digits.slice(1);
+  return digits;
+}
+
+function normalizeBloodGroup(value) {
+  return value
+    .toUpperCase()
+    .replace(/\s+/g, "")
+    .replace(/(\+VE|POSITIVE|POS)$/, "+")
+    .replace(/(-VE|NEGATIVE|NEG)$/, "-");
+}
+
+/**
+ * Day-first date (DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY), ISO (YYYY-MM-DD)
+ * or a spreadsheet date cell → UTC midnight of that day
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return utcDay(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return utcDay(+match[1], +match[2], +match[3]);
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) return utcDay(+match[3], +match[2], +match[1]);
+
+  return null;
+}
+
+function utcDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Rejects 31/02 etc. (Date would roll over)
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+// Same phone twice in the file: later rows are invalid
+function flagDuplicatesInFile(rows) {
+  const firstRow = new Map();
+
+  for (const row of rows) {
+    const phone = row.data.phone;
+    if (!phone) continue;
+
+    if (firstRow.has(phone)) {
+      row.validationErrors.push(`Same phone as row ${firstRow.get(phone)}`);
+      row.status = IMPORT_ROW_STATUS.INVALID;
+    } else {
+      firstRow.set(phone, row.rowNumber);
+    }
+  }
+}
+
+// Phone already registered (or an alternate phone): skipped as a duplicate
+async function flagExistingPhones(rows) {
+  const candidates = rows.filter((row) => row.status === IMPORT_ROW_STATUS.VALID);
+  const existing = await findExistingPhones(candidates.map((row) => row.data.phone));
+
+  for (const row of candidates) {
+    const patient = existing.get(row.data.phone);
+    if (!patient) continue;
+
+    row.status = IMPORT_ROW_STATUS.DUPLICATE;
+    row.patient = patient._id;
+    row.warnings.push(`Phone already registered to ${patient.name} - skipped`);
+  }
+}
+
+async function findExistingPhones(phones) {
+  const existing = new Map();
+
+  for (let start = 0; start < phones.length; start += IMPORT_BATCH_SIZE) {
+    const batch = phones.slice(start, start + IMPORT_BATCH_SIZE);
+    const patients = await Patient.find({
+      $or: [{ phone: { $in: batch } }, { alternatePhones: { $in: batch } }],
+    }).select("name phone alternatePhones");
+
+    for (const patient of patients) {
+      for (const phone of [patient.phone, ...(patient.alternatePhones || [])]) {
+        if (batch.includes(phone) && !existing.has(phone)) existing.set(phone, patient);
+      }
+    }
+  }
+
+  return existing;
+}
+
+async function importBatch(rows, user) {
+  // Registered since the dry run
+  const existing = await findExistingPhones(rows.map((row) => row.data.phone));
+  const toInsert = [];
+
+  for (const row of rows) {
+    const patient = existing.get(row.data.phone);
+    if (patient) {
+      row.status = IMPORT_ROW_STATUS.DUPLICATE;
+      row.patient = patient._id;
+      row.warnings.push(`Phone registered to ${patient.name} since the dry run - skipped`);
+      continue;
+    }
+
+    const doc = new Patient({ ...row.data, registeredBy: user?._id });
+    try {
+      await doc.validate();
+      toInsert.push({ row, doc });
+    } catch (error) {
+      markFailed(row, Object.values(error.errors || {}).map((e) => e.message).join(", "));
+    }
+  }
+
+  if (!toInsert.length) return;
+
+  // Every doc passed validation, so write error indexes match toInsert
+  const failures = new Map();
+  try {
+    await Patient.insertMany(toInsert.map(({ doc }) => doc), { ordered: false });
+  } catch (error) {
+    // Unordered insert: the rest of the batch still goes in
+    for (const writeError of error.writeErrors || []) {
+      failures.set(writeError.index, writeError.errmsg || writeError.err?.errmsg);
+    }
+  }
+
+  // Confirm against the database rather than trusting the error shape
+  const ids = toInsert.map(({ doc }) => doc._id);
+  const inserted = new Set((await Patient.find({ _id: { $in: ids } }).distinct("_id")).map(String));
+
+  toInsert.forEach(({ row, doc }, index) => {
+    if (inserted.has(String(doc._id))) {
+      row.status = IMPORT_ROW_STATUS.IMPORTED;
+      row.patient = doc._id;
+    } else {
+      markFailed(row, failures.get(index));
+    }
+  });
+}
+
+function markFailed(row, reason) {
+  row.status = IMPORT_ROW_STATUS.FAILED;
+  row.validationErrors.push(reason || "Not saved");
+}
@@ -6,6 +6,8 @@ import { Treatment } from "../treatments/treatment.model.js";
 import Payment from "../payments/payment.model.js";
 import Report from "../reports/report.model.js";
 import Invoice from "../billing/invoice.model.js";
+import * as duplicateService from "../duplicates/duplicate.service.js";
+import * as segmentService from "../segments/segment.service.js";
 
 /**
  * PATIENT CONTROLLER
@@ -19,14 +21,18 @@ import Invoice from "../billing/invoice.model.js";
 
 /**
  * @desc    Get all patients
- * @route   GET /api/patients
+ * @route   GET /api/patients?search=&isActive=&hasMembership=&tags=&segment=
  * @access  Admin
+ *
+ * tags: comma-separated, patients must have all of them
+ * segment: saved segment ID, its rules are applied on top of the other filters
  */
 export const getAllPatients = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search, isActive, hasMembership } = req.query;
+  const { page = 1, limit = 10, search, isActive, hasMembership, tags, segment } = req.query;
 
-  // Build query
+  // Build query - filters that need $or go into $and so they don't overwrite each other
   const query = {};
+  const conditions = [];
 
   // Filter by active status
   if (isActive !== undefined) {
@@ -35,21 +41,41 @@ export const getAllPatients = asyncHandler(async (req, res) => {
 
   // Search by name, phone, or email
   if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: "i" } },
-      { phone: { $regex: search, $options: "i" } },
-      { email: { $regex: search, $options: "i" } },
-    ];
+    conditions.push({
+      $or: [
+        { name: { $regex: search, $options: "i" } },
+        { phone: { $regex: search, $options: "i" } },
+        { email: { $regex: search, $options: "i" } },
+      ],
+    });
   }
 
   // Filter by membership status
   if (hasMembership === "true") {
     query["membership.status"] = "active";
   } else if (hasMembership === "false") {
-    query.$or = [
-      { "membership.status": { $ne: "active" } },
-      { membership: { $exists: false } },
-    ];
+    conditions.push({
+      $or: [{ "membership.status": { $ne: "active" } }, { membership: { $exists: false } }],
+    });
+  }
+
+  // Filter by tags
+  if (tags) {
+    const tagList = segmentService.normalizeTags(tags);
+    if (tagList.length) {
+      query.tags = { $all: tagList };
+    }
+  }
+
+  // Filter by saved segment
+  if (segment) {
+    const savedSegment = await segmentService.findSegment(segment);
+    const segmentFilter = await segmentService.buildRulesFilter(savedSegment.rules);
+    conditions.push(...(segmentFilter.$and || []));
+  }
+
+  if (conditions.length) {
+    query.$and = conditions;
   }
 
   // Calculate pagination
@@ -158,8 +184,8 @@ export const createPatient = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Please provide a valid 10-digit phone number", 400);
   }
 
-  // Check if phone already exists
-  const existingPatient = await Patient.findOne({ phone });
+  // Check if phone already exists (family members: add as household dependants)
+  const existingPatient = await Patient.findByPhone(phone);
   if (existingPatient) {
     return ApiResponse.error(res, "Patient with this phone number already exists", 409);
   }
@@ -188,7 +214,10 @@ export const createPatient = asyncHandler(async (req, res) => {
     notes,
   });
 
-  ApiResponse.created(res, { patient }, "Patient created successfully");
+  // Same person under another number / spelling - flag for a merge
+  const possibleDuplicates = await duplicateService.findDuplicates(patient);
+
+  ApiResponse.created(res, { patient, possibleDuplicates }, "Patient created successfully");
 });
 
 /**
@@ -220,6 +249,7 @@ export const updatePatient = asyncHandler(async (req, res) => {
   // Update allowed fields
   const allowedFields = [
     "name",
+    "alternatePhones",
     "email",
     "gender",
     "dateOfBirth",
@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import {
+  ALERT_CONTEXTS,
+  MEDICAL_ALERT_SEVERITY,
+  MEDICAL_ALERT_TYPES,
+} from "../../constants/medicalAlerts.js";
+import { HOUSEHOLD_RELATIONSHIPS, MINOR_AGE } from "../../constants/households.js";
 
 /**
  * PATIENT MODEL
@@ -7,9 +13,12 @@ import bcrypt from "bcryptjs";
  *
  * Key features:
  * - Personal info (name, phone, email, etc.)
- * - Medical info (blood group, allergies)
+ * - Medical info (blood group, allergies, structured medical alerts)
  * - Membership (embedded - stored directly in patient)
- * - Login via OTP (phone-based)
+ * - Household: dependants share their guardian's phone (phone is unique
+ *   only among account holders); minors carry the guardian's consent
+ * - Login via OTP (phone-based, account holders only)
+ * - Duplicates merged into another record keep mergedInto (see modules/duplicates)
  */
 
 // ============ SUB-SCHEMAS ============
@@ -39,6 +48,92 @@ const emergencyContactSchema = new mongoose.Schema(
   { _id: false },
 );
 
+/**
+ * Medical Alert Schema (embedded)
+ * Allergy / condition / medication the team must know about before treating
+ */
+const medicalAlertSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(MEDICAL_ALERT_TYPES),
+      required: [true, "Alert type is required"],
+    },
+
+    // "Penicillin", "Warfarin 5 mg", "Type 2 diabetes", "24 weeks"
+    name: {
+      type: String,
+      required: [true, "Alert name is required"],
+      trim: true,
+    },
+
+    // high blocks treatment / tests / prescriptions until overridden
+    severity: {
+      type: String,
+      enum: Object.values(MEDICAL_ALERT_SEVERITY),
+      default: MEDICAL_ALERT_SEVERITY.MODERATE,
+    },
+
+    notes: String,
+
+    // Contexts it's checked for (default by type, see ALERT_TYPE_CONTEXTS)
+    appliesTo: [
+      {
+        type: String,
+        enum: Object.values(ALERT_CONTEXTS),
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: Date,
+  },
+  { _id: true },
+);
+
+/**
+ * Guardian Consent Schema (embedded)
+ * Parent / guardian agreeing to a minor being registered and treated
+ */
+const guardianConsentSchema = new mongoose.Schema(
+  {
+    givenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+    givenByName: {
+      type: String,
+      required: [true, "Guardian name is required"],
+    },
+    // Guardian's relationship to the patient ("parent", "legal guardian", ...)
+    relationship: {
+      type: String,
+      required: [true, "Guardian relationship is required"],
+    },
+    consentedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: String,
+  },
+  { _id: false },
+);
+
 /**
  * Membership Schema (embedded in patient)
  * Stores current active membership
@@ -67,12 +162,15 @@ const membershipSchema = new mongoose.Schema(
 const patientSchema = new mongoose.Schema(
   {
     // -------- Authentication --------
+    // Unique among account holders; dependants use their guardian's
     phone: {
       type: String,
       required: [true, "Phone number is required"],
-      unique: true,
     },
 
+    // Previous / other numbers (duplicate detection, kept from merged records)
+    alternatePhones: [String],
+
     email: {
       type: String,
       lowercase: true,
@@ -116,6 +214,9 @@ const patientSchema = new mongoose.Schema(
 
     medicalHistory: [String], // Array of conditions
 
+    // Structured alerts checked at treatment / test / prescription time
+    medicalAlerts: [medicalAlertSchema],
+
     emergencyContact: emergencyContactSchema,
 
     // -------- Membership --------
@@ -124,6 +225,45 @@ const patientSchema = new mongoose.Schema(
     // Keep history of past memberships
     membershipHistory: [membershipSchema],
 
+    // -------- Attendance --------
+    // Missed appointments (counted by the no-show job / status updates)
+    // Repeat offenders are asked for a deposit when booking
+    noShowCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastNoShowAt: Date,
+
+    // -------- Household --------
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+    },
+
+    householdRelationship: {
+      type: String,
+      enum: Object.values(HOUSEHOLD_RELATIONSHIPS),
+    },
+
+    // Shares the guardian's phone; can't log in on their own
+    isDependant: {
+      type: Boolean,
+      default: false,
+    },
+
+    guardian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+
+    // Required for minors registered in a household
+    guardianConsent: guardianConsentSchema,
+
+    // -------- Tags --------
+    // Staff labels ("ortho", "vip", "diabetic"); lower-case, see segment.service normalizeTags
+    tags: [String],
+
     // -------- Preferences --------
     preferredClinic: {
       type: mongoose.Schema.Types.ObjectId,
@@ -141,6 +281,17 @@ const patientSchema = new mongoose.Schema(
       default: true,
     },
 
+    // Set on a duplicate merged into another record (deactivated, kept for undo)
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+
+    mergedAt: Date,
+
+    // Personal data erased on request (DPDP) - only an anonymous stub remains
+    erasedAt: Date,
+
     notes: String, // Internal notes by staff
   },
   {
@@ -152,8 +303,15 @@ const patientSchema = new mongoose.Schema(
 
 // ============ INDEXES ============
 
-// For faster searches
-// patientSchema.index({ phone: 1 });
+// One account holder per phone (dependants share it)
+patientSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { isDependant: false } },
+);
+patientSchema.index({ household: 1 });
+patientSchema.index({ alternatePhones: 1 });
+patientSchema.index({ dateOfBirth: 1 });
+patientSchema.index({ tags: 1 });
 patientSchema.index({ name: "text" }); // Text search on name
 patientSchema.index({ "membership.status": 1 });
 
@@ -194,6 +352,26 @@ patientSchema.virtual("calculatedAge").get(function () {
   return Math.floor(diff / (1000 * 60 * 60 * 24 * 365.25));
 });
 
+/**
+ * Under MINOR_AGE (unknown age counts as adult)
+ * Usage: patient.isMinor
+ */
+patientSchema.virtual("isMinor").get(function () {
+  const age = this.calculatedAge;
+  return age !== null && age < MINOR_AGE;
+});
+
+// ============ VALIDATION ============
+
+/**
+ * Dependants need the guardian whose phone they share
+ */
+patientSchema.pre("validate", function () {
+  if (this.isDependant && !this.guardian) {
+    this.invalidate("guardian", "Dependants need a guardian");
+  }
+});
+
 // ============ METHODS ============
 
 patientSchema.methods.comparePassword = async function (enteredPassword) {
@@ -257,10 +435,34 @@ patientSchema.statics.search = async function (query) {
     $or: [
       { name: { $regex: query, $options: "i" } },
       { phone: { $regex: query, $options: "i" } },
+      { alternatePhones: { $regex: query, $options: "i" } },
     ],
   }).limit(20);
 };
 
+/**
+ * Account holder for a phone number (not a dependant sharing it)
+ * Used for OTP login and "already registered" checks.
+ * A merged duplicate resolves to the record it was merged into.
+ * @param {string} phone - Phone number
+ * @returns {Object|null} - Patient document
+ */
+patientSchema.statics.findByPhone = async function (phone) {
+  const patient = await this.findOne({ phone, isDependant: { $ne: true } });
+  return patient?.mergedInto ? this.findById(patient.mergedInto) : patient;
+};
+
+/**
+ * Count a missed appointment against a patient
+ * @param {ObjectId} patientId - Patient ID
+ */
+patientSchema.statics.recordNoShow = function (patientId) {
+  return this.updateOne(
+    { _id: patientId },
+    { $inc: { noShowCount: 1 }, $set: { lastNoShowAt: new Date() } },
+  );
+};
+
 patientSchema.pre("save", async function () {
   if (!this.isModified("password") || !this.password) return;
 
@@ -1,5 +1,12 @@
 import { Router } from 'express';
 import * as patientController from './patient.controller.js';
+import chartRoutes from '../charts/chart.routes.js';
+import perioRoutes from '../charts/perio.routes.js';
+import medicalAlertRoutes from '../medicalAlerts/medicalAlert.routes.js';
+import duplicateRoutes from '../duplicates/duplicate.routes.js';
+import timelineRoutes from '../timeline/timeline.routes.js';
+import patientImportRoutes from '../patientImports/patientImport.routes.js';
+import tagRoutes from '../segments/tag.routes.js';
 
 const router = Router();
 
@@ -15,6 +22,15 @@ router.get('/', patientController.getAllPatients);
 // Search patients by name or phone
 router.get('/search', patientController.searchPatients);
 
+// Duplicate detection and merges - before /:id
+router.use(duplicateRoutes);
+
+// Bulk import from CSV / XLSX - before /:id
+router.use('/imports', patientImportRoutes);
+
+// Tags - before /:id
+router.use(tagRoutes);
+
 // Get single patient by ID
 router.get('/:id', patientController.getPatientById);
 
@@ -42,4 +58,16 @@ router.get('/:id/reports', patientController.getPatientReports);
 // Get patient's membership details
 router.get('/:id/membership', patientController.getPatientMembership);
 
+// Dental chart (odontogram)
+router.use('/:id/chart', chartRoutes);
+
+// Periodontal charting exams
+router.use('/:id/perio', perioRoutes);
+
+// Medical alerts (allergies, anticoagulants, conditions) and override log
+router.use('/:id/alerts', medicalAlertRoutes);
+
+// Timeline (appointments, treatments, tests, billing, reports, notes in one feed)
+router.use('/:id/timeline', timelineRoutes);
+
 export default router;
@@ -3,6 +3,8 @@ import { ApiResponse } from "../../utils/ApiResponse.js";
 import Payment from "./payment.model.js";
 import Invoice from "../billing/invoice.model.js";
 import Patient from "../patients/patient.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import { formatDay, getDayRange, getMonthRange } from "../../utils/date.js";
 import mongoose from "mongoose";
 import crypto from "crypto";
 
@@ -577,9 +579,10 @@ export const processRefund = asyncHandler(async (req, res) => {
 export const getPaymentStats = asyncHandler(async (req, res) => {
   const { clinic, from, to } = req.query;
 
-  // Date range (default: current month)
-  const startDate = from ? new Date(from) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
-  const endDate = to ? new Date(to) : new Date();
+  // Date range (default: current month, in the clinic's timezone)
+  const tz = await Clinic.getTimezoneById(clinic);
+  const startDate = from ? getDayRange(from, tz).start : getMonthRange(new Date(), tz).start;
+  const endDate = to ? getDayRange(to, tz).end : new Date();
 
   // Build match query
   const matchQuery = {
@@ -661,14 +664,18 @@ export const getDailyCollection = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Valid clinic ID is required", 400);
   }
 
-  const reportDate = date ? new Date(date) : new Date();
+  if (date && isNaN(new Date(date).getTime())) {
+    return ApiResponse.error(res, "Invalid date format", 400);
+  }
+
+  const reportDate = date || new Date();
   const collection = await Payment.getDailyCollection(clinic, reportDate);
 
   ApiResponse.success(
     res,
     {
       collection,
-      date: reportDate,
+      date: formatDay(reportDate, await Clinic.getTimezoneById(clinic)),
       clinic,
     },
     "Daily collection fetched successfully"
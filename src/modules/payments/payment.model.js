@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+import { getDayRange } from "../../utils/date.js";
 
 /**
  * PAYMENT MODEL
@@ -138,29 +140,12 @@ paymentSchema.index({ razorpayOrderId: 1 });
 /**
  * Generate payment number
  */
-paymentSchema.pre("save", async function (next) {
-  try {
-    // Generate payment number for new documents
-    if (this.isNew) {
-      const date = new Date();
-      const year = date.getFullYear().toString().slice(-2);
-      const month = (date.getMonth() + 1).toString().padStart(2, "0");
-
-      // Count payments this month
-      const count = await mongoose.model("Payment").countDocuments({
-        createdAt: {
-          $gte: new Date(date.getFullYear(), date.getMonth(), 1),
-          $lte: new Date(date.getFullYear(), date.getMonth() + 1, 0),
-        },
-      });
-
-      const serial = (count + 1).toString().padStart(4, "0");
-      this.paymentNumber = `PAY-${year}${month}-${serial}`;
-    }
-
-    next();
-  } catch (error) {
-    next(error);
+paymentSchema.pre("save", async function () {
+  // Generate payment number for new documents
+  if (this.isNew) {
+    this.paymentNumber = await counterService.generateNumber("payment", {
+      clinic: this.clinic,
+    });
   }
 });
 
@@ -263,14 +248,11 @@ paymentSchema.statics.getPatientPaymentSummary = async function (patientId) {
 };
 
 /**
- * Get daily collection report
+ * Get daily collection report (day in the clinic's timezone)
  */
 paymentSchema.statics.getDailyCollection = async function (clinicId, date) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+  const tz = await mongoose.model("Clinic").getTimezoneById(clinicId);
+  const { start: startOfDay, end: endOfDay } = getDayRange(date, tz);
 
   const result = await this.aggregate([
     {
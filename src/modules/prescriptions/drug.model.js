@@ -0,0 +1,241 @@
+import mongoose from "mongoose";
+
+/**
+ * DRUG MODEL
+ * Catalog of medicines that can be prescribed
+ *
+ * Key features:
+ * - Name + strength + form identify a drug ("Amoxicillin 500 mg capsule")
+ * - Default dosage / frequency / duration prefill prescription lines
+ * - allergyTags: drug classes checked against Patient.allergies
+ *   (e.g. amoxicillin → ["penicillin", "beta-lactam"])
+ */
+
+const drugSchema = new mongoose.Schema(
+  {
+    // Brand or generic name as written on the Rx
+    name: {
+      type: String,
+      required: [true, "Drug name is required"],
+      trim: true,
+    },
+
+    genericName: {
+      type: String,
+      trim: true,
+    },
+
+    // "500 mg", "0.2% w/v"
+    strength: {
+      type: String,
+      required: [true, "Strength is required"],
+      trim: true,
+    },
+
+    form: {
+      type: String,
+      enum: [
+        "tablet",
+        "capsule",
+        "syrup",
+        "suspension",
+        "injection",
+        "gel",
+        "ointment",
+        "mouthwash",
+        "drops",
+        "other",
+      ],
+      required: [true, "Form is required"],
+    },
+
+    category: {
+      type: String,
+      enum: ["antibiotic", "analgesic", "anti_inflammatory", "antiseptic", "antifungal", "other"],
+      default: "other",
+    },
+
+    // Prefill for prescription lines
+    defaultDosage: String, // "1 tablet"
+    defaultFrequency: String, // "Twice daily", "1-0-1"
+    defaultDuration: String, // "5 days"
+    defaultInstructions: String, // "After food"
+
+    // Allergy classes this drug belongs to (lowercase)
+    allergyTags: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+drugSchema.index({ name: 1, strength: 1, form: 1 }, { unique: true });
+drugSchema.index({ name: "text", genericName: "text" });
+
+// ============ VIRTUALS ============
+
+/**
+ * "Amoxicillin 500 mg (capsule)"
+ */
+drugSchema.virtual("displayName").get(function () {
+  return `${this.name} ${this.strength} (${this.form})`;
+});
+
+drugSchema.set("toJSON", { virtuals: true });
+drugSchema.set("toObject", { virtuals: true });
+
+// ============ STATICS ============
+
+/**
+ * Seed commonly prescribed dental drugs
+ * Call this once during initial setup
+ */
+drugSchema.statics.seedDefaultDrugs = async function () {
+  const defaultDrugs = [
+    {
+      name: "Amoxicillin",
+      genericName: "Amoxicillin",
+      strength: "500 mg",
+      form: "capsule",
+      category: "antibiotic",
+      defaultDosage: "1 capsule",
+      defaultFrequency: "Three times daily",
+      defaultDuration: "5 days",
+      defaultInstructions: "After food",
+      allergyTags: ["penicillin", "beta-lactam"],
+    },
+    {
+      name: "Amoxicillin + Clavulanic Acid",
+      genericName: "Co-amoxiclav",
+      strength: "625 mg",
+      form: "tablet",
+      category: "antibiotic",
+      defaultDosage: "1 tablet",
+      defaultFrequency: "Twice daily",
+      defaultDuration: "5 days",
+      defaultInstructions: "After food",
+      allergyTags: ["penicillin", "beta-lactam"],
+    },
+    {
+      name: "Metronidazole",
+      genericName: "Metronidazole",
+      strength: "400 mg",
+      form: "tablet",
+      category: "antibiotic",
+      defaultDosage: "1 tablet",
+      defaultFrequency: "Three times daily",
+      defaultDuration: "5 days",
+      defaultInstructions: "After food. Avoid alcohol",
+      allergyTags: ["nitroimidazole"],
+    },
+    {
+      name: "Azithromycin",
+      genericName: "Azithromycin",
+      strength: "500 mg",
+      form: "tablet",
+      category: "antibiotic",
+      defaultDosage: "1 tablet",
+      defaultFrequency: "Once daily",
+      defaultDuration: "3 days",
+      defaultInstructions: "One hour before food",
+      allergyTags: ["macrolide"],
+    },
+    {
+      name: "Ibuprofen",
+      genericName: "Ibuprofen",
+      strength: "400 mg",
+      form: "tablet",
+      category: "analgesic",
+      defaultDosage: "1 tablet",
+      defaultFrequency: "Three times daily",
+      defaultDuration: "3 days",
+      defaultInstructions: "After food",
+      allergyTags: ["nsaid"],
+    },
+    {
+      name: "Paracetamol",
+      genericName: "Paracetamol",
+      strength: "650 mg",
+      form: "tablet",
+      category: "analgesic",
+      defaultDosage: "1 tablet",
+      defaultFrequency: "Three times daily",
+      defaultDuration: "3 days",
+      defaultInstructions: "After food, when needed for pain",
+      allergyTags: ["acetaminophen"],
+    },
+    {
+      name: "Aceclofenac + Paracetamol",
+      genericName: "Aceclofenac + Paracetamol",
+      strength: "100 mg + 325 mg",
+      form: "tablet",
+      category: "anti_inflammatory",
+      defaultDosage: "1 tablet",
+      defaultFrequency: "Twice daily",
+      defaultDuration: "3 days",
+      defaultInstructions: "After food",
+      allergyTags: ["nsaid", "acetaminophen"],
+    },
+    {
+      name: "Chlorhexidine Mouthwash",
+      genericName: "Chlorhexidine gluconate",
+      strength: "0.2% w/v",
+      form: "mouthwash",
+      category: "antiseptic",
+      defaultDosage: "10 ml",
+      defaultFrequency: "Twice daily",
+      defaultDuration: "7 days",
+      defaultInstructions: "Rinse for 30 seconds, do not swallow. Nothing to eat or drink for 30 minutes",
+      allergyTags: ["chlorhexidine"],
+    },
+    {
+      name: "Lignocaine Gel",
+      genericName: "Lidocaine",
+      strength: "2%",
+      form: "gel",
+      category: "other",
+      defaultDosage: "Apply thin layer",
+      defaultFrequency: "When needed",
+      defaultDuration: "3 days",
+      allergyTags: ["amide anaesthetic", "lidocaine"],
+    },
+    {
+      name: "Fluconazole",
+      genericName: "Fluconazole",
+      strength: "150 mg",
+      form: "tablet",
+      category: "antifungal",
+      defaultDosage: "1 tablet",
+      defaultFrequency: "Once daily",
+      defaultDuration: "7 days",
+      allergyTags: ["azole"],
+    },
+  ];
+
+  // Use upsert to avoid duplicates
+  for (const drug of defaultDrugs) {
+    await this.findOneAndUpdate(
+      { name: drug.name, strength: drug.strength, form: drug.form },
+      drug,
+      { upsert: true, new: true },
+    );
+  }
+};
+
+// Create and export the model
+const Drug = mongoose.model("Drug", drugSchema);
+
+export default Drug;
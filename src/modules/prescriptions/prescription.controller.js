@@ -0,0 +1,349 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import Drug from "./drug.model.js";
+import Prescription from "./prescription.model.js";
+import * as prescriptionService from "./prescription.service.js";
+import * as chartService from "../charts/chart.service.js";
+import * as medicalAlertService from "../medicalAlerts/medicalAlert.service.js";
+import { ALERT_CONTEXTS } from "../../constants/medicalAlerts.js";
+import { buildPrescriptionPdf } from "./prescription.pdf.js";
+
+/**
+ * PRESCRIPTION CONTROLLER
+ *
+ * Handles:
+ * - Drug catalog (medicines that can be prescribed)
+ * - Prescriptions (with medical alert check) and the printable Rx PDF
+ */
+
+// ==================== DRUG CATALOG ====================
+
+/**
+ * @desc    Get drugs (catalog)
+ * @route   GET /api/prescriptions/drugs?search=&category=&form=&active=
+ * @access  Admin
+ */
+export const getAllDrugs = asyncHandler(async (req, res) => {
+  const { search, category, form, active = "true" } = req.query;
+
+  const filter = {};
+  if (active === "true") {
+    filter.isActive = true;
+  }
+  if (category) {
+    filter.category = category;
+  }
+  if (form) {
+    filter.form = form;
+  }
+  if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+    filter.$or = [{ name: pattern }, { genericName: pattern }];
+  }
+
+  const drugs = await Drug.find(filter).sort({ name: 1, strength: 1 });
+
+  ApiResponse.success(res, { drugs }, "Drugs fetched successfully");
+});
+
+/**
+ * @desc    Create drug
+ * @route   POST /api/prescriptions/drugs
+ * @access  Admin
+ */
+export const createDrug = asyncHandler(async (req, res) => {
+  const { name, strength, form } = req.body;
+
+  if (!name || !strength || !form) {
+    return ApiResponse.error(res, "Name, strength and form are required", 400);
+  }
+
+  const existing = await Drug.findOne({ name: name.trim(), strength: strength.trim(), form });
+  if (existing) {
+    return ApiResponse.error(res, "Drug with this name, strength and form already exists", 409);
+  }
+
+  const drug = await Drug.create(pickDrugFields(req.body));
+
+  ApiResponse.created(res, { drug }, "Drug created successfully");
+});
+
+/**
+ * @desc    Update drug
+ * @route   PATCH /api/prescriptions/drugs/:id
+ * @access  Admin
+ */
+export const updateDrug = asyncHandler(async (req, res) => {
+  const drug = await findDrug(req, res);
+  if (!drug) return;
+
+  Object.assign(drug, pickDrugFields(req.body));
+  await drug.save();
+
+  ApiResponse.success(res, { drug }, "Drug updated successfully");
+});
+
+/**
+ * @desc    Delete (deactivate) drug
+ * @route   DELETE /api/prescriptions/drugs/:id
+ * @access  Admin
+ */
+export const deleteDrug = asyncHandler(async (req, res) => {
+  const drug = await findDrug(req, res);
+  if (!drug) return;
+
+  // Soft delete - old prescriptions still reference it
+  drug.isActive = false;
+  await drug.save();
+
+  ApiResponse.success(res, null, "Drug deactivated successfully");
+});
+
+/**
+ * @desc    Seed common dental drugs
+ * @route   POST /api/prescriptions/drugs/seed
+ * @access  Admin
+ */
+export const seedDefaultDrugs = asyncHandler(async (req, res) => {
+  await Drug.seedDefaultDrugs();
+
+  const drugs = await Drug.find({ isActive: true }).sort({ name: 1 });
+
+  ApiResponse.success(res, { drugs }, "Default drugs seeded successfully");
+});
+
+// ==================== PATIENT ====================
+
+/**
+ * @desc    Get my prescriptions
+ * @route   GET /api/prescriptions/my
+ * @access  Patient
+ */
+export const getMyPrescriptions = asyncHandler(async (req, res) => {
+  const prescriptions = await Prescription.find({ patient: req.patient._id })
+    .populate("doctor", "name qualifications")
+    .populate("clinic", "name code")
+    .sort({ issuedAt: -1 });
+
+  ApiResponse.success(res, { prescriptions }, "Prescriptions fetched successfully");
+});
+
+// ==================== PRESCRIPTIONS ====================
+
+/**
+ * @desc    Get prescriptions
+ * @route   GET /api/prescriptions?patient=&appointment=&treatment=&doctor=&status=
+ * @access  Admin
+ */
+export const getAllPrescriptions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, patient, appointment, treatment, doctor, clinic, status } =
+    req.query;
+
+  const query = {};
+
+  for (const [field, value] of Object.entries({ patient, appointment, treatment, doctor, clinic })) {
+    if (value && mongoose.Types.ObjectId.isValid(value)) {
+      query[field] = value;
+    }
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [prescriptions, total] = await Promise.all([
+    Prescription.find(query)
+      .populate("patient", "name phone")
+      .populate("doctor", "name")
+      .populate("clinic", "name code")
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Prescription.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, prescriptions, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Check medicines against the patient's allergies and medical alerts (before prescribing)
+ * @route   POST /api/prescriptions/check-allergies
+ * @access  Admin
+ *
+ * Body: { patient, drugs: [drugId] }
+ * alerts.blocking is what createPrescription will refuse without alertOverride.reason.
+ */
+export const checkAllergies = asyncHandler(async (req, res) => {
+  const { patient, drugs } = req.body;
+
+  if (!patient || !Array.isArray(drugs) || !drugs.length) {
+    return ApiResponse.error(res, "Patient and drugs are required", 400);
+  }
+
+  const patientDoc = await chartService.findPatient(patient);
+  const drugDocs = await Drug.find({
+    _id: { $in: drugs.filter((id) => mongoose.Types.ObjectId.isValid(id)) },
+  });
+
+  const conflicts = prescriptionService.checkAllergies(patientDoc, drugDocs);
+  const alerts = medicalAlertService.evaluateAlerts(patientDoc, ALERT_CONTEXTS.PRESCRIPTION, {
+    drugs: drugDocs,
+  });
+
+  ApiResponse.success(
+    res,
+    { allergies: medicalAlertService.getAllergyNames(patientDoc), conflicts, alerts },
+    conflicts.length ? `${conflicts.length} allergy conflict(s) found` : "No allergy conflicts",
+  );
+});
+
+/**
+ * @desc    Get prescription by ID
+ * @route   GET /api/prescriptions/:id
+ * @access  Admin / Patient (own)
+ */
+export const getPrescriptionById = asyncHandler(async (req, res) => {
+  const prescription = await findPrescriptionForRequester(req, res);
+  if (!prescription) return;
+
+  await prescription.populate([
+    { path: "patient", select: "name phone allergies medicalAlerts" },
+    { path: "doctor", select: "name qualifications registrationNumber" },
+    { path: "clinic", select: "name code" },
+    { path: "appointment", select: "appointmentNumber date timeSlot" },
+    { path: "treatment", select: "treatmentNumber status" },
+    { path: "alertOverride.overriddenBy", select: "name" },
+  ]);
+
+  ApiResponse.success(res, { prescription }, "Prescription fetched successfully");
+});
+
+/**
+ * @desc    Create prescription
+ * @route   POST /api/prescriptions
+ * @access  Admin
+ *
+ * Body: {
+ *   patient, appointment?, treatment?, clinic?, doctor?, diagnosis?, advice?, followUpDate?,
+ *   items: [{ drug, dosage?, frequency?, duration?, instructions?, quantity? }],
+ *   alertOverride?: { reason }
+ * }
+ * Missing dosage / frequency / duration come from the drug's defaults.
+ * Blocking medical alerts (e.g. an allergy to a prescribed drug) return 409
+ * with the alerts unless alertOverride.reason is sent.
+ */
+export const createPrescription = asyncHandler(async (req, res) => {
+  const { prescription, alerts } = await prescriptionService.createPrescription(
+    req.body,
+    req.user,
+  );
+
+  ApiResponse.created(
+    res,
+    { prescription, alerts },
+    alerts.blocking.length
+      ? "Prescription created with medical alert override"
+      : "Prescription created successfully",
+  );
+});
+
+/**
+ * @desc    Cancel prescription
+ * @route   POST /api/prescriptions/:id/cancel
+ * @access  Admin
+ */
+export const cancelPrescription = asyncHandler(async (req, res) => {
+  const prescription = await prescriptionService.findPrescription(req.params.id);
+
+  await prescriptionService.cancelPrescription(prescription, req.body.reason);
+
+  ApiResponse.success(res, { prescription }, "Prescription cancelled");
+});
+
+/**
+ * @desc    Download prescription as PDF
+ * @route   GET /api/prescriptions/:id/pdf
+ * @access  Admin / Patient (own)
+ */
+export const downloadPrescriptionPdf = asyncHandler(async (req, res) => {
+  const prescription = await findPrescriptionForRequester(req, res);
+  if (!prescription) return;
+
+  await prescription.populate([
+    { path: "patient", select: "name phone gender dateOfBirth allergies medicalAlerts" },
+    { path: "clinic", select: "name address phone email timezone" },
+    { path: "doctor", select: "name qualifications registrationNumber" },
+  ]);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${prescription.prescriptionNumber}.pdf"`,
+  });
+
+  buildPrescriptionPdf(prescription).pipe(res);
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+const DRUG_FIELDS = [
+  "name",
+  "genericName",
+  "strength",
+  "form",
+  "category",
+  "defaultDosage",
+  "defaultFrequency",
+  "defaultDuration",
+  "defaultInstructions",
+  "allergyTags",
+  "isActive",
+];
+
+function pickDrugFields(body) {
+  const fields = {};
+  for (const field of DRUG_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+async function findDrug(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    ApiResponse.error(res, "Invalid drug ID", 400);
+    return null;
+  }
+
+  const drug = await Drug.findById(id);
+
+  if (!drug) {
+    ApiResponse.error(res, "Drug not found", 404);
+    return null;
+  }
+
+  return drug;
+}
+
+/**
+ * Load a prescription; patients may only see their own
+ * Sends the error response and returns null on failure
+ */
+async function findPrescriptionForRequester(req, res) {
+  const prescription = await prescriptionService.findPrescription(req.params.id);
+
+  if (req.patient && String(prescription.patient) !== String(req.patient._id)) {
+    ApiResponse.error(res, "Access denied", 403);
+    return null;
+  }
+
+  return prescription;
+}
@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+
+/**
+ * PRESCRIPTION MODEL
+ * Medicines prescribed to a patient at a visit
+ *
+ * Key features:
+ * - Unique prescription number (PRX-2610-0001)
+ * - Lines from the drug catalog (snapshotted) with dosage, frequency,
+ *   duration and instructions
+ * - Linked to the appointment / treatment it was written for
+ * - Allergy conflicts found when prescribing are kept, with who overrode the
+ *   medical alerts and why (full log in AlertOverride)
+ */
+
+// ============ PRESCRIPTION ITEM SCHEMA ============
+
+const prescriptionItemSchema = new mongoose.Schema(
+  {
+    drug: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Drug",
+      required: [true, "Drug is required"],
+    },
+
+    // Catalog details when prescribed
+    name: String,
+    genericName: String,
+    strength: String,
+    form: String,
+
+    dosage: {
+      type: String,
+      required: [true, "Dosage is required"],
+    },
+    frequency: {
+      type: String,
+      required: [true, "Frequency is required"],
+    },
+    duration: {
+      type: String,
+      required: [true, "Duration is required"],
+    },
+    instructions: String,
+
+    // Units to dispense (optional)
+    quantity: Number,
+  },
+  { _id: true },
+);
+
+// ============ ALLERGY WARNING SCHEMA ============
+
+const allergyWarningSchema = new mongoose.Schema(
+  {
+    drug: String, // Display name
+    allergy: String, // As recorded on the patient
+    matchedOn: String, // Drug name / allergy tag that matched
+  },
+  { _id: false },
+);
+
+// ============ PRESCRIPTION SCHEMA ============
+
+const prescriptionSchema = new mongoose.Schema(
+  {
+    // Unique prescription number
+    prescriptionNumber: {
+      type: String,
+      unique: true,
+    },
+
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: [true, "Clinic is required"],
+    },
+
+    // Prescribing dentist
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Doctor is required"],
+    },
+
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+
+    diagnosis: String,
+
+    items: {
+      type: [prescriptionItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "At least one medicine is required",
+      },
+    },
+
+    // General advice printed under the medicines
+    advice: String,
+
+    followUpDate: Date,
+
+    // -------- Medical alert check --------
+    allergyWarnings: [allergyWarningSchema],
+    alertOverride: {
+      reason: String,
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      overriddenAt: Date,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    cancelledAt: Date,
+    cancellationReason: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+prescriptionSchema.index({ patient: 1, issuedAt: -1 });
+prescriptionSchema.index({ appointment: 1 });
+prescriptionSchema.index({ treatment: 1 });
+
+// ============ PRE-SAVE MIDDLEWARE ============
+
+/**
+ * Generate prescription number
+ */
+prescriptionSchema.pre("save", async function () {
+  if (this.isNew) {
+    this.prescriptionNumber = await counterService.generateNumber("prescription", {
+      clinic: this.clinic,
+      date: this.issuedAt,
+    });
+  }
+});
+
+// Create and export the model
+const Prescription = mongoose.model("Prescription", prescriptionSchema);
+
+export default Prescription;
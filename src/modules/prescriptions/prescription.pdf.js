@@ -0,0 +1,185 @@
+import PDFDocument from "pdfkit";
+import { formatDisplayDate, getTimezone } from "../../utils/date.js";
+import { getAllergyNames } from "../medicalAlerts/medicalAlert.service.js";
+
+/**
+ * PRESCRIPTION PDF
+ * Printable Rx (A4): clinic header, patient details, medicines, advice
+ * and the doctor's signature block.
+ *
+ * Expects patient, clinic and doctor populated.
+ */
+
+const MARGIN = 50;
+const MUTED = "#555555";
+
+/**
+ * Build the Rx PDF
+ * @param {Object} prescription - Prescription document (populated)
+ * @returns {PDFDocument} - Ended document; pipe it to the response
+ */
+export const buildPrescriptionPdf = (prescription) => {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN });
+  const tz = getTimezone(prescription.clinic);
+
+  drawClinicHeader(doc, prescription.clinic);
+  drawPatientDetails(doc, prescription, tz);
+  drawItems(doc, prescription.items);
+  drawAdvice(doc, prescription, tz);
+  drawSignature(doc, prescription.doctor);
+
+  if (prescription.status === "cancelled") {
+    drawCancelled(doc);
+  }
+
+  doc.end();
+  return doc;
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+function rule(doc) {
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(doc.page.width - MARGIN, doc.y)
+    .lineWidth(0.5)
+    .strokeColor("#999999")
+    .stroke();
+  doc.moveDown(0.5);
+}
+
+function drawClinicHeader(doc, clinic = {}) {
+  const address = clinic.address || {};
+  const addressLine = [address.street, address.area, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(", ");
+  const contact = [clinic.phone?.length ? `Ph: ${clinic.phone.join(", ")}` : null, clinic.email]
+    .filter(Boolean)
+    .join("  |  ");
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("black").text(clinic.name || "", { align: "center" });
+  doc.font("Helvetica").fontSize(9).fillColor(MUTED);
+  if (addressLine) doc.text(addressLine, { align: "center" });
+  if (contact) doc.text(contact, { align: "center" });
+
+  doc.moveDown(0.5);
+  rule(doc);
+}
+
+function drawPatientDetails(doc, prescription, tz) {
+  const patient = prescription.patient || {};
+  const age = patient.calculatedAge ?? patient.age;
+  const ageGender = [age != null ? `${age} yrs` : null, patient.gender].filter(Boolean).join(" / ");
+  const top = doc.y;
+  const half = contentWidth(doc) / 2;
+
+  doc.font("Helvetica").fontSize(10).fillColor("black");
+  doc.text(`Patient: ${patient.name || ""}`, MARGIN, top, { width: half });
+  if (ageGender) doc.text(`Age / Sex: ${ageGender}`, { width: half });
+  if (patient.phone) doc.text(`Phone: ${patient.phone}`, { width: half });
+  const leftBottom = doc.y;
+
+  doc.text(`Rx No: ${prescription.prescriptionNumber || ""}`, MARGIN + half, top, {
+    width: half,
+    align: "right",
+  });
+  doc.text(`Date: ${formatDisplayDate(prescription.issuedAt, tz)}`, { width: half, align: "right" });
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y);
+
+  const allergies = getAllergyNames(patient);
+  if (allergies.length) {
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").fillColor("#b00020").text(`Allergies: ${allergies.join(", ")}`);
+  }
+
+  if (prescription.diagnosis) {
+    doc.moveDown(0.3);
+    doc.font("Helvetica").fillColor("black").text(`Diagnosis: ${prescription.diagnosis}`);
+  }
+
+  doc.moveDown(0.5);
+  rule(doc);
+}
+
+function drawItems(doc, items = []) {
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("black").text("Rx");
+  doc.moveDown(0.3);
+
+  items.forEach((item, index) => {
+    const title = [item.name, item.strength, item.form ? `(${item.form})` : null]
+      .filter(Boolean)
+      .join(" ");
+
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("black").text(`${index + 1}. ${title}`);
+
+    doc.font("Helvetica").fontSize(10);
+    if (item.genericName && item.genericName !== item.name) {
+      doc.fillColor(MUTED).text(`    ${item.genericName}`);
+    }
+
+    const line = [item.dosage, item.frequency, `for ${item.duration}`].filter(Boolean).join("  -  ");
+    doc.fillColor("black").text(`    ${line}`);
+
+    if (item.instructions) doc.fillColor(MUTED).text(`    ${item.instructions}`);
+    if (item.quantity) doc.fillColor(MUTED).text(`    Qty: ${item.quantity}`);
+
+    doc.moveDown(0.5);
+  });
+}
+
+function drawAdvice(doc, prescription, tz) {
+  if (!prescription.advice && !prescription.followUpDate) return;
+
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(10).fillColor("black").text("Advice");
+  doc.font("Helvetica");
+  if (prescription.advice) doc.text(prescription.advice);
+  if (prescription.followUpDate) {
+    doc.text(`Follow-up on ${formatDisplayDate(prescription.followUpDate, tz)}`);
+  }
+}
+
+function drawSignature(doc, doctor = {}) {
+  const width = 200;
+  const x = doc.page.width - MARGIN - width;
+  let y = Math.max(doc.y + 40, doc.page.height - MARGIN - 110);
+
+  if (y + 90 > doc.page.height - MARGIN) {
+    doc.addPage();
+    y = MARGIN + 40;
+  }
+
+  doc
+    .moveTo(x, y)
+    .lineTo(x + width, y)
+    .lineWidth(0.5)
+    .strokeColor("black")
+    .stroke();
+
+  doc.font("Helvetica-Bold").fontSize(10).fillColor("black");
+  doc.text(`Dr. ${doctor.name || ""}`, x, y + 5, { width, align: "center" });
+
+  doc.font("Helvetica").fontSize(9).fillColor(MUTED);
+  if (doctor.qualifications) doc.text(doctor.qualifications, { width, align: "center" });
+  if (doctor.registrationNumber) {
+    doc.text(`Reg. No: ${doctor.registrationNumber}`, { width, align: "center" });
+  }
+}
+
+function drawCancelled(doc) {
+  doc
+    .save()
+    .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+    .font("Helvetica-Bold")
+    .fontSize(72)
+    .fillColor("#b00020")
+    .opacity(0.2)
+    .text("CANCELLED", 0, doc.page.height / 2 - 36, { width: doc.page.width, align: "center" })
+    .restore();
+}
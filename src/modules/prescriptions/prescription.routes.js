@@ -0,0 +1,60 @@
+import { Router } from "express";
+import * as prescriptionController from "./prescription.controller.js";
+import {
+  authProtect,
+  patientProtect,
+  anyAuth,
+} from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * PRESCRIPTION ROUTES
+ * Base path: /api/prescriptions
+ *
+ * Drug catalog, prescriptions with allergy / medical alert check, printable Rx PDF
+ */
+
+// ==================== DRUG CATALOG ====================
+
+// Get drugs (filters: search, category, form)
+router.get("/drugs", authProtect, prescriptionController.getAllDrugs);
+
+// Seed common dental drugs
+router.post("/drugs/seed", authProtect, prescriptionController.seedDefaultDrugs);
+
+// Create drug
+router.post("/drugs", authProtect, prescriptionController.createDrug);
+
+// Update drug
+router.patch("/drugs/:id", authProtect, prescriptionController.updateDrug);
+
+// Delete (deactivate) drug
+router.delete("/drugs/:id", authProtect, prescriptionController.deleteDrug);
+
+// ==================== PATIENT ====================
+
+// Get my prescriptions
+router.get("/my", patientProtect, prescriptionController.getMyPrescriptions);
+
+// ==================== PRESCRIPTIONS ====================
+
+// Get prescriptions (filters: patient, appointment, treatment, doctor, clinic, status)
+router.get("/", authProtect, prescriptionController.getAllPrescriptions);
+
+// Check medicines against patient allergies and medical alerts
+router.post("/check-allergies", authProtect, prescriptionController.checkAllergies);
+
+// Create prescription
+router.post("/", authProtect, prescriptionController.createPrescription);
+
+// Get single prescription
+router.get("/:id", anyAuth, prescriptionController.getPrescriptionById);
+
+// Download Rx PDF
+router.get("/:id/pdf", anyAuth, prescriptionController.downloadPrescriptionPdf);
+
+// Cancel prescription
+router.post("/:id/cancel", authProtect, prescriptionController.cancelPrescription);
+
+export default router;
@@ -0,0 +1,216 @@
+import mongoose from "mongoose";
+import Prescription from "./prescription.model.js";
+import Drug from "./drug.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import User from "../users/user.model.js";
+import * as chartService from "../charts/chart.service.js";
+import * as medicalAlertService from "../medicalAlerts/medicalAlert.service.js";
+import { ALERT_CONTEXTS } from "../../constants/medicalAlerts.js";
+import { BadRequestError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * PRESCRIPTION SERVICE
+ *
+ * - Writing prescriptions from the drug catalog
+ * - Medical alert check: allergies to a prescribed drug and high severity alerts
+ *   block unless overridden with a reason (logged)
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+/**
+ * Find a prescription by ID
+ * @param {ObjectId} prescriptionId - Prescription ID
+ * @returns {Object} - Prescription document
+ */
+export const findPrescription = async (prescriptionId) => {
+  if (!mongoose.Types.ObjectId.isValid(prescriptionId)) {
+    throw new BadRequestError("Invalid prescription ID");
+  }
+
+  const prescription = await Prescription.findById(prescriptionId);
+  if (!prescription) {
+    throw new NotFoundError("Prescription");
+  }
+  return prescription;
+};
+
+/**
+ * Drugs that clash with the patient's allergies (plain list + allergy alerts)
+ * @param {Object} patient - Patient document
+ * @param {Array} drugs - Drug documents
+ * @returns {Array} - [{ drug, allergy, matchedOn }]
+ */
+export const checkAllergies = (patient, drugs = []) =>
+  medicalAlertService.findAllergyConflicts(medicalAlertService.getAllergyNames(patient), drugs);
+
+/**
+ * Write a prescription
+ * Clinic and doctor default to the appointment's (doctor: else the prescribing user).
+ * Blocking medical alerts throw 409 (alerts listed) unless alertOverride.reason is given.
+ *
+ * @param {Object} data - { patient, clinic, doctor, appointment, treatment, diagnosis,
+ *                          items, advice, followUpDate, alertOverride }
+ * @param {Object} user - Prescribing user
+ * @returns {Object} - { prescription, alerts: { blocking, warnings } }
+ */
+export const createPrescription = async (data, user) => {
+  if (!data.patient) {
+    throw new BadRequestError("Patient is required");
+  }
+
+  const patient = await chartService.findPatient(data.patient);
+
+  let appointment = null;
+  if (data.appointment) {
+    appointment = await findAppointment(data.appointment, patient._id);
+  }
+
+  let treatment = null;
+  if (data.treatment) {
+    treatment = await chartService.findTreatment(data.treatment, patient._id);
+  }
+
+  const clinic = data.clinic || appointment?.clinic || treatment?.clinic;
+  if (!clinic) {
+    throw new BadRequestError("Clinic is required (or link an appointment / treatment)");
+  }
+
+  const doctor = await findDoctor(data.doctor || appointment?.doctor || user?._id);
+
+  const { items, drugs } = await buildItems(data.items);
+
+  const alerts = medicalAlertService.checkAlerts(patient, ALERT_CONTEXTS.PRESCRIPTION, {
+    drugs,
+    overrideReason: data.alertOverride?.reason,
+  });
+
+  const prescription = new Prescription({
+    patient: patient._id,
+    clinic,
+    doctor: doctor._id,
+    appointment: appointment?._id,
+    treatment: treatment?._id,
+    diagnosis: data.diagnosis ?? treatment?.diagnosis,
+    items,
+    advice: data.advice,
+    followUpDate: data.followUpDate,
+    allergyWarnings: checkAllergies(patient, drugs),
+    alertOverride: alerts.overrideReason
+      ? { reason: alerts.overrideReason, overriddenBy: user?._id, overriddenAt: new Date() }
+      : undefined,
+    createdBy: user?._id,
+  });
+
+  await prescription.save();
+
+  await medicalAlertService.logOverride(alerts, {
+    patient: patient._id,
+    context: ALERT_CONTEXTS.PRESCRIPTION,
+    record: prescription._id,
+    userId: user?._id,
+  });
+
+  return { prescription, alerts: { blocking: alerts.blocking, warnings: alerts.warnings } };
+};
+
+/**
+ * Cancel a prescription (kept for the record, marked cancelled on the PDF)
+ * @param {Object} prescription - Prescription document
+ * @param {String} reason - Why
+ * @returns {Object} - Prescription document
+ */
+export const cancelPrescription = async (prescription, reason) => {
+  if (prescription.status === "cancelled") {
+    throw new BadRequestError("Prescription is already cancelled");
+  }
+
+  prescription.status = "cancelled";
+  prescription.cancelledAt = new Date();
+  prescription.cancellationReason = reason;
+  await prescription.save();
+
+  return prescription;
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+async function findAppointment(appointmentId, patientId) {
+  if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+    throw new BadRequestError("Invalid appointment ID");
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw new NotFoundError("Appointment");
+  }
+
+  if (String(appointment.patient) !== String(patientId)) {
+    throw new BadRequestError("Appointment belongs to another patient");
+  }
+  return appointment;
+}
+
+async function findDoctor(doctorId) {
+  if (!doctorId || !mongoose.Types.ObjectId.isValid(doctorId)) {
+    throw new BadRequestError("Prescribing doctor is required");
+  }
+
+  const doctor = await User.findById(doctorId);
+  if (!doctor || !doctor.isActive) {
+    throw new NotFoundError("Doctor");
+  }
+
+  if (!doctor.isDoctor) {
+    throw new BadRequestError(`${doctor.name} is not a doctor and can't sign prescriptions`);
+  }
+  return doctor;
+}
+
+/**
+ * Request lines -> prescription items (catalog defaults fill gaps)
+ * @returns {Object} - { items, drugs }
+ */
+async function buildItems(lines) {
+  if (!Array.isArray(lines) || !lines.length) {
+    throw new BadRequestError("At least one medicine is required");
+  }
+
+  const ids = lines.map((line) => line?.drug);
+  const invalid = ids.find((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid !== undefined) {
+    throw new BadRequestError(`Invalid drug ID: ${invalid}`);
+  }
+
+  const drugs = await Drug.find({ _id: { $in: ids }, isActive: true });
+  const byId = new Map(drugs.map((d) => [String(d._id), d]));
+
+  const items = lines.map((line) => {
+    const drug = byId.get(String(line.drug));
+    if (!drug) {
+      throw new BadRequestError(`Drug not found or inactive: ${line.drug}`);
+    }
+
+    const item = {
+      drug: drug._id,
+      name: drug.name,
+      genericName: drug.genericName,
+      strength: drug.strength,
+      form: drug.form,
+      dosage: line.dosage || drug.defaultDosage,
+      frequency: line.frequency || drug.defaultFrequency,
+      duration: line.duration || drug.defaultDuration,
+      instructions: line.instructions ?? drug.defaultInstructions,
+      quantity: line.quantity,
+    };
+
+    const missing = ["dosage", "frequency", "duration"].filter((field) => !item[field]);
+    if (missing.length) {
+      throw new BadRequestError(`${drug.name}: ${missing.join(", ")} required`);
+    }
+
+    return item;
+  });
+
+  return { items, drugs };
+}
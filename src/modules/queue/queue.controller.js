@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import * as queueService from "./queue.service.js";
+
+/**
+ * QUEUE CONTROLLER
+ *
+ * Live token display for waiting-room screens and the reception desk.
+ * Updates are pushed on check-in, start and complete (see queue.service.js)
+ */
+
+/**
+ * @desc    Get current queue (one-off snapshot)
+ * @route   GET /api/queue/:clinicId
+ * @access  Public
+ */
+export const getQueue = asyncHandler(async (req, res) => {
+  const { clinicId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(clinicId)) {
+    return ApiResponse.error(res, "Invalid clinic ID", 400);
+  }
+
+  const snapshot = await queueService.getQueueSnapshot(clinicId);
+
+  if (!snapshot) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  ApiResponse.success(res, snapshot, "Queue fetched successfully");
+});
+
+/**
+ * @desc    Live queue updates (server-sent events)
+ * @route   GET /api/queue/:clinicId/stream
+ * @access  Public
+ *
+ * Emits a "queue" event with the full snapshot on connect and after every change.
+ * Browser: new EventSource("/api/queue/<clinicId>/stream")
+ */
+export const streamQueue = asyncHandler(async (req, res) => {
+  const { clinicId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(clinicId)) {
+    return ApiResponse.error(res, "Invalid clinic ID", 400);
+  }
+
+  // Load before the stream opens, so lookup errors still get a normal JSON response
+  const snapshot = await queueService.getQueueSnapshot(clinicId);
+
+  if (!snapshot) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx buffering
+  });
+  res.flushHeaders();
+
+  // Reconnect after 5s if the connection drops
+  res.write("retry: 5000\n\n");
+
+  queueService.subscribe(clinicId, res, snapshot);
+});
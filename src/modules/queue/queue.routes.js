@@ -0,0 +1,18 @@
+import { Router } from "express";
+import * as queueController from "./queue.controller.js";
+
+const router = Router();
+
+/**
+ * QUEUE ROUTES
+ * Base path: /api/queue
+ * Access: Public (waiting-room TV) - patient names are masked
+ */
+
+// Live updates (server-sent events)
+router.get("/:clinicId/stream", queueController.streamQueue);
+
+// Current queue snapshot
+router.get("/:clinicId", queueController.getQueue);
+
+export default router;
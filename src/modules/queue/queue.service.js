@@ -0,0 +1,195 @@
+import Appointment from "../appointments/appointment.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import { getDayRange, getTimezone } from "../../utils/date.js";
+
+/**
+ * QUEUE SERVICE
+ *
+ * Live token queue per clinic:
+ * - Builds a display-safe snapshot (now serving, waiting list, wait estimates)
+ * - Keeps open server-sent-event connections per clinic
+ * - Pushes a fresh snapshot whenever an appointment moves through the queue
+ *
+ * Connections live in this process's memory; running several API instances
+ * would need a shared pub/sub (e.g. Redis) in front of publishQueue.
+ */
+
+// clinicId -> Set of open SSE responses
+const subscribers = new Map();
+
+// Keeps idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Build the queue snapshot for today
+ *
+ * Wait estimates: each active chair is a lane; patients in token order take
+ * the lane that frees up first. Visit length = planned duration, else today's
+ * average actual visit, else one slot.
+ *
+ * @param {ObjectId} clinicId - Clinic ID
+ * @returns {Object|null} - Snapshot (null if clinic not found)
+ */
+export const getQueueSnapshot = async (clinicId) => {
+  const clinic = await Clinic.findById(clinicId);
+  if (!clinic) return null;
+
+  const { start: startOfDay, end: endOfDay } = getDayRange(new Date(), getTimezone(clinic));
+
+  const appointments = await Appointment.find({
+    clinic: clinic._id,
+    date: { $gte: startOfDay, $lte: endOfDay },
+    status: { $nin: ["cancelled"] },
+  })
+    .select("tokenNumber timeSlot status duration checkInTime startTime endTime patient doctor chair")
+    .populate("patient", "name")
+    .populate("doctor", "name")
+    .sort({ tokenNumber: 1 });
+
+  const now = new Date();
+  const chairNames = new Map(clinic.chairs.map((c) => [String(c._id), c.name]));
+
+  const inProgress = appointments.filter((a) => a.status === "in_progress");
+  const waiting = appointments.filter((a) => a.status === "checked_in");
+  const completed = appointments.filter((a) => a.status === "completed");
+
+  // Average actual visit length today (minutes)
+  const finished = completed.filter((a) => a.startTime && a.endTime);
+  const averageVisit = finished.length
+    ? Math.round(
+        finished.reduce((sum, a) => sum + (a.endTime - a.startTime), 0) /
+          finished.length /
+          60000,
+      )
+    : null;
+
+  const slotDuration = clinic.appointmentSettings?.slotDuration || 30;
+  const expectedLength = (a) => a.duration || averageVisit || slotDuration;
+
+  // Lanes: one per active chair (at least one, at least one per running visit)
+  const laneCount = Math.max(1, clinic.getActiveChairIds().length, inProgress.length);
+  const lanes = Array(laneCount).fill(0);
+
+  inProgress.forEach((a, i) => {
+    const elapsed = a.startTime ? (now - a.startTime) / 60000 : 0;
+    lanes[i] = Math.max(0, expectedLength(a) - elapsed);
+  });
+
+  const waitingList = waiting.map((a, position) => {
+    const lane = lanes.indexOf(Math.min(...lanes));
+    const estimatedWaitMinutes = Math.round(lanes[lane]);
+    lanes[lane] += expectedLength(a);
+
+    return {
+      tokenNumber: a.tokenNumber,
+      patientName: maskName(a.patient?.name),
+      doctor: a.doctor?.name || null,
+      timeSlot: a.timeSlot,
+      checkInTime: a.checkInTime,
+      position: position + 1,
+      estimatedWaitMinutes,
+    };
+  });
+
+  const nowServing = inProgress.map((a) => ({
+    tokenNumber: a.tokenNumber,
+    patientName: maskName(a.patient?.name),
+    doctor: a.doctor?.name || null,
+    chair: a.chair ? chairNames.get(String(a.chair)) || null : null,
+    startTime: a.startTime,
+  }));
+
+  // Most recently called token
+  const latest = [...inProgress].sort((a, b) => (b.startTime || 0) - (a.startTime || 0))[0];
+
+  return {
+    clinic: { _id: clinic._id, name: clinic.name },
+    date: startOfDay,
+    currentToken: latest?.tokenNumber ?? null,
+    nowServing,
+    waiting: waitingList,
+    stats: {
+      total: appointments.length,
+      waiting: waiting.length,
+      inProgress: inProgress.length,
+      completed: completed.length,
+      notArrived: appointments.filter((a) => ["scheduled", "confirmed"].includes(a.status))
+        .length,
+      averageVisitMinutes: averageVisit,
+    },
+    updatedAt: now,
+  };
+};
+
+/**
+ * Register an SSE connection for a clinic's queue
+ * Sends the initial snapshot straight away
+ *
+ * @param {ObjectId} clinicId - Clinic ID
+ * @param {Object} res - Express response (headers already set)
+ * @param {Object} snapshot - Current snapshot (loaded before the headers were sent)
+ */
+export const subscribe = (clinicId, res, snapshot) => {
+  const key = String(clinicId);
+
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    const clients = subscribers.get(key);
+    clients?.delete(res);
+    if (clients && !clients.size) {
+      subscribers.delete(key);
+    }
+  });
+
+  sendEvent(res, snapshot);
+};
+
+/**
+ * Push the latest queue to everyone watching a clinic
+ * Never throws - queue display must not break the desk workflow
+ *
+ * @param {ObjectId} clinicId - Clinic ID (or populated clinic)
+ */
+export const publishQueue = async (clinicId) => {
+  const key = String(clinicId?._id ?? clinicId);
+  const clients = subscribers.get(key);
+
+  if (!clients?.size) return;
+
+  try {
+    const snapshot = await getQueueSnapshot(key);
+    for (const res of clients) {
+      sendEvent(res, snapshot);
+    }
+  } catch (error) {
+    console.error("Error publishing queue update:", error);
+  }
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Write one "queue" event
+ */
+function sendEvent(res, snapshot) {
+  res.write(`event: queue\ndata: ${JSON.stringify(snapshot)}\n\n`);
+}
+
+/**
+ * "Rahul Kumar Sharma" -> "Rahul S." (waiting-room screens are public)
+ */
+function maskName(name) {
+  if (!name) return null;
+
+  const parts = name.trim().split(/\s+/);
+  if (parts.length === 1) return parts[0];
+
+  return `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.`;
+}
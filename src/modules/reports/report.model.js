@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
 
 /**
  * REPORT MODEL
@@ -161,43 +162,25 @@ reportSchema.index({ tags: 1 });
 /**
  * Generate report number before saving
  */
-reportSchema.pre("save", async function (next) {
-  try {
-    // Generate report number for new documents
-    if (this.isNew) {
-      const date = new Date();
-      const year = date.getFullYear().toString().slice(-2);
-      const month = (date.getMonth() + 1).toString().padStart(2, "0");
-
-      // Prefix based on category
-      const prefixes = {
-        xray: "XRY",
-        opg: "OPG",
-        cbct: "CBT",
-        lab_report: "LAB",
-        prescription: "RX",
-        treatment_plan: "TP",
-        consent_form: "CF",
-        other: "RPT",
-      };
-
-      const prefix = prefixes[this.category] || "RPT";
-
-      // Count reports this month
-      const count = await mongoose.model("Report").countDocuments({
-        createdAt: {
-          $gte: new Date(date.getFullYear(), date.getMonth(), 1),
-          $lte: new Date(date.getFullYear(), date.getMonth() + 1, 0),
-        },
-      });
-
-      const serial = (count + 1).toString().padStart(4, "0");
-      this.reportNumber = `${prefix}-${year}${month}-${serial}`;
-    }
-
-    next();
-  } catch (error) {
-    next(error);
+reportSchema.pre("save", async function () {
+  // Generate report number for new documents
+  if (this.isNew) {
+    // Prefix based on category (each prefix has its own sequence)
+    const prefixes = {
+      xray: "XRY",
+      opg: "OPG",
+      cbct: "CBT",
+      lab_report: "LAB",
+      prescription: "RX",
+      treatment_plan: "TP",
+      consent_form: "CF",
+      other: "RPT",
+    };
+
+    this.reportNumber = await counterService.generateNumber("report", {
+      prefix: prefixes[this.category] || "RPT",
+      clinic: this.clinic,
+    });
   }
 });
 
@@ -0,0 +1,237 @@
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import Segment from "./segment.model.js";
+import * as segmentService from "./segment.service.js";
+import * as chartService from "../charts/chart.service.js";
+
+/**
+ * SEGMENT CONTROLLER
+ *
+ * Handles:
+ * - Patient tags (per patient and in bulk)
+ * - Saved segments: rules, matching patients, CSV export
+ *   (bulk notifications to a segment go through /api/notifications/send-bulk)
+ */
+
+// ==================== TAGS ====================
+
+/**
+ * @desc    Get tags in use with patient counts
+ * @route   GET /api/patients/tags
+ * @access  Admin
+ */
+export const getTags = asyncHandler(async (req, res) => {
+  const tags = await segmentService.getTagCounts();
+
+  ApiResponse.success(res, { tags }, "Tags fetched successfully");
+});
+
+/**
+ * @desc    Add tags to a patient
+ * @route   POST /api/patients/:id/tags
+ * @access  Admin
+ *
+ * Body: { tags: ["ortho", "VIP"] } or { tags: "ortho, vip" }
+ */
+export const addPatientTags = asyncHandler(async (req, res) => {
+  const patient = await chartService.findPatient(req.params.id);
+  const tags = segmentService.normalizeTags(req.body?.tags);
+
+  if (!tags.length) {
+    return ApiResponse.error(res, "At least one tag is required", 400);
+  }
+
+  patient.tags = segmentService.normalizeTags([...(patient.tags || []), ...tags]);
+  await patient.save();
+
+  ApiResponse.success(res, { tags: patient.tags }, "Tags added successfully");
+});
+
+/**
+ * @desc    Remove a tag from a patient
+ * @route   DELETE /api/patients/:id/tags/:tag
+ * @access  Admin
+ */
+export const removePatientTag = asyncHandler(async (req, res) => {
+  const patient = await chartService.findPatient(req.params.id);
+  const [tag] = segmentService.normalizeTags([req.params.tag]);
+
+  patient.tags = (patient.tags || []).filter((existing) => existing !== tag);
+  await patient.save();
+
+  ApiResponse.success(res, { tags: patient.tags }, "Tag removed successfully");
+});
+
+/**
+ * @desc    Add / remove tags on several patients
+ * @route   POST /api/patients/tags/bulk
+ * @access  Admin
+ *
+ * Body: { patients: [id], add?: [tag], remove?: [tag] }
+ */
+export const bulkTagPatients = asyncHandler(async (req, res) => {
+  const { patients, add, remove } = req.body;
+
+  const modified = await segmentService.bulkTag(patients, { add, remove });
+
+  ApiResponse.success(res, { modified }, `${modified} patient(s) updated`);
+});
+
+// ==================== SEGMENTS ====================
+
+/**
+ * @desc    Get segments
+ * @route   GET /api/segments?withCounts=true
+ * @access  Admin
+ *
+ * withCounts adds the current number of patients in each segment
+ */
+export const getAllSegments = asyncHandler(async (req, res) => {
+  const segments = await Segment.find()
+    .populate("createdBy", "name")
+    .populate("rules.clinic", "name")
+    .sort({ name: 1 })
+    .lean();
+
+  if (req.query.withCounts === "true") {
+    for (const segment of segments) {
+      segment.patientCount = await segmentService.countSegmentPatients(segment);
+    }
+  }
+
+  ApiResponse.success(res, { segments }, "Segments fetched successfully");
+});
+
+/**
+ * @desc    Create segment
+ * @route   POST /api/segments
+ * @access  Admin
+ *
+ * Body: { name, description?, rules: { tags, tagMatch, lastVisitOlderThanMonths,
+ *         membershipExpiringWithinDays, outstandingBalanceAbove, treatmentCategories, clinic } }
+ */
+export const createSegment = asyncHandler(async (req, res) => {
+  const { name, description, rules } = req.body;
+
+  const segment = await Segment.create({
+    name,
+    description,
+    rules: segmentService.normalizeRules(rules),
+    createdBy: req.user._id,
+  });
+
+  ApiResponse.created(res, { segment }, "Segment created successfully");
+});
+
+/**
+ * @desc    Try rules out before saving (matching patients, first page)
+ * @route   POST /api/segments/preview?page=&limit=
+ * @access  Admin
+ *
+ * Body: { rules }
+ */
+export const previewSegment = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const { patients, total } = await segmentService.previewSegment(req.body?.rules, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  ApiResponse.paginated(res, patients, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Get segment with its current patient count
+ * @route   GET /api/segments/:id
+ * @access  Admin
+ */
+export const getSegmentById = asyncHandler(async (req, res) => {
+  const segment = await segmentService.findSegment(req.params.id);
+  await segment.populate([
+    { path: "createdBy", select: "name" },
+    { path: "updatedBy", select: "name" },
+    { path: "rules.clinic", select: "name" },
+  ]);
+
+  const patientCount = await segmentService.countSegmentPatients(segment);
+
+  ApiResponse.success(res, { segment, patientCount }, "Segment fetched successfully");
+});
+
+/**
+ * @desc    Update segment
+ * @route   PATCH /api/segments/:id
+ * @access  Admin
+ *
+ * Body: { name?, description?, rules? } - rules replace the old ones
+ */
+export const updateSegment = asyncHandler(async (req, res) => {
+  const segment = await segmentService.findSegment(req.params.id);
+  const { name, description, rules } = req.body;
+
+  if (name !== undefined) segment.name = name;
+  if (description !== undefined) segment.description = description;
+  if (rules !== undefined) segment.rules = segmentService.normalizeRules(rules);
+  segment.updatedBy = req.user._id;
+
+  await segment.save();
+
+  ApiResponse.success(res, { segment }, "Segment updated successfully");
+});
+
+/**
+ * @desc    Delete segment (patients are not affected)
+ * @route   DELETE /api/segments/:id
+ * @access  Admin
+ */
+export const deleteSegment = asyncHandler(async (req, res) => {
+  const segment = await segmentService.findSegment(req.params.id);
+
+  await segment.deleteOne();
+
+  ApiResponse.success(res, null, "Segment deleted successfully");
+});
+
+/**
+ * @desc    Get patients in a segment (with last visit and outstanding balance)
+ * @route   GET /api/segments/:id/patients?page=&limit=
+ * @access  Admin
+ */
+export const getSegmentPatients = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const segment = await segmentService.findSegment(req.params.id);
+
+  const { patients, total } = await segmentService.getSegmentPatients(segment, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  ApiResponse.paginated(res, patients, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Export a segment's patients as CSV
+ * @route   GET /api/segments/:id/export
+ * @access  Admin
+ */
+export const exportSegment = asyncHandler(async (req, res) => {
+  const segment = await segmentService.findSegment(req.params.id);
+
+  const csv = await segmentService.buildSegmentCsv(segment);
+  const fileName = segment.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+  res.send(csv);
+});
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import { TreatmentMaster } from "../treatments/treatment.model.js";
+import { SEGMENT_TAG_MATCH } from "../../constants/segments.js";
+
+/**
+ * SEGMENT MODEL
+ * A saved, dynamic group of patients defined by rules
+ *
+ * Key features:
+ * - Membership is worked out when the segment is used, never stored,
+ *   so it always reflects today's visits, invoices and memberships
+ * - Every rule set must hold; only active patients are included
+ * - Used to list / export patients and as the recipients of bulk notifications
+ */
+
+// ============ SUB-SCHEMAS ============
+
+/**
+ * Rules Schema (embedded)
+ * Leave a rule out to ignore it
+ */
+const rulesSchema = new mongoose.Schema(
+  {
+    // Patient tags
+    tags: [String],
+
+    tagMatch: {
+      type: String,
+      enum: Object.values(SEGMENT_TAG_MATCH),
+      default: SEGMENT_TAG_MATCH.ALL,
+    },
+
+    // Has visited, but the last completed appointment is older than this
+    lastVisitOlderThanMonths: {
+      type: Number,
+      min: [1, "Months must be at least 1"],
+    },
+
+    // Active membership expiring in the next N days
+    membershipExpiringWithinDays: {
+      type: Number,
+      min: [1, "Days must be at least 1"],
+    },
+
+    // Total balance due on unpaid / partly paid invoices above this amount
+    outstandingBalanceAbove: {
+      type: Number,
+      min: [0, "Amount cannot be negative"],
+    },
+
+    // Has had (or is having) a treatment of one of these categories
+    treatmentCategories: [
+      {
+        type: String,
+        enum: TreatmentMaster.schema.path("category").enumValues,
+      },
+    ],
+
+    // Preferred clinic
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+  },
+  { _id: false },
+);
+
+// ============ MAIN SEGMENT SCHEMA ============
+
+const segmentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Segment name is required"],
+      unique: true,
+      trim: true,
+    },
+
+    description: String,
+
+    rules: {
+      type: rulesSchema,
+      default: {},
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ VALIDATION ============
+
+/**
+ * A segment needs at least one rule (otherwise it is simply every patient)
+ */
+segmentSchema.pre("validate", function () {
+  const rules = this.rules || {};
+  const hasRule =
+    rules.tags?.length ||
+    rules.treatmentCategories?.length ||
+    rules.lastVisitOlderThanMonths ||
+    rules.membershipExpiringWithinDays ||
+    rules.outstandingBalanceAbove !== undefined ||
+    rules.clinic;
+
+  if (!hasRule) {
+    this.invalidate("rules", "Add at least one rule");
+  }
+});
+
+const Segment = mongoose.model("Segment", segmentSchema);
+
+export default Segment;
@@ -0,0 +1,41 @@
+import { Router } from "express";
+import * as segmentController from "./segment.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * SEGMENT ROUTES
+ * Base path: /api/segments
+ *
+ * Saved patient segments (dynamic, rule-based)
+ * Notify a segment with POST /api/notifications/send-bulk { recipientType: "segment" }
+ */
+
+router.use(authProtect);
+
+// Get segments (?withCounts=true)
+router.get("/", segmentController.getAllSegments);
+
+// Create segment
+router.post("/", segmentController.createSegment);
+
+// Try rules out (?page=&limit=)
+router.post("/preview", segmentController.previewSegment);
+
+// Get segment with patient count
+router.get("/:id", segmentController.getSegmentById);
+
+// Update segment
+router.patch("/:id", segmentController.updateSegment);
+
+// Delete segment
+router.delete("/:id", segmentController.deleteSegment);
+
+// Patients in the segment (?page=&limit=)
+router.get("/:id/patients", segmentController.getSegmentPatients);
+
+// Export patients as CSV
+router.get("/:id/export", segmentController.exportSegment);
+
+export default router;
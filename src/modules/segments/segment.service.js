@@ -0,0 +1,376 @@
+import mongoose from "mongoose";
+import Segment from "./segment.model.js";
+import Patient from "../patients/patient.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import Invoice from "../billing/invoice.model.js";
+import { Treatment, TreatmentMaster } from "../treatments/treatment.model.js";
+import { APPOINTMENT_STATUS } from "../../constants/appointmentStatus.js";
+import { MAX_TAG_LENGTH, SEGMENT_TAG_MATCH } from "../../constants/segments.js";
+import { BadRequestError, NotFoundError } from "../../utils/AppError.js";
+import { addDays, addPeriod, formatDay } from "../../utils/date.js";
+import { toCsv } from "../../utils/csv.js";
+
+/**
+ * SEGMENT SERVICE
+ *
+ * Tags - free labels on patients, stored normalised ("VIP" → "vip").
+ *
+ * Segments - saved rules turned into a Patient query when used:
+ * - tags and membership expiry are patient fields
+ * - last visit, outstanding balance and treatment categories are looked up
+ *   in appointments / invoices / treatments and become an _id filter
+ * Every rule must hold; segments only include active patients.
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+const FIELDS_FOR_LIST = "name phone email gender dateOfBirth tags membership preferredClinic";
+
+// ============ TAGS ============
+
+/**
+ * Clean tags: lower-case, trimmed, spaces → dashes, no duplicates
+ * @param {Array|String} tags - Array or comma-separated string
+ * @returns {Array} - Normalised tags
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+
+  const normalized = list
+    .map((tag) => String(tag).trim().toLowerCase().replace(/\s+/g, "-"))
+    .filter(Boolean);
+
+  const tooLong = normalized.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw new BadRequestError(`Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return [...new Set(normalized)];
+};
+
+/**
+ * Add / remove tags on several patients at once
+ *
+ * @param {Array} patientIds - Patient IDs
+ * @param {Object} changes - { add: [], remove: [] }
+ * @returns {Number} - Patients changed
+ */
+export const bulkTag = async (patientIds, { add, remove } = {}) => {
+  const ids = (patientIds || []).filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (!ids.length) {
+    throw new BadRequestError("Select at least one patient");
+  }
+
+  const toAdd = normalizeTags(add);
+  const toRemove = normalizeTags(remove);
+  if (!toAdd.length && !toRemove.length) {
+    throw new BadRequestError("Nothing to add or remove");
+  }
+
+  let modified = 0;
+
+  // Separate updates: $addToSet and $pull can't touch the same path in one
+  if (toAdd.length) {
+    const result = await Patient.updateMany(
+      { _id: { $in: ids } },
+      { $addToSet: { tags: { $each: toAdd } } },
+    );
+    modified = result.modifiedCount;
+  }
+
+  if (toRemove.length) {
+    const result = await Patient.updateMany(
+      { _id: { $in: ids } },
+      { $pull: { tags: { $in: toRemove } } },
+    );
+    modified = Math.max(modified, result.modifiedCount);
+  }
+
+  return modified;
+};
+
+/**
+ * Every tag in use, most used first
+ * @returns {Array} - [{ tag, count }]
+ */
+export const getTagCounts = () =>
+  Patient.aggregate([
+    { $match: { isActive: true, "tags.0": { $exists: true } } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, tag: "$_id", count: 1 } },
+  ]);
+
+// ============ SEGMENTS ============
+
+/**
+ * Find a segment by ID
+ * @param {ObjectId} segmentId - Segment ID
+ * @returns {Object} - Segment document
+ */
+export const findSegment = async (segmentId) => {
+  if (!mongoose.Types.ObjectId.isValid(segmentId)) {
+    throw new BadRequestError("Invalid segment ID");
+  }
+
+  const segment = await Segment.findById(segmentId);
+  if (!segment) {
+    throw new NotFoundError("Segment");
+  }
+  return segment;
+};
+
+/**
+ * Clean rules from a request body (tags normalised, blank rules dropped)
+ * @param {Object} rules - Raw rules
+ * @returns {Object} - Rules for the Segment schema
+ */
+export const normalizeRules = (rules = {}) => {
+  const cleaned = Object.fromEntries(
+    Object.entries(rules).filter(([, value]) => value !== "" && value !== null),
+  );
+
+  if (cleaned.tags !== undefined) {
+    cleaned.tags = normalizeTags(cleaned.tags);
+  }
+  if (typeof cleaned.treatmentCategories === "string") {
+    cleaned.treatmentCategories = cleaned.treatmentCategories.split(",").map((c) => c.trim());
+  }
+
+  return cleaned;
+};
+
+/**
+ * Patients matching unsaved rules (to try rules out before saving)
+ * @param {Object} rules - Raw rules
+ * @param {Object} options - { page, limit }
+ * @returns {Object} - { patients, total }
+ */
+export const previewSegment = async (rules, options) => {
+  const segment = new Segment({ name: "Preview", rules: normalizeRules(rules) });
+  await segment.validate();
+
+  return getSegmentPatients(segment, options);
+};
+
+/**
+ * Patient query for a set of rules
+ * Cross-collection rules are resolved to patient IDs first.
+ *
+ * @param {Object} rules - Segment rules
+ * @returns {Object} - Mongo filter for Patient ({} if no rules)
+ */
+export const buildRulesFilter = async (rules = {}) => {
+  const conditions = [];
+
+  if (rules.tags?.length) {
+    conditions.push({
+      tags: rules.tagMatch === SEGMENT_TAG_MATCH.ANY ? { $in: rules.tags } : { $all: rules.tags },
+    });
+  }
+
+  if (rules.membershipExpiringWithinDays) {
+    const now = new Date();
+    conditions.push({
+      "membership.status": "active",
+      "membership.expiryDate": {
+        $gte: now,
+        $lt: addDays(now, rules.membershipExpiringWithinDays + 1),
+      },
+    });
+  }
+
+  if (rules.clinic) {
+    // Populated on listings
+    conditions.push({ preferredClinic: rules.clinic._id || rules.clinic });
+  }
+
+  if (rules.lastVisitOlderThanMonths) {
+    conditions.push({ _id: { $in: await findLapsedPatients(rules.lastVisitOlderThanMonths) } });
+  }
+
+  if (rules.outstandingBalanceAbove !== undefined) {
+    const balances = await getOutstandingBalances({ above: rules.outstandingBalanceAbove });
+    conditions.push({ _id: { $in: [...balances.keys()].map(toObjectId) } });
+  }
+
+  if (rules.treatmentCategories?.length) {
+    conditions.push({ _id: { $in: await findPatientsByCategory(rules.treatmentCategories) } });
+  }
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+/**
+ * Patient query for a segment (active patients matching every rule)
+ * @param {Object} segment - Segment document (or { rules })
+ * @returns {Object} - Mongo filter for Patient
+ */
+export const getSegmentFilter = async (segment) => ({
+  isActive: true,
+  ...(await buildRulesFilter(segment.rules)),
+});
+
+/**
+ * One page of a segment's patients, with last visit and outstanding balance
+ *
+ * @param {Object} segment - Segment document (or { rules } for a preview)
+ * @param {Object} options - { page, limit }
+ * @returns {Object} - { patients, total }
+ */
+export const getSegmentPatients = async (segment, { page = 1, limit = 20 } = {}) => {
+  const filter = await getSegmentFilter(segment);
+
+  const [patients, total] = await Promise.all([
+    Patient.find(filter)
+      .select(FIELDS_FOR_LIST)
+      .populate("preferredClinic", "name code")
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Patient.countDocuments(filter),
+  ]);
+
+  return { patients: await withStats(patients), total };
+};
+
+/**
+ * Number of patients in a segment right now
+ * @param {Object} segment - Segment document
+ * @returns {Number}
+ */
+export const countSegmentPatients = async (segment) =>
+  Patient.countDocuments(await getSegmentFilter(segment));
+
+/**
+ * IDs of every patient in a segment (bulk notifications)
+ * @param {Object} segment - Segment document
+ * @returns {Array} - Patient IDs
+ */
+export const getSegmentPatientIds = async (segment) =>
+  Patient.find(await getSegmentFilter(segment)).distinct("_id");
+
+/**
+ * Every patient in a segment as CSV
+ * @param {Object} segment - Segment document
+ * @returns {String} - CSV text
+ */
+export const buildSegmentCsv = async (segment) => {
+  const patients = await Patient.find(await getSegmentFilter(segment))
+    .select(FIELDS_FOR_LIST)
+    .populate("preferredClinic", "name")
+    .sort({ name: 1 })
+    .lean();
+
+  const rows = [
+    [
+      "Name",
+      "Phone",
+      "Email",
+      "Gender",
+      "Age",
+      "Tags",
+      "Membership",
+      "Membership Expiry",
+      "Last Visit",
+      "Outstanding",
+      "Preferred Clinic",
+    ],
+  ];
+
+  for (const patient of await withStats(patients)) {
+    const membership = patient.membership?.status === "active" ? patient.membership : null;
+    rows.push([
+      patient.name,
+      patient.phone,
+      patient.email,
+      patient.gender,
+      patient.age,
+      (patient.tags || []).join("; "),
+      membership?.planName,
+      membership?.expiryDate ? formatDay(membership.expiryDate) : "",
+      patient.lastVisit ? formatDay(patient.lastVisit) : "",
+      patient.outstanding || 0,
+      patient.preferredClinic?.name,
+    ]);
+  }
+
+  return toCsv(rows);
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function toObjectId(id) {
+  return new mongoose.Types.ObjectId(String(id));
+}
+
+// Visited at least once, last completed visit before the cutoff
+async function findLapsedPatients(months) {
+  const cutoff = addPeriod(new Date(), -months, "month");
+
+  const lapsed = await Appointment.aggregate([
+    { $match: { status: APPOINTMENT_STATUS.COMPLETED } },
+    { $group: { _id: "$patient", lastVisit: { $max: "$date" } } },
+    { $match: { lastVisit: { $lt: cutoff } } },
+  ]);
+
+  return lapsed.map((row) => row._id);
+}
+
+/**
+ * Balance due per patient on unpaid / partly paid invoices
+ * @param {Object} options - { patients (limit to these IDs), above (only balances above) }
+ * @returns {Map} - patient ID (string) → balance
+ */
+async function getOutstandingBalances({ patients, above } = {}) {
+  const match = {
+    paymentStatus: { $in: ["unpaid", "partial"] },
+    status: { $ne: "cancelled" },
+  };
+  if (patients) match.patient = { $in: patients };
+
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: "$patient", balance: { $sum: "$balanceDue" } } },
+  ];
+  if (above !== undefined) pipeline.push({ $match: { balance: { $gt: Number(above) } } });
+
+  const balances = await Invoice.aggregate(pipeline);
+  return new Map(balances.map((row) => [String(row._id), row.balance]));
+}
+
+async function findPatientsByCategory(categories) {
+  const types = await TreatmentMaster.find({ category: { $in: categories } }).distinct("_id");
+
+  return Treatment.distinct("patient", {
+    treatmentType: { $in: types },
+    status: { $ne: "cancelled" },
+  });
+}
+
+// Adds age, lastVisit and outstanding to lean patients
+async function withStats(patients) {
+  if (!patients.length) return patients;
+
+  const ids = patients.map((patient) => patient._id);
+
+  const [visits, balances] = await Promise.all([
+    Appointment.aggregate([
+      { $match: { patient: { $in: ids }, status: APPOINTMENT_STATUS.COMPLETED } },
+      { $group: { _id: "$patient", lastVisit: { $max: "$date" } } },
+    ]),
+    getOutstandingBalances({ patients: ids }),
+  ]);
+  const lastVisits = new Map(visits.map((row) => [String(row._id), row.lastVisit]));
+
+  return patients.map((patient) => ({
+    ...patient,
+    age: patient.dateOfBirth
+      ? Math.floor((Date.now() - new Date(patient.dateOfBirth)) / (1000 * 60 * 60 * 24 * 365.25))
+      : null,
+    lastVisit: lastVisits.get(String(patient._id)) || null,
+    outstanding: balances.get(String(patient._id)) || 0,
+  }));
+}
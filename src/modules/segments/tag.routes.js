@@ -0,0 +1,26 @@
+import { Router } from "express";
+import * as segmentController from "./segment.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * PATIENT TAG ROUTES
+ * Base path: /api/patients (mounted before /:id)
+ *
+ * Staff labels on patients ("ortho", "vip", "diabetic"), used by segments
+ */
+
+// Tags in use with counts
+router.get("/tags", authProtect, segmentController.getTags);
+
+// Add / remove tags on several patients
+router.post("/tags/bulk", authProtect, segmentController.bulkTagPatients);
+
+// Add tags to a patient
+router.post("/:id/tags", authProtect, segmentController.addPatientTags);
+
+// Remove a tag from a patient
+router.delete("/:id/tags/:tag", authProtect, segmentController.removePatientTag);
+
+export default router;
@@ -2,6 +2,8 @@ import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import { TestMaster, Test } from "./test.model.js";
 import Patient from "../patients/patient.model.js";
+import * as medicalAlertService from "../medicalAlerts/medicalAlert.service.js";
+import { ALERT_CONTEXTS } from "../../constants/medicalAlerts.js";
 import mongoose from "mongoose";
 
 /**
@@ -254,9 +256,12 @@ export const getTestById = asyncHandler(async (req, res) => {
  * @desc    Order test for patient
  * @route   POST /api/tests
  * @access  Admin
+ *
+ * Blocking medical alerts return 409 unless alertOverride: { reason } is sent.
  */
 export const createTest = asyncHandler(async (req, res) => {
-  const { testType, patient, clinic, appointment, treatment, price, notes } = req.body;
+  const { testType, patient, clinic, appointment, treatment, price, notes, alertOverride } =
+    req.body;
 
   // Validation
   if (!testType || !patient || !clinic) {
@@ -275,6 +280,11 @@ export const createTest = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Patient not found", 404);
   }
 
+  // Medical alerts (throws 409 if blocking and not overridden)
+  const alerts = medicalAlertService.checkAlerts(patientDoc, ALERT_CONTEXTS.TEST, {
+    overrideReason: alertOverride?.reason,
+  });
+
   // Calculate price with membership discount
   let finalPrice = price || testMaster.price;
   let discountPercentage = 0;
@@ -301,12 +311,23 @@ export const createTest = asyncHandler(async (req, res) => {
     orderedBy: req.user?._id,
   });
 
+  await medicalAlertService.logOverride(alerts, {
+    patient: patientDoc._id,
+    context: ALERT_CONTEXTS.TEST,
+    record: test._id,
+    userId: req.user?._id,
+  });
+
   // Populate for response
   const populatedTest = await Test.findById(test._id)
     .populate("testType", "name code")
     .populate("patient", "name phone");
 
-  ApiResponse.created(res, { test: populatedTest }, "Test ordered successfully");
+  ApiResponse.created(
+    res,
+    { test: populatedTest, alerts: { blocking: alerts.blocking, warnings: alerts.warnings } },
+    "Test ordered successfully",
+  );
 });
 
 /**
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import * as counterService from '../counters/counter.service.js';
 
 /**
  * TEST MODELS
@@ -222,19 +223,9 @@ testSchema.index({ status: 1 });
 testSchema.pre('save', async function () {
   // Generate test number for new documents
   if (this.isNew) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-
-    const count = await mongoose.model('Test').countDocuments({
-      createdAt: {
-        $gte: new Date(date.getFullYear(), date.getMonth(), 1),
-        $lte: new Date(date.getFullYear(), date.getMonth() + 1, 0),
-      },
+    this.testNumber = await counterService.generateNumber('test', {
+      clinic: this.clinic,
     });
-
-    const serial = (count + 1).toString().padStart(4, '0');
-    this.testNumber = `TST-${year}${month}-${serial}`;
   }
 
   // Calculate final amount
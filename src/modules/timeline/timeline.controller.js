@@ -0,0 +1,74 @@
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import * as timelineService from "./timeline.service.js";
+import * as chartService from "../charts/chart.service.js";
+import { TIMELINE_EVENT_TYPES } from "../../constants/timeline.js";
+import { getDayRange } from "../../utils/date.js";
+
+/**
+ * TIMELINE CONTROLLER
+ *
+ * Handles:
+ * - A patient's chronological timeline (appointments, status changes, treatments,
+ *   sessions, tests, results, invoices, payments, reports, notifications, notes)
+ */
+
+/**
+ * @desc    Get patient timeline
+ * @route   GET /api/patients/:id/timeline?types=&from=&to=&order=&page=&limit=
+ * @access  Admin
+ *
+ * types: comma-separated TIMELINE_EVENT_TYPES (default all)
+ * from / to: days (inclusive); order: desc (newest first, default) | asc
+ */
+export const getTimeline = asyncHandler(async (req, res) => {
+  const { types, from, to, order = "desc", page = 1, limit = 20 } = req.query;
+
+  const patient = await chartService.findPatient(req.params.id);
+
+  const typeList = types ? types.split(",").map((type) => type.trim()).filter(Boolean) : [];
+  const validTypes = Object.values(TIMELINE_EVENT_TYPES);
+  const unknown = typeList.filter((type) => !validTypes.includes(type));
+  if (unknown.length) {
+    return ApiResponse.error(
+      res,
+      `Unknown event type(s): ${unknown.join(", ")}. Valid: ${validTypes.join(", ")}`,
+      400,
+    );
+  }
+
+  if ([from, to].some((date) => date && isNaN(new Date(date).getTime()))) {
+    return ApiResponse.error(res, "Invalid date format", 400);
+  }
+
+  if (!["asc", "desc"].includes(order)) {
+    return ApiResponse.error(res, "Order must be asc or desc", 400);
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const { events, total, counts } = await timelineService.getTimeline(patient._id, {
+    types: typeList,
+    from: from ? getDayRange(from).start : undefined,
+    to: to ? getDayRange(to).end : undefined,
+    order,
+    page: pageNumber,
+    limit: pageSize,
+  });
+
+  ApiResponse.success(
+    res,
+    {
+      events,
+      counts,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    },
+    "Timeline fetched successfully",
+  );
+});
@@ -0,0 +1,18 @@
+import { Router } from "express";
+import * as timelineController from "./timeline.controller.js";
+import { authProtect } from "../../middlewares/auth.middleware.js";
+
+// mergeParams: patient ID comes from /api/patients/:id
+const router = Router({ mergeParams: true });
+
+/**
+ * TIMELINE ROUTES
+ * Base path: /api/patients/:id/timeline
+ *
+ * Everything on a patient's record in one chronological, filterable feed
+ */
+
+// Get timeline (?types=&from=&to=&order=&page=&limit=)
+router.get("/", authProtect, timelineController.getTimeline);
+
+export default router;
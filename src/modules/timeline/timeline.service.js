@@ -0,0 +1,285 @@
+import Appointment from "../appointments/appointment.model.js";
+import Treatment from "../treatments/treatment.model.js";
+import Test from "../tests/test.model.js";
+import Invoice from "../billing/invoice.model.js";
+import Payment from "../payments/payment.model.js";
+import Report from "../reports/report.model.js";
+import Notification from "../notifications/notification.model.js";
+import ClinicalNote from "../clinicalNotes/clinicalNote.model.js";
+import { TIMELINE_EVENT_TYPES } from "../../constants/timeline.js";
+import { getSlotStart, getTimezone } from "../../utils/date.js";
+
+/**
+ * TIMELINE SERVICE
+ *
+ * One chronological feed of everything on a patient's record. Each source
+ * (appointments, treatments, ...) is turned into events:
+ *   { id, type, date, title, description, status, ref: { model, id }, meta }
+ * Sources are only queried for the event types asked for.
+ *
+ * A patient's record is small enough to build in full and page in memory,
+ * which keeps the total exact across event types.
+ */
+
+const TYPES = TIMELINE_EVENT_TYPES;
+
+// Which loader produces which event types
+const SOURCES = [
+  { types: [TYPES.APPOINTMENT, TYPES.APPOINTMENT_STATUS], load: loadAppointments },
+  { types: [TYPES.TREATMENT, TYPES.TREATMENT_SESSION], load: loadTreatments },
+  { types: [TYPES.TEST, TYPES.TEST_RESULT], load: loadTests },
+  { types: [TYPES.INVOICE], load: loadInvoices },
+  { types: [TYPES.PAYMENT], load: loadPayments },
+  { types: [TYPES.REPORT], load: loadReports },
+  { types: [TYPES.NOTIFICATION], load: loadNotifications },
+  { types: [TYPES.CLINICAL_NOTE], load: loadClinicalNotes },
+];
+
+/**
+ * Build a patient's timeline
+ *
+ * @param {ObjectId} patientId - Patient ID
+ * @param {Object} options - { types: [], from: Date, to: Date, order: "desc" | "asc", page, limit }
+ * @returns {Object} - { events (this page), total, counts: { type: n } }
+ */
+export const getTimeline = async (patientId, options = {}) => {
+  const { from, to, order = "desc", page = 1, limit = 20 } = options;
+  const types = options.types?.length ? options.types : Object.values(TYPES);
+
+  const sources = SOURCES.filter((source) => source.types.some((type) => types.includes(type)));
+  const loaded = await Promise.all(sources.map((source) => source.load(patientId)));
+
+  const events = loaded
+    .flat()
+    .filter((event) => types.includes(event.type))
+    .filter((event) => event.date && (!from || event.date >= from) && (!to || event.date <= to))
+    .sort((a, b) => (order === "asc" ? a.date - b.date : b.date - a.date));
+
+  const counts = {};
+  for (const event of events) {
+    counts[event.type] = (counts[event.type] || 0) + 1;
+  }
+
+  const skip = (page - 1) * limit;
+  return { events: events.slice(skip, skip + limit), total: events.length, counts };
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+function event(type, doc, { subId, date, title, description, status, model, meta }) {
+  return {
+    id: [type, doc._id, subId].filter(Boolean).join(":"),
+    type,
+    date: date ? new Date(date) : null,
+    title,
+    description: description || undefined,
+    status,
+    ref: { model, id: doc._id },
+    meta,
+  };
+}
+
+function joinParts(...parts) {
+  return parts.filter(Boolean).join(" · ");
+}
+
+async function loadAppointments(patient) {
+  const appointments = await Appointment.find({ patient })
+    .select("appointmentNumber date timeSlot status statusHistory cancellationReason clinic doctor")
+    .populate("clinic", "name timezone")
+    .populate("doctor", "name")
+    .lean();
+
+  return appointments.flatMap((appointment) => {
+    const tz = getTimezone(appointment.clinic);
+    const doctor = appointment.doctor ? `Dr. ${appointment.doctor.name}` : null;
+    const base = { model: "Appointment" };
+
+    const visit = event(TYPES.APPOINTMENT, appointment, {
+      ...base,
+      date: appointment.timeSlot
+        ? getSlotStart(appointment.date, appointment.timeSlot, tz)
+        : appointment.date,
+      title: `Appointment ${appointment.appointmentNumber || ""}`.trim(),
+      description: joinParts(appointment.clinic?.name, doctor, appointment.cancellationReason),
+      status: appointment.status,
+      meta: { timeSlot: appointment.timeSlot },
+    });
+
+    const changes = (appointment.statusHistory || []).map((change) =>
+      event(TYPES.APPOINTMENT_STATUS, appointment, {
+        ...base,
+        subId: change._id,
+        date: change.changedAt,
+        title: change.fromStatus
+          ? `Appointment ${change.fromStatus} → ${change.status}`
+          : `Appointment booked (${change.status})`,
+        description: change.reason,
+        status: change.status,
+        meta: { fromStatus: change.fromStatus, automatic: change.automatic || false },
+      }),
+    );
+
+    return [visit, ...changes];
+  });
+}
+
+async function loadTreatments(patient) {
+  const treatments = await Treatment.find({ patient })
+    .select("treatmentNumber treatmentType teeth status finalAmount sessions startDate createdAt")
+    .populate("treatmentType", "name")
+    .lean();
+
+  return treatments.flatMap((treatment) => {
+    const name = treatment.treatmentType?.name || "Treatment";
+    const teeth = treatment.teeth?.length ? `Teeth ${treatment.teeth.join(", ")}` : null;
+    const base = { model: "Treatment" };
+
+    const main = event(TYPES.TREATMENT, treatment, {
+      ...base,
+      date: treatment.startDate || treatment.createdAt,
+      title: `${name} (${treatment.treatmentNumber})`,
+      description: teeth,
+      status: treatment.status,
+      meta: { finalAmount: treatment.finalAmount },
+    });
+
+    const sessions = (treatment.sessions || []).map((session) =>
+      event(TYPES.TREATMENT_SESSION, treatment, {
+        ...base,
+        subId: session._id,
+        date: session.date,
+        title: `${name} - session ${session.sessionNumber}`,
+        description: session.notes,
+        status: session.status,
+      }),
+    );
+
+    return [main, ...sessions];
+  });
+}
+
+async function loadTests(patient) {
+  const tests = await Test.find({ patient })
+    .select("testNumber testType status orderedDate resultDate resultSummary createdAt")
+    .populate("testType", "name")
+    .lean();
+
+  return tests.flatMap((test) => {
+    const name = test.testType?.name || "Test";
+    const base = { model: "Test" };
+
+    const events = [
+      event(TYPES.TEST, test, {
+        ...base,
+        date: test.orderedDate || test.createdAt,
+        title: `${name} ordered (${test.testNumber})`,
+        status: test.status,
+      }),
+    ];
+
+    if (test.resultDate) {
+      events.push(
+        event(TYPES.TEST_RESULT, test, {
+          ...base,
+          subId: "result",
+          date: test.resultDate,
+          title: `${name} result`,
+          description: test.resultSummary,
+          status: test.status,
+        }),
+      );
+    }
+
+    return events;
+  });
+}
+
+async function loadInvoices(patient) {
+  const invoices = await Invoice.find({ patient })
+    .select("invoiceNumber invoiceDate grandTotal balanceDue status paymentStatus createdAt")
+    .lean();
+
+  return invoices.map((invoice) =>
+    event(TYPES.INVOICE, invoice, {
+      model: "Invoice",
+      date: invoice.invoiceDate || invoice.createdAt,
+      title: `Invoice ${invoice.invoiceNumber}`,
+      description: invoice.balanceDue ? `Balance due ₹${invoice.balanceDue}` : null,
+      status: invoice.status,
+      meta: {
+        grandTotal: invoice.grandTotal,
+        balanceDue: invoice.balanceDue,
+        paymentStatus: invoice.paymentStatus,
+      },
+    }),
+  );
+}
+
+async function loadPayments(patient) {
+  const payments = await Payment.find({ patient })
+    .select("paymentNumber amount paymentMode status type paidAt createdAt")
+    .lean();
+
+  return payments.map((payment) =>
+    event(TYPES.PAYMENT, payment, {
+      model: "Payment",
+      date: payment.paidAt || payment.createdAt,
+      title: `Payment ₹${payment.amount} (${payment.paymentMode})`,
+      description: payment.paymentNumber,
+      status: payment.status,
+      meta: { amount: payment.amount, paymentMode: payment.paymentMode, type: payment.type },
+    }),
+  );
+}
+
+async function loadReports(patient) {
+  const reports = await Report.find({ patient, isActive: true })
+    .select("reportNumber title category reportDate createdAt")
+    .lean();
+
+  return reports.map((report) =>
+    event(TYPES.REPORT, report, {
+      model: "Report",
+      date: report.reportDate || report.createdAt,
+      title: report.title,
+      description: joinParts(report.category, report.reportNumber),
+      meta: { category: report.category },
+    }),
+  );
+}
+
+async function loadNotifications(patient) {
+  const notifications = await Notification.find({ recipient: patient, recipientModel: "Patient" })
+    .select("title message type isRead createdAt")
+    .lean();
+
+  return notifications.map((notification) =>
+    event(TYPES.NOTIFICATION, notification, {
+      model: "Notification",
+      date: notification.createdAt,
+      title: notification.title,
+      description: notification.message,
+      status: notification.isRead ? "read" : "unread",
+      meta: { notificationType: notification.type },
+    }),
+  );
+}
+
+async function loadClinicalNotes(patient) {
+  const notes = await ClinicalNote.find({ patient })
+    .select("appointment version status assessment doctor signedAt createdAt")
+    .populate("doctor", "name")
+    .lean();
+
+  return notes.map((note) =>
+    event(TYPES.CLINICAL_NOTE, note, {
+      model: "ClinicalNote",
+      date: note.signedAt || note.createdAt,
+      title: `Clinical note v${note.version}${note.doctor ? ` - Dr. ${note.doctor.name}` : ""}`,
+      description: note.assessment,
+      status: note.status,
+      meta: { appointment: note.appointment },
+    }),
+  );
+}
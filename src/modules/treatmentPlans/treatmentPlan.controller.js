@@ -0,0 +1,230 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import TreatmentPlan from "./treatmentPlan.model.js";
+import * as treatmentPlanService from "./treatmentPlan.service.js";
+
+/**
+ * TREATMENT PLAN CONTROLLER
+ *
+ * Handles:
+ * - Building and pricing plans (admin)
+ * - Presenting them to the patient
+ * - Signed acceptance / decline (admin at the chair, or the patient)
+ */
+
+// ==================== PATIENT ====================
+
+/**
+ * @desc    Get my treatment plans (presented onwards)
+ * @route   GET /api/treatment-plans/my
+ * @access  Patient
+ */
+export const getMyPlans = asyncHandler(async (req, res) => {
+  const plans = await TreatmentPlan.find({
+    patient: req.patient._id,
+    status: { $ne: "draft" },
+  })
+    .select("-acceptances.signature")
+    .populate("clinic", "name code")
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, { plans }, "Treatment plans fetched successfully");
+});
+
+// ==================== ADMIN ====================
+
+/**
+ * @desc    Get treatment plans
+ * @route   GET /api/treatment-plans?patient=&clinic=&status=
+ * @access  Admin
+ */
+export const getAllPlans = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, patient, clinic, status } = req.query;
+
+  const query = {};
+
+  if (patient && mongoose.Types.ObjectId.isValid(patient)) {
+    query.patient = patient;
+  }
+
+  if (clinic && mongoose.Types.ObjectId.isValid(clinic)) {
+    query.clinic = clinic;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [plans, total] = await Promise.all([
+    TreatmentPlan.find(query)
+      .select("-phases -acceptances.signature")
+      .populate("patient", "name phone")
+      .populate("clinic", "name code")
+      .populate("createdBy", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    TreatmentPlan.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(res, plans, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+  });
+});
+
+/**
+ * @desc    Get treatment plan by ID
+ * @route   GET /api/treatment-plans/:id
+ * @access  Admin / Patient (own, once presented)
+ */
+export const getPlanById = asyncHandler(async (req, res) => {
+  const plan = await findPlanForRequester(req, res);
+  if (!plan) return;
+
+  await plan.populate([
+    { path: "patient", select: "name phone email hasMembership currentDiscount" },
+    { path: "clinic", select: "name code" },
+    { path: "phases.items.treatmentType", select: "name code category duration" },
+    { path: "phases.items.treatment", select: "treatmentNumber status" },
+    { path: "createdBy", select: "name" },
+  ]);
+
+  ApiResponse.success(res, { plan }, "Treatment plan fetched successfully");
+});
+
+/**
+ * @desc    Create treatment plan (draft)
+ * @route   POST /api/treatment-plans
+ * @access  Admin
+ *
+ * Body: {
+ *   patient, clinic, title?, diagnosis?, notes?, validUntil?, notation?,
+ *   phases: [{
+ *     name, notes?,
+ *     items: [{ treatmentType, teeth?, quantity?, unitPrice?, discount?,
+ *               alternativeGroup?, recommended?, notes? }]
+ *   }]
+ * }
+ * unitPrice defaults to the catalog price, discount to the membership discount
+ */
+export const createPlan = asyncHandler(async (req, res) => {
+  const plan = await treatmentPlanService.createPlan(req.body, req.user?._id);
+
+  ApiResponse.created(res, { plan }, "Treatment plan created successfully");
+});
+
+/**
+ * @desc    Update treatment plan (until the patient signs)
+ * @route   PATCH /api/treatment-plans/:id
+ * @access  Admin
+ *
+ * Sending phases replaces and re-prices them; a presented plan goes back to draft
+ */
+export const updatePlan = asyncHandler(async (req, res) => {
+  const plan = await treatmentPlanService.findPlan(req.params.id);
+
+  await treatmentPlanService.updatePlan(plan, req.body);
+
+  ApiResponse.success(res, { plan }, "Treatment plan updated successfully");
+});
+
+/**
+ * @desc    Present plan to the patient
+ * @route   POST /api/treatment-plans/:id/present
+ * @access  Admin
+ *
+ * Body: { validUntil? }
+ */
+export const presentPlan = asyncHandler(async (req, res) => {
+  const plan = await treatmentPlanService.findPlan(req.params.id);
+
+  await treatmentPlanService.presentPlan(plan, { validUntil: req.body.validUntil });
+
+  ApiResponse.success(res, { plan }, "Treatment plan presented to patient");
+});
+
+/**
+ * @desc    Accept plan (all or selected items) with signature
+ * @route   POST /api/treatment-plans/:id/accept
+ * @access  Admin / Patient (own)
+ *
+ * Body: { all? | items: [itemId], declineRest?, signedByName, signature, relationship?,
+ *         alertOverride?: { reason } }
+ * Accepted items are created as Treatments (status planned); blocking medical alerts
+ * return 409 unless staff send alertOverride.reason
+ */
+export const acceptPlan = asyncHandler(async (req, res) => {
+  const plan = await findPlanForRequester(req, res);
+  if (!plan) return;
+
+  const result = await treatmentPlanService.acceptPlan(plan, req.body, {
+    signedVia: req.patient ? "patient" : "staff",
+    recordedBy: req.user?._id,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  ApiResponse.success(
+    res,
+    {
+      plan: result.plan,
+      treatments: result.treatments,
+      alerts: { blocking: result.alerts.blocking, warnings: result.alerts.warnings },
+    },
+    `${result.treatments.length} treatment(s) accepted`,
+  );
+});
+
+/**
+ * @desc    Decline plan items (default: everything not yet decided)
+ * @route   POST /api/treatment-plans/:id/decline
+ * @access  Admin / Patient (own)
+ *
+ * Body: { items?, reason? }
+ */
+export const declinePlan = asyncHandler(async (req, res) => {
+  const plan = await findPlanForRequester(req, res);
+  if (!plan) return;
+
+  await treatmentPlanService.declinePlan(plan, req.body);
+
+  ApiResponse.success(res, { plan }, "Treatment plan declined");
+});
+
+/**
+ * @desc    Cancel treatment plan
+ * @route   POST /api/treatment-plans/:id/cancel
+ * @access  Admin
+ */
+export const cancelPlan = asyncHandler(async (req, res) => {
+  const plan = await treatmentPlanService.findPlan(req.params.id);
+
+  await treatmentPlanService.cancelPlan(plan, req.body.reason);
+
+  ApiResponse.success(res, { plan }, "Treatment plan cancelled");
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Load a plan; patients only see their own, and not while it's a draft
+ * Sends the error response and returns null on failure
+ */
+async function findPlanForRequester(req, res) {
+  const plan = await treatmentPlanService.findPlan(req.params.id);
+
+  if (req.patient) {
+    if (String(plan.patient) !== String(req.patient._id) || plan.status === "draft") {
+      ApiResponse.error(res, "Access denied", 403);
+      return null;
+    }
+  }
+
+  return plan;
+}
@@ -0,0 +1,391 @@
+import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
+
+/**
+ * TREATMENT PLAN MODEL
+ * Proposed treatments for a patient, grouped into phases, with a cost estimate
+ *
+ * Key features:
+ * - Phases (e.g. 1. Urgent care, 2. Restorative, 3. Cosmetic) with priced line items
+ *   from the treatment catalog; membership discount applied when the plan is priced
+ * - Alternative options: items in a phase sharing an `alternativeGroup` are
+ *   choices for the same problem (implant vs bridge); the patient picks one
+ * - Patient acceptance (all or per item), signed and timestamped; accepted
+ *   items become Treatment records
+ *
+ * Flow: draft → presented → accepted / partially_accepted / declined
+ */
+
+// ============ PLAN ITEM SCHEMA ============
+
+const planItemSchema = new mongoose.Schema(
+  {
+    treatmentType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TreatmentMaster",
+      required: [true, "Treatment type is required"],
+    },
+
+    // Catalog name / code when priced (the catalog may change later)
+    name: String,
+    code: String,
+
+    // FDI tooth numbers
+    teeth: [String],
+
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, "Quantity must be at least 1"],
+    },
+
+    unitPrice: {
+      type: Number,
+      required: [true, "Unit price is required"],
+      min: [0, "Unit price can't be negative"],
+    },
+
+    discount: {
+      percentage: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      reason: String,
+    },
+
+    // Calculated: unitPrice × quantity after discount
+    amount: Number,
+
+    // Items in a phase with the same group are alternatives (patient picks one)
+    alternativeGroup: String,
+
+    // Option the clinic recommends within its group (used for the estimate)
+    recommended: {
+      type: Boolean,
+      default: false,
+    },
+
+    notes: String,
+
+    status: {
+      type: String,
+      enum: [
+        "proposed",
+        "accepted",
+        "declined",
+        "not_selected", // Another option in its group was accepted
+      ],
+      default: "proposed",
+    },
+    decidedAt: Date,
+
+    // Treatment created when the item was accepted
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Treatment",
+    },
+  },
+  { _id: true },
+);
+
+// ============ PHASE SCHEMA ============
+
+const phaseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Phase name is required"],
+    },
+
+    notes: String,
+
+    items: [planItemSchema],
+
+    // Calculated: estimate for this phase (recommended options)
+    total: Number,
+  },
+  { _id: true },
+);
+
+// ============ ACCEPTANCE SCHEMA ============
+// One signed decision by the patient (or guardian)
+
+const acceptanceSchema = new mongoose.Schema(
+  {
+    // Items accepted / declined with this signature
+    acceptedItems: [mongoose.Schema.Types.ObjectId],
+    declinedItems: [mongoose.Schema.Types.ObjectId],
+
+    signedByName: {
+      type: String,
+      required: [true, "Signer name is required"],
+    },
+
+    // "self", "parent", "guardian", ...
+    relationship: {
+      type: String,
+      default: "self",
+    },
+
+    // Signature image (data URL) or typed signature
+    signature: {
+      type: String,
+      required: [true, "Signature is required"],
+    },
+
+    signedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Signed on the patient's own device or at the clinic
+    signedVia: {
+      type: String,
+      enum: ["patient", "staff"],
+      default: "staff",
+    },
+
+    // Staff who witnessed / recorded it
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    ipAddress: String,
+    userAgent: String,
+
+    // Accepted total at the time of signing
+    acceptedAmount: Number,
+  },
+  { _id: true },
+);
+
+// ============ TREATMENT PLAN SCHEMA ============
+
+const treatmentPlanSchema = new mongoose.Schema(
+  {
+    // Unique plan number
+    planNumber: {
+      type: String,
+      unique: true,
+    },
+
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: [true, "Clinic is required"],
+    },
+
+    title: {
+      type: String,
+      default: "Treatment plan",
+    },
+
+    diagnosis: String,
+
+    notes: String,
+
+    phases: [phaseSchema],
+
+    status: {
+      type: String,
+      enum: ["draft", "presented", "accepted", "partially_accepted", "declined", "cancelled"],
+      default: "draft",
+    },
+
+    presentedAt: Date,
+
+    // Prices are held until this date
+    validUntil: Date,
+
+    acceptances: [acceptanceSchema],
+
+    // -------- Calculated on save --------
+    estimate: {
+      subtotal: Number, // Before discount (recommended options)
+      discount: Number,
+      total: Number, // Recommended options
+      minTotal: Number, // Cheapest option in every group
+      maxTotal: Number, // Most expensive option in every group
+      acceptedTotal: Number, // Items accepted so far
+    },
+
+    cancelledAt: Date,
+    cancellationReason: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ INDEXES ============
+
+treatmentPlanSchema.index({ patient: 1, createdAt: -1 });
+treatmentPlanSchema.index({ clinic: 1, status: 1 });
+
+// ============ VALIDATION ============
+
+/**
+ * At most one recommended option per alternative group
+ */
+treatmentPlanSchema.pre("validate", function () {
+  for (const phase of this.phases) {
+    for (const [group, items] of Object.entries(groupAlternatives(phase.items))) {
+      if (items.filter((item) => item.recommended).length > 1) {
+        this.invalidate(
+          "phases",
+          `${phase.name}: only one option in "${group}" can be recommended`,
+        );
+      }
+    }
+  }
+});
+
+// ============ PRE-SAVE MIDDLEWARE ============
+
+/**
+ * Generate plan number and recalculate amounts
+ */
+treatmentPlanSchema.pre("save", async function () {
+  if (this.isNew) {
+    this.planNumber = await counterService.generateNumber("treatmentPlan", {
+      clinic: this.clinic,
+    });
+  }
+
+  const estimate = { subtotal: 0, discount: 0, total: 0, minTotal: 0, maxTotal: 0, acceptedTotal: 0 };
+
+  for (const phase of this.phases) {
+    let phaseTotal = 0;
+
+    for (const item of phase.items) {
+      item.amount = calculateItemAmount(item);
+
+      if (item.status === "accepted") {
+        estimate.acceptedTotal += item.amount;
+      }
+    }
+
+    // Standalone items count once; a group counts its recommended option
+    // (the first one if none is), or its cheapest / dearest for the range
+    const standalone = phase.items.filter((item) => !item.alternativeGroup);
+    const groups = Object.values(groupAlternatives(phase.items));
+
+    const counted = [
+      ...standalone,
+      ...groups.map((items) => items.find((item) => item.recommended) || items[0]),
+    ];
+
+    for (const item of counted) {
+      const gross = item.unitPrice * item.quantity;
+      estimate.subtotal += gross;
+      estimate.discount += gross - item.amount;
+      phaseTotal += item.amount;
+    }
+
+    const standaloneTotal = standalone.reduce((sum, item) => sum + item.amount, 0);
+    estimate.minTotal += standaloneTotal;
+    estimate.maxTotal += standaloneTotal;
+
+    for (const items of groups) {
+      const amounts = items.map((item) => item.amount);
+      estimate.minTotal += Math.min(...amounts);
+      estimate.maxTotal += Math.max(...amounts);
+    }
+
+    phase.total = phaseTotal;
+    estimate.total += phaseTotal;
+  }
+
+  this.estimate = estimate;
+});
+
+// ============ METHODS ============
+
+/**
+ * Plan content can change until the patient has signed anything
+ */
+treatmentPlanSchema.methods.isEditable = function () {
+  return ["draft", "presented"].includes(this.status) && !this.acceptances.length;
+};
+
+/**
+ * Find an item and its phase
+ * @param {ObjectId} itemId - Plan item ID
+ * @returns {Object|null} - { phase, item }
+ */
+treatmentPlanSchema.methods.findItem = function (itemId) {
+  for (const phase of this.phases) {
+    const item = phase.items.id(itemId);
+    if (item) return { phase, item };
+  }
+  return null;
+};
+
+/**
+ * All items across phases
+ * @returns {Array} - [{ phase, item }]
+ */
+treatmentPlanSchema.methods.getItems = function () {
+  return this.phases.flatMap((phase) => phase.items.map((item) => ({ phase, item })));
+};
+
+// ============ HELPERS ============
+
+/**
+ * Item amount after discount (same rule as Treatment.finalAmount)
+ * @param {Object} item - Plan item
+ * @returns {Number}
+ */
+export const calculateItemAmount = (item) => {
+  let amount = item.unitPrice * (item.quantity || 1);
+
+  if (item.discount?.percentage) {
+    amount -= (amount * item.discount.percentage) / 100;
+  }
+
+  if (item.discount?.amount) {
+    amount -= item.discount.amount;
+  }
+
+  return Math.max(0, Math.round(amount));
+};
+
+/**
+ * Items of a phase by alternative group
+ * @param {Array} items - Phase items
+ * @returns {Object} - { group: [items] }
+ */
+export const groupAlternatives = (items = []) => {
+  const groups = {};
+
+  for (const item of items) {
+    if (!item.alternativeGroup) continue;
+    (groups[item.alternativeGroup] ||= []).push(item);
+  }
+
+  return groups;
+};
+
+// Create and export the model
+const TreatmentPlan = mongoose.model("TreatmentPlan", treatmentPlanSchema);
+
+export default TreatmentPlan;
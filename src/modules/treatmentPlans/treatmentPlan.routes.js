@@ -0,0 +1,52 @@
+import { Router } from "express";
+import * as treatmentPlanController from "./treatmentPlan.controller.js";
+import {
+  authProtect,
+  patientProtect,
+  anyAuth,
+} from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * TREATMENT PLAN ROUTES
+ * Base path: /api/treatment-plans
+ *
+ * Phased, priced treatment proposals; the patient's signed acceptance
+ * turns accepted items into treatments
+ */
+
+// ==================== PATIENT ====================
+
+// Get my treatment plans
+router.get("/my", patientProtect, treatmentPlanController.getMyPlans);
+
+// ==================== ADMIN ====================
+
+// Get plans (filters: patient, clinic, status)
+router.get("/", authProtect, treatmentPlanController.getAllPlans);
+
+// Create plan (draft)
+router.post("/", authProtect, treatmentPlanController.createPlan);
+
+// Update plan (until signed)
+router.patch("/:id", authProtect, treatmentPlanController.updatePlan);
+
+// Present plan to patient
+router.post("/:id/present", authProtect, treatmentPlanController.presentPlan);
+
+// Cancel plan
+router.post("/:id/cancel", authProtect, treatmentPlanController.cancelPlan);
+
+// ==================== ADMIN OR PATIENT ====================
+
+// Get single plan
+router.get("/:id", anyAuth, treatmentPlanController.getPlanById);
+
+// Accept (all / selected items) with signature
+router.post("/:id/accept", anyAuth, treatmentPlanController.acceptPlan);
+
+// Decline items / whole plan
+router.post("/:id/decline", anyAuth, treatmentPlanController.declinePlan);
+
+export default router;
@@ -0,0 +1,433 @@
+import mongoose from "mongoose";
+import TreatmentPlan, { groupAlternatives } from "./treatmentPlan.model.js";
+import { TreatmentMaster, Treatment } from "../treatments/treatment.model.js";
+import * as chartService from "../charts/chart.service.js";
+import * as medicalAlertService from "../medicalAlerts/medicalAlert.service.js";
+import { ALERT_CONTEXTS } from "../../constants/medicalAlerts.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * TREATMENT PLAN SERVICE
+ *
+ * - Pricing phases from the treatment catalog (membership discount included)
+ * - Presenting a plan to the patient
+ * - Signed acceptance (all / per item) that turns accepted items into Treatments
+ *
+ * Functions throw AppError subclasses (handled by asyncHandler)
+ */
+
+/**
+ * Find a plan by ID
+ * @param {ObjectId} planId - TreatmentPlan ID
+ * @returns {Object} - TreatmentPlan document
+ */
+export const findPlan = async (planId) => {
+  if (!mongoose.Types.ObjectId.isValid(planId)) {
+    throw new BadRequestError("Invalid treatment plan ID");
+  }
+
+  const plan = await TreatmentPlan.findById(planId);
+  if (!plan) {
+    throw new NotFoundError("Treatment plan");
+  }
+  return plan;
+};
+
+/**
+ * Create a draft plan
+ * @param {Object} data - { patient, clinic, title, diagnosis, notes, validUntil, notation, phases }
+ * @param {ObjectId} userId - Creating user
+ * @returns {Object} - TreatmentPlan document
+ */
+export const createPlan = async (data, userId) => {
+  if (!data.patient || !data.clinic) {
+    throw new BadRequestError("Patient and clinic are required");
+  }
+
+  const patient = await chartService.findPatient(data.patient);
+
+  const plan = new TreatmentPlan({
+    patient: patient._id,
+    clinic: data.clinic,
+    title: data.title,
+    diagnosis: data.diagnosis,
+    notes: data.notes,
+    validUntil: data.validUntil,
+    phases: await pricePhases(data.phases, patient, data.notation),
+    createdBy: userId,
+  });
+
+  await plan.save();
+  return plan;
+};
+
+/**
+ * Update a plan the patient hasn't signed yet
+ * Sending phases replaces them (re-priced); a presented plan goes back to draft.
+ *
+ * @param {Object} plan - TreatmentPlan document
+ * @param {Object} data - { title, diagnosis, notes, validUntil, notation, phases }
+ * @returns {Object} - TreatmentPlan document
+ */
+export const updatePlan = async (plan, data) => {
+  if (!plan.isEditable()) {
+    throw new BadRequestError(`Treatment plan is ${plan.status} and can no longer be changed`);
+  }
+
+  for (const field of ["title", "diagnosis", "notes", "validUntil"]) {
+    if (data[field] !== undefined) plan[field] = data[field];
+  }
+
+  if (data.phases !== undefined) {
+    const patient = await chartService.findPatient(plan.patient);
+    plan.phases = await pricePhases(data.phases, patient, data.notation);
+    plan.status = "draft";
+    plan.presentedAt = undefined;
+  }
+
+  await plan.save();
+  return plan;
+};
+
+/**
+ * Present a plan to the patient (they can now view and accept it)
+ * @param {Object} plan - TreatmentPlan document
+ * @param {Object} options - { validUntil }
+ * @returns {Object} - TreatmentPlan document
+ */
+export const presentPlan = async (plan, { validUntil } = {}) => {
+  if (!plan.isEditable()) {
+    throw new BadRequestError(`Treatment plan is ${plan.status} and can't be presented`);
+  }
+
+  if (!plan.getItems().length) {
+    throw new BadRequestError("Add at least one treatment before presenting the plan");
+  }
+
+  if (validUntil !== undefined) plan.validUntil = validUntil;
+
+  if (plan.validUntil && plan.validUntil < new Date()) {
+    throw new BadRequestError("validUntil must be in the future");
+  }
+
+  plan.status = "presented";
+  plan.presentedAt = new Date();
+  await plan.save();
+
+  return plan;
+};
+
+/**
+ * Record a signed acceptance and create Treatments for the accepted items
+ *
+ * all: every standalone item + the recommended option of each group
+ * items: chosen item IDs (at most one per alternative group)
+ * Choosing an option marks the rest of its group not_selected;
+ * declineRest declines every item still undecided.
+ *
+ * The treatments pass the same medical alert check as any new treatment:
+ * blocking alerts need alertOverride.reason (staff only), logged per treatment.
+ *
+ * @param {Object} plan - TreatmentPlan document (presented / partially accepted)
+ * @param {Object} data - { all, items, declineRest, signedByName, signature, relationship,
+ *                        alertOverride }
+ * @param {Object} context - { signedVia, recordedBy, ipAddress, userAgent }
+ * @returns {Object} - { plan, treatments, alerts }
+ */
+export const acceptPlan = async (plan, data, context = {}) => {
+  assertOpen(plan);
+
+  if (!data.signedByName || !data.signature) {
+    throw new BadRequestError("Signer name and signature are required");
+  }
+
+  const selected = data.all ? getDefaultSelection(plan) : getSelection(plan, data.items);
+  if (!selected.length) {
+    throw new BadRequestError("Select at least one item to accept (or send all: true)");
+  }
+
+  const alerts = await checkPlanAlerts(plan, data, context);
+
+  const now = new Date();
+  const declined = [];
+
+  // Choosing an option closes the other options in its group
+  for (const { phase, item } of selected) {
+    if (!item.alternativeGroup) continue;
+
+    for (const other of groupAlternatives(phase.items)[item.alternativeGroup]) {
+      if (other !== item && other.status === "proposed") {
+        other.status = "not_selected";
+        other.decidedAt = now;
+      }
+    }
+  }
+
+  const treatments = [];
+  for (const { phase, item } of selected) {
+    const treatment = await createTreatment(plan, phase, item, context.recordedBy);
+    treatments.push(treatment);
+
+    await medicalAlertService.logOverride(alerts, {
+      patient: plan.patient,
+      context: ALERT_CONTEXTS.TREATMENT,
+      record: treatment._id,
+      userId: context.recordedBy,
+    });
+
+    item.status = "accepted";
+    item.decidedAt = now;
+    item.treatment = treatment._id;
+  }
+
+  if (data.declineRest) {
+    for (const { item } of plan.getItems()) {
+      if (item.status !== "proposed") continue;
+      item.status = "declined";
+      item.decidedAt = now;
+      declined.push(item._id);
+    }
+  }
+
+  plan.acceptances.push({
+    acceptedItems: selected.map(({ item }) => item._id),
+    declinedItems: declined,
+    signedByName: data.signedByName,
+    relationship: data.relationship,
+    signature: data.signature,
+    signedAt: now,
+    signedVia: context.signedVia,
+    recordedBy: context.recordedBy,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    acceptedAmount: selected.reduce((sum, { item }) => sum + item.amount, 0),
+  });
+
+  updateStatus(plan);
+  await plan.save();
+
+  return { plan, treatments, alerts };
+};
+
+/**
+ * Decline items (or the whole plan)
+ * @param {Object} plan - TreatmentPlan document
+ * @param {Object} data - { items (IDs; default: everything undecided), reason }
+ * @returns {Object} - TreatmentPlan document
+ */
+export const declinePlan = async (plan, { items, reason } = {}) => {
+  assertOpen(plan);
+
+  const undecided = plan.getItems().filter(({ item }) => item.status === "proposed");
+  const targets = items?.length ? getSelection(plan, items, { allowSameGroup: true }) : undecided;
+
+  const now = new Date();
+  for (const { item } of targets) {
+    item.status = "declined";
+    item.decidedAt = now;
+    if (reason) item.notes = item.notes ? `${item.notes}\nDeclined: ${reason}` : `Declined: ${reason}`;
+  }
+
+  updateStatus(plan);
+  await plan.save();
+
+  return plan;
+};
+
+/**
+ * Cancel a plan (treatments already created are kept)
+ * @param {Object} plan - TreatmentPlan document
+ * @param {String} reason - Why
+ * @returns {Object} - TreatmentPlan document
+ */
+export const cancelPlan = async (plan, reason) => {
+  if (["cancelled", "declined", "accepted"].includes(plan.status)) {
+    throw new BadRequestError(`Treatment plan is already ${plan.status}`);
+  }
+
+  plan.status = "cancelled";
+  plan.cancelledAt = new Date();
+  plan.cancellationReason = reason;
+  await plan.save();
+
+  return plan;
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Request phases -> priced phases
+ * Price defaults to the catalog price; discount defaults to the
+ * patient's membership discount (as for a single treatment)
+ */
+async function pricePhases(phases = [], patient, notation) {
+  if (!Array.isArray(phases)) {
+    throw new BadRequestError("Phases must be an array");
+  }
+
+  const parsedNotation = chartService.parseNotation(notation);
+
+  const typeIds = phases.flatMap((phase) => (phase.items || []).map((item) => item.treatmentType));
+  const invalid = typeIds.find((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid !== undefined) {
+    throw new BadRequestError(`Invalid treatment type ID: ${invalid}`);
+  }
+
+  const masters = await TreatmentMaster.find({ _id: { $in: typeIds }, isActive: true });
+  const byId = new Map(masters.map((m) => [String(m._id), m]));
+
+  const membershipDiscount = patient.hasMembership ? patient.currentDiscount : 0;
+
+  return phases.map((phase, index) => ({
+    name: phase.name || `Phase ${index + 1}`,
+    notes: phase.notes,
+    items: (phase.items || []).map((item) => {
+      const master = byId.get(String(item.treatmentType));
+      if (!master) {
+        throw new BadRequestError(`Treatment type not found or inactive: ${item.treatmentType}`);
+      }
+
+      const discount = item.discount ?? {
+        percentage: membershipDiscount,
+        reason: membershipDiscount ? "Membership discount" : undefined,
+      };
+
+      return {
+        treatmentType: master._id,
+        name: master.name,
+        code: master.code,
+        teeth: chartService.normalizeTeeth(item.teeth || [], parsedNotation),
+        quantity: item.quantity || 1,
+        unitPrice: item.unitPrice ?? master.price ?? 0,
+        discount,
+        alternativeGroup: item.alternativeGroup || undefined,
+        recommended: Boolean(item.recommended),
+        notes: item.notes,
+      };
+    }),
+  }));
+}
+
+function assertOpen(plan) {
+  if (!["presented", "partially_accepted"].includes(plan.status)) {
+    throw new BadRequestError(`Treatment plan is ${plan.status} and can't be accepted or declined`);
+  }
+
+  if (plan.validUntil && plan.validUntil < new Date()) {
+    throw new BadRequestError("Treatment plan has expired; ask the clinic for an updated plan");
+  }
+}
+
+// Everything the clinic recommends that is still undecided
+function getDefaultSelection(plan) {
+  const selected = [];
+
+  for (const phase of plan.phases) {
+    const proposed = phase.items.filter((item) => item.status === "proposed");
+    selected.push(...proposed.filter((item) => !item.alternativeGroup).map((item) => ({ phase, item })));
+
+    for (const items of Object.values(groupAlternatives(phase.items))) {
+      // Group already decided by an earlier acceptance
+      if (items.some((item) => item.status === "accepted")) continue;
+
+      const open = items.filter((item) => item.status === "proposed");
+      const choice = open.find((item) => item.recommended) || open[0];
+      if (choice) selected.push({ phase, item: choice });
+    }
+  }
+
+  return selected;
+}
+
+// Chosen item IDs -> { phase, item }, checked against the plan
+function getSelection(plan, itemIds, { allowSameGroup = false } = {}) {
+  if (!Array.isArray(itemIds)) {
+    throw new BadRequestError("Items must be an array of plan item IDs");
+  }
+
+  const groups = new Set();
+
+  return [...new Set(itemIds.map(String))].map((id) => {
+    const found = mongoose.Types.ObjectId.isValid(id) ? plan.findItem(id) : null;
+    if (!found) {
+      throw new BadRequestError(`Item ${id} is not part of this plan`);
+    }
+
+    const { phase, item } = found;
+    if (item.status !== "proposed") {
+      throw new BadRequestError(`${item.name} is already ${item.status.replace("_", " ")}`);
+    }
+
+    if (item.alternativeGroup && !allowSameGroup) {
+      const key = `${phase._id}:${item.alternativeGroup}`;
+      if (groups.has(key)) {
+        throw new BadRequestError(
+          `Only one option can be chosen for "${item.alternativeGroup}" in ${phase.name}`,
+        );
+      }
+      groups.add(key);
+    }
+
+    return found;
+  });
+}
+
+// Medical alerts for the treatments about to be created (throws 409 if blocking)
+// Only staff can override; a patient signing online is sent to the clinic
+async function checkPlanAlerts(plan, data, context) {
+  const patient = await chartService.findPatient(plan.patient);
+
+  if (!context.recordedBy) {
+    const { blocking } = medicalAlertService.evaluateAlerts(patient, ALERT_CONTEXTS.TREATMENT);
+    if (blocking.length) {
+      throw new ConflictError(
+        "Your medical alerts need a review by the clinic before this plan can be accepted; " +
+          "please contact the clinic",
+      );
+    }
+  }
+
+  return medicalAlertService.checkAlerts(patient, ALERT_CONTEXTS.TREATMENT, {
+    overrideReason: data.alertOverride?.reason,
+  });
+}
+
+async function createTreatment(plan, phase, item, userId) {
+  const master = await TreatmentMaster.findById(item.treatmentType).select("sessionsRequired");
+
+  return Treatment.create({
+    treatmentType: item.treatmentType,
+    patient: plan.patient,
+    clinic: plan.clinic,
+    teeth: item.teeth,
+    price: item.unitPrice * item.quantity,
+    discount: item.discount,
+    diagnosis: plan.diagnosis,
+    treatmentPlan: `${plan.planNumber} - ${phase.name}`,
+    plan: plan._id,
+    planItem: item._id,
+    notes: item.notes,
+    totalSessions: master?.sessionsRequired || 1,
+    createdBy: userId,
+  });
+}
+
+/**
+ * Plan status from its items:
+ * nothing accepted and nothing left → declined; everything decided → accepted;
+ * some accepted, some open or declined → partially_accepted
+ */
+function updateStatus(plan) {
+  const items = plan.getItems().map(({ item }) => item);
+
+  const accepted = items.some((item) => item.status === "accepted");
+  const open = items.some((item) => item.status === "proposed");
+  const declined = items.some((item) => item.status === "declined");
+
+  if (!accepted) {
+    if (!open) plan.status = "declined";
+    return;
+  }
+
+  plan.status = open || declined ? "partially_accepted" : "accepted";
+}
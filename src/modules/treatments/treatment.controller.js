@@ -2,6 +2,10 @@ import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import { TreatmentMaster, Treatment } from "./treatment.model.js";
 import Patient from "../patients/patient.model.js";
+import * as chartService from "../charts/chart.service.js";
+import * as medicalAlertService from "../medicalAlerts/medicalAlert.service.js";
+import * as consentService from "../consents/consent.service.js";
+import { ALERT_CONTEXTS } from "../../constants/medicalAlerts.js";
 import mongoose from "mongoose";
 
 /**
@@ -75,7 +79,8 @@ export const getTreatmentTypeById = asyncHandler(async (req, res) => {
  * @access  Admin
  */
 export const createTreatmentType = asyncHandler(async (req, res) => {
-  let { name, code, category, description, price, duration, sessionsRequired } = req.body;
+  let { name, code, category, description, price, duration, sessionsRequired, requiresConsent } =
+    req.body;
 
   // Validation
   if (!name || !code || !category || price === undefined) {
@@ -107,6 +112,7 @@ export const createTreatmentType = asyncHandler(async (req, res) => {
     price,
     duration: duration ? Number(duration) : 30,
     sessionsRequired: sessionsRequired ? Number(sessionsRequired) : 1,
+    requiresConsent: Boolean(requiresConsent),
   });
 
   ApiResponse.created(res, { treatmentType }, "Treatment type created successfully");
@@ -131,7 +137,15 @@ export const updateTreatmentType = asyncHandler(async (req, res) => {
   }
 
   // Update allowed fields
-  const allowedFields = ["name", "description", "price", "duration", "sessionsRequired", "isActive"];
+  const allowedFields = [
+    "name",
+    "description",
+    "price",
+    "duration",
+    "sessionsRequired",
+    "requiresConsent",
+    "isActive",
+  ];
 
   allowedFields.forEach((field) => {
     if (req.body[field] !== undefined) {
@@ -219,11 +233,14 @@ export const getAllTreatments = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Get treatment by ID
- * @route   GET /api/treatments/:id
+ * @route   GET /api/treatments/:id?notation=
  * @access  Admin
+ *
+ * chartChanges: findings this treatment added / resolved on the patient's chart
  */
 export const getTreatmentById = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const notation = chartService.parseNotation(req.query.notation);
 
   if (!mongoose.Types.ObjectId.isValid(id)) {
     return ApiResponse.error(res, "Invalid treatment ID", 400);
@@ -241,13 +258,17 @@ export const getTreatmentById = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Treatment not found", 404);
   }
 
-  ApiResponse.success(res, { treatment }, "Treatment fetched successfully");
+  const chartChanges = await chartService.getTreatmentChanges(treatment._id, notation);
+
+  ApiResponse.success(res, { treatment, chartChanges }, "Treatment fetched successfully");
 });
 
 /**
  * @desc    Create treatment for patient
  * @route   POST /api/treatments
  * @access  Admin
+ *
+ * Blocking medical alerts return 409 unless alertOverride: { reason } is sent.
  */
 export const createTreatment = asyncHandler(async (req, res) => {
   const {
@@ -256,11 +277,13 @@ export const createTreatment = asyncHandler(async (req, res) => {
     clinic,
     appointment,
     teeth,
+    notation,
     price,
     diagnosis,
     treatmentPlan,
     notes,
     totalSessions,
+    alertOverride,
   } = req.body;
 
   // Validation
@@ -280,6 +303,11 @@ export const createTreatment = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Patient not found", 404);
   }
 
+  // Medical alerts (throws 409 if blocking and not overridden)
+  const alerts = medicalAlertService.checkAlerts(patientDoc, ALERT_CONTEXTS.TREATMENT, {
+    overrideReason: alertOverride?.reason,
+  });
+
   // Calculate price with membership discount
   let finalPrice = price || treatmentMaster.price;
   let discountPercentage = 0;
@@ -296,7 +324,7 @@ export const createTreatment = asyncHandler(async (req, res) => {
     patient,
     clinic,
     appointment,
-    teeth: teeth || [],
+    teeth: chartService.normalizeTeeth(teeth || [], chartService.parseNotation(notation)),
     price: finalPrice,
     discount: {
       percentage: discountPercentage,
@@ -309,12 +337,26 @@ export const createTreatment = asyncHandler(async (req, res) => {
     createdBy: req.user?._id,
   });
 
+  await medicalAlertService.logOverride(alerts, {
+    patient: patientDoc._id,
+    context: ALERT_CONTEXTS.TREATMENT,
+    record: treatment._id,
+    userId: req.user?._id,
+  });
+
   // Populate for response
   const populatedTreatment = await Treatment.findById(treatment._id)
     .populate("treatmentType", "name code")
     .populate("patient", "name phone");
 
-  ApiResponse.created(res, { treatment: populatedTreatment }, "Treatment created successfully");
+  ApiResponse.created(
+    res,
+    {
+      treatment: populatedTreatment,
+      alerts: { blocking: alerts.blocking, warnings: alerts.warnings },
+    },
+    "Treatment created successfully",
+  );
 });
 
 /**
@@ -344,6 +386,14 @@ export const updateTreatment = asyncHandler(async (req, res) => {
     }
   });
 
+  // Teeth are stored in FDI
+  if (req.body.teeth !== undefined) {
+    treatment.teeth = chartService.normalizeTeeth(
+      req.body.teeth,
+      chartService.parseNotation(req.body.notation),
+    );
+  }
+
   await treatment.save();
 
   const updatedTreatment = await Treatment.findById(id)
@@ -357,6 +407,8 @@ export const updateTreatment = asyncHandler(async (req, res) => {
  * @desc    Update treatment status
  * @route   PATCH /api/treatments/:id/status
  * @access  Admin
+ *
+ * Starting a treatment whose type requires consent needs a signed consent form
  */
 export const updateTreatmentStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -381,6 +433,11 @@ export const updateTreatmentStatus = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Treatment not found", 404);
   }
 
+  // Consent before a planned treatment starts (or is recorded as done)
+  if (treatment.status === "planned" && ["in_progress", "completed"].includes(status)) {
+    await consentService.assertConsent(treatment);
+  }
+
   // Update status
   treatment.status = status;
 
@@ -402,6 +459,8 @@ export const updateTreatmentStatus = asyncHandler(async (req, res) => {
  * @desc    Add session to treatment
  * @route   POST /api/treatments/:id/sessions
  * @access  Admin
+ *
+ * The first session starts the treatment (consent checked as for status)
  */
 export const addSession = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -417,6 +476,10 @@ export const addSession = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, "Treatment not found", 404);
   }
 
+  if (treatment.status === "planned") {
+    await consentService.assertConsent(treatment);
+  }
+
   // Add session using model method
   await treatment.addSession({
     date: date || new Date(),
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import * as counterService from "../counters/counter.service.js";
 
 /**
  * TREATMENT MODELS
@@ -72,6 +73,12 @@ const treatmentMasterSchema = new mongoose.Schema(
       default: 1,
     },
 
+    // Signed consent form needed before the treatment can start
+    requiresConsent: {
+      type: Boolean,
+      default: false,
+    },
+
     // Is this treatment active?
     isActive: {
       type: Boolean,
@@ -83,6 +90,34 @@ const treatmentMasterSchema = new mongoose.Schema(
   },
 );
 
+// ============ TREATMENT MASTER STATICS ============
+
+/**
+ * Total chair time for a set of planned treatments
+ * Used to size appointments (e.g. implant 90 min + cleaning 30 min)
+ * @param {Array} treatmentIds - TreatmentMaster IDs
+ * @returns {Object} - { duration, treatments, missing }
+ */
+treatmentMasterSchema.statics.getTotalDuration = async function (treatmentIds = []) {
+  const ids = [...new Set(treatmentIds.map(String))];
+
+  const treatments = await this.find({ _id: { $in: ids }, isActive: true }).select(
+    "name code duration",
+  );
+
+  const found = new Set(treatments.map((t) => String(t._id)));
+  const missing = ids.filter((id) => !found.has(id));
+
+  // Same treatment listed twice is counted twice (e.g. two fillings)
+  const durationById = new Map(treatments.map((t) => [String(t._id), t.duration || 30]));
+  const duration = treatmentIds.reduce(
+    (sum, id) => sum + (durationById.get(String(id)) || 0),
+    0,
+  );
+
+  return { duration, treatments, missing };
+};
+
 // ============ TREATMENT SESSION SCHEMA ============
 // For multi-session treatments (like root canal)
 
@@ -155,8 +190,9 @@ const treatmentSchema = new mongoose.Schema(
       ref: "Appointment",
     },
 
-    // Teeth involved (dental notation)
-    // Universal numbering: 1-32 for adults, A-T for children
+    // Teeth involved, FDI numbering ("16", "55")
+    // Accepted in Universal notation too (notation: "universal"); see utils/teeth.js
+    // Surfaces / conditions changed are on the patient's chart (ChartEntry.treatment)
     teeth: [
       {
         type: String,
@@ -218,6 +254,13 @@ const treatmentSchema = new mongoose.Schema(
     // Treatment plan details
     treatmentPlan: String,
 
+    // Treatment plan (and line item) this was accepted from
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TreatmentPlan",
+    },
+    planItem: mongoose.Schema.Types.ObjectId,
+
     // Start date
     startDate: Date,
 
@@ -255,6 +298,7 @@ const treatmentSchema = new mongoose.Schema(
 treatmentSchema.index({ patient: 1, createdAt: -1 });
 // treatmentSchema.index({ treatmentNumber: 1 });
 treatmentSchema.index({ status: 1 });
+treatmentSchema.index({ plan: 1 });
 
 // ============ PRE-SAVE MIDDLEWARE ============
 
@@ -264,19 +308,9 @@ treatmentSchema.index({ status: 1 });
 treatmentSchema.pre("save", async function () {
   // Generate treatment number for new documents
   if (this.isNew) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, "0");
-
-    const count = await mongoose.model("Treatment").countDocuments({
-      createdAt: {
-        $gte: new Date(date.getFullYear(), date.getMonth(), 1),
-        $lte: new Date(date.getFullYear(), date.getMonth() + 1, 0),
-      },
+    this.treatmentNumber = await counterService.generateNumber("treatment", {
+      clinic: this.clinic,
     });
-
-    const serial = (count + 1).toString().padStart(4, "0");
-    this.treatmentNumber = `TRT-${year}${month}-${serial}`;
   }
 
   // Calculate final amount
@@ -18,7 +18,7 @@ import User from "./user.model.js";
  */
 export const getAllUsers = asyncHandler(async (req, res) => {
   // Get query parameters for filtering and pagination
-  const { page = 1, limit = 10, search, isActive } = req.query;
+  const { page = 1, limit = 10, search, isActive, isDoctor } = req.query;
 
   // Build query
   const query = {};
@@ -28,6 +28,11 @@ export const getAllUsers = asyncHandler(async (req, res) => {
     query.isActive = isActive === "true";
   }
 
+  // Filter doctors (for appointment booking)
+  if (isDoctor !== undefined) {
+    query.isDoctor = isDoctor === "true";
+  }
+
   // Search by name, email, or phone
   if (search) {
     query.$or = [
@@ -81,7 +86,7 @@ export const getMe = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const updateMe = asyncHandler(async (req, res) => {
-  const { name, email, phone } = req.body;
+  const { name, email, phone, qualifications, registrationNumber } = req.body;
 
   // Find current user
   const user = await User.findById(req.user._id);
@@ -113,6 +118,10 @@ export const updateMe = asyncHandler(async (req, res) => {
     user.name = name;
   }
 
+  // Prescription signature details
+  if (qualifications !== undefined) user.qualifications = qualifications;
+  if (registrationNumber !== undefined) user.registrationNumber = registrationNumber;
+
   // Save changes
   await user.save();
 
@@ -187,7 +196,8 @@ export const getUserById = asyncHandler(async (req, res) => {
  * @access  Admin
  */
 export const createUser = asyncHandler(async (req, res) => {
-  const { name, email, phone, password, role } = req.body;
+  const { name, email, phone, password, role, isDoctor, qualifications, registrationNumber } =
+    req.body;
 
   // Validate required fields
   if (!name || !email || !phone || !password) {
@@ -230,6 +240,9 @@ export const createUser = asyncHandler(async (req, res) => {
     phone,
     password,
     role: role || "admin",
+    isDoctor: Boolean(isDoctor),
+    qualifications,
+    registrationNumber,
   });
 
   // Return created user (without password)
@@ -245,7 +258,8 @@ export const createUser = asyncHandler(async (req, res) => {
  */
 export const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, email, phone, isActive, role } = req.body;
+  const { name, email, phone, isActive, role, isDoctor, qualifications, registrationNumber } =
+    req.body;
 
   // Find user
   const user = await User.findById(id);
@@ -276,6 +290,9 @@ export const updateUser = asyncHandler(async (req, res) => {
   if (name !== undefined) user.name = name;
   if (isActive !== undefined) user.isActive = isActive;
   if (role !== undefined) user.role = role;
+  if (isDoctor !== undefined) user.isDoctor = isDoctor;
+  if (qualifications !== undefined) user.qualifications = qualifications;
+  if (registrationNumber !== undefined) user.registrationNumber = registrationNumber;
 
   // Save changes
   await user.save();
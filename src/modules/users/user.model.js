@@ -8,6 +8,8 @@ import bcrypt from "bcryptjs";
  * Simple structure:
  * - name, email, phone, password
  * - role: 'admin' (full access)
+ * - isDoctor: can be booked as the treating dentist
+ * - qualifications / registrationNumber: printed on prescriptions
  * - isActive: for soft delete
  */
 
@@ -48,6 +50,16 @@ const userSchema = new mongoose.Schema(
       default: "admin",
     },
 
+    // Treating dentist? (appointments can only be assigned to doctors)
+    isDoctor: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Doctor details for the prescription signature block
+    qualifications: String, // "BDS, MDS (Endodontics)"
+    registrationNumber: String, // Dental council registration
+
     // Account Status
     isActive: {
       type: Boolean,
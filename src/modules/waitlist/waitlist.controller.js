@@ -0,0 +1,374 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import WaitlistEntry from "./waitlist.model.js";
+import * as waitlistService from "./waitlist.service.js";
+import * as appointmentService from "../appointments/appointment.service.js";
+import Patient from "../patients/patient.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import { getDayRange } from "../../utils/date.js";
+
+/**
+ * WAITLIST CONTROLLER
+ *
+ * Handles:
+ * - Adding patients to a clinic's waitlist with date/time preferences
+ * - Accepting / declining held slot offers (staff or patient)
+ * - Releasing expired holds
+ *
+ * Offers themselves are made automatically when appointments free a slot
+ * (see waitlist.service.js)
+ */
+
+// Fields staff can change while a patient is waiting
+const EDITABLE_FIELDS = ["dateFrom", "dateTo", "preferences", "reason", "priority", "notes"];
+
+/**
+ * @desc    Get waitlist entries
+ * @route   GET /api/waitlist?clinic=&status=&patient=&date=
+ * @access  Admin
+ */
+export const getWaitlist = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, clinic, status, patient, doctor, date } = req.query;
+
+  const filter = {};
+
+  if (clinic && mongoose.Types.ObjectId.isValid(clinic)) {
+    filter.clinic = clinic;
+  }
+
+  if (patient && mongoose.Types.ObjectId.isValid(patient)) {
+    filter.patient = patient;
+  }
+
+  if (doctor && mongoose.Types.ObjectId.isValid(doctor)) {
+    filter.doctor = doctor;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  // Entries whose wanted range covers a date
+  if (date) {
+    if (isNaN(new Date(date).getTime())) {
+      return ApiResponse.error(res, "Invalid date format", 400);
+    }
+
+    // Day in the clinic's timezone (default timezone across clinics)
+    const tz = await Clinic.getTimezoneById(filter.clinic);
+    const { start: startOfDay, end: endOfDay } = getDayRange(date, tz);
+    filter.dateFrom = { $lte: endOfDay };
+    filter.dateTo = { $gte: startOfDay };
+  }
+
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const [entries, total] = await Promise.all([
+    WaitlistEntry.find(filter)
+      .populate("patient", "name phone")
+      .populate("clinic", "name code")
+      .populate("doctor", "name")
+      .sort({ priority: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    WaitlistEntry.countDocuments(filter),
+  ]);
+
+  ApiResponse.paginated(res, entries, {
+    page: Number(page),
+    limit: Number(limit),
+    total,
+  });
+});
+
+/**
+ * @desc    Get logged-in patient's waitlist entries (incl. pending offers)
+ * @route   GET /api/waitlist/my
+ * @access  Patient
+ */
+export const getMyWaitlist = asyncHandler(async (req, res) => {
+  const entries = await WaitlistEntry.find({
+    patient: req.patient._id,
+    status: { $in: ["waiting", "offered"] },
+  })
+    .populate("clinic", "name code")
+    .populate("doctor", "name")
+    .sort({ createdAt: -1 });
+
+  ApiResponse.success(res, { entries }, "Waitlist entries fetched successfully");
+});
+
+/**
+ * @desc    Get waitlist entry by ID
+ * @route   GET /api/waitlist/:id
+ * @access  Admin
+ */
+export const getWaitlistEntryById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return ApiResponse.error(res, "Invalid waitlist entry ID", 400);
+  }
+
+  const entry = await WaitlistEntry.findById(id)
+    .populate("patient", "name phone email")
+    .populate("clinic", "name code")
+    .populate("doctor", "name")
+    .populate("hold.doctor", "name")
+    .populate("appointment", "appointmentNumber date timeSlot status");
+
+  if (!entry) {
+    return ApiResponse.error(res, "Waitlist entry not found", 404);
+  }
+
+  ApiResponse.success(res, { entry }, "Waitlist entry fetched successfully");
+});
+
+/**
+ * @desc    Add patient to waitlist
+ * @route   POST /api/waitlist
+ * @access  Admin
+ */
+export const addToWaitlist = asyncHandler(async (req, res) => {
+  const {
+    patientId,
+    clinic: clinicId,
+    doctor,
+    treatments,
+    duration,
+    dateFrom,
+    dateTo,
+    preferences,
+    reason,
+    priority,
+    notes,
+  } = req.body;
+
+  // 1. Validation
+  if (!patientId || !clinicId || !dateFrom || !dateTo || !reason) {
+    return ApiResponse.error(
+      res,
+      "Patient, clinic, date range and reason are required",
+      400,
+    );
+  }
+
+  if (
+    !mongoose.Types.ObjectId.isValid(patientId) ||
+    !mongoose.Types.ObjectId.isValid(clinicId)
+  ) {
+    return ApiResponse.error(res, "Invalid patient or clinic ID", 400);
+  }
+
+  if (isNaN(new Date(dateFrom).getTime()) || isNaN(new Date(dateTo).getTime())) {
+    return ApiResponse.error(res, "Invalid date format", 400);
+  }
+
+  const [patient, clinic] = await Promise.all([
+    Patient.findById(patientId),
+    Clinic.findById(clinicId),
+  ]);
+
+  if (!patient) {
+    return ApiResponse.error(res, "Patient not found", 404);
+  }
+
+  if (!clinic) {
+    return ApiResponse.error(res, "Clinic not found", 404);
+  }
+
+  if (doctor) {
+    await appointmentService.validateDoctor(doctor);
+  }
+
+  // 2. One open entry per patient per clinic
+  const existing = await WaitlistEntry.findOne({
+    patient: patient._id,
+    clinic: clinic._id,
+    status: { $in: ["waiting", "offered"] },
+  });
+
+  if (existing) {
+    return ApiResponse.error(res, "Patient is already on the waitlist for this clinic", 409);
+  }
+
+  // 3. Visit length
+  const plan = await appointmentService.getPlannedDuration(treatments, duration);
+
+  const entry = await WaitlistEntry.create({
+    patient: patient._id,
+    clinic: clinic._id,
+    doctor,
+    plannedTreatments: plan.treatmentIds,
+    duration: plan.duration,
+    dateFrom: new Date(dateFrom),
+    dateTo: new Date(dateTo),
+    preferences,
+    reason,
+    priority,
+    notes,
+    createdBy: req.user?._id,
+  });
+
+  ApiResponse.created(res, { entry }, "Patient added to waitlist");
+});
+
+/**
+ * @desc    Update waitlist entry preferences
+ * @route   PATCH /api/waitlist/:id
+ * @access  Admin
+ */
+export const updateWaitlistEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return ApiResponse.error(res, "Invalid waitlist entry ID", 400);
+  }
+
+  const entry = await WaitlistEntry.findById(id);
+
+  if (!entry) {
+    return ApiResponse.error(res, "Waitlist entry not found", 404);
+  }
+
+  if (entry.status !== "waiting") {
+    return ApiResponse.error(res, `Cannot update a waitlist entry that is ${entry.status}`, 400);
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      entry[field] = req.body[field];
+    }
+  }
+
+  if (req.body.doctor !== undefined) {
+    if (req.body.doctor) {
+      await appointmentService.validateDoctor(req.body.doctor);
+    }
+    entry.doctor = req.body.doctor || undefined;
+  }
+
+  if (req.body.treatments !== undefined || req.body.duration !== undefined) {
+    const plan = await appointmentService.getPlannedDuration(
+      req.body.treatments,
+      req.body.duration,
+    );
+    entry.plannedTreatments = plan.treatmentIds;
+    entry.duration = plan.duration;
+  }
+
+  await entry.save();
+
+  ApiResponse.success(res, { entry }, "Waitlist entry updated successfully");
+});
+
+/**
+ * @desc    Remove patient from waitlist
+ * @route   POST /api/waitlist/:id/cancel
+ * @access  Admin
+ */
+export const cancelWaitlistEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return ApiResponse.error(res, "Invalid waitlist entry ID", 400);
+  }
+
+  const entry = await WaitlistEntry.findById(id);
+
+  if (!entry) {
+    return ApiResponse.error(res, "Waitlist entry not found", 404);
+  }
+
+  if (!["waiting", "offered"].includes(entry.status)) {
+    return ApiResponse.error(res, `Waitlist entry is already ${entry.status}`, 400);
+  }
+
+  entry.cancellationReason = reason || "Removed by clinic";
+
+  // A held slot goes to the next patient
+  if (entry.status === "offered") {
+    await waitlistService.releaseHold(entry, "declined", "cancelled");
+  } else {
+    entry.status = "cancelled";
+    await entry.save();
+  }
+
+  ApiResponse.success(res, { entry }, "Patient removed from waitlist");
+});
+
+/**
+ * @desc    Accept held slot (books the appointment)
+ * @route   POST /api/waitlist/:id/accept
+ * @access  Admin / Patient (own entry)
+ */
+export const acceptOffer = asyncHandler(async (req, res) => {
+  const entry = await findEntryForRequester(req, res);
+  if (!entry) return;
+
+  const appointment = await waitlistService.acceptOffer(entry, {
+    createdBy: req.user?._id,
+  });
+
+  ApiResponse.created(res, { entry, appointment }, "Slot booked successfully");
+});
+
+/**
+ * @desc    Decline held slot (stays on waitlist, slot goes to next patient)
+ * @route   POST /api/waitlist/:id/decline
+ * @access  Admin / Patient (own entry)
+ */
+export const declineOffer = asyncHandler(async (req, res) => {
+  const entry = await findEntryForRequester(req, res);
+  if (!entry) return;
+
+  await waitlistService.declineOffer(entry);
+
+  ApiResponse.success(res, { entry }, "Offer declined");
+});
+
+/**
+ * @desc    Release expired holds and close lapsed entries
+ * @route   POST /api/waitlist/process-expired
+ * @access  Admin
+ */
+export const processExpired = asyncHandler(async (req, res) => {
+  const result = await waitlistService.processExpiredOffers();
+
+  ApiResponse.success(
+    res,
+    result,
+    `${result.releasedHolds} hold(s) released, ${result.expiredEntries} entry(ies) expired`,
+  );
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Load an entry; patients may only act on their own
+ * Sends the error response and returns null on failure
+ */
+async function findEntryForRequester(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    ApiResponse.error(res, "Invalid waitlist entry ID", 400);
+    return null;
+  }
+
+  const entry = await WaitlistEntry.findById(id);
+
+  if (!entry) {
+    ApiResponse.error(res, "Waitlist entry not found", 404);
+    return null;
+  }
+
+  if (req.patient && String(entry.patient) !== String(req.patient._id)) {
+    ApiResponse.error(res, "Access denied", 403);
+    return null;
+  }
+
+  return entry;
+}
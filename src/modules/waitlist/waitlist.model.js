@@ -0,0 +1,286 @@
+import mongoose from "mongoose";
+import { toMinutes } from "../../utils/time.js";
+import { formatDay, getWeekday, toClinicDay } from "../../utils/date.js";
+
+/**
+ * WAITLIST MODEL
+ * Patients waiting for an earlier (or any) slot at a clinic
+ *
+ * Key features:
+ * - Wanted date range with optional weekday / time-of-day preferences
+ * - Optional doctor preference and planned visit length
+ * - When a slot frees up it is offered to the next matching patient
+ *   and held for them for a limited time
+ *
+ * Status flow: waiting → offered → booked
+ *                      ↘ (declined / hold expired) → waiting
+ */
+
+// ============ SUB-SCHEMAS ============
+
+/**
+ * Offer Schema (embedded)
+ * Every slot offered to this patient, with the outcome
+ */
+const offerSchema = new mongoose.Schema(
+  {
+    date: Date,
+    timeSlot: String,
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    offeredAt: Date,
+    expiresAt: Date,
+    respondedAt: Date,
+    outcome: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "expired"],
+      default: "pending",
+    },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+  },
+  { _id: false },
+);
+
+// ============ WAITLIST SCHEMA ============
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    // Patient reference
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Patient is required"],
+    },
+
+    // Clinic reference
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: [true, "Clinic is required"],
+    },
+
+    // Preferred doctor (optional - any doctor if not set)
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Planned treatments (decide visit length)
+    plannedTreatments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TreatmentMaster",
+      },
+    ],
+
+    // Visit length in minutes (one slot if not set)
+    duration: Number,
+
+    // -------- Preferences --------
+
+    // Wanted date range (inclusive), stored as the start of each day in the clinic's timezone
+    dateFrom: {
+      type: Date,
+      required: [true, "Start of date range is required"],
+    },
+
+    dateTo: {
+      type: Date,
+      required: [true, "End of date range is required"],
+    },
+
+    preferences: {
+      // Weekdays that suit the patient (0 = Sunday); empty = any day
+      days: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+      ],
+      // Earliest / latest start time, e.g. "16:00" - "19:00"
+      timeFrom: String,
+      timeTo: String,
+    },
+
+    // Reason for visit (copied to the appointment)
+    reason: {
+      type: String,
+      required: [true, "Reason for visit is required"],
+    },
+
+    // Higher priority is offered first (then first come, first served)
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    // Entry status
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "cancelled", "expired"],
+      default: "waiting",
+    },
+
+    // -------- Current Offer --------
+
+    // Slot currently held for this patient (while status = offered)
+    hold: {
+      date: Date,
+      timeSlot: String,
+      slotEnd: String,
+      doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      chair: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      expiresAt: Date,
+    },
+
+    // Offer history
+    offers: [offerSchema],
+
+    // Appointment booked from an accepted offer
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+
+    // Notes by staff
+    notes: String,
+
+    cancellationReason: String,
+
+    // Created by (staff who added the patient)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ============ VALIDATION ============
+
+/**
+ * Store the date range as clinic days (same as appointment dates)
+ */
+waitlistEntrySchema.pre("validate", async function () {
+  if (!this.isNew && !this.isModified("dateFrom") && !this.isModified("dateTo")) return;
+
+  const tz = await mongoose.model("Clinic").getTimezoneById(this.clinic);
+
+  if (this.dateFrom) this.dateFrom = toClinicDay(this.dateFrom, tz).toDate();
+  if (this.dateTo) this.dateTo = toClinicDay(this.dateTo, tz).toDate();
+});
+
+/**
+ * Date range must be in order and time window must be HH:mm
+ */
+waitlistEntrySchema.pre("validate", function () {
+  if (this.dateFrom && this.dateTo && this.dateTo < this.dateFrom) {
+    this.invalidate("dateTo", "End of date range must be after the start");
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const { timeFrom, timeTo } = this.preferences || {};
+
+  for (const [field, value] of [["timeFrom", timeFrom], ["timeTo", timeTo]]) {
+    if (value && !timePattern.test(value)) {
+      this.invalidate(`preferences.${field}`, "Invalid time (use HH:mm)");
+    }
+  }
+});
+
+// ============ INDEXES ============
+
+waitlistEntrySchema.index({ clinic: 1, status: 1, dateFrom: 1, dateTo: 1 });
+waitlistEntrySchema.index({ patient: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, "hold.expiresAt": 1 });
+
+// ============ METHODS ============
+
+/**
+ * Check whether a slot suits this patient's preferences
+ * (availability of doctor/chair is checked separately)
+ * @param {Date} date - Slot date
+ * @param {String} timeSlot - "HH:mm"
+ * @param {String} tz - Clinic timezone
+ * @returns {Boolean}
+ */
+waitlistEntrySchema.methods.matchesSlot = function (date, timeSlot, tz) {
+  // "YYYY-MM-DD" strings compare in date order
+  const day = formatDay(date, tz);
+  if (day < formatDay(this.dateFrom, tz) || day > formatDay(this.dateTo, tz)) return false;
+
+  const { days, timeFrom, timeTo } = this.preferences || {};
+
+  if (days?.length && !days.includes(getWeekday(date, tz))) return false;
+
+  const start = toMinutes(timeSlot);
+  if (timeFrom && start < toMinutes(timeFrom)) return false;
+  if (timeTo && start > toMinutes(timeTo)) return false;
+
+  return true;
+};
+
+/**
+ * Is the held slot still reserved for this patient?
+ * @returns {Boolean}
+ */
+waitlistEntrySchema.methods.hasActiveHold = function () {
+  return this.status === "offered" && this.hold?.expiresAt > new Date();
+};
+
+// ============ STATICS ============
+
+/**
+ * Slots held for waitlisted patients on a day
+ * Returned in the same shape as bookings so they can block availability
+ *
+ * @param {Object} options - { clinicId, doctor, startOfDay, endOfDay, excludeId }
+ * @returns {Array} - [{ clinic, doctor, chair, timeSlot, slotEnd }]
+ */
+waitlistEntrySchema.statics.getActiveHolds = async function ({
+  clinicId,
+  doctor,
+  startOfDay,
+  endOfDay,
+  excludeId,
+}) {
+  const query = {
+    status: "offered",
+    "hold.expiresAt": { $gt: new Date() },
+    "hold.date": { $gte: startOfDay, $lte: endOfDay },
+    // Doctor may be held at the other clinic
+    $or: doctor ? [{ clinic: clinicId }, { "hold.doctor": doctor }] : [{ clinic: clinicId }],
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const entries = await this.find(query).select("clinic hold");
+
+  return entries.map((entry) => ({
+    clinic: entry.clinic,
+    doctor: entry.hold.doctor,
+    chair: entry.hold.chair,
+    timeSlot: entry.hold.timeSlot,
+    slotEnd: entry.hold.slotEnd,
+  }));
+};
+
+// Create and export the model
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+export default WaitlistEntry;
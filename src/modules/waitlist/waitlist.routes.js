@@ -0,0 +1,52 @@
+import { Router } from "express";
+import * as waitlistController from "./waitlist.controller.js";
+import {
+  authProtect,
+  patientProtect,
+  anyAuth,
+} from "../../middlewares/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * WAITLIST ROUTES
+ * Base path: /api/waitlist
+ *
+ * Freed slots (cancel / reschedule / no-show) are offered automatically
+ * to the next matching patient and held for clinic.appointmentSettings.waitlistHoldMinutes
+ */
+
+// ==================== PATIENT ====================
+
+// Get my waitlist entries and pending offers
+router.get("/my", patientProtect, waitlistController.getMyWaitlist);
+
+// ==================== ADMIN ====================
+
+// Get waitlist (filters: clinic, status, patient, doctor, date)
+router.get("/", authProtect, waitlistController.getWaitlist);
+
+// Add patient to waitlist
+router.post("/", authProtect, waitlistController.addToWaitlist);
+
+// Release expired holds and close lapsed entries
+router.post("/process-expired", authProtect, waitlistController.processExpired);
+
+// Get single entry
+router.get("/:id", authProtect, waitlistController.getWaitlistEntryById);
+
+// Update preferences
+router.patch("/:id", authProtect, waitlistController.updateWaitlistEntry);
+
+// Remove from waitlist
+router.post("/:id/cancel", authProtect, waitlistController.cancelWaitlistEntry);
+
+// ==================== OFFERS (Admin or Patient) ====================
+
+// Accept held slot (books appointment)
+router.post("/:id/accept", anyAuth, waitlistController.acceptOffer);
+
+// Decline held slot
+router.post("/:id/decline", anyAuth, waitlistController.declineOffer);
+
+export default router;
@@ -0,0 +1,312 @@
+import WaitlistEntry from "./waitlist.model.js";
+import Appointment from "../appointments/appointment.model.js";
+import Clinic from "../clinics/clinic.model.js";
+import Patient from "../patients/patient.model.js";
+import Notification from "../notifications/notification.model.js";
+import * as appointmentService from "../appointments/appointment.service.js";
+import { deliverNotification } from "../notifications/notification.service.js";
+import { toMinutes } from "../../utils/time.js";
+import { formatDay, getDayRange, getSlotStart, getTimezone } from "../../utils/date.js";
+import { BadRequestError, NotFoundError } from "../../utils/AppError.js";
+
+/**
+ * WAITLIST SERVICE
+ *
+ * Offers freed slots to waitlisted patients:
+ * 1. A slot frees up (cancel, reschedule, no-show)
+ * 2. The next matching entry (priority, then first come) gets a hold + notification
+ * 3. Accepting books the held slot; declining or letting the hold
+ *    expire passes the slot on to the next patient
+ */
+
+/**
+ * Offer the slot an appointment no longer uses
+ * Never throws - the cancel/reschedule that freed the slot must still succeed
+ *
+ * @param {Object} appointment - Appointment (or snapshot) that released its slot
+ * @returns {Object|null} - Waitlist entry that received the offer
+ */
+export const offerFreedSlot = async (appointment) => {
+  try {
+    const clinic = await Clinic.findById(appointment.clinic?._id ?? appointment.clinic);
+    if (!clinic) return null;
+
+    // A no-show frees the rest of the visit; offer the next start still ahead
+    const timeSlot = getNextOfferableStart(clinic, appointment);
+    if (!timeSlot) return null;
+
+    return await offerSlot(
+      clinic,
+      {
+        date: appointment.date,
+        timeSlot,
+        doctor: appointment.doctor?._id ?? appointment.doctor,
+      },
+      { excludePatient: appointment.patient?._id ?? appointment.patient },
+    );
+  } catch (error) {
+    console.error("Error offering freed slot to waitlist:", error);
+    return null;
+  }
+};
+
+/**
+ * Hold a slot for the first waitlisted patient it suits
+ *
+ * @param {Object} clinic - Clinic document
+ * @param {Object} slot - { date, timeSlot, doctor }
+ * @param {Object} options - { excludePatient } patient who just gave the slot up
+ * @returns {Object|null} - Waitlist entry that received the offer
+ */
+export const offerSlot = async (clinic, slot, { excludePatient } = {}) => {
+  const tz = getTimezone(clinic);
+  if (!isUpcoming(slot.date, slot.timeSlot, tz)) return null;
+
+  const { start: startOfDay, end: endOfDay } = getDayRange(slot.date, tz);
+
+  const query = {
+    clinic: clinic._id,
+    status: "waiting",
+    dateFrom: { $lte: endOfDay },
+    dateTo: { $gte: startOfDay },
+  };
+
+  if (excludePatient) {
+    query.patient = { $ne: excludePatient };
+  }
+
+  const entries = await WaitlistEntry.find(query).sort({ priority: -1, createdAt: 1 });
+
+  for (const entry of entries) {
+    if (!entry.matchesSlot(slot.date, slot.timeSlot, tz)) continue;
+
+    // Don't offer the same slot twice (declined or let it expire)
+    const alreadyOffered = entry.offers.some(
+      (o) =>
+        o.timeSlot === slot.timeSlot &&
+        formatDay(o.date, tz) === formatDay(slot.date, tz),
+    );
+    if (alreadyOffered) continue;
+
+    // Preferred doctor if free, otherwise the doctor whose slot opened up
+    const doctor = entry.doctor || slot.doctor;
+
+    const result = await appointmentService.evaluateSlot(clinic, {
+      date: slot.date,
+      timeSlot: slot.timeSlot,
+      duration: entry.duration,
+      doctor,
+    });
+
+    if (!result.available) continue;
+
+    await holdSlot(entry, clinic, {
+      date: slot.date,
+      timeSlot: slot.timeSlot,
+      slotEnd: result.slotEnd,
+      doctor,
+      chair: result.chair,
+    });
+
+    return entry;
+  }
+
+  return null;
+};
+
+/**
+ * Book the held slot for the patient
+ *
+ * @param {Object} entry - Waitlist entry (status offered)
+ * @param {Object} options - { createdBy } staff who booked (if not the patient)
+ * @returns {Object} - Created appointment
+ */
+export const acceptOffer = async (entry, { createdBy } = {}) => {
+  if (entry.status !== "offered") {
+    throw new BadRequestError("There is no pending offer for this waitlist entry");
+  }
+
+  if (!entry.hasActiveHold()) {
+    await releaseHold(entry, "expired");
+    throw new BadRequestError("This offer has expired");
+  }
+
+  const clinic = await Clinic.findById(entry.clinic);
+  if (!clinic) {
+    throw new NotFoundError("Clinic");
+  }
+
+  const { hold } = entry;
+
+  // The held slot is ours - ignore our own hold, but not anything else
+  const reservation = await appointmentService.reserveSlot(clinic, {
+    date: hold.date,
+    timeSlot: hold.timeSlot,
+    duration: entry.duration,
+    doctor: hold.doctor,
+    chair: hold.chair,
+    excludeHoldId: entry._id,
+  });
+
+  const appointment = await Appointment.create({
+    patient: entry.patient,
+    clinic: entry.clinic,
+    doctor: hold.doctor,
+    chair: reservation.chair,
+    date: hold.date,
+    timeSlot: hold.timeSlot,
+    slotEnd: reservation.slotEnd,
+    duration: entry.duration || clinic.appointmentSettings?.slotDuration,
+    plannedTreatments: entry.plannedTreatments,
+    reason: entry.reason,
+    opdFee: clinic.appointmentSettings?.opdFee ?? 300,
+    source: "waitlist",
+    createdBy,
+  });
+
+  setOfferOutcome(entry, "accepted");
+  entry.status = "booked";
+  entry.appointment = appointment._id;
+  await entry.save();
+
+  return appointment;
+};
+
+/**
+ * Patient doesn't want the held slot - stays on the waitlist
+ * @param {Object} entry - Waitlist entry (status offered)
+ */
+export const declineOffer = async (entry) => {
+  if (entry.status !== "offered") {
+    throw new BadRequestError("There is no pending offer for this waitlist entry");
+  }
+
+  await releaseHold(entry, "declined");
+  return entry;
+};
+
+/**
+ * End a pending offer and pass the slot on to the next patient
+ *
+ * @param {Object} entry - Waitlist entry (status offered)
+ * @param {String} outcome - 'declined' | 'expired' | 'cancelled'
+ * @param {String} nextStatus - Entry status afterwards (default: back to waiting)
+ */
+export const releaseHold = async (entry, outcome, nextStatus = "waiting") => {
+  const hold = entry.hold?.date
+    ? { date: entry.hold.date, timeSlot: entry.hold.timeSlot, doctor: entry.hold.doctor }
+    : null;
+
+  setOfferOutcome(entry, outcome);
+  entry.status = nextStatus;
+  entry.hold = undefined;
+  await entry.save();
+
+  if (!hold) return null;
+
+  const clinic = await Clinic.findById(entry.clinic);
+  if (!clinic) return null;
+
+  return offerSlot(clinic, hold, { excludePatient: entry.patient });
+};
+
+/**
+ * Housekeeping: release lapsed holds and close entries whose date range has passed
+ * @returns {Object} - { releasedHolds, expiredEntries }
+ */
+export const processExpiredOffers = async () => {
+  const lapsed = await WaitlistEntry.find({
+    status: "offered",
+    "hold.expiresAt": { $lte: new Date() },
+  });
+
+  for (const entry of lapsed) {
+    await releaseHold(entry, "expired");
+  }
+
+  // Entries whose date range ended before today (in their clinic's timezone)
+  const clinics = await Clinic.find().select("timezone");
+  let expiredEntries = 0;
+
+  for (const clinic of clinics) {
+    const { start: startOfToday } = getDayRange(new Date(), getTimezone(clinic));
+
+    const { modifiedCount } = await WaitlistEntry.updateMany(
+      { clinic: clinic._id, status: "waiting", dateTo: { $lt: startOfToday } },
+      { status: "expired" },
+    );
+    expiredEntries += modifiedCount;
+  }
+
+  return { releasedHolds: lapsed.length, expiredEntries };
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Reserve a slot for an entry and notify the patient
+ */
+async function holdSlot(entry, clinic, slot) {
+  const holdMinutes = clinic.appointmentSettings?.waitlistHoldMinutes || 30;
+  const offeredAt = new Date();
+  const expiresAt = new Date(offeredAt.getTime() + holdMinutes * 60 * 1000);
+
+  entry.status = "offered";
+  entry.hold = { ...slot, expiresAt };
+  entry.offers.push({
+    date: slot.date,
+    timeSlot: slot.timeSlot,
+    doctor: slot.doctor,
+    offeredAt,
+    expiresAt,
+    outcome: "pending",
+  });
+  await entry.save();
+
+  const patient = await Patient.findById(entry.patient);
+  if (!patient) return;
+
+  const notification = await Notification.createWaitlistOffer(entry, patient, clinic);
+  entry.offers[entry.offers.length - 1].notification = notification._id;
+  await entry.save();
+
+  await deliverNotification(notification);
+}
+
+/**
+ * Close the pending offer in the history
+ */
+function setOfferOutcome(entry, outcome) {
+  const offer = entry.offers.findLast((o) => o.outcome === "pending");
+  if (offer) {
+    offer.outcome = outcome;
+    offer.respondedAt = new Date();
+  }
+}
+
+/**
+ * First slot start inside the freed range that hasn't begun yet
+ */
+function getNextOfferableStart(clinic, { date, timeSlot, slotEnd }) {
+  const slotDuration = clinic.appointmentSettings?.slotDuration || 30;
+  const start = toMinutes(timeSlot);
+  const end = slotEnd ? toMinutes(slotEnd) : start + slotDuration;
+
+  return (
+    clinic
+      .getTimeSlots(date)
+      .find(
+        (slot) =>
+          toMinutes(slot) >= start &&
+          toMinutes(slot) < end &&
+          isUpcoming(date, slot, getTimezone(clinic)),
+      ) || null
+  );
+}
+
+/**
+ * Has the slot not started yet?
+ */
+function isUpcoming(date, timeSlot, tz) {
+  return getSlotStart(date, timeSlot, tz) > new Date();
+}
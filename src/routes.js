@@ -4,9 +4,19 @@ import { Router } from "express";
 import authRoutes from "./modules/auth/auth.routes.js";
 import userRoutes from "./modules/users/user.routes.js";
 import patientRoutes from "./modules/patients/patient.routes.js";
+import householdRoutes from "./modules/households/household.routes.js";
+import dataRequestRoutes from "./modules/dataRequests/dataRequest.routes.js";
+import segmentRoutes from "./modules/segments/segment.routes.js";
 import clinicRoutes from "./modules/clinics/clinic.routes.js";
 import appointmentRoutes from "./modules/appointments/appointment.routes.js";
+import waitlistRoutes from "./modules/waitlist/waitlist.routes.js";
+import queueRoutes from "./modules/queue/queue.routes.js";
+import calendarRoutes from "./modules/calendar/calendar.routes.js";
 import treatmentRoutes from "./modules/treatments/treatment.routes.js";
+import treatmentPlanRoutes from "./modules/treatmentPlans/treatmentPlan.routes.js";
+import prescriptionRoutes from "./modules/prescriptions/prescription.routes.js";
+import clinicalNoteRoutes from "./modules/clinicalNotes/clinicalNote.routes.js";
+import consentRoutes from "./modules/consents/consent.routes.js";
 import testRoutes from "./modules/tests/test.routes.js";
 import membershipRoutes from "./modules/memberships/membership.routes.js";
 import billingRoutes from "./modules/billing/billing.routes.js";
@@ -57,8 +67,80 @@ router.use("/users", userRoutes);
 // GET    /api/patients/:id/payments
 // GET    /api/patients/:id/reports
 // GET    /api/patients/:id/membership
+// GET    /api/patients/:id/chart        - Dental chart (?notation=fdi|universal&asOf=)
+// GET    /api/patients/:id/chart/history - Chart history (?tooth=&treatment=)
+// POST   /api/patients/:id/chart/entries - Record findings (optionally for a treatment)
+// POST   /api/patients/:id/chart/entries/:entryId/resolve - Resolve / void a finding
+// GET    /api/patients/:id/perio        - Perio exams (newest version first)
+// POST   /api/patients/:id/perio        - Record a perio exam (draft, or finalize: true)
+// GET    /api/patients/:id/perio/compare - Compare two exams (?from=&to=, default latest two final)
+// GET    /api/patients/:id/perio/:examId - Perio exam (?notation=)
+// PATCH  /api/patients/:id/perio/:examId - Update a draft exam
+// POST   /api/patients/:id/perio/:examId/finalize - Lock an exam
+// POST   /api/patients/:id/perio/:examId/amend - Start a corrected version
+// GET    /api/patients/:id/alerts       - Medical alerts (?context= adds blocking / warnings)
+// POST   /api/patients/:id/alerts       - Add medical alert
+// GET    /api/patients/:id/alerts/overrides - Alert override log
+// PATCH  /api/patients/:id/alerts/:alertId - Update medical alert
+// DELETE /api/patients/:id/alerts/:alertId - Resolve medical alert
+// GET    /api/patients/duplicates       - Scan recent registrations (?days=&minScore=&limit=)
+// GET    /api/patients/:id/duplicates   - Likely duplicates of a patient
+// POST   /api/patients/:id/merge        - Merge a duplicate into this patient
+// GET    /api/patients/merges           - Merge log (?patient=&status=)
+// GET    /api/patients/merges/:mergeId  - Get merge
+// POST   /api/patients/merges/:mergeId/revert - Revert merge
+// GET    /api/patients/:id/timeline     - Timeline (?types=&from=&to=&order=&page=&limit=)
+// GET    /api/patients/imports/template - Blank import file
+// POST   /api/patients/imports          - Upload CSV / XLSX (dry run)
+// GET    /api/patients/imports          - Import history (?status=)
+// GET    /api/patients/imports/:importId - Import with row report (?status=&page=&limit=)
+// POST   /api/patients/imports/:importId/commit - Import the valid rows
+// GET    /api/patients/imports/:importId/report - Download import summary (CSV)
+// GET    /api/patients/tags             - Tags in use with counts
+// POST   /api/patients/tags/bulk        - Add / remove tags on several patients
+// POST   /api/patients/:id/tags         - Add tags to a patient
+// DELETE /api/patients/:id/tags/:tag    - Remove a tag from a patient
 router.use("/patients", patientRoutes);
 
+// ========== HOUSEHOLDS ==========
+// GET    /api/households/my             - Primary holder's household + members
+// GET    /api/households/my/appointments - Household appointments (?upcoming=true)
+// GET    /api/households/my/invoices    - Household outstanding invoices
+// GET    /api/households                - List households (?search=&active=)
+// POST   /api/households                - Create household (adult primary holder)
+// GET    /api/households/:id            - Get household + members
+// PATCH  /api/households/:id            - Update / change primary holder
+// POST   /api/households/:id/members    - Add existing patient
+// POST   /api/households/:id/dependants - Register dependant (shares guardian's phone)
+// DELETE /api/households/:id/members/:patientId - Remove member
+// GET    /api/households/:id/appointments - Household appointments (?upcoming=true)
+// GET    /api/households/:id/invoices   - Household outstanding invoices
+router.use("/households", householdRoutes);
+
+// ========== DATA REQUESTS (DPDP) ==========
+// POST   /api/data-requests/my          - Patient requests export / erasure
+// GET    /api/data-requests/my          - Patient's requests
+// GET    /api/data-requests/my/:requestId/download - Download my data (ZIP)
+// POST   /api/data-requests/my/:requestId/cancel - Withdraw pending request
+// GET    /api/data-requests             - Request log (?type=&status=&patient=)
+// POST   /api/data-requests             - Record request for a patient
+// GET    /api/data-requests/:requestId  - Get request + audit log (+ erasure plan)
+// GET    /api/data-requests/:requestId/download - Download patient's data (ZIP)
+// POST   /api/data-requests/:requestId/erase - Carry out erasure (admin only)
+// POST   /api/data-requests/:requestId/reject - Reject request
+router.use("/data-requests", dataRequestRoutes);
+
+// ========== SEGMENTS ==========
+// GET    /api/segments                  - List segments (?withCounts=true)
+// POST   /api/segments                  - Create segment (rules)
+// POST   /api/segments/preview          - Patients matching unsaved rules
+// GET    /api/segments/:id              - Get segment + patient count
+// PATCH  /api/segments/:id              - Update segment
+// DELETE /api/segments/:id              - Delete segment
+// GET    /api/segments/:id/patients     - Patients in segment (?page=&limit=)
+// GET    /api/segments/:id/export       - Export patients (CSV)
+router.use("/segments", segmentRoutes);
+
 // ========== CLINICS ==========
 // GET    /api/clinics           - List clinics
 // GET    /api/clinics/:id       - Get clinic
@@ -66,6 +148,8 @@ router.use("/patients", patientRoutes);
 // POST   /api/clinics           - Create clinic
 // PATCH  /api/clinics/:id       - Update clinic
 // PATCH  /api/clinics/:id/hours - Update operating hours
+// PATCH  /api/clinics/:id/settings - Update appointment settings
+// GET    /api/clinics/:id/holidays
 // POST   /api/clinics/:id/holidays
 // DELETE /api/clinics/:id/holidays/:holidayId
 router.use("/clinics", clinicRoutes);
@@ -80,11 +164,49 @@ router.use("/clinics", clinicRoutes);
 // PATCH  /api/appointments/:id          - Update appointment
 // PATCH  /api/appointments/:id/status   - Update status
 // POST   /api/appointments/:id/check-in
+// POST   /api/appointments/:id/start
 // POST   /api/appointments/:id/complete
 // POST   /api/appointments/:id/cancel
 // POST   /api/appointments/:id/reschedule
+// GET    /api/appointments/series       - List recurring series
+// POST   /api/appointments/series/preview - Preview dates & conflicts
+// POST   /api/appointments/series       - Book recurring series
+// GET    /api/appointments/series/:seriesId
+// POST   /api/appointments/series/:seriesId/reschedule - scope: one/future/all
+// POST   /api/appointments/series/:seriesId/cancel     - scope: one/future/all
+// GET    /api/appointments/my           - Patient: my appointments
+// GET    /api/appointments/my/slots     - Patient: bookable slots (horizon/cutoff applied)
+// POST   /api/appointments/my           - Patient: book (source: app)
+// POST   /api/appointments/my/:id/reschedule
+// POST   /api/appointments/my/:id/cancel
 router.use("/appointments", appointmentRoutes);
 
+// ========== WAITLIST ==========
+// GET    /api/waitlist                  - List waitlist entries
+// GET    /api/waitlist/my               - Patient's entries & offers
+// POST   /api/waitlist                  - Add patient to waitlist
+// POST   /api/waitlist/process-expired  - Release expired holds
+// GET    /api/waitlist/:id              - Get entry
+// PATCH  /api/waitlist/:id              - Update preferences
+// POST   /api/waitlist/:id/cancel       - Remove from waitlist
+// POST   /api/waitlist/:id/accept       - Accept held slot (books appointment)
+// POST   /api/waitlist/:id/decline      - Decline held slot
+router.use("/waitlist", waitlistRoutes);
+
+// ========== QUEUE (Live token display) ==========
+// GET    /api/queue/:clinicId           - Current queue snapshot
+// GET    /api/queue/:clinicId/stream    - Live updates (server-sent events)
+router.use("/queue", queueRoutes);
+
+// ========== CALENDAR (iCalendar feeds) ==========
+// GET    /api/calendar/ical/:token.ics  - Doctor / clinic feed (secret token)
+// GET    /api/calendar/appointments/:id.ics - Single appointment (add to calendar)
+// GET    /api/calendar/feeds            - List feeds
+// POST   /api/calendar/feeds            - Create feed (URL returned once)
+// POST   /api/calendar/feeds/:id/regenerate - New URL, old one stops working
+// POST   /api/calendar/feeds/:id/revoke - Revoke feed
+router.use("/calendar", calendarRoutes);
+
 // ========== TREATMENTS ==========
 // GET    /api/treatments/master         - List treatment types
 // GET    /api/treatments/master/:id     - Get treatment type
@@ -93,13 +215,69 @@ router.use("/appointments", appointmentRoutes);
 // DELETE /api/treatments/master/:id     - Deactivate treatment type
 // GET    /api/treatments                - List patient treatments
 // GET    /api/treatments/:id            - Get treatment
-// POST   /api/treatments                - Add treatment
+// POST   /api/treatments                - Add treatment (medical alert check)
 // PATCH  /api/treatments/:id            - Update treatment
-// PATCH  /api/treatments/:id/status     - Update status
+// PATCH  /api/treatments/:id/status     - Update status (consent required to start)
 // POST   /api/treatments/:id/sessions   - Add session
 // POST   /api/treatments/:id/follow-up  - Schedule follow-up
 router.use("/treatments", treatmentRoutes);
 
+// ========== TREATMENT PLANS ==========
+// GET    /api/treatment-plans           - List plans (?patient=&clinic=&status=)
+// GET    /api/treatment-plans/my        - Patient's own plans
+// GET    /api/treatment-plans/:id       - Get plan (admin / own patient)
+// POST   /api/treatment-plans           - Create plan (priced from the catalog)
+// PATCH  /api/treatment-plans/:id       - Update plan (until signed)
+// POST   /api/treatment-plans/:id/present - Present to patient
+// POST   /api/treatment-plans/:id/accept  - Signed acceptance (creates treatments)
+// POST   /api/treatment-plans/:id/decline - Decline items / plan
+// POST   /api/treatment-plans/:id/cancel  - Cancel plan
+router.use("/treatment-plans", treatmentPlanRoutes);
+
+// ========== PRESCRIPTIONS ==========
+// GET    /api/prescriptions/drugs       - Drug catalog (?search=&category=&form=)
+// POST   /api/prescriptions/drugs       - Add drug
+// POST   /api/prescriptions/drugs/seed  - Seed common dental drugs
+// PATCH  /api/prescriptions/drugs/:id   - Update drug
+// DELETE /api/prescriptions/drugs/:id   - Deactivate drug
+// GET    /api/prescriptions             - List prescriptions (?patient=&appointment=&treatment=)
+// GET    /api/prescriptions/my          - Patient's own prescriptions
+// POST   /api/prescriptions/check-allergies - Check drugs against patient allergies / alerts
+// POST   /api/prescriptions             - Create prescription (medical alert check)
+// GET    /api/prescriptions/:id         - Get prescription (admin / own patient)
+// GET    /api/prescriptions/:id/pdf     - Printable Rx PDF
+// POST   /api/prescriptions/:id/cancel  - Cancel prescription
+router.use("/prescriptions", prescriptionRoutes);
+
+// ========== CLINICAL NOTES ==========
+// GET    /api/clinical-notes/templates  - Note templates (?category=)
+// POST   /api/clinical-notes/templates  - Create template
+// POST   /api/clinical-notes/templates/seed - Seed default templates
+// PATCH  /api/clinical-notes/templates/:id - Update template
+// DELETE /api/clinical-notes/templates/:id - Deactivate template
+// GET    /api/clinical-notes            - List notes (?patient=&appointment=&doctor=&status=)
+// POST   /api/clinical-notes            - Write the note for an appointment (draft, or sign: true)
+// GET    /api/clinical-notes/:id        - Get note
+// PATCH  /api/clinical-notes/:id        - Update a draft note
+// GET    /api/clinical-notes/:id/history - All versions (original first)
+// POST   /api/clinical-notes/:id/sign   - Sign and lock (note's doctor)
+// POST   /api/clinical-notes/:id/amend  - Start an amendment
+router.use("/clinical-notes", clinicalNoteRoutes);
+
+// ========== CONSENTS ==========
+// GET    /api/consents/templates        - Consent templates + merge fields
+// POST   /api/consents/templates        - Create template
+// PATCH  /api/consents/templates/:id    - Update template (new version)
+// DELETE /api/consents/templates/:id    - Deactivate template
+// GET    /api/consents/my               - Patient's own forms
+// GET    /api/consents                  - List forms (?patient=&treatment=&status=)
+// POST   /api/consents                  - Prepare form for a treatment
+// GET    /api/consents/:id              - Get form (admin / own patient)
+// POST   /api/consents/:id/sign         - Sign (tablet / patient's phone)
+// POST   /api/consents/:id/revoke       - Revoke form
+// GET    /api/consents/:id/pdf          - Signed form PDF
+router.use("/consents", consentRoutes);
+
 // ========== TESTS ==========
 // GET    /api/tests/master              - List test types
 // GET    /api/tests/master/:id          - Get test type
@@ -108,7 +286,7 @@ router.use("/treatments", treatmentRoutes);
 // DELETE /api/tests/master/:id          - Deactivate test type
 // GET    /api/tests                     - List patient tests
 // GET    /api/tests/:id                 - Get test
-// POST   /api/tests                     - Order test
+// POST   /api/tests                     - Order test (medical alert check)
 // PATCH  /api/tests/:id                 - Update test
 // PATCH  /api/tests/:id/status          - Update status
 router.use("/tests", testRoutes);
@@ -210,9 +388,19 @@ router.get("/", (req, res) => {
       auth: "/api/auth",
       users: "/api/users",
       patients: "/api/patients",
+      households: "/api/households",
+      dataRequests: "/api/data-requests",
+      segments: "/api/segments",
       clinics: "/api/clinics",
       appointments: "/api/appointments",
+      waitlist: "/api/waitlist",
+      queue: "/api/queue",
+      calendar: "/api/calendar",
       treatments: "/api/treatments",
+      treatmentPlans: "/api/treatment-plans",
+      prescriptions: "/api/prescriptions",
+      clinicalNotes: "/api/clinical-notes",
+      consents: "/api/consents",
       tests: "/api/tests",
       memberships: "/api/memberships",
       billing: "/api/billing",
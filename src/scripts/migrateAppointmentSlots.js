@@ -0,0 +1,89 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Appointment from "../modules/appointments/appointment.model.js";
+import Clinic from "../modules/clinics/clinic.model.js";
+import { INACTIVE_APPOINTMENT_STATUSES } from "../constants/appointmentStatus.js";
+import { toMinutes, toTimeString } from "../utils/time.js";
+
+/**
+ * MIGRATE APPOINTMENT SLOTS
+ * Prepares existing appointments for several bookings per slot:
+ * - holdsSlot on every appointment (false for cancelled / no-show)
+ *   (the unique reservation indexes only cover holdsSlot: true)
+ * - blockedSlots (reservation keys) on appointments that don't have them yet
+ * - replaces the old unique clinic/date/timeSlot index with a plain one, drops
+ *   the start-time-only doctor/chair indexes and builds the unique
+ *   doctor/blockedSlots and chair/blockedSlots indexes
+ *
+ * Usage: npm run migrate:appointment-slots
+ *
+ * Safe to re-run. If an index fails with a duplicate key, two active bookings
+ * overlap with the same doctor or chair: cancel or move one and run again.
+ */
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+
+  const [freed, held] = await Promise.all([
+    Appointment.updateMany(
+      { status: { $in: INACTIVE_APPOINTMENT_STATUSES }, holdsSlot: { $ne: false } },
+      { $set: { holdsSlot: false } },
+    ),
+    Appointment.updateMany(
+      { status: { $nin: INACTIVE_APPOINTMENT_STATUSES }, holdsSlot: { $ne: true } },
+      { $set: { holdsSlot: true } },
+    ),
+  ]);
+
+  // Older bookings without slotEnd cover one slot of their clinic
+  const slotDurations = new Map();
+  const getSlotDuration = async (clinicId) => {
+    const key = String(clinicId);
+    if (!slotDurations.has(key)) {
+      const clinic = await Clinic.findById(clinicId).select("appointmentSettings.slotDuration");
+      slotDurations.set(key, clinic?.appointmentSettings?.slotDuration || 30);
+    }
+    return slotDurations.get(key);
+  };
+
+  let keyed = 0;
+  const cursor = Appointment.find({ blockedSlots: { $exists: false } })
+    .select("clinic timeSlot slotEnd")
+    .lean()
+    .cursor();
+
+  for await (const appointment of cursor) {
+    const slotEnd =
+      appointment.slotEnd ||
+      toTimeString(
+        toMinutes(appointment.timeSlot) + (await getSlotDuration(appointment.clinic)),
+      );
+
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { blockedSlots: Appointment.getSlotKeys(appointment.timeSlot, slotEnd) } },
+    );
+    keyed++;
+  }
+
+  // syncIndexes drops clinic_1_date_1_timeSlot_1 (unique) and the
+  // doctor/chair timeSlot indexes, and builds the blockedSlots ones
+  const dropped = await Appointment.syncIndexes();
+
+  await mongoose.disconnect();
+  console.log(
+    `Appointment slot migration complete: ` +
+      `${freed.modifiedCount + held.modifiedCount} appointment(s) updated, ` +
+      `${keyed} given reservation keys, ` +
+      `indexes dropped: ${dropped.length ? dropped.join(", ") : "none"}`,
+  );
+};
+
+migrate().catch(async (error) => {
+  console.error("Appointment slot migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,146 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Appointment from "../modules/appointments/appointment.model.js";
+import { Treatment } from "../modules/treatments/treatment.model.js";
+import TreatmentPlan from "../modules/treatmentPlans/treatmentPlan.model.js";
+import { Test } from "../modules/tests/test.model.js";
+import Prescription from "../modules/prescriptions/prescription.model.js";
+import ConsentForm from "../modules/consents/consentForm.model.js";
+import Invoice from "../modules/billing/invoice.model.js";
+import Payment from "../modules/payments/payment.model.js";
+import Report from "../modules/reports/report.model.js";
+import Enquiry from "../modules/enquiries/enquiry.model.js";
+import DataRequest from "../modules/dataRequests/dataRequest.model.js";
+import Clinic from "../modules/clinics/clinic.model.js";
+import * as counterService from "../modules/counters/counter.service.js";
+import { getTimezone } from "../utils/date.js";
+
+/**
+ * MIGRATE COUNTERS
+ * Seeds the atomic counters from numbers already in the database so new
+ * numbers continue after the highest existing one.
+ *
+ * Usage: npm run migrate:counters
+ *
+ * Safe to re-run (and to run while the API is up): counters are only ever raised.
+ * Numbers that match neither the current format (config/numbering.js) nor one of
+ * the type's legacyFormats are skipped.
+ */
+
+dotenv.config();
+
+const SOURCES = [
+  { name: "appointment", model: Appointment, field: "appointmentNumber" },
+  { name: "treatment", model: Treatment, field: "treatmentNumber" },
+  { name: "treatmentPlan", model: TreatmentPlan, field: "planNumber" },
+  { name: "test", model: Test, field: "testNumber" },
+  {
+    name: "prescription",
+    model: Prescription,
+    field: "prescriptionNumber",
+    // Before PRX- (RX- clashed with prescription report numbers)
+    legacyFormats: ["RX-{YY}{MM}-{SEQ:4}"],
+  },
+  { name: "consentForm", model: ConsentForm, field: "formNumber" },
+  { name: "invoice", model: Invoice, field: "invoiceNumber" },
+  { name: "payment", model: Payment, field: "paymentNumber" },
+  { name: "report", model: Report, field: "reportNumber" },
+  { name: "enquiry", model: Enquiry, field: "enquiryNumber" },
+  { name: "dataRequest", model: DataRequest, field: "requestNumber" },
+];
+
+/**
+ * Highest sequence per counter for one document type
+ */
+const migrateNumbers = async ({ name, model, field, legacyFormats = [] }) => {
+  const highest = new Map();
+  let skipped = 0;
+
+  const cursor = model
+    .find({ [field]: { $exists: true } })
+    .select(`${field} clinic`)
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    const parsed = [undefined, ...legacyFormats]
+      .map((format) => counterService.parseNumber(name, doc[field], format))
+      .find(Boolean);
+    if (!parsed) {
+      skipped++;
+      continue;
+    }
+
+    const parts = { prefix: parsed.prefix, clinic: doc.clinic, period: parsed.period };
+    const key = [parts.prefix, doc.clinic, parts.period].join(":");
+
+    if (!highest.has(key) || highest.get(key).seq < parsed.seq) {
+      highest.set(key, { parts, seq: parsed.seq });
+    }
+  }
+
+  for (const { parts, seq } of highest.values()) {
+    await counterService.syncCounter(name, parts, seq);
+  }
+
+  console.log(`${name}: ${highest.size} counter(s) synced, ${skipped} number(s) skipped`);
+};
+
+/**
+ * Daily tokens for today and future appointment days
+ */
+const migrateTokens = async () => {
+  // Yesterday onwards covers "today" in every timezone
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const clinics = await Clinic.find().select("timezone");
+  const timezones = new Map(clinics.map((c) => [String(c._id), getTimezone(c)]));
+
+  const highest = new Map();
+
+  const cursor = Appointment.find({ date: { $gte: since }, tokenNumber: { $gt: 0 } })
+    .select("clinic date tokenNumber")
+    .lean()
+    .cursor();
+
+  for await (const appointment of cursor) {
+    const period = counterService.getPeriodKey(
+      "day",
+      appointment.date,
+      timezones.get(String(appointment.clinic)),
+    );
+    const key = `${appointment.clinic}:${period}`;
+
+    if (!highest.has(key) || highest.get(key).seq < appointment.tokenNumber) {
+      highest.set(key, {
+        parts: { clinic: appointment.clinic, period },
+        seq: appointment.tokenNumber,
+      });
+    }
+  }
+
+  for (const { parts, seq } of highest.values()) {
+    await counterService.syncCounter("token", parts, seq);
+  }
+
+  console.log(`token: ${highest.size} counter(s) synced`);
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  for (const source of SOURCES) {
+    await migrateNumbers(source);
+  }
+  await migrateTokens();
+
+  await mongoose.disconnect();
+  console.log("Counter migration complete");
+};
+
+migrate().catch(async (error) => {
+  console.error("Counter migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Patient from "../modules/patients/patient.model.js";
+
+/**
+ * MIGRATE HOUSEHOLDS
+ * Prepares existing patients for households:
+ * - isDependant: false on every patient without the field
+ *   (the phone index only covers account holders, isDependant: false)
+ * - replaces the old unique phone index with the account-holder-only one,
+ *   so dependants can share their guardian's phone
+ *
+ * Usage: npm run migrate:households
+ *
+ * Safe to re-run.
+ */
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+
+  const { modifiedCount } = await Patient.updateMany(
+    { isDependant: { $exists: false } },
+    { $set: { isDependant: false } },
+  );
+
+  // syncIndexes drops phone_1 (unique on every patient) and builds the partial one
+  const dropped = await Patient.syncIndexes();
+
+  await mongoose.disconnect();
+  console.log(
+    `Household migration complete: ${modifiedCount} patient(s) updated, ` +
+      `indexes dropped: ${dropped.length ? dropped.join(", ") : "none"}`,
+  );
+};
+
+migrate().catch(async (error) => {
+  console.error("Household migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Patient from "../modules/patients/patient.model.js";
+import { classifyMedicalHistory } from "../modules/medicalAlerts/medicalAlert.service.js";
+import { MEDICAL_ALERT_TYPES } from "../constants/medicalAlerts.js";
+
+/**
+ * MIGRATE MEDICAL ALERTS
+ * Creates structured medical alerts from the free-text fields:
+ * - every Patient.allergies entry -> allergy alert
+ * - Patient.medicalHistory entries mentioning an anticoagulant, diabetes,
+ *   pregnancy or a cardiac condition -> alert of that type
+ *
+ * Usage: npm run migrate:medical-alerts
+ *
+ * Alerts get the default (moderate) severity - raise the serious ones to high
+ * so they block. The free-text fields are left as they are.
+ * Safe to re-run: an alert with the same type and name is not added twice.
+ */
+
+dotenv.config();
+
+const alertsFor = (patient) => {
+  const existing = new Set(
+    patient.medicalAlerts.map((a) => `${a.type}:${a.name.trim().toLowerCase()}`),
+  );
+  const alerts = [];
+
+  const add = (type, name) => {
+    const key = `${type}:${name.trim().toLowerCase()}`;
+    if (!name.trim() || existing.has(key)) return;
+    existing.add(key);
+    alerts.push({ type, name: name.trim(), notes: "Migrated from patient record" });
+  };
+
+  for (const allergy of patient.allergies || []) {
+    add(MEDICAL_ALERT_TYPES.ALLERGY, allergy);
+  }
+
+  for (const entry of patient.medicalHistory || []) {
+    const type = classifyMedicalHistory(entry);
+    if (type) add(type, entry);
+  }
+
+  return alerts;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  let patients = 0;
+  let created = 0;
+
+  const cursor = Patient.find({
+    $or: [{ "allergies.0": { $exists: true } }, { "medicalHistory.0": { $exists: true } }],
+  }).cursor();
+
+  for await (const patient of cursor) {
+    const alerts = alertsFor(patient);
+    if (!alerts.length) continue;
+
+    patient.medicalAlerts.push(...alerts);
+    await patient.save();
+
+    patients++;
+    created += alerts.length;
+  }
+
+  await mongoose.disconnect();
+  console.log(`Medical alert migration complete: ${created} alert(s) for ${patients} patient(s)`);
+};
+
+migrate().catch(async (error) => {
+  console.error("Medical alert migration failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -70,10 +70,11 @@ export class NotFoundError extends AppError {
 /**
  * 409 - Conflict
  * Use when resource already exists or concurrent modification
+ * errors: optional details (e.g. the conflicting records)
  */
 export class ConflictError extends AppError {
-  constructor(message = 'Resource already exists') {
-    super(message, HTTP_STATUS.CONFLICT);
+  constructor(message = 'Resource already exists', errors = null) {
+    super(message, HTTP_STATUS.CONFLICT, errors);
   }
 }
 
@@ -117,3 +118,17 @@ export class InternalError extends AppError {
     this.isOperational = false; // Programming errors are not operational
   }
 }
+
+/**
+ * 400 - Invalid Status Transition
+ * Use when a record can't move from its current status to the requested one
+ */
+export class InvalidStatusTransitionError extends AppError {
+  constructor(from, to, allowed = []) {
+    super(
+      `Cannot change status from '${from}' to '${to}'. ` +
+        (allowed.length ? `Allowed: ${allowed.join(', ')}` : `'${from}' is a final status`),
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * CSV Helpers
+ * Build CSV downloads (import reports, segment exports)
+ */
+
+/**
+ * Rows of values → CSV text (quoted where needed, CRLF line endings)
+ * @param {Array<Array>} rows - First row is the header
+ * @returns {string} - CSV text
+ */
+export const toCsv = (rows) => rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+// ==================== HELPER FUNCTIONS ====================
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
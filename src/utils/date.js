@@ -0,0 +1,152 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Date Helpers (clinic timezone aware)
+ *
+ * "Today", day/month ranges and slot times are always worked out in the
+ * clinic's timezone, never the server's, so the API behaves the same
+ * whether the server runs in UTC or IST.
+ *
+ * Appointment-style dates are stored as the instant the clinic's day starts
+ * (e.g. 20 Oct in IST → 2026-10-19T18:30:00.000Z) and all Dates are sent
+ * as ISO 8601 UTC strings.
+ */
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Kolkata";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Is this a valid IANA timezone name? (e.g. "Asia/Kolkata")
+ * @param {string} tz
+ * @returns {boolean}
+ */
+export const isValidTimezone = (tz) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Timezone of a clinic (falls back to DEFAULT_TIMEZONE)
+ * @param {Object} clinic - Clinic document (or anything with .timezone)
+ * @returns {string}
+ */
+export const getTimezone = (clinic) => clinic?.timezone || DEFAULT_TIMEZONE;
+
+/**
+ * Start of the calendar day a value refers to, in a timezone
+ * - "2026-10-20" → that day
+ * - Date at exactly UTC midnight (how bare dates are parsed) → that UTC calendar day
+ * - Any other Date / ISO string → the day it falls on in the timezone
+ *
+ * @param {Date|string} value - Defaults to now
+ * @param {string} tz - IANA timezone
+ * @returns {Object} - dayjs (in tz)
+ */
+export const toClinicDay = (value = new Date(), tz = DEFAULT_TIMEZONE) => {
+  if (typeof value === "string" && DATE_ONLY.test(value)) {
+    return dayjs.tz(value, tz);
+  }
+
+  const d = dayjs(value);
+  if (d.utc().format("HH:mm:ss.SSS") === "00:00:00.000") {
+    return dayjs.tz(d.utc().format("YYYY-MM-DD"), tz);
+  }
+
+  return d.tz(tz).startOf("day");
+};
+
+/**
+ * Start and end of a day in a timezone
+ * @returns {Object} - { start: Date, end: Date }
+ */
+export const getDayRange = (value = new Date(), tz = DEFAULT_TIMEZONE) => {
+  const day = toClinicDay(value, tz);
+  return { start: day.toDate(), end: day.endOf("day").toDate() };
+};
+
+/**
+ * Start and end of the month a day falls in, in a timezone
+ * @returns {Object} - { start: Date, end: Date }
+ */
+export const getMonthRange = (value = new Date(), tz = DEFAULT_TIMEZONE) => {
+  const day = toClinicDay(value, tz);
+  return { start: day.startOf("month").toDate(), end: day.endOf("month").toDate() };
+};
+
+/**
+ * Start of the day `amount` units after a value's day (negative = before)
+ * Calendar arithmetic, so DST changes never shift the day
+ * @param {Date|string} value - Day to start from
+ * @param {number} amount - e.g. 2
+ * @param {string} unit - "day" | "week" | "month" | "year"
+ * @returns {Date}
+ */
+export const addPeriod = (value, amount, unit, tz = DEFAULT_TIMEZONE) =>
+  dayjs.tz(dayjs.utc(formatDay(value, tz)).add(amount, unit).format("YYYY-MM-DD"), tz).toDate();
+
+/**
+ * Start of the day `days` after a value's day (negative = before)
+ * @returns {Date}
+ */
+export const addDays = (value, days, tz = DEFAULT_TIMEZONE) => addPeriod(value, days, "day", tz);
+
+/**
+ * Whole days from one day to another (calendar days in a timezone)
+ * @returns {number}
+ */
+export const getDayDiff = (to, from, tz = DEFAULT_TIMEZONE) =>
+  dayjs.utc(formatDay(to, tz)).diff(dayjs.utc(formatDay(from, tz)), "day");
+
+/**
+ * Calendar date in a timezone ("2026-10-20")
+ * @returns {string}
+ */
+export const formatDay = (value = new Date(), tz = DEFAULT_TIMEZONE) =>
+  toClinicDay(value, tz).format("YYYY-MM-DD");
+
+/**
+ * Human-readable date in a timezone ("20 Oct 2026") for messages
+ * @returns {string}
+ */
+export const formatDisplayDate = (value, tz = DEFAULT_TIMEZONE) =>
+  toClinicDay(value, tz).format("DD MMM YYYY");
+
+/**
+ * Clock time of an instant in a timezone ("14:30") for messages
+ * @returns {string}
+ */
+export const formatDisplayTime = (value, tz = DEFAULT_TIMEZONE) => dayjs(value).tz(tz).format("HH:mm");
+
+/**
+ * Weekday of a day in a timezone (0 = Sunday)
+ * @returns {number}
+ */
+export const getWeekday = (value, tz = DEFAULT_TIMEZONE) => toClinicDay(value, tz).day();
+
+/**
+ * Instant a "HH:mm" slot starts on a day, in a timezone
+ * @param {Date|string} date - Appointment day
+ * @param {string} timeSlot - "HH:mm"
+ * @returns {Date}
+ */
+export const getSlotStart = (date, timeSlot, tz = DEFAULT_TIMEZONE) =>
+  dayjs.tz(`${formatDay(date, tz)} ${timeSlot}`, tz).toDate();
+
+/**
+ * Minutes since midnight of an instant, in a timezone
+ * @returns {number}
+ */
+export const getMinutesOfDay = (value = new Date(), tz = DEFAULT_TIMEZONE) => {
+  const d = dayjs(value).tz(tz);
+  return d.hour() * 60 + d.minute();
+};
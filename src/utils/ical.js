@@ -0,0 +1,114 @@
+/**
+ * iCalendar Helpers (RFC 5545)
+ * Build VCALENDAR text for calendar feeds and .ics downloads
+ *
+ * Times are written in UTC ("20261019T043000Z") so every calendar app
+ * shows them in the viewer's own time zone.
+ */
+
+const PRODUCT_ID = "-//Dental Clinic//Appointments//EN";
+
+/**
+ * Date -> "YYYYMMDDTHHmmssZ"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escape text values (backslash, semicolon, comma, newline)
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeText = (text = "") =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold lines longer than 75 octets (continuation lines start with a space)
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+
+    current += char;
+    size += charSize;
+  }
+
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Build one VEVENT
+ * @param {Object} event - { uid, sequence, start, end, summary, description,
+ *                           location, status ('CONFIRMED'|'TENTATIVE'|'CANCELLED'), lastModified }
+ * @returns {Array} - Lines
+ */
+const buildEvent = (event) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || "CONFIRMED"}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * Build a full VCALENDAR document
+ * @param {Object} options - { name, events, method ('PUBLISH'), refreshMinutes }
+ * @returns {string} - text/calendar body
+ */
+export const buildCalendar = ({ name, events = [], method = "PUBLISH", refreshMinutes }) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  // Hint for subscribing apps (Apple / Outlook); Google polls on its own schedule
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
@@ -0,0 +1,102 @@
+import { TOOTH_NOTATIONS, TOOTH_SURFACES } from "../constants/dentalChart.js";
+
+/**
+ * Tooth Numbering Helpers
+ * Convert between FDI (two digits: quadrant + position) and Universal
+ * (1-32 for permanent teeth, A-T for primary teeth) notation.
+ *
+ *   FDI        18 ... 11 | 21 ... 28        Universal   1 ...  8 |  9 ... 16
+ *              48 ... 41 | 31 ... 38                   32 ... 25 | 24 ... 17
+ */
+
+const range = (from, to) => {
+  const step = from <= to ? 1 : -1;
+  return Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => String(from + i * step));
+};
+
+// Universal order: upper right → upper left → lower left → lower right
+const PERMANENT_TEETH = [...range(18, 11), ...range(21, 28), ...range(38, 31), ...range(41, 48)];
+const PRIMARY_TEETH = [...range(55, 51), ...range(61, 65), ...range(75, 71), ...range(81, 85)];
+
+const PRIMARY_LETTERS = "ABCDEFGHIJKLMNOPQRST".split("");
+
+/**
+ * Is this a valid FDI tooth number? ("11"-"48", "51"-"85")
+ * @param {string} fdi
+ * @returns {boolean}
+ */
+export const isValidFdi = (fdi) =>
+  PERMANENT_TEETH.includes(String(fdi)) || PRIMARY_TEETH.includes(String(fdi));
+
+/**
+ * Is this a primary (milk) tooth?
+ * @param {string} fdi
+ * @returns {boolean}
+ */
+export const isPrimaryTooth = (fdi) => PRIMARY_TEETH.includes(String(fdi));
+
+/**
+ * Is this a front tooth (incisor / canine)?
+ * Front teeth have an incisal edge instead of an occlusal surface
+ * @param {string} fdi
+ * @returns {boolean}
+ */
+export const isAnteriorTooth = (fdi) => Number(String(fdi)[1]) <= 3;
+
+/**
+ * Surfaces a tooth has
+ * @param {string} fdi
+ * @returns {string[]} - e.g. ["M", "D", "O", "B", "L"]
+ */
+export const getToothSurfaces = (fdi) => {
+  const { MESIAL, DISTAL, OCCLUSAL, INCISAL, BUCCAL, LINGUAL } = TOOTH_SURFACES;
+  return [MESIAL, DISTAL, isAnteriorTooth(fdi) ? INCISAL : OCCLUSAL, BUCCAL, LINGUAL];
+};
+
+/**
+ * Convert a tooth number to FDI
+ * @param {string|number} tooth - e.g. "3", "A", "16"
+ * @param {string} notation - "fdi" | "universal"
+ * @returns {string|null} - FDI number, or null if not a valid tooth
+ */
+export const toFdi = (tooth, notation = TOOTH_NOTATIONS.FDI) => {
+  const value = String(tooth ?? "").trim().toUpperCase();
+
+  if (notation === TOOTH_NOTATIONS.UNIVERSAL) {
+    const letter = PRIMARY_LETTERS.indexOf(value);
+    if (letter !== -1) return PRIMARY_TEETH[letter];
+
+    const number = /^\d+$/.test(value) ? Number(value) : NaN;
+    return PERMANENT_TEETH[number - 1] ?? null;
+  }
+
+  if (notation === TOOTH_NOTATIONS.FDI) {
+    return isValidFdi(value) ? value : null;
+  }
+
+  return null;
+};
+
+/**
+ * Convert an FDI tooth number to a notation
+ * @param {string} fdi - e.g. "16"
+ * @param {string} notation - "fdi" | "universal"
+ * @returns {string} - e.g. "3"
+ */
+export const fromFdi = (fdi, notation = TOOTH_NOTATIONS.FDI) => {
+  if (notation !== TOOTH_NOTATIONS.UNIVERSAL) return String(fdi);
+
+  const permanent = PERMANENT_TEETH.indexOf(String(fdi));
+  if (permanent !== -1) return String(permanent + 1);
+
+  const primary = PRIMARY_TEETH.indexOf(String(fdi));
+  return primary !== -1 ? PRIMARY_LETTERS[primary] : String(fdi);
+};
+
+/**
+ * All teeth of a dentition in chart order (FDI)
+ * @param {string} dentition - "permanent" | "primary"
+ * @returns {string[]}
+ */
+export const getDentition = (dentition = "permanent") =>
+  dentition === "primary" ? [...PRIMARY_TEETH] : [...PERMANENT_TEETH];
@@ -0,0 +1,25 @@
+/**
+ * Time Helpers
+ * Work with "HH:mm" time-of-day strings used for clinic hours and slots
+ */
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {string} time - e.g. "09:30"
+ * @returns {number} - e.g. 570
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to "HH:mm"
+ * @param {number} minutes - e.g. 570
+ * @returns {string} - e.g. "09:30"
+ */
+export const toTimeString = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, "0")}:${String(mins).padStart(2, "0")}`;
+};